@@ -9,6 +9,14 @@
  * Usage:
  *   npx guvnr init [options]
  *   npx guvnr generate
+ *   npx guvnr status
+ *   npx guvnr diff
+ *   npx guvnr import
+ *   npx guvnr config resolved
+ *   npx guvnr templates eject claude
+ *   npx guvnr review-check --base origin/main
+ *   npx guvnr hook secrets
+ *   npx guvnr verify
  *   npx guvnr validate
  *   npx guvnr doctor
  *   npx guvnr sync
@@ -45,6 +53,15 @@ import { generateCommand, SUPPORTED_TOOLS } from '../src/commands/generate.js';
 import { lintCommand } from '../src/commands/lint.js';
 import { uninstall } from '../src/commands/uninstall.js';
 import { detectCommand } from '../src/commands/detect.js';
+import { statusCommand } from '../src/commands/status.js';
+import { diffCommand } from '../src/commands/diff.js';
+import { importCommand } from '../src/commands/import.js';
+import { configResolvedCommand } from '../src/commands/config.js';
+import { templatesListCommand, templatesEjectCommand } from '../src/commands/templates.js';
+import { historyCommand, undoCommand } from '../src/commands/history.js';
+import { reviewCheckCommand } from '../src/commands/review.js';
+import { hookCommand, HOOK_BLOCK_EXIT } from '../src/commands/hook.js';
+import { verifyCommand } from '../src/commands/verify.js';
 
 // Import error handling
 import { FrameworkError, createError, getExitCode } from '../src/errors.js';
@@ -162,21 +179,26 @@ function createAbortError(commandName, timeoutMs, reason) {
  * - Graceful handling of SIGINT (Ctrl+C) and SIGTERM signals
  *
  * If the command takes longer than the configured timeout, it will be aborted
- * with an appropriate error message.
+ * with an appropriate error message. Commands whose run time is up to the
+ * project (verify runs its build and test suite) pass `timeout: false` and
+ * are only aborted by SIGINT or SIGTERM.
  *
  * @param {Function} handler - Command handler function
  * @param {string} commandName - Name of the command for error messages
+ * @param {Object} [settings={}] - Wrapper settings
+ * @param {boolean} [settings.timeout=true] - Abort after GUVNR_TIMEOUT
  * @returns {Function} Wrapped handler with timeout and abort support
  * @see https://nodejs.org/api/globals.html#class-abortsignal
  */
-function withTimeout(handler, commandName) {
+function withTimeout(handler, commandName, { timeout = true } = {}) {
   return async function (...args) {
-    const timeoutMs = COMMAND_TIMEOUT;
+    const timeoutMs = timeout ? COMMAND_TIMEOUT : null;
 
     // Generate unique operation ID for log correlation
     currentOperationId = randomUUID();
 
-    logger.debug(`Starting ${commandName} with timeout: ${timeoutMs}ms`, {
+    const limit = timeoutMs === null ? 'no timeout' : `timeout: ${timeoutMs}ms`;
+    logger.debug(`Starting ${commandName} with ${limit}`, {
       command: commandName,
       timeout: timeoutMs
     });
@@ -186,11 +208,13 @@ function withTimeout(handler, commandName) {
 
     // Create a timeout signal using AbortSignal.timeout()
     // This automatically cleans up when the timeout fires
-    const timeoutSignal = AbortSignal.timeout(timeoutMs);
+    const timeoutSignal = timeoutMs === null ? null : AbortSignal.timeout(timeoutMs);
 
     // Combine signals: abort on either timeout OR manual abort
     // AbortSignal.any() allows combining multiple abort reasons
-    const combinedSignal = AbortSignal.any([controller.signal, timeoutSignal]);
+    const combinedSignal = timeoutSignal
+      ? AbortSignal.any([controller.signal, timeoutSignal])
+      : controller.signal;
 
     // Check if signal is already aborted (defensive: handles edge case where
     // timeout is extremely short or system is under heavy load)
@@ -200,10 +224,15 @@ function withTimeout(handler, commandName) {
     }
 
     // Store signal on args options if present (allows handlers to check for abort)
-    // This enables cooperative cancellation within command handlers
-    const lastArg = args[args.length - 1];
-    if (lastArg && typeof lastArg === 'object' && !Array.isArray(lastArg)) {
-      lastArg._abortSignal = combinedSignal;
+    // This enables cooperative cancellation within command handlers.
+    // Commander passes the Command itself after the options object.
+    // The operation ID doubles as the run ID in the .guvnr/history/ journal
+    const optionsArg = args.findLast(
+      arg => arg && typeof arg === 'object' && !Array.isArray(arg) && !(arg instanceof Command)
+    );
+    if (optionsArg) {
+      optionsArg._abortSignal = combinedSignal;
+      optionsArg._operationId = currentOperationId;
     }
 
     // Track whether we've already cleaned up to prevent double-cleanup
@@ -546,16 +575,147 @@ program
   .action(withTimeout(doctorCommand, 'doctor'));
 
 // Generate command (multi-tool support)
+const generateWithTimeout = withTimeout(generateCommand, 'generate');
 program
   .command('generate')
   .alias('gen')
   .description('Generate tool-specific configs from guvnr.yaml')
-  .option('-t, --tools <tools>', `Tools to generate for: ${SUPPORTED_TOOLS.join(', ')}`, 'all')
+  .option(
+    '-t, --tools <tools>',
+    `Tools to generate for (default: tools.generate in guvnr.yaml, or all): ${SUPPORTED_TOOLS.join(', ')}`
+  )
   .option('-f, --force', 'Overwrite existing files', false)
+  .option('-m, --merge', 'Merge local edits into regenerated files (three-way)', false)
+  .option('-w, --watch', 'Regenerate affected files whenever guvnr.yaml changes', false)
+  .option(
+    '-r, --recursive',
+    'Also generate scoped configs for workspace packages with their own guvnr.yaml',
+    false
+  )
+  .option('--report', 'Show estimated tokens per guvnr.yaml section for each tool', false)
+  .option(
+    '--allow-placeholders',
+    'Write files that still contain template placeholders such as ${KNOWN_ISSUE}',
+    false
+  )
   .option('--dry-run', 'Show what would be created without making changes', false)
   .option('--json', 'Output results as JSON', false)
   .option('--verbose', 'Show detailed generation output', false)
-  .action(withTimeout(generateCommand, 'generate'));
+  .action((options, command) =>
+    // Watch mode runs until Ctrl+C, so it is not subject to the command timeout
+    options.watch ? generateCommand(options) : generateWithTimeout(options, command)
+  );
+
+// Status command (drift detection for generated files)
+program
+  .command('status')
+  .description('Show which generated files are clean, hand-modified, stale or orphaned')
+  .option('--json', 'Output results as JSON', false)
+  .option('--verbose', 'List clean files as well', false)
+  .action(withTimeout(statusCommand, 'status'));
+
+// Diff command (pending generation changes)
+program
+  .command('diff')
+  .description(
+    'Show how generated files would change, as a unified diff (exits non-zero on changes)'
+  )
+  .option(
+    '-t, --tools <tools>',
+    `Tools to compare (default: tools.generate in guvnr.yaml, or all): ${SUPPORTED_TOOLS.join(', ')}`
+  )
+  .option('-r, --recursive', 'Include workspace package configs', false)
+  .option('--json', 'Output results as JSON', false)
+  .action(withTimeout(diffCommand, 'diff'));
+
+// Import command (build guvnr.yaml from existing tool configs)
+program
+  .command('import')
+  .description('Propose a guvnr.yaml built from existing AI tool rule files')
+  .option('-o, --output <file>', 'File to write the proposal to', 'guvnr.yaml')
+  .option('-f, --force', 'Overwrite the output file if it exists', false)
+  .option('--dry-run', 'Print the proposed guvnr.yaml without writing it', false)
+  .option('--json', 'Output results as JSON', false)
+  .action(withTimeout(importCommand, 'import'));
+
+// Config command (inspect guvnr.yaml after extends are merged)
+const configProgram = program.command('config').description('Inspect the guvnr.yaml configuration');
+
+configProgram
+  .command('resolved')
+  .description('Print guvnr.yaml with extended configs merged in and the origin of each value')
+  .option('--json', 'Output the config, origins and files as JSON', false)
+  .action(withTimeout(configResolvedCommand, 'config resolved'));
+
+// Templates command (override the files generate writes)
+const templatesProgram = program
+  .command('templates')
+  .description('Manage the templates generated files are rendered from');
+
+templatesProgram
+  .command('list')
+  .description('List the tools and files that can be overridden in .guvnr/templates/')
+  .option('--json', 'Output results as JSON', false)
+  .action(withTimeout(templatesListCommand, 'templates list'));
+
+templatesProgram
+  .command('eject <tool>')
+  .description("Copy a tool's built-in templates into .guvnr/templates/ for editing")
+  .option('-f, --force', 'Replace templates that are already overridden', false)
+  .option('--dry-run', 'Show what would be written without making changes', false)
+  .option('--json', 'Output results as JSON', false)
+  .action(withTimeout(templatesEjectCommand, 'templates eject'));
+
+// History and undo commands (the .guvnr/history/ backup journal)
+program
+  .command('history')
+  .description('List the runs whose previous file versions are kept in .guvnr/history/')
+  .option('--json', 'Output results as JSON', false)
+  .action(withTimeout(historyCommand, 'history'));
+
+program
+  .command('undo [runId]')
+  .description(
+    'Restore the files a run changed (default: the latest generate, update, validate --fix or uninstall not yet undone)'
+  )
+  .option('-f, --force', 'Also restore files that changed again after the run', false)
+  .option('--dry-run', 'Show what would be restored without making changes', false)
+  .option('--json', 'Output results as JSON', false)
+  .action(withTimeout(undoCommand, 'undo'));
+
+// Review check command (security.require_review gate, offline)
+program
+  .command('review-check')
+  .description(
+    'Check that changes to security.require_review paths were approved by their owners (exits non-zero if not)'
+  )
+  .requiredOption('-b, --base <ref>', 'Ref the change is compared with, e.g. origin/main')
+  .option('--json', 'Output results as JSON', false)
+  .action(withTimeout(reviewCheckCommand, 'review-check'));
+
+// Hook command (run by the hooks in the generated .claude/settings.json)
+program
+  .command('hook <check>')
+  .description('Check a Claude Code tool call read from stdin (secrets); exits 2 to block it')
+  .action(
+    withTimeout(async check => {
+      const result = await hookCommand(check);
+      if (result.blocked) {
+        process.exitCode = HOOK_BLOCK_EXIT;
+      }
+    }, 'hook')
+  );
+
+// Verify command (runs the guvnr.yaml commands)
+program
+  .command('verify')
+  .description(
+    'Run the build, test and lint commands from guvnr.yaml and report which passed (exits non-zero if any fail)'
+  )
+  .option('--only <names>', 'Only run these commands (comma-separated, e.g. test,lint)', '')
+  .option('--json', 'Output results as JSON', false)
+  // The project's own suites can take as long as they take; Ctrl+C still stops them
+  .action(withTimeout(verifyCommand, 'verify', { timeout: false }));
 
 // Lint command (configuration validation)
 program
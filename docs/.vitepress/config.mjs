@@ -150,6 +150,7 @@ export default defineConfig({
             { text: 'MCP Registry', link: '/MCP-REGISTRY' },
             { text: 'AAIF Standard', link: '/AAIF' },
             { text: 'Model Selection', link: '/MODEL-SELECTION' },
+            { text: 'Generator Plugins', link: '/GENERATOR-PLUGINS' },
             { text: 'Troubleshooting', link: '/TROUBLESHOOTING' },
             { text: 'Error Codes', link: '/ERROR-CODES' },
             { text: 'Research Citations', link: '/RESEARCH-CITATIONS' }
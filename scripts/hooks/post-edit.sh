@@ -6,7 +6,8 @@
 # Runs appropriate formatters based on file extension.
 #
 # Usage:
-#   Called automatically by Claude Code hooks, or manually:
+#   Called automatically by Claude Code hooks (PostToolUse, with the tool call
+#   as JSON on stdin), or manually:
 #   ./post-edit.sh <file-path>
 #
 # Environment:
@@ -97,6 +98,11 @@ run_npx_formatter() {
 # Validate input
 FILE_PATH="${1:-}"
 
+# Claude Code hooks pass the tool call on stdin: {"tool_input":{"file_path":"..."},...}
+if [ -z "$FILE_PATH" ] && [ ! -t 0 ]; then
+    FILE_PATH=$(sed -n 's/.*"file_path"[[:space:]]*:[[:space:]]*"\([^"]*\)".*/\1/p' | head -n 1)
+fi
+
 if [ -z "$FILE_PATH" ]; then
     log_debug "No file path provided, exiting"
     exit 0
@@ -0,0 +1,105 @@
+/**
+ * Guvnr - Config Command
+ *
+ * `guvnr config resolved` prints guvnr.yaml with everything it extends merged
+ * in, the same config `guvnr generate` works from, with a comment naming the
+ * file each value came from.
+ */
+
+import { existsSync } from 'fs';
+import { join } from 'path';
+import chalk from 'chalk';
+import yaml from 'js-yaml';
+import { createError } from '../errors.js';
+import { isPlainObject, resolveGuvnrConfig } from '../utils/config.js';
+
+/**
+ * Render a YAML scalar, re-indenting block scalars for their nesting level
+ * @param {*} value - Value to render
+ * @param {number} indent - Indentation of the key (or list item) the value belongs to
+ * @returns {string[]} YAML lines (the first without indentation)
+ */
+function scalarLines(value, indent) {
+  return yaml
+    .dump(value, { lineWidth: -1 })
+    .trimEnd()
+    .split('\n')
+    .map((line, index) => (index === 0 || !line ? line : `${' '.repeat(indent)}${line}`));
+}
+
+/**
+ * Render a resolved config as YAML with a `# from <file>` comment on each value
+ *
+ * @param {Object} config - Resolved config
+ * @param {Object} origins - Origin tree from resolveGuvnrConfig
+ * @param {number} [indent=0] - Indentation of this mapping
+ * @returns {string[]} YAML lines
+ */
+export function renderResolvedYaml(config, origins, indent = 0) {
+  const pad = ' '.repeat(indent);
+  const lines = [];
+
+  for (const [key, value] of Object.entries(config)) {
+    const origin = origins?.[key];
+
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      lines.push(`${pad}${key}:`, ...renderResolvedYaml(value, origin, indent + 2));
+    } else if (Array.isArray(value) && value.length > 0) {
+      lines.push(`${pad}${key}:`);
+      value.forEach((item, index) => {
+        const from = `# from ${origin[index]}`;
+        // Keys of an object item line up after "- "; block scalars nest under the dash
+        const [first, ...rest] = scalarLines(item, indent + (isPlainObject(item) ? 4 : 2));
+        if (isPlainObject(item)) {
+          // Comment above the item: it covers every key the item holds
+          lines.push(`${pad}  ${from}`, `${pad}  - ${first}`, ...rest);
+        } else {
+          lines.push(`${pad}  - ${first}  ${from}`, ...rest);
+        }
+      });
+    } else {
+      const [first, ...rest] = scalarLines(value, indent);
+      const from = typeof origin === 'string' ? `  # from ${origin}` : '';
+      lines.push(`${pad}${key}: ${first}${from}`, ...rest);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Print the fully merged guvnr.yaml
+ *
+ * @param {Object} [options={}] - Command options
+ * @param {string} [options.targetDir] - Project directory (defaults to cwd)
+ * @param {boolean} [options.json=false] - Print `{ config, origins, files }` as JSON
+ * @returns {Promise<{config: Object, origins: Object, files: string[]}>} Resolved config
+ * @throws {FrameworkError} GUVNR-CONFIG-301 without a guvnr.yaml, or any error from resolving it
+ */
+export async function configResolvedCommand(options = {}) {
+  const cwd = options.targetDir || process.cwd();
+  const fileName = ['guvnr.yaml', 'guvnr.yml'].find(name => existsSync(join(cwd, name)));
+
+  if (!fileName) {
+    throw createError('GUVNR-CONFIG-301', 'No guvnr.yaml found', {
+      suggestion: 'Run "guvnr init" to create one'
+    });
+  }
+
+  const { config, origins, files } = await resolveGuvnrConfig(join(cwd, fileName), {
+    root: cwd
+  });
+  const result = { config, origins, files: files.map(file => file.path) };
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return result;
+  }
+
+  console.log(chalk.gray(`# Resolved from ${result.files.join(', ')}`));
+  console.log(renderResolvedYaml(config, origins).join('\n'));
+
+  return result;
+}
+
+export default configResolvedCommand;
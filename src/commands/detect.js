@@ -9,9 +9,10 @@ import { join, basename } from 'path';
 import chalk from 'chalk';
 
 /**
- * Tool detection patterns
+ * Tool detection patterns.
+ * Also used by `guvnr import` to find existing rule files to read.
  */
-const TOOL_PATTERNS = [
+export const TOOL_PATTERNS = [
   {
     id: 'claude',
     name: 'Claude Code',
@@ -0,0 +1,166 @@
+/**
+ * Guvnr - Diff Command
+ *
+ * Renders every generator in memory and shows, as a unified diff, how the
+ * files on disk would change if `guvnr generate --force` ran now.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import chalk from 'chalk';
+import { renderOutputs } from './generate.js';
+import { createUnifiedDiff } from '../utils/diff.js';
+import { createError } from '../errors.js';
+
+/**
+ * Compare rendered outputs with the files on disk
+ *
+ * @param {string} [cwd=process.cwd()] - Project root
+ * @param {Object} [options={}] - Diff options
+ * @param {string|string[]} [options.tools] - Tools to render (default: tools.generate in guvnr.yaml, or all)
+ * @param {boolean} [options.recursive=false] - Include workspace package outputs
+ * @returns {Promise<{source: {path: string, hash: string}|null, changed: Array<{path: string, tool: string, status: 'added'|'modified', additions: number, deletions: number, diff: string}>, unchanged: string[], errors: string[]}>}
+ *   Files that would change, files already up to date, and generator errors
+ * @throws {FrameworkError} If guvnr.yaml is invalid or a tool is unknown
+ */
+export async function getPendingChanges(cwd = process.cwd(), options = {}) {
+  const { source, outputs, errors } = await renderOutputs(cwd, {
+    tools: options.tools,
+    recursive: options.recursive
+  });
+
+  // When two tools render the same path, the later one wins, as it does in generate
+  const byPath = new Map(outputs.map(output => [output.path, output]));
+  const changed = [];
+  const unchanged = [];
+
+  for (const output of byPath.values()) {
+    // A legacy CLAUDE.md source is never overwritten by its own output
+    if (output.path === source?.path) {
+      continue;
+    }
+
+    const filePath = join(cwd, output.path);
+    const onDisk = existsSync(filePath) ? readFileSync(filePath, 'utf-8') : null;
+
+    if (onDisk === output.content) {
+      unchanged.push(output.path);
+      continue;
+    }
+
+    const { diff, additions, deletions } = createUnifiedDiff(onDisk ?? '', output.content, {
+      oldLabel: onDisk === null ? '/dev/null' : `a/${output.path}`,
+      newLabel: `b/${output.path}`
+    });
+    changed.push({
+      path: output.path,
+      tool: output.tool,
+      status: onDisk === null ? 'added' : 'modified',
+      additions,
+      deletions,
+      diff
+    });
+  }
+
+  changed.sort((a, b) => a.path.localeCompare(b.path));
+  unchanged.sort((a, b) => a.localeCompare(b));
+  return { source, changed, unchanged, errors };
+}
+
+/**
+ * Colorize a unified diff for the terminal
+ * @param {string} diff - Unified diff text
+ * @returns {string} Colorized diff
+ */
+function colorizeDiff(diff) {
+  return diff
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('---') || line.startsWith('+++')) {
+        return chalk.bold(line);
+      }
+      if (line.startsWith('@@')) {
+        return chalk.cyan(line);
+      }
+      if (line.startsWith('+')) {
+        return chalk.green(line);
+      }
+      if (line.startsWith('-')) {
+        return chalk.red(line);
+      }
+      return line;
+    })
+    .join('\n');
+}
+
+/**
+ * Show pending generation changes as a unified diff.
+ * Fails (non-zero exit) when any generated file differs from what is on disk,
+ * so CI can catch a guvnr.yaml change that was not regenerated, and when a
+ * tool fails to render, since its files could not be compared.
+ *
+ * @param {Object} [options={}] - Command options
+ * @param {string} [options.targetDir=process.cwd()] - Project root
+ * @param {string|string[]} [options.tools] - Tools to compare (default: tools.generate in guvnr.yaml, or all)
+ * @param {boolean} [options.recursive=false] - Include workspace package outputs
+ * @param {boolean} [options.json=false] - Output results as JSON for scripting
+ * @returns {Promise<Object>} Pending changes (see getPendingChanges)
+ * @throws {FrameworkError} GUVNR-GEN-906 if a tool failed to render, otherwise
+ *   GUVNR-VALID-207 if any generated file is out of date
+ */
+export async function diffCommand(options = {}) {
+  const cwd = options.targetDir || process.cwd();
+  const result = await getPendingChanges(cwd, {
+    tools: options.tools,
+    recursive: options.recursive
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (!result.source) {
+    console.log(chalk.yellow('\n  No guvnr.yaml found. Run "guvnr init" first.\n'));
+  } else {
+    for (const file of result.changed) {
+      console.log(chalk.gray(`# ${file.tool}: ${file.path} (${file.status})`));
+      console.log(colorizeDiff(file.diff));
+    }
+
+    for (const error of result.errors) {
+      console.log(chalk.red(`  ✗ ${error}`));
+    }
+
+    if (result.changed.length === 0 && result.errors.length === 0) {
+      console.log(
+        chalk.green(`\n  All ${result.unchanged.length} generated files are up to date.\n`)
+      );
+    } else if (result.changed.length > 0) {
+      const additions = result.changed.reduce((sum, file) => sum + file.additions, 0);
+      const deletions = result.changed.reduce((sum, file) => sum + file.deletions, 0);
+      console.log(
+        chalk.yellow(`\n  ${result.changed.length} file(s) would change`) +
+          chalk.gray(` (${chalk.green(`+${additions}`)} ${chalk.red(`-${deletions}`)})`) +
+          chalk.gray(`, ${result.unchanged.length} up to date\n`)
+      );
+    }
+  }
+
+  if (result.errors.length > 0) {
+    throw createError(
+      'GUVNR-GEN-906',
+      `${result.errors.length} tool(s) failed to render, so the diff is incomplete`,
+      { context: { errors: result.errors } }
+    );
+  }
+
+  if (result.changed.length > 0) {
+    throw createError(
+      'GUVNR-VALID-207',
+      `${result.changed.length} generated file(s) differ from ${result.source?.path ?? 'guvnr.yaml'}`,
+      { context: { files: result.changed.map(file => file.path) } }
+    );
+  }
+
+  return result;
+}
+
+export default diffCommand;
@@ -11,6 +11,7 @@ import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import ora from 'ora';
 import { getCacheStats } from '../generators/index.js';
+import { checkAbortSignal, withAbortSignal } from '../index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -140,8 +141,7 @@ const DIAGNOSTICS = [
     id: 'framework-installed',
     name: 'Framework installed',
     category: 'framework',
-    check: async () => {
-      const cwd = process.cwd();
+    check: async cwd => {
       const hasClaudeMd = existsSync(join(cwd, 'CLAUDE.md'));
       const hasCommands = existsSync(join(cwd, '.claude', 'commands'));
 
@@ -156,8 +156,7 @@ const DIAGNOSTICS = [
     id: 'pre-commit-hooks',
     name: 'Pre-commit hooks installed',
     category: 'framework',
-    check: async () => {
-      const cwd = process.cwd();
+    check: async cwd => {
       const hookPath = join(cwd, '.git', 'hooks', 'pre-commit');
 
       if (!existsSync(join(cwd, '.git'))) {
@@ -185,8 +184,7 @@ const DIAGNOSTICS = [
     id: 'claude-md-freshness',
     name: 'CLAUDE.md freshness',
     category: 'health',
-    check: async () => {
-      const cwd = process.cwd();
+    check: async cwd => {
       const claudeMdPath = join(cwd, 'CLAUDE.md');
 
       if (!existsSync(claudeMdPath)) {
@@ -210,8 +208,7 @@ const DIAGNOSTICS = [
     id: 'tmp-directory',
     name: '.tmp directory exists',
     category: 'health',
-    check: async () => {
-      const cwd = process.cwd();
+    check: async cwd => {
       const tmpPath = join(cwd, '.tmp');
 
       return {
@@ -225,8 +222,7 @@ const DIAGNOSTICS = [
     id: 'mcp-server-installed',
     name: 'MCP server installed',
     category: 'framework',
-    check: async () => {
-      const cwd = process.cwd();
+    check: async cwd => {
       const mcpServerPath = join(cwd, 'scripts', 'mcp', 'project-memory-server.py');
 
       if (!existsSync(mcpServerPath)) {
@@ -247,8 +243,7 @@ const DIAGNOSTICS = [
     id: 'mcp-server-syntax',
     name: 'MCP server syntax valid',
     category: 'health',
-    check: async () => {
-      const cwd = process.cwd();
+    check: async cwd => {
       const mcpServerPath = join(cwd, 'scripts', 'mcp', 'project-memory-server.py');
 
       if (!existsSync(mcpServerPath)) {
@@ -289,8 +284,7 @@ const DIAGNOSTICS = [
     id: 'mcp-database',
     name: 'MCP database accessible',
     category: 'health',
-    check: async () => {
-      const cwd = process.cwd();
+    check: async cwd => {
       const dbPath = join(cwd, '.tmp', 'memory.db');
 
       if (!existsSync(dbPath)) {
@@ -334,8 +328,7 @@ const DIAGNOSTICS = [
     id: 'tmp-disk-space',
     name: '.tmp disk space',
     category: 'health',
-    check: async () => {
-      const cwd = process.cwd();
+    check: async cwd => {
       const tmpPath = join(cwd, '.tmp');
 
       if (!existsSync(tmpPath)) {
@@ -400,8 +393,7 @@ const DIAGNOSTICS = [
     id: 'duplicate-configs',
     name: 'No duplicate AI configs',
     category: 'health',
-    check: async () => {
-      const cwd = process.cwd();
+    check: async cwd => {
       const duplicates = [];
 
       // Check for common duplicates
@@ -437,8 +429,7 @@ const DIAGNOSTICS = [
     id: 'commands-installed',
     name: 'Slash commands count',
     category: 'framework',
-    check: async () => {
-      const cwd = process.cwd();
+    check: async cwd => {
       const commandsPath = join(cwd, '.claude', 'commands');
 
       if (!existsSync(commandsPath)) {
@@ -469,8 +460,7 @@ const DIAGNOSTICS = [
     id: 'agents-installed',
     name: 'Subagents count',
     category: 'framework',
-    check: async () => {
-      const cwd = process.cwd();
+    check: async cwd => {
       const agentsPath = join(cwd, '.claude', 'agents');
 
       if (!existsSync(agentsPath)) {
@@ -499,8 +489,7 @@ const DIAGNOSTICS = [
     id: 'gitignore-tmp',
     name: '.tmp in .gitignore',
     category: 'health',
-    check: async () => {
-      const cwd = process.cwd();
+    check: async cwd => {
       const gitignorePath = join(cwd, '.gitignore');
 
       if (!existsSync(gitignorePath)) {
@@ -534,6 +523,59 @@ const DIAGNOSTICS = [
   }
 ];
 
+/**
+ * Run the diagnostic checks and return their results, without printing anything
+ *
+ * @param {string} [cwd=process.cwd()] - Project root
+ * @param {Object} [options={}] - Diagnostic options
+ * @param {AbortSignal} [options.signal] - Stops diagnostics between checks when aborted
+ * @returns {Promise<{healthy: boolean, passed: number, total: number, checks: Object<string, Array<{id: string, name: string, passed: boolean, value: string, required?: string, hint?: string, error?: string}>>}>}
+ *   Check results grouped by category (environment, tools, framework, health)
+ * @throws {Error} If aborted via signal
+ */
+export async function doctor(cwd = process.cwd(), options = {}) {
+  const checks = {
+    environment: [],
+    tools: [],
+    framework: [],
+    health: []
+  };
+
+  for (const diagnostic of DIAGNOSTICS) {
+    checkAbortSignal(options.signal, 'Diagnostics');
+
+    let result;
+    try {
+      result = await withAbortSignal(diagnostic.check(cwd), options.signal, 'Diagnostics');
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      result = {
+        passed: false,
+        value: 'Error',
+        error: error.message
+      };
+    }
+
+    checks[diagnostic.category].push({
+      id: diagnostic.id,
+      name: diagnostic.name,
+      passed: result.passed,
+      value: result.value,
+      required: result.required,
+      hint: result.hint,
+      error: result.error
+    });
+  }
+
+  const passed = Object.values(checks)
+    .flat()
+    .filter(check => check.passed).length;
+
+  return { healthy: passed === DIAGNOSTICS.length, passed, total: DIAGNOSTICS.length, checks };
+}
+
 /**
  * Main doctor command handler.
  *
@@ -541,9 +583,11 @@ const DIAGNOSTICS = [
  * In JSON mode, outputs structured data; otherwise prints formatted results.
  *
  * @param {Object} options - Command options
+ * @param {string} [options.targetDir=process.cwd()] - Project root
  * @param {boolean} [options.verbose=false] - Show detailed diagnostic information
  * @param {boolean} [options.json=false] - Output results as JSON for scripting
- * @returns {Promise<void>} Resolves when diagnostics complete (output is to stdout)
+ * @param {AbortSignal} [options._abortSignal] - Signal for cancellation support
+ * @returns {Promise<Object>} Diagnostic results (see doctor)
  * @example
  * // Run diagnostics with JSON output
  * await doctorCommand({ json: true });
@@ -560,83 +604,41 @@ export async function doctorCommand(options) {
 
   const spinner = json ? null : ora('Running diagnostics...').start();
 
-  const results = {
-    environment: [],
-    tools: [],
-    framework: [],
-    health: []
-  };
-
-  // Run all diagnostics
-  for (const diagnostic of DIAGNOSTICS) {
-    try {
-      const result = await diagnostic.check();
-      results[diagnostic.category].push({
-        ...diagnostic,
-        result
-      });
-    } catch (error) {
-      results[diagnostic.category].push({
-        ...diagnostic,
-        result: {
-          passed: false,
-          value: 'Error',
-          error: error.message
-        }
-      });
+  let results;
+  try {
+    results = await doctor(options.targetDir || process.cwd(), {
+      signal: options._abortSignal
+    });
+  } finally {
+    if (spinner) {
+      spinner.stop();
     }
   }
 
-  if (spinner) {
-    spinner.stop();
-  }
-
-  // Calculate summary
-  const totalPassed = Object.values(results)
-    .flat()
-    .filter(r => r.result.passed).length;
-  const total = DIAGNOSTICS.length;
-  const allPassed = totalPassed === total;
-
   // JSON output
   if (json) {
-    const jsonOutput = {
-      healthy: allPassed,
-      passed: totalPassed,
-      total,
-      checks: Object.entries(results).reduce((acc, [category, items]) => {
-        acc[category] = items.map(item => ({
-          id: item.id,
-          name: item.name,
-          passed: item.result.passed,
-          value: item.result.value,
-          required: item.result.required,
-          hint: item.result.hint,
-          error: item.result.error
-        }));
-        return acc;
-      }, {})
-    };
-    console.log(JSON.stringify(jsonOutput, null, 2));
-    return;
+    console.log(JSON.stringify(results, null, 2));
+    return results;
   }
 
   // Print results by category
-  printDiagnosticResults(results, options.verbose);
+  printDiagnosticResults(results.checks, options.verbose);
 
-  console.log(chalk.white(`\n  Summary: ${totalPassed}/${total} checks passed\n`));
+  console.log(chalk.white(`\n  Summary: ${results.passed}/${results.total} checks passed\n`));
 
-  if (allPassed) {
+  if (results.healthy) {
     console.log(chalk.green('  ✓ All systems operational!\n'));
   } else {
     console.log(chalk.yellow('  ⚠ Some issues detected. See hints above.\n'));
   }
+
+  return results;
 }
 
 /**
  * Print diagnostic results by category
  */
-function printDiagnosticResults(results, verbose) {
+function printDiagnosticResults(checks, verbose) {
   const categories = [
     { key: 'environment', name: 'Environment' },
     { key: 'tools', name: 'Tools' },
@@ -645,7 +647,7 @@ function printDiagnosticResults(results, verbose) {
   ];
 
   for (const category of categories) {
-    const items = results[category.key];
+    const items = checks[category.key];
     if (items.length === 0) {
       continue;
     }
@@ -653,23 +655,21 @@ function printDiagnosticResults(results, verbose) {
     console.log(chalk.white(`  ${category.name}:`));
 
     for (const item of items) {
-      const icon = item.result.passed ? chalk.green('✓') : chalk.red('✗');
-      const value = item.result.passed
-        ? chalk.green(item.result.value)
-        : chalk.yellow(item.result.value);
+      const icon = item.passed ? chalk.green('✓') : chalk.red('✗');
+      const value = item.passed ? chalk.green(item.value) : chalk.yellow(item.value);
 
       console.log(`    ${icon} ${item.name}: ${value}`);
 
-      if (!item.result.passed && item.result.hint && verbose) {
-        console.log(chalk.gray(`      └─ ${item.result.hint}`));
+      if (!item.passed && item.hint && verbose) {
+        console.log(chalk.gray(`      └─ ${item.hint}`));
       }
 
-      if (!item.result.passed && item.result.hint && !verbose) {
-        console.log(chalk.gray(`      Hint: ${item.result.hint}`));
+      if (!item.passed && item.hint && !verbose) {
+        console.log(chalk.gray(`      Hint: ${item.hint}`));
       }
 
-      if (item.result.required && !item.result.passed) {
-        console.log(chalk.gray(`      Required: ${item.result.required}`));
+      if (item.required && !item.passed) {
+        console.log(chalk.gray(`      Required: ${item.required}`));
       }
     }
 
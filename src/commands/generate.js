@@ -3,26 +3,36 @@
  *
  * Generates tool-specific configuration files from guvnr.yaml:
  * - CLAUDE.md (Claude Code)
- * - .claude/commands/ (Claude slash commands)
+ * - .claude/commands/ and .claude/skills/ (Claude slash commands and skills)
  * - .claude/agents/ (Claude subagents)
  * - AGENTS.md (Linux Foundation AAIF standard)
  * - Skills (SKILL.md - universal agent skills specification)
  * - Claude Code Plugins (.claude-plugin/plugin.json)
  * - Cursor rules (.cursor/rules/)
- * - GitHub Copilot instructions (.github/copilot-instructions.md)
+ * - GitHub Copilot instructions (.github/copilot-instructions.md, .github/chatmodes/)
  * - Windsurf rules (.windsurf/rules/ and .windsurfrules)
  * - Aider configuration (.aider.conf.yml)
  * - JetBrains Junie (.junie/guidelines.md)
  * - Cline (.clinerules)
  * - Block Goose (AGENTS.md + MCP extensions)
  * - Kiro CLI (~/.kiro/)
- * - Continue.dev (config.yaml, .continue/rules/)
+ * - Continue.dev (config.yaml, .continue/rules/, .continue/assistants/)
  * - Augment Code (augment rules)
  * - Qodo AI (TOML config)
  * - OpenCode AI (opencode.json, markdown agents)
  * - Zencoder (Zen Rules - .zencoder/rules/*.md)
  * - Tabnine (.tabnine/guidelines/)
- * - Amazon Q Developer (.amazonq/rules/)
+ * - Amazon Q Developer (.amazonq/rules/, .amazonq/cli-agents/)
+ * - GitHub CODEOWNERS (managed block from security.require_review)
+ *
+ * - Third-party generator plugins listed under tools.plugins
+ *
+ * Each entry under `skills` also becomes a command, prompt or workflow, and
+ * each entry under `agents` a persona, in every tool that has them (see
+ * generators/skills.js and generators/personas.js).
+ *
+ * With --recursive, workspace packages that have their own guvnr.yaml also get
+ * scoped AGENTS.md, CLAUDE.md and Cursor rules (see SCOPED_TOOLS).
  *
  * guvnr.yaml is the single source of truth - all tool configs are generated from it.
  *
@@ -31,13 +41,73 @@
  * @see https://agentskills.io/specification - Agent Skills specification
  */
 
-import { existsSync, mkdirSync, writeFileSync } from 'fs';
+import { existsSync, readFileSync, watch } from 'fs';
 import { readFile } from 'fs/promises';
 import { join, dirname, basename } from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
-import yaml from 'js-yaml';
 import { createError, FrameworkError } from '../errors.js';
+import { checkAbortSignal } from '../index.js';
+import { loadGuvnrSchema, validateSchema, formatYamlPath } from '../utils/schema.js';
+import { formatPlaceholders } from '../utils/placeholders.js';
+import { deepMerge, isPlainObject, resolveGuvnrConfig } from '../utils/config.js';
+import { findPackageConfigs } from '../utils/workspaces.js';
+import { acquireLock, createTransaction, writeFileAtomic } from '../utils/transaction.js';
+import { createJournal, formatCommand } from '../utils/history.js';
+import { loadGeneratorPlugins, runPluginGenerator } from '../generators/plugins.js';
+import { writeGeneratedFile, printResults } from '../generators/base.js';
+import {
+  CHARS_PER_TOKEN,
+  estimateTokens,
+  resolveBudget,
+  fitToBudget,
+  measureSections
+} from '../generators/budget.js';
+import {
+  normalizeRules,
+  placeRules,
+  formatGlobList,
+  renderPathRulesSection,
+  renderNestedRules,
+  renderRule
+} from '../generators/rules.js';
+import { normalizeMcpServers, renderMcpServers, renderMcpYaml } from '../generators/mcp.js';
+import { sensitivePaths, renderIgnoreFile } from '../generators/ignore.js';
+import { CLAUDE_LOCAL_SETTINGS, renderClaudeSettings } from '../generators/claude-settings.js';
+import { toolOverrides, excludeSections, appendExtraSections } from '../generators/overrides.js';
+import {
+  normalizeAgent,
+  renderClaudeAgent,
+  renderRooModes,
+  renderOpenCodeAgent,
+  renderCopilotChatMode,
+  renderAmazonQAgent,
+  renderContinueAssistant
+} from '../generators/personas.js';
+import {
+  normalizeSkill,
+  renderSkillFile,
+  renderClaudeCommand,
+  renderCopilotPrompt,
+  renderWindsurfWorkflow,
+  renderGeminiCommand,
+  renderContinuePrompt,
+  renderGooseRecipe
+} from '../generators/skills.js';
+import {
+  normalizeReviewRules,
+  codeownersPath,
+  renderCodeowners
+} from '../generators/codeowners.js';
+import { normalizeCommands, projectCommand, verificationCommands } from '../generators/commands.js';
+import { templateData, renderToolTemplate } from '../generators/templates.js';
+import {
+  hashContent,
+  readManifest,
+  recordOutputs,
+  writeManifest,
+  readBaseCopy
+} from '../utils/manifest.js';
 
 /**
  * Lazy-loaded modules cache.
@@ -102,6 +172,7 @@ export const SUPPORTED_TOOLS = [
   'zencoder', // Zencoder (Zen Rules - .zencoder/rules/*.md)
   'tabnine', // Tabnine (.tabnine/guidelines/)
   'amazonq', // Amazon Q Developer (.amazonq/rules/)
+  'codeowners', // GitHub CODEOWNERS (owners for security.require_review)
   'all' // Generate all formats
 ];
 
@@ -111,6 +182,19 @@ export const SUPPORTED_TOOLS = [
  */
 const SUPPORTED_TOOLS_SET = new Set(SUPPORTED_TOOLS);
 
+/**
+ * Earlier tool names still accepted in tools.generate and --tools
+ * @type {Object<string, string>}
+ */
+const TOOL_ALIASES = { 'agents-md': 'agents' };
+
+/**
+ * Tools whose config format can be scoped to a subdirectory, and so get
+ * per-package outputs with --recursive
+ * @type {string[]}
+ */
+export const SCOPED_TOOLS = ['agents', 'claude', 'cursor'];
+
 /**
  * Check if a tool name is supported
  * @param {string} tool - Tool name to check
@@ -149,7 +233,9 @@ function transformGuvnrToContext(config) {
     });
   }
   if (techStack.runtime) {
-    techStackArray.push(`${techStack.runtime.name}${techStack.runtime.version ? ` ${techStack.runtime.version}` : ''}`);
+    techStackArray.push(
+      `${techStack.runtime.name}${techStack.runtime.version ? ` ${techStack.runtime.version}` : ''}`
+    );
   }
   if (techStack.package_manager) {
     techStackArray.push(techStack.package_manager);
@@ -173,12 +259,6 @@ function transformGuvnrToContext(config) {
     conventionsLines.push('### Avoid', ...conventions.avoid.map(a => `- ${a}`), '');
   }
 
-  // Build security checklist
-  const securityLines = [];
-  if (security.rules) {
-    securityLines.push(...security.rules.map(r => `- [ ] ${r}`));
-  }
-
   // Build current state
   const currentStateLines = [];
   if (context.current_phase) {
@@ -192,19 +272,9 @@ function transformGuvnrToContext(config) {
   }
 
   // Store skills and agents for tool-specific generation
-  const skillsFormatted = skills.map(s => ({
-    name: s.name,
-    description: s.description,
-    trigger: s.trigger,
-    steps: s.steps || []
-  }));
+  const skillsFormatted = skills.map(normalizeSkill);
 
-  const agentsFormatted = agents.map(a => ({
-    name: a.name,
-    role: a.role,
-    expertise: a.expertise || [],
-    instructions: a.instructions || ''
-  }));
+  const agentsFormatted = agents.map(normalizeAgent);
 
   return {
     projectName: project.name || 'Untitled Project',
@@ -212,13 +282,24 @@ function transformGuvnrToContext(config) {
     techStack: techStackArray,
     architecture: context.architecture || '',
     conventions: conventionsLines.join('\n'),
-    commands: '', // Populated by specific tools
+    commands: '', // Markdown from a legacy CLAUDE.md; guvnr.yaml uses projectCommands
     currentState: currentStateLines.join('\n'),
     sessionInstructions: '', // Tool-specific
-    securityChecklist: securityLines.join('\n'),
+    // Same shape as parseProjectContext: one entry per rule
+    securityChecklist: security.rules || [],
     // Extended fields from guvnr.yaml
     skills: skillsFormatted,
     agents: agentsFormatted,
+    // Path-scoped rules (see generators/rules.js)
+    rules: normalizeRules(config.rules),
+    // MCP server registry (see generators/mcp.js)
+    mcpServers: normalizeMcpServers(config.mcp_servers),
+    // Enforced through ignore files and deny lists (see generators/ignore.js)
+    sensitivePaths: sensitivePaths(security),
+    // Globs needing human review, with their CODEOWNERS owners (see generators/codeowners.js)
+    reviewRules: normalizeReviewRules(security),
+    // Build, test, lint and format commands (see generators/commands.js)
+    projectCommands: normalizeCommands(config.commands),
     security,
     tools: config.tools || {},
     memory: config.memory || {},
@@ -228,757 +309,1455 @@ function transformGuvnrToContext(config) {
 }
 
 /**
- * Main generate command handler
- *
- * @param {object} options - Command options
- * @param {string|string[]} [options.tools=['all']] - AI tools to generate configs for
- * @param {boolean} [options.force=false] - Overwrite existing files
- * @param {boolean} [options.dryRun=false] - Show what would be created without creating
- * @returns {Promise<void>} Resolves when generation is complete
- * @throws {FrameworkError} If generation fails
+ * Hash every file a resolved config was read from, so a change to a parent
+ * it extends marks the outputs stale just like a change to guvnr.yaml
+ * @param {Array<{path: string, content: string}>} files - Files from resolveGuvnrConfig
+ * @returns {string} Content hash (the plain file hash when nothing is extended)
  */
-export async function generateCommand(options) {
-  const cwd = process.cwd();
-
-  console.log(chalk.cyan('\n  Guvnr - Multi-Tool Config Generator\n'));
-
-  // Determine which tools to generate for
-  let tools = options.tools || ['all'];
-  if (typeof tools === 'string') {
-    tools = tools.split(',').map(t => t.trim().toLowerCase());
-  }
-
-  if (tools.includes('all')) {
-    tools = SUPPORTED_TOOLS.filter(t => t !== 'all');
-  }
+function hashConfigFiles(files) {
+  return hashContent(files.map(file => file.content).join('\n'));
+}
 
-  // Validate tools (using O(1) Set lookup)
-  const invalidTools = tools.filter(t => !isToolSupported(t));
-  if (invalidTools.length > 0) {
-    throw createError(
-      'GUVNR-CONFIG-303',
-      `Invalid tools: ${invalidTools.join(', ')}. Supported: ${SUPPORTED_TOOLS.join(', ')}`
-    );
+/**
+ * Locate and load the project's source of truth.
+ * guvnr.yaml wins over guvnr.yml, which wins over a legacy CLAUDE.md.
+ * Configs listed under `extends` are merged in (see utils/config.js).
+ *
+ * @param {string} cwd - Project root
+ * @returns {Promise<{source: {path: string, hash: string}, guvnrConfig: Object|null, projectContext: Object}|null>}
+ *   Loaded source, or null if the project has none
+ * @throws {FrameworkError} If guvnr.yaml or a config it extends is missing, not valid YAML or fails schema validation
+ */
+async function loadProjectSource(cwd) {
+  for (const fileName of ['guvnr.yaml', 'guvnr.yml']) {
+    const configPath = join(cwd, fileName);
+    if (existsSync(configPath)) {
+      const { config: guvnrConfig, files } = await resolveGuvnrConfig(configPath, { root: cwd });
+      return {
+        source: { path: fileName, hash: hashConfigFiles(files) },
+        guvnrConfig,
+        projectContext: transformGuvnrToContext(guvnrConfig)
+      };
+    }
   }
 
-  // Check for guvnr.yaml as source of truth (primary)
-  const guvnrYamlPath = join(cwd, 'guvnr.yaml');
-  const guvnrYmlPath = join(cwd, 'guvnr.yml');
+  // Legacy support for CLAUDE.md
   const claudeMdPath = join(cwd, 'CLAUDE.md');
-  let projectContext = null;
-  let configSource = null;
-
-  if (existsSync(guvnrYamlPath)) {
-    console.log(chalk.gray('  Using guvnr.yaml as source of truth\n'));
-    const guvnrContent = await readFile(guvnrYamlPath, 'utf-8');
-    const guvnrConfig = yaml.load(guvnrContent);
-    projectContext = transformGuvnrToContext(guvnrConfig);
-    configSource = 'guvnr.yaml';
-  } else if (existsSync(guvnrYmlPath)) {
-    console.log(chalk.gray('  Using guvnr.yml as source of truth\n'));
-    const guvnrContent = await readFile(guvnrYmlPath, 'utf-8');
-    const guvnrConfig = yaml.load(guvnrContent);
-    projectContext = transformGuvnrToContext(guvnrConfig);
-    configSource = 'guvnr.yml';
-  } else if (existsSync(claudeMdPath)) {
-    // Legacy support for CLAUDE.md
-    console.log(chalk.yellow('  Using CLAUDE.md (legacy) - consider migrating to guvnr.yaml\n'));
+  if (existsSync(claudeMdPath)) {
     const claudeMdContent = await readFile(claudeMdPath, 'utf-8');
     const parseProjectContext = await getParseProjectContext();
-    projectContext = parseProjectContext(claudeMdContent);
-    configSource = 'CLAUDE.md';
-  } else if (!options.force) {
-    console.log(chalk.yellow('  No guvnr.yaml found. Run "guvnr init" first or use --force.\n'));
-    return;
+    return {
+      source: { path: 'CLAUDE.md', hash: hashContent(claudeMdContent) },
+      guvnrConfig: null,
+      projectContext: parseProjectContext(claudeMdContent)
+    };
   }
 
-  // Lazy load ora spinner
-  const ora = await getOra();
-  const spinner = ora('Generating configuration files...').start();
-
-  const results = {
-    created: [],
-    skipped: [],
-    errors: []
-  };
+  return null;
+}
 
-  try {
-    // Generate each tool's configuration
-    for (const tool of tools) {
-      spinner.text = `Generating ${tool} configuration...`;
-
-      try {
-        switch (tool) {
-          case 'agents':
-            await generateAgentsMd(cwd, projectContext, options, results);
-            break;
-          case 'skills':
-            await generateSkills(cwd, projectContext, options, results);
-            break;
-          case 'plugins':
-            await generateClaudePlugins(cwd, projectContext, options, results);
-            break;
-          case 'cursor':
-            await generateCursorRules(cwd, projectContext, options, results);
-            break;
-          case 'copilot':
-            await generateCopilotInstructions(cwd, projectContext, options, results);
-            break;
-          case 'windsurf':
-            await generateWindsurfRules(cwd, projectContext, options, results);
-            break;
-          case 'aider':
-            await generateAiderConfig(cwd, projectContext, options, results);
-            break;
-          case 'claude':
-            await generateClaudeConfig(cwd, projectContext, options, results);
-            break;
-          case 'gemini':
-            await generateGeminiConfig(cwd, projectContext, options, results);
-            break;
-          case 'codex':
-            await generateCodexConfig(cwd, projectContext, options, results);
-            break;
-          case 'zed':
-            await generateZedRules(cwd, projectContext, options, results);
-            break;
-          case 'amp':
-            await generateAmpConfig(cwd, projectContext, options, results);
-            break;
-          case 'roo':
-            await generateRooRules(cwd, projectContext, options, results);
-            break;
-          case 'junie':
-            await generateJunieGuidelines(cwd, projectContext, options, results);
-            break;
-          case 'cline':
-            await generateClineRules(cwd, projectContext, options, results);
-            break;
-          case 'goose':
-            await generateGooseConfig(cwd, projectContext, options, results);
-            break;
-          case 'kiro':
-            await generateKiroConfig(cwd, projectContext, options, results);
-            break;
-          case 'continue':
-            await generateContinueConfig(cwd, projectContext, options, results);
-            break;
-          case 'augment':
-            await generateAugmentConfig(cwd, projectContext, options, results);
-            break;
-          case 'qodo':
-            await generateQodoConfig(cwd, projectContext, options, results);
-            break;
-          case 'opencode':
-            await generateOpenCodeConfig(cwd, projectContext, options, results);
-            break;
-          case 'zencoder':
-            await generateZencoderConfig(cwd, projectContext, options, results);
-            break;
-          case 'tabnine':
-            await generateTabnineConfig(cwd, projectContext, options, results);
-            break;
-          case 'amazonq':
-            await generateAmazonQConfig(cwd, projectContext, options, results);
-            break;
-          default:
-            results.errors.push(`Unknown tool: ${tool}`);
-        }
-      } catch (error) {
-        results.errors.push(`${tool}: ${error.message}`);
-      }
-    }
+/**
+ * Load every workspace package that has its own guvnr.yaml.
+ * Each package config, after resolving its own `extends`, is layered over the
+ * root config with deepMerge: objects merge key by key, while arrays and
+ * scalars in the package replace the root's.
+ *
+ * @param {string} cwd - Repository root
+ * @param {Object|null} loaded - Root source from loadProjectSource
+ * @returns {Promise<{from: string|null, packages: Array<{dir: string, source: {path: string, hash: string}, projectContext: Object}>}>}
+ *   Where the workspace list came from, and each package's merged context
+ * @throws {FrameworkError} GUVNR-CONFIG-301 if the root has no guvnr.yaml, or if a package config is invalid
+ */
+async function loadPackageSources(cwd, loaded) {
+  if (!loaded?.guvnrConfig) {
+    throw createError('GUVNR-CONFIG-301', '--recursive needs a guvnr.yaml at the repository root', {
+      suggestion: 'Run "guvnr init" at the root; package guvnr.yaml files inherit from it'
+    });
+  }
 
-    spinner.succeed('Configuration files generated!');
+  const { from, packages } = findPackageConfigs(cwd, loaded.guvnrConfig);
+  const sources = [];
 
-    // Print results
-    printResults(results, options.dryRun);
-  } catch (error) {
-    spinner.fail('Generation failed');
+  for (const { dir, configPath } of packages) {
+    const { config: packageConfig, files } = await resolveGuvnrConfig(join(cwd, configPath), {
+      root: cwd,
+      partial: true
+    });
+    const config = deepMerge(loaded.guvnrConfig, packageConfig);
 
-    // Re-throw if already a FrameworkError
-    if (error instanceof FrameworkError) {
-      throw error;
+    // A package that does not name itself is named after its directory
+    if (!packageConfig.project?.name) {
+      config.project = { ...config.project, name: basename(dir) };
     }
 
-    // Wrap and throw (CLI will handle exit code)
-    throw createError('GUVNR-GEN-900', error.message, { cause: error });
+    sources.push({
+      dir,
+      // Root and package config both shape a package's outputs
+      source: {
+        path: configPath,
+        hash: hashContent([loaded.source.hash, ...files.map(file => file.content)].join('\n'))
+      },
+      projectContext: transformGuvnrToContext(config)
+    });
   }
+
+  return { from, packages: sources };
 }
 
 /**
- * Generate AGENTS.md (Linux Foundation standard)
- * @see https://agents.md
- * Note: Also available in modular form at ../generators/agents.js
+ * Expand and validate the requested tool list.
+ * `agents-md`, the name older configs use, means `agents`.
+ * CODEOWNERS belongs to the project, so "all" only includes it when
+ * security.review_owners names owners; otherwise it must be named.
+ *
+ * @param {string|string[]} requested - Value of --tools
+ * @param {Map<string, Object>} pluginsById - Loaded plugin generators
+ * @param {Object|null} [guvnrConfig] - Resolved guvnr.yaml; its `tools.generate` is used when --tools is not given
+ * @returns {string[]} Tool ids to generate
+ * @throws {FrameworkError} GUVNR-CONFIG-303 if a tool is neither built in nor provided by a plugin
  */
-async function generateAgentsMd(cwd, context, options, results) {
-  const targetPath = join(cwd, 'AGENTS.md');
-
-  if (existsSync(targetPath) && !options.force) {
-    results.skipped.push('AGENTS.md (already exists, use --force)');
-    return;
+function resolveTools(requested, pluginsById, guvnrConfig) {
+  const configured = guvnrConfig?.tools?.generate;
+  let tools = requested || (configured?.length > 0 ? configured : ['all']);
+  if (typeof tools === 'string') {
+    tools = tools.split(',').map(t => t.trim().toLowerCase());
   }
+  tools = [...new Set(tools.map(t => TOOL_ALIASES[t] ?? t))];
 
-  const content = generateAgentsMdContent(context);
+  if (tools.includes('all')) {
+    const owned = Object.keys(guvnrConfig?.security?.review_owners || {}).length > 0;
+    tools = [
+      ...SUPPORTED_TOOLS.filter(t => t !== 'all' && (t !== 'codeowners' || owned)),
+      ...pluginsById.keys()
+    ];
+  }
 
-  if (!options.dryRun) {
-    writeFileSync(targetPath, content);
+  // Validate tools (using O(1) Set lookup)
+  const invalidTools = tools.filter(t => !isToolSupported(t) && !pluginsById.has(t));
+  if (invalidTools.length > 0) {
+    const supported = [...SUPPORTED_TOOLS, ...pluginsById.keys()];
+    throw createError(
+      'GUVNR-CONFIG-303',
+      `Invalid tools: ${invalidTools.join(', ')}. Supported: ${supported.join(', ')}`
+    );
   }
-  results.created.push('AGENTS.md');
+
+  return tools;
 }
 
 /**
- * Generate AGENTS.md content
+ * Run one tool's generator
+ *
+ * @param {string} cwd - Project root
+ * @param {string} tool - Tool id
+ * @param {Object} context - Project context
+ * @param {Map<string, Object>} pluginsById - Loaded plugin generators
+ * @param {Object} options - Generation options (force, dryRun)
+ * @param {Object} results - Results accumulator object
+ * @returns {Promise<void>} Resolves when the tool's files are written
  */
-function generateAgentsMdContent(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-  const techStackStr =
-    context?.techStack?.map(t => `${t.category}: ${t.value}`).join(', ') || 'Not specified';
-
-  return `# AGENTS.md
-
-> Configuration for AI coding agents.
-> Part of the [AAIF (Agentic AI Foundation)](https://aaif.io) standard under Linux Foundation governance.
-> See [agents.md](https://agents.md) for specification.
-
-## Project Overview
-
-**Name**: ${projectName}
-**Stack**: ${techStackStr}
-
-${context?.overview || 'A software project configured for AI-assisted development.'}
-
-## Build & Test
-
-\`\`\`bash
-# Install dependencies
-npm install
-
-# Run tests
-npm test
-
-# Build project
-npm run build
+async function runTool(cwd, tool, context, pluginsById, options, results) {
+  switch (tool) {
+    case 'agents':
+      await generateAgentsMd(cwd, context, options, results);
+      break;
+    case 'skills':
+      await generateSkills(cwd, context, options, results);
+      break;
+    case 'plugins':
+      await generateClaudePlugins(cwd, context, options, results);
+      break;
+    case 'cursor':
+      await generateCursorRules(cwd, context, options, results);
+      break;
+    case 'copilot':
+      await generateCopilotInstructions(cwd, context, options, results);
+      break;
+    case 'windsurf':
+      await generateWindsurfRules(cwd, context, options, results);
+      break;
+    case 'aider':
+      await generateAiderConfig(cwd, context, options, results);
+      break;
+    case 'claude':
+      await generateClaudeConfig(cwd, context, options, results);
+      break;
+    case 'gemini':
+      await generateGeminiConfig(cwd, context, options, results);
+      break;
+    case 'codex':
+      await generateCodexConfig(cwd, context, options, results);
+      break;
+    case 'zed':
+      await generateZedRules(cwd, context, options, results);
+      break;
+    case 'amp':
+      await generateAmpConfig(cwd, context, options, results);
+      break;
+    case 'roo':
+      await generateRooRules(cwd, context, options, results);
+      break;
+    case 'junie':
+      await generateJunieGuidelines(cwd, context, options, results);
+      break;
+    case 'cline':
+      await generateClineRules(cwd, context, options, results);
+      break;
+    case 'goose':
+      await generateGooseConfig(cwd, context, options, results);
+      break;
+    case 'kiro':
+      await generateKiroConfig(cwd, context, options, results);
+      break;
+    case 'continue':
+      await generateContinueConfig(cwd, context, options, results);
+      break;
+    case 'augment':
+      await generateAugmentConfig(cwd, context, options, results);
+      break;
+    case 'qodo':
+      await generateQodoConfig(cwd, context, options, results);
+      break;
+    case 'opencode':
+      await generateOpenCodeConfig(cwd, context, options, results);
+      break;
+    case 'zencoder':
+      await generateZencoderConfig(cwd, context, options, results);
+      break;
+    case 'tabnine':
+      await generateTabnineConfig(cwd, context, options, results);
+      break;
+    case 'amazonq':
+      await generateAmazonQConfig(cwd, context, options, results);
+      break;
+    case 'codeowners':
+      await generateCodeowners(cwd, context, options, results);
+      break;
+    default:
+      if (pluginsById.has(tool)) {
+        await runPluginGenerator(cwd, pluginsById.get(tool), context, options, results);
+      } else {
+        results.errors.push(`Unknown tool: ${tool}`);
+      }
+  }
+}
 
-# Run linter
-npm run lint
-\`\`\`
+/**
+ * Project context for one tool, without the guvnr.yaml sections its
+ * `tools.<id>.exclude_sections` leaves out (see generators/overrides.js)
+ *
+ * @param {string} tool - Tool id
+ * @param {Object|null} projectContext - Project context (exclusions need its guvnr.yaml `raw` config)
+ * @returns {Object|null} Context to generate the tool from
+ */
+function contextForTool(tool, projectContext) {
+  const config = projectContext?.raw;
+  const excluded = config ? excludeSections(config, tool) : config;
+  return excluded === config ? projectContext : transformGuvnrToContext(excluded);
+}
 
-${context?.commands || ''}
+/**
+ * Fit a tool's files to its token budget (see generators/budget.js).
+ * Adds an entry to results.budgets for every tool with a budget, or for
+ * every tool when options.report is set.
+ *
+ * @param {string} tool - Tool id
+ * @param {Object|null} projectContext - Project context (budgets need its guvnr.yaml `raw` config)
+ * @param {(context: Object) => Promise<Array<{path: string, content: string}>>|Array<{path: string, content: string}>} render
+ *   Renders the tool's files from a context without writing them
+ * @param {Object} options - Generation options (report)
+ * @param {Object} results - Results accumulator object
+ * @param {string} [dir] - Workspace package directory, for package outputs
+ * @returns {Promise<Object|null>} Context to generate from (compacted if needed)
+ */
+async function applyBudget(tool, projectContext, render, options, results, dir) {
+  const config = projectContext?.raw;
+  const budget = resolveBudget(tool, config);
+  if (!config || (!budget && !options.report)) {
+    return projectContext;
+  }
 
-## Architecture Overview
+  const renderConfig = nextConfig => render(transformGuvnrToContext(nextConfig));
+  const fitted = budget
+    ? await fitToBudget(config, budget, renderConfig)
+    : { config, outputs: await renderConfig(config), compacted: [] };
 
-${
-  context?.architecture ||
-  `This project follows standard practices for its technology stack.
+  const files = fitted.outputs.map(output => ({
+    path: output.path,
+    tokens: estimateTokens(output.content)
+  }));
+  results.budgets?.push({
+    tool,
+    ...(dir && { package: dir }),
+    budget,
+    files,
+    compacted: fitted.compacted,
+    overBudget: budget ? files.filter(file => file.tokens > budget).map(file => file.path) : [],
+    ...(options.report && {
+      sections: await measureSections(fitted.config, fitted.outputs, renderConfig)
+    })
+  });
 
-Key directories:
-- \`src/\` - Source code
-- \`tests/\` - Test files
-- \`docs/\` - Documentation`
+  return fitted.compacted.length > 0 ? transformGuvnrToContext(fitted.config) : projectContext;
 }
 
-## Code Style & Conventions
+/**
+ * Run the generator for each tool.
+ * Every rendered file is tagged with the tool that produced it in results.outputs.
+ *
+ * @param {string} cwd - Project root
+ * @param {string[]} tools - Tool ids to generate
+ * @param {Object} projectContext - Project context
+ * @param {Map<string, Object>} pluginsById - Loaded plugin generators
+ * @param {Object} options - Generation options (force, dryRun, report)
+ * @param {Object} results - Results accumulator object
+ * @param {Function} [onTool] - Called with each tool id before it runs
+ * @returns {Promise<void>} Resolves when every tool has run
+ */
+async function runGenerators(cwd, tools, projectContext, pluginsById, options, results, onTool) {
+  for (const tool of tools) {
+    onTool?.(tool);
+    const firstOutput = results.outputs.length;
+
+    try {
+      // Render in memory to measure, then generate from the (possibly compacted) context
+      const render = async context => {
+        const scratch = { created: [], skipped: [], errors: [], outputs: [] };
+        await runTool(cwd, tool, context, pluginsById, { dryRun: true, force: true }, scratch);
+        return scratch.outputs;
+      };
+      const toolContext = contextForTool(tool, projectContext);
+      const context = await applyBudget(tool, toolContext, render, options, results);
+      await runTool(cwd, tool, context, pluginsById, options, results);
+    } catch (error) {
+      results.errors.push(`${tool}: ${error.message}`);
+    }
 
-${
-  context?.conventions ||
-  `- Use consistent naming conventions
-- Follow the existing code style in the repository
-- Write meaningful commit messages using conventional commits
-- Add tests for new functionality`
+    for (const output of results.outputs.slice(firstOutput)) {
+      output.tool = tool;
+    }
+  }
 }
 
-## Security Guidelines
-
-When generating or modifying code:
-
-${
-  context?.securityChecklist?.length > 0
-    ? context.securityChecklist.map(item => `- ${item}`).join('\n')
-    : `- Never hardcode secrets or credentials
-- Validate all user inputs
-- Avoid SQL/command/XSS injection vulnerabilities
-- Verify dependencies exist before adding them
-- Handle errors without exposing internal details`
+/**
+ * Render the scoped file a tool writes for a workspace package
+ *
+ * @param {string} cwd - Repository root (where template overrides are read from)
+ * @param {string} tool - One of SCOPED_TOOLS
+ * @param {string} dir - Package directory, relative to the repository root
+ * @param {Object} context - The package's project context
+ * @returns {{path: string, content: string}|null} File to write, or null for unscoped tools
+ */
+function renderPackageFile(cwd, tool, dir, context) {
+  switch (tool) {
+    case 'agents':
+      return {
+        path: `${dir}/AGENTS.md`,
+        content: renderTemplateFile(cwd, tool, 'AGENTS.md', context)
+      };
+    case 'claude':
+      return {
+        path: `${dir}/CLAUDE.md`,
+        content: renderTemplateFile(cwd, tool, 'CLAUDE.md', context)
+      };
+    case 'cursor':
+      return {
+        path: `.cursor/rules/package-${dir.replace(/[^a-zA-Z0-9]+/g, '-')}.mdc`,
+        content: renderTemplateFile(cwd, tool, 'package.mdc', context, { packageDir: dir })
+      };
+    default:
+      return null;
+  }
 }
 
-## Git Workflow
-
-- Create feature branches from \`main\`
-- Use conventional commit messages (feat, fix, docs, refactor, test)
-- Run tests before committing
-- Request review for significant changes
-
-## Boundaries & Restrictions
-
-### Files to NEVER modify without explicit permission:
-- \`.env\` files (contain secrets)
-- \`package-lock.json\` / \`yarn.lock\` (modify via package manager)
-- Generated files in \`dist/\` or \`build/\`
-- Migration files (create new ones instead)
-
-### Patterns to follow:
-- Match existing code style
-- Prefer composition over inheritance
-- Keep functions focused and small
-- Document complex logic
-
-## Verification Commands
+/**
+ * Generate the scoped outputs of one workspace package.
+ * Tools outside SCOPED_TOOLS have no per-directory format and are skipped.
+ *
+ * @param {string} cwd - Repository root
+ * @param {{dir: string, source: {path: string, hash: string}, projectContext: Object}} pkg - Package from loadPackageSources
+ * @param {string[]} tools - Tool ids being generated
+ * @param {Object} options - Generation options (force, merge, dryRun, report)
+ * @param {Object} results - Results accumulator object
+ * @returns {Promise<void>} Resolves when the package's files are written
+ */
+async function runPackageGenerators(cwd, pkg, tools, options, results) {
+  for (const tool of tools.filter(t => SCOPED_TOOLS.includes(t))) {
+    const firstOutput = results.outputs.length;
+
+    try {
+      const render = context => [renderPackageFile(cwd, tool, pkg.dir, context)];
+      const context = await applyBudget(
+        tool,
+        contextForTool(tool, pkg.projectContext),
+        render,
+        options,
+        results,
+        pkg.dir
+      );
+      const { path, content } = renderPackageFile(cwd, tool, pkg.dir, context);
+      writeGeneratedFile(cwd, path, content, options, results);
+    } catch (error) {
+      results.errors.push(`${tool} (${pkg.dir}): ${error.message}`);
+    }
 
-Before completing any task, run these checks:
+    for (const output of results.outputs.slice(firstOutput)) {
+      output.tool = tool;
+      output.package = pkg.dir;
+      output.sourceHash = pkg.source.hash;
+    }
+  }
+}
 
-\`\`\`bash
-# Type checking (if applicable)
-npm run typecheck || true
+/**
+ * Load plugins, resolve the tool list and render every tool in memory
+ *
+ * @param {string} cwd - Project root
+ * @param {Object|null} guvnrConfig - Resolved guvnr.yaml (null for a legacy CLAUDE.md)
+ * @param {Object} projectContext - Project context
+ * @param {Object} options - Render options (tools, signal)
+ * @param {Object} results - Results accumulator object
+ * @returns {Promise<string[]>} Tool ids that were rendered
+ * @throws {FrameworkError} If a plugin cannot be loaded or a tool is unknown
+ */
+async function renderTools(cwd, guvnrConfig, projectContext, options, results) {
+  const pluginGenerators = await loadGeneratorPlugins(
+    guvnrConfig?.tools?.plugins,
+    cwd,
+    SUPPORTED_TOOLS
+  );
+  const pluginsById = new Map(pluginGenerators.map(g => [g.id, g]));
+  const tools = resolveTools(options.tools, pluginsById, guvnrConfig);
+
+  await runGenerators(
+    cwd,
+    tools,
+    projectContext,
+    pluginsById,
+    { dryRun: true, force: true },
+    results,
+    () => checkAbortSignal(options.signal, 'Render')
+  );
 
-# Linting
-npm run lint
+  return tools;
+}
 
-# Tests
-npm test
+/**
+ * Render tool configs in memory without touching the project.
+ * Used by `guvnr status` to compare what is on disk with what generate would write now.
+ *
+ * @param {string} [cwd=process.cwd()] - Project root
+ * @param {Object} [options={}] - Render options
+ * @param {string|string[]} [options.tools] - Tools to render (default: tools.generate in guvnr.yaml, or all)
+ * @param {boolean} [options.recursive=false] - Also render workspace package outputs
+ * @returns {Promise<{source: {path: string, hash: string}|null, outputs: Array<{path: string, tool: string, content: string, package?: string, sourceHash?: string}>, errors: string[]}>}
+ *   Rendered files (package outputs name their package directory) and any generator errors
+ * @throws {FrameworkError} If guvnr.yaml is invalid or a plugin cannot be loaded
+ */
+export async function renderOutputs(cwd = process.cwd(), options = {}) {
+  const loaded = await loadProjectSource(cwd);
+  if (!loaded) {
+    return { source: null, outputs: [], errors: [] };
+  }
+
+  const results = { created: [], skipped: [], errors: [], outputs: [], budgets: [] };
+  const tools = await renderTools(
+    cwd,
+    loaded.guvnrConfig,
+    loaded.projectContext,
+    { tools: options.tools },
+    results
+  );
 
-# Build verification
-npm run build
-\`\`\`
+  if (options.recursive) {
+    const { packages } = await loadPackageSources(cwd, loaded);
+    for (const pkg of packages) {
+      await runPackageGenerators(cwd, pkg, tools, { dryRun: true, force: true }, results);
+    }
+  }
 
----
-*Generated by [Guvnr](https://guvnr.dev)*
-`;
+  return {
+    source: loaded.source,
+    outputs: results.outputs.map(({ path, tool, content, package: dir, sourceHash }) =>
+      dir ? { path, tool, content, package: dir, sourceHash } : { path, tool, content }
+    ),
+    errors: results.errors
+  };
 }
 
 /**
- * Generate Claude Code configuration (CLAUDE.md, .claude/commands/, .claude/agents/)
- * This is the primary output for Claude Code users
+ * Render tool configs from a guvnr.yaml config object, for programs that embed guvnr.
+ * Nothing is written or printed. The project root is only read for what the
+ * outputs are made from: template overrides in .guvnr/templates/, the
+ * CODEOWNERS file whose guvnr block is replaced, JSON configs whose other
+ * settings are kept (.gemini/settings.json, opencode.json and the MCP
+ * configs), and local generator plugins.
+ *
+ * @param {Object} config - guvnr.yaml contents, with `extends` already resolved (see resolveGuvnrConfig)
+ * @param {Object} [options={}] - Render options
+ * @param {string} [options.cwd=process.cwd()] - Project root
+ * @param {string|string[]} [options.tools] - Tools to render (default: tools.generate in config, or all)
+ * @param {AbortSignal} [options.signal] - Stops rendering between tools when aborted
+ * @returns {Promise<{files: Map<string, string>, diagnostics: Array<{severity: 'error'|'warning'|'info', message: string, tool?: string, path?: string}>}>}
+ *   File contents by project-relative path, and what `guvnr generate` would report:
+ *   generator failures and unresolved placeholders (errors), files over their
+ *   token budget (warnings) and sections compacted to fit one (info)
+ * @throws {FrameworkError} GUVNR-VALID-203 if config fails schema validation or still has `extends`,
+ *   GUVNR-CONFIG-303 for an unknown tool
+ * @throws {Error} If aborted via signal
+ *
+ * @example
+ * const { config } = await resolveGuvnrConfig('guvnr.yaml');
+ * const { files, diagnostics } = await render(config, { tools: ['claude', 'cursor'] });
+ * files.get('CLAUDE.md');
  */
-async function generateClaudeConfig(cwd, context, options, results) {
-  // 1. Generate CLAUDE.md
-  const claudeMdPath = join(cwd, 'CLAUDE.md');
-  if (!existsSync(claudeMdPath) || options.force) {
-    const content = generateClaudeMdContent(context);
-    if (!options.dryRun) {
-      writeFileSync(claudeMdPath, content);
-    }
-    results.created.push('CLAUDE.md');
-  } else {
-    results.skipped.push('CLAUDE.md (exists, use --force)');
+export async function render(config, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  checkAbortSignal(options.signal, 'Render');
+
+  const violations = validateSchema(config, loadGuvnrSchema());
+  if (config?.extends !== undefined) {
+    violations.push({
+      path: ['extends'],
+      message: 'is not resolved by render; pass the config returned by resolveGuvnrConfig'
+    });
+  }
+  if (violations.length > 0) {
+    const lines = violations.map(v => `${formatYamlPath(v.path)}: ${v.message}`);
+    throw createError(
+      'GUVNR-VALID-203',
+      `config failed schema validation with ${lines.length} error(s):\n    ${lines.join('\n    ')}`,
+      { context: { violations } }
+    );
   }
 
-  // 2. Generate .claude/commands/ for skills
-  if (context.skills && context.skills.length > 0) {
-    const commandsDir = join(cwd, '.claude', 'commands');
-    if (!options.dryRun) {
-      mkdirSync(commandsDir, { recursive: true });
+  const results = {
+    created: [],
+    skipped: [],
+    placeholders: [],
+    errors: [],
+    outputs: [],
+    budgets: []
+  };
+  await renderTools(cwd, config, transformGuvnrToContext(config), options, results);
+
+  const toolOf = new Map(results.outputs.map(output => [output.path, output.tool]));
+  const diagnostics = [
+    ...results.errors.map(message => ({ severity: 'error', message })),
+    ...results.placeholders.map(({ path, found }) => ({
+      severity: 'error',
+      tool: toolOf.get(path),
+      path,
+      message: `unresolved template placeholders: ${formatPlaceholders(path, found).join(', ')}`
+    }))
+  ];
+  for (const entry of results.budgets) {
+    for (const path of entry.overBudget) {
+      diagnostics.push({
+        severity: 'warning',
+        tool: entry.tool,
+        path,
+        message: `${path} is still over its ${entry.budget}-token budget`
+      });
     }
-
-    for (const skill of context.skills) {
-      const commandPath = join(commandsDir, `${skill.name}.md`);
-      if (!existsSync(commandPath) || options.force) {
-        const commandContent = generateClaudeCommand(skill);
-        if (!options.dryRun) {
-          writeFileSync(commandPath, commandContent);
-        }
-        results.created.push(`.claude/commands/${skill.name}.md`);
-      } else {
-        results.skipped.push(`.claude/commands/${skill.name}.md (exists)`);
-      }
+    if (entry.compacted.length > 0) {
+      const steps = entry.compacted.map(step => `${step.section} (${step.level})`);
+      diagnostics.push({
+        severity: 'info',
+        tool: entry.tool,
+        message: `compacted ${steps.join(', ')} to fit ${entry.budget} tokens`
+      });
     }
   }
 
-  // 3. Generate .claude/agents/ for agents
-  if (context.agents && context.agents.length > 0) {
-    const agentsDir = join(cwd, '.claude', 'agents');
-    if (!options.dryRun) {
-      mkdirSync(agentsDir, { recursive: true });
-    }
+  // When two tools render the same path, the later one wins, as it does in generate
+  return {
+    files: new Map(results.outputs.map(output => [output.path, output.content])),
+    diagnostics
+  };
+}
 
-    for (const agent of context.agents) {
-      const agentPath = join(agentsDir, `${agent.name}.md`);
-      if (!existsSync(agentPath) || options.force) {
-        const agentContent = generateClaudeAgent(agent);
-        if (!options.dryRun) {
-          writeFileSync(agentPath, agentContent);
-        }
-        results.created.push(`.claude/agents/${agent.name}.md`);
-      } else {
-        results.skipped.push(`.claude/agents/${agent.name}.md (exists)`);
+/**
+ * Print what token budgets changed, and with --report the tokens each
+ * guvnr.yaml section takes up in every tool's files
+ *
+ * @param {Array<Object>} budgets - Entries added by applyBudget
+ * @param {boolean} [report=false] - Print the per-section breakdown for every tool
+ * @returns {void}
+ */
+function printBudgets(budgets, report = false) {
+  const lines = [];
+
+  for (const entry of budgets) {
+    const name = entry.package ? `${entry.tool} (${entry.package})` : entry.tool;
+    const largest = Math.max(0, ...entry.files.map(file => file.tokens));
+
+    if (report) {
+      const limit = entry.budget ? ` / ${entry.budget}` : '';
+      lines.push(`    ${name}: ${largest}${limit} tokens in the largest file`);
+      const sections = Object.entries(entry.sections || {}).filter(([, tokens]) => tokens > 0);
+      if (sections.length > 0) {
+        const breakdown = sections.map(([section, tokens]) => `${section} ${tokens}`);
+        lines.push(chalk.gray(`      ${breakdown.join(', ')}`));
       }
     }
+    if (entry.compacted.length > 0) {
+      const steps = entry.compacted.map(step => `${step.section} (${step.level})`);
+      lines.push(
+        chalk.yellow(`    ${name}: compacted ${steps.join(', ')} to fit ${entry.budget} tokens`)
+      );
+    }
+    for (const path of entry.overBudget) {
+      lines.push(chalk.red(`    ${name}: ${path} is still over its ${entry.budget}-token budget`));
+    }
+  }
+
+  if (lines.length > 0) {
+    console.log(chalk.bold(`\n  Token budgets (≈${CHARS_PER_TOKEN} characters per token):`));
+    lines.forEach(line => console.log(line));
+    console.log('');
   }
 }
 
 /**
- * Generate CLAUDE.md content from project context
+ * Main generate command handler
+ *
+ * Files written (not skipped, and not in a dry run) are recorded in
+ * `.guvnr/manifest.json` so `guvnr status` and `guvnr uninstall` know what
+ * guvnr produced. Files that would still contain a template placeholder such
+ * as `${KNOWN_ISSUE}` are not written.
+ *
+ * Every tool is rendered before anything is written. The files are then
+ * written together, each one atomically; if any write fails, the files
+ * already written are restored and nothing changes. If any tool fails to
+ * render, nothing is written at all. A lock under `.guvnr/` keeps concurrent
+ * runs (an editor task, a git hook) from interleaving.
+ *
+ * @param {object} options - Command options
+ * @param {string} [options.targetDir=process.cwd()] - Project root
+ * @param {string|string[]} [options.tools] - AI tools to generate configs for (default: tools.generate in guvnr.yaml, or all)
+ * @param {boolean} [options.force=false] - Overwrite existing files
+ * @param {boolean} [options.merge=false] - Three-way merge local edits into regenerated files
+ * @param {boolean} [options.dryRun=false] - Show what would be created without creating
+ * @param {boolean} [options.watch=false] - Keep running and regenerate when guvnr.yaml changes
+ * @param {boolean} [options.recursive=false] - Also generate scoped outputs for workspace packages
+ * @param {boolean} [options.report=false] - Print estimated tokens per guvnr.yaml section for each tool
+ * @param {boolean} [options.allowPlaceholders=false] - Write files even if they contain unresolved template placeholders
+ * @returns {Promise<void>} Resolves when generation is complete
+ * @throws {FrameworkError} If generation fails, or GUVNR-VALID-210 if files were refused for placeholders
+ * @throws {FrameworkError} GUVNR-FS-406 if another run holds the lock, GUVNR-FS-407 if a write failed and was rolled back
+ * @throws {FrameworkError} GUVNR-GEN-906 if a tool failed to render (nothing is written)
  */
-function generateClaudeMdContent(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-  const techStackStr = context?.techStack?.join(', ') || 'Not specified';
-
-  let content = `# ${projectName}
-
-## Overview
-
-${context?.overview || 'A software project configured for AI-assisted development.'}
-
-## Tech Stack
-
-${techStackStr}
-
-`;
-
-  if (context?.architecture) {
-    content += `## Architecture
+export async function generateCommand(options) {
+  const cwd = options.targetDir || process.cwd();
 
-${context.architecture}
+  console.log(chalk.cyan('\n  Guvnr - Multi-Tool Config Generator\n'));
 
-`;
+  if (options.watch) {
+    return watchGenerate(options);
   }
 
-  if (context?.conventions) {
-    content += `## Conventions
+  // guvnr.yaml is the source of truth; CLAUDE.md is still read for older projects
+  const loaded = await loadProjectSource(cwd);
+  if (loaded?.source.path === 'CLAUDE.md') {
+    console.log(chalk.yellow('  Using CLAUDE.md (legacy) - consider migrating to guvnr.yaml\n'));
+  } else if (loaded) {
+    console.log(chalk.gray(`  Using ${loaded.source.path} as source of truth\n`));
+  } else if (!options.force) {
+    console.log(chalk.yellow('  No guvnr.yaml found. Run "guvnr init" first or use --force.\n'));
+    return;
+  }
 
-${context.conventions}
+  // Third-party generators from tools.plugins run alongside the built-in ones
+  const pluginGenerators = await loadGeneratorPlugins(
+    loaded?.guvnrConfig?.tools?.plugins,
+    cwd,
+    SUPPORTED_TOOLS
+  );
+  const pluginsById = new Map(pluginGenerators.map(g => [g.id, g]));
+  const tools = resolveTools(options.tools, pluginsById, loaded?.guvnrConfig);
+  const workspace = options.recursive ? await loadPackageSources(cwd, loaded) : null;
 
-`;
+  if (workspace) {
+    const dirs = workspace.packages.map(pkg => pkg.dir);
+    console.log(
+      dirs.length > 0
+        ? chalk.gray(`  Packages (from ${workspace.from}): ${dirs.join(', ')}\n`)
+        : chalk.yellow('  No workspace packages with their own guvnr.yaml found.\n')
+    );
   }
 
-  if (context?.currentState) {
-    content += `## Current State
-
-${context.currentState}
+  // Lazy load ora spinner
+  const ora = await getOra();
+  const spinner = ora('Generating configuration files...').start();
 
-`;
-  }
+  const results = {
+    created: [],
+    merged: [],
+    conflicts: [],
+    skipped: [],
+    placeholders: [],
+    errors: [],
+    outputs: [],
+    budgets: []
+  };
 
-  if (context?.securityChecklist) {
-    content += `## Security Checklist
+  let release = null;
+  try {
+    // Everything is rendered and staged first, then written in one transaction
+    // under the project lock (see utils/transaction.js)
+    release = options.dryRun ? null : acquireLock(cwd, 'generate');
+    const journal = release ? createGenerateJournal(cwd, options) : null;
+    const transaction = release ? createTransaction(cwd, { journal }) : null;
+    const writeOptions = transaction ? { ...options, transaction } : options;
+
+    await runGenerators(
+      cwd,
+      tools,
+      loaded?.projectContext ?? null,
+      pluginsById,
+      writeOptions,
+      results,
+      tool => {
+        spinner.text = `Generating ${tool} configuration...`;
+      }
+    );
 
-${context.securityChecklist}
+    for (const pkg of workspace?.packages ?? []) {
+      spinner.text = `Generating ${pkg.dir} configuration...`;
+      await runPackageGenerators(cwd, pkg, tools, writeOptions, results);
+    }
 
-`;
-  }
+    // A run with a failed tool writes nothing, rather than a partial set of files
+    throwIfToolsFailed(results.errors);
 
-  content += `## Session Instructions
+    if (transaction) {
+      if (results.outputs.some(output => output.written)) {
+        writeManifest(
+          cwd,
+          recordOutputs(readManifest(cwd), results.outputs, loaded?.source ?? null),
+          transaction
+        );
+      }
+      spinner.text = `Writing ${transaction.paths().length} file(s)...`;
+      commitJournaled(transaction, journal);
+    }
 
-### Before Starting
-1. Read this file completely
-2. Check for recent context in docs/session-notes/
+    spinner.succeed('Configuration files generated!');
 
-### During Work
-- Use available slash commands (\`/plan\`, \`/verify\`, etc.)
-- Follow project conventions
-- Test your changes
+    // Print results
+    printResults(results, options.dryRun);
+    printBudgets(results.budgets, options.report);
+  } catch (error) {
+    spinner.fail('Generation failed');
 
-### Before Ending
-- Commit work in progress
-- Document any incomplete work
+    // Re-throw if already a FrameworkError
+    if (error instanceof FrameworkError) {
+      throw error;
+    }
 
----
-*Generated by [Guvnr](https://guvnr.dev) from guvnr.yaml*
-`;
+    // Wrap and throw (CLI will handle exit code)
+    throw createError('GUVNR-GEN-900', error.message, { cause: error });
+  } finally {
+    release?.();
+  }
 
-  return content;
+  if (results.placeholders.length > 0) {
+    throw createError(
+      'GUVNR-VALID-210',
+      `${results.placeholders.length} file(s) not written: unresolved template placeholders`,
+      { context: { files: results.placeholders.map(entry => entry.path) } }
+    );
+  }
 }
 
 /**
- * Generate Claude slash command from skill definition
+ * Stop a run in which any tool failed to render, before its files are written
+ * @param {string[]} errors - Errors collected while rendering, one per failed tool
+ * @returns {void}
+ * @throws {FrameworkError} GUVNR-GEN-906 listing each failed tool
  */
-function generateClaudeCommand(skill) {
-  let content = `# ${skill.name}
-
-${skill.description}
-
-`;
-
-  if (skill.trigger) {
-    content += `**Trigger**: ${skill.trigger}
-
-`;
+function throwIfToolsFailed(errors) {
+  if (errors.length > 0) {
+    throw createError(
+      'GUVNR-GEN-906',
+      `${errors.length} tool(s) failed, no files were written:\n${errors.map(e => `    ${e}`).join('\n')}`,
+      { context: { errors } }
+    );
   }
+}
 
-  if (skill.steps && skill.steps.length > 0) {
-    content += `## Steps
+/**
+ * Start the history journal for a generate run (see utils/history.js)
+ * @param {string} cwd - Project root
+ * @param {Object} options - Generate options; `_operationId` from the CLI becomes the run ID
+ * @returns {Object} Journal
+ */
+function createGenerateJournal(cwd, options) {
+  return createJournal(cwd, {
+    id: options._operationId,
+    command: formatCommand('generate', {
+      tools: options.tools,
+      force: options.force,
+      merge: options.merge,
+      recursive: options.recursive,
+      watch: options.watch
+    })
+  });
+}
 
-${skill.steps.map((step, i) => `${i + 1}. ${step}`).join('\n')}
-`;
+/**
+ * Write a run's staged files and save what they replaced to the journal.
+ * A rolled-back run changed nothing, so its journal entry is dropped.
+ *
+ * @param {Object} transaction - Transaction holding the staged files
+ * @param {Object} journal - Journal recording their previous versions
+ * @returns {void}
+ * @throws {FrameworkError} GUVNR-FS-407 if a write failed and was rolled back
+ */
+function commitJournaled(transaction, journal) {
+  try {
+    transaction.commit();
+  } catch (error) {
+    journal.discard();
+    throw error;
   }
-
-  return content;
+  journal.save();
 }
 
 /**
- * Generate Claude agent from agent definition
+ * Delay between the last change to guvnr.yaml and regeneration in --watch mode
+ * @constant {number}
  */
-function generateClaudeAgent(agent) {
-  let content = `# ${agent.name}
-
-**Role**: ${agent.role}
-
-`;
+const WATCH_DEBOUNCE_MS = 300;
 
-  if (agent.expertise && agent.expertise.length > 0) {
-    content += `## Expertise
+/**
+ * Regenerate the outputs whose rendered content changed.
+ *
+ * An output is affected when the new render differs both from the file on
+ * disk and from the last version guvnr generated; everything else is left
+ * alone, so each cycle touches only the tools the config change affects.
+ *
+ * @param {string} cwd - Project root
+ * @param {Object} options - Generation options (tools, force, merge, dryRun, allowPlaceholders)
+ * @returns {Promise<{source: Object|null, results: Object, summary: Map<string, Object>}>}
+ *   Results plus a per-tool count of updated, merged, conflicting and skipped files
+ * @throws {FrameworkError} If guvnr.yaml cannot be parsed or fails schema validation
+ * @throws {FrameworkError} GUVNR-GEN-906 if a tool failed to render (the cycle writes nothing)
+ * @throws {FrameworkError} GUVNR-FS-406 if another run holds the lock, GUVNR-FS-407 if a write failed and was rolled back
+ */
+export async function regenerateChangedOutputs(cwd, options = {}) {
+  const { source, outputs, errors } = await renderOutputs(cwd, {
+    tools: options.tools,
+    recursive: options.recursive
+  });
+  const results = {
+    created: [],
+    merged: [],
+    conflicts: [],
+    skipped: [],
+    placeholders: [],
+    errors,
+    outputs: []
+  };
+  const summary = new Map();
+  throwIfToolsFailed(errors);
 
-${agent.expertise.map(e => `- ${e}`).join('\n')}
+  let release = null;
+  try {
+    release = options.dryRun ? null : acquireLock(cwd, 'generate --watch');
+    // Each cycle is a run of its own in the history journal
+    const journal = release
+      ? createGenerateJournal(cwd, { ...options, watch: true, _operationId: undefined })
+      : null;
+    const transaction = release ? createTransaction(cwd, { journal }) : null;
+    const writeOptions = { ...options, updateUnmodified: true, transaction };
+
+    for (const output of outputs) {
+      // A legacy CLAUDE.md source is never overwritten by its own output
+      if (output.path === source?.path) {
+        continue;
+      }
 
-`;
-  }
+      const filePath = join(cwd, output.path);
+      const onDisk = existsSync(filePath) ? readFileSync(filePath, 'utf-8') : null;
+      if (onDisk === output.content || readBaseCopy(cwd, output.path) === output.content) {
+        continue;
+      }
 
-  if (agent.instructions) {
-    content += `## Instructions
+      const counts = summary.get(output.tool) || {
+        updated: 0,
+        merged: 0,
+        conflicts: 0,
+        skipped: 0
+      };
+      const before = [results.created, results.merged, results.conflicts].map(b => b.length);
+      writeGeneratedFile(cwd, output.path, output.content, writeOptions, results);
+      Object.assign(results.outputs[results.outputs.length - 1], {
+        tool: output.tool,
+        package: output.package,
+        sourceHash: output.sourceHash
+      });
+
+      if (results.created.length > before[0]) {
+        counts.updated++;
+      } else if (results.merged.length > before[1]) {
+        counts.merged++;
+      } else if (results.conflicts.length > before[2]) {
+        counts.conflicts++;
+      } else {
+        counts.skipped++;
+      }
+      summary.set(output.tool, counts);
+    }
 
-${agent.instructions}
-`;
+    if (transaction && results.outputs.some(output => output.written)) {
+      writeManifest(cwd, recordOutputs(readManifest(cwd), results.outputs, source), transaction);
+    }
+    if (transaction) {
+      commitJournaled(transaction, journal);
+    }
+  } finally {
+    release?.();
   }
 
-  return content;
+  return { source, results, summary };
 }
 
 /**
- * Generate Cursor IDE rules (.cursor/rules/)
- * @see https://docs.cursor.com/context/rules
+ * Print one line per affected tool
+ * @param {Map<string, Object>} summary - Per-tool counts from regenerateChangedOutputs
+ * @param {boolean} dryRun - Whether files were only previewed
+ * @returns {void}
  */
-async function generateCursorRules(cwd, context, options, results) {
-  const rulesDir = join(cwd, '.cursor', 'rules');
-
-  if (!options.dryRun) {
-    mkdirSync(rulesDir, { recursive: true });
+function printWatchSummary(summary, dryRun) {
+  if (summary.size === 0) {
+    console.log(chalk.gray('    no tool outputs changed'));
+    return;
   }
 
-  // Generate main rules file
-  const mainRulePath = join(rulesDir, 'project.mdc');
-  if (!existsSync(mainRulePath) || options.force) {
-    const content = generateCursorMainRule(context);
-    if (!options.dryRun) {
-      writeFileSync(mainRulePath, content);
+  const width = Math.max(...[...summary.keys()].map(tool => tool.length));
+  for (const [tool, counts] of summary) {
+    const parts = [];
+    if (counts.updated) {
+      parts.push(chalk.green(`${counts.updated} ${dryRun ? 'would update' : 'updated'}`));
     }
-    results.created.push('.cursor/rules/project.mdc');
-  } else {
-    results.skipped.push('.cursor/rules/project.mdc (exists)');
-  }
-
-  // Generate security rules
-  const securityRulePath = join(rulesDir, 'security.mdc');
-  if (!existsSync(securityRulePath) || options.force) {
-    const content = generateCursorSecurityRule(context);
-    if (!options.dryRun) {
-      writeFileSync(securityRulePath, content);
+    if (counts.merged) {
+      parts.push(chalk.green(`${counts.merged} merged`));
     }
-    results.created.push('.cursor/rules/security.mdc');
-  } else {
-    results.skipped.push('.cursor/rules/security.mdc (exists)');
-  }
-
-  // Generate index file
-  const indexPath = join(cwd, '.cursor', 'index.mdc');
-  if (!existsSync(indexPath) || options.force) {
-    const content = generateCursorIndex(context);
-    if (!options.dryRun) {
-      writeFileSync(indexPath, content);
+    if (counts.conflicts) {
+      parts.push(chalk.red(`${counts.conflicts} with conflicts`));
     }
-    results.created.push('.cursor/index.mdc');
-  } else {
-    results.skipped.push('.cursor/index.mdc (exists)');
+    if (counts.skipped) {
+      parts.push(chalk.yellow(`${counts.skipped} skipped (hand-modified)`));
+    }
+    console.log(`    ${tool.padEnd(width)}  ${parts.join(', ')}`);
   }
 }
 
-function generateCursorMainRule(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `---
-description: Project-wide coding conventions and patterns for ${projectName}
-alwaysApply: true
----
-
-# Project: ${projectName}
-
-## Tech Stack
-${context?.techStack?.map(t => `- ${t.category}: ${t.value}`).join('\n') || '- See package.json for dependencies'}
-
-## Conventions
-${
-  context?.conventions ||
-  `- Follow existing code patterns in the repository
-- Use consistent naming conventions
-- Write meaningful variable and function names
-- Add JSDoc comments for public APIs`
-}
-
-## Testing
-- Write tests for new functionality
-- Run \`npm test\` before committing
-- Aim for meaningful coverage of critical paths
-
-## Commit Messages
-Use conventional commits:
-- \`feat:\` new features
-- \`fix:\` bug fixes
-- \`docs:\` documentation
-- \`refactor:\` code improvements
-- \`test:\` test additions/changes
-`;
+/**
+ * Workspace packages whose guvnr.yaml --watch --recursive should watch
+ * @param {string} cwd - Repository root
+ * @returns {Promise<Array<{dir: string, configPath: string}>>} Packages, or none if the root config is unreadable
+ */
+async function listWatchedPackages(cwd) {
+  try {
+    const loaded = await loadProjectSource(cwd);
+    return loaded?.guvnrConfig ? findPackageConfigs(cwd, loaded.guvnrConfig).packages : [];
+  } catch {
+    // The initial cycle has already reported the error
+    return [];
+  }
 }
 
-function generateCursorSecurityRule(_context) {
-  return `---
-description: Security guidelines for AI-generated code
-globs: ["**/*.{js,ts,jsx,tsx,py,go,java,rb}"]
-alwaysApply: true
----
+/**
+ * Watch guvnr.yaml (or the legacy CLAUDE.md source) and regenerate affected
+ * tool outputs after each change. Parse and schema errors are reported and
+ * watching continues. Runs until the abort signal fires or Ctrl+C.
+ *
+ * @param {Object} options - Generate options plus watch settings
+ * @param {string} [options.targetDir=process.cwd()] - Project root
+ * @param {number} [options.debounce=300] - Milliseconds to wait after the last change
+ * @param {AbortSignal} [options._abortSignal] - Stops watching when aborted
+ * @returns {Promise<void>} Resolves when watching stops
+ */
+export async function watchGenerate(options = {}) {
+  const cwd = options.targetDir || process.cwd();
+  const debounceMs = options.debounce ?? WATCH_DEBOUNCE_MS;
+  const signal = options._abortSignal;
+  let running = null;
+  let pending = false;
+  let timer = null;
+
+  const runCycle = async reason => {
+    const time = new Date().toLocaleTimeString();
+    console.log(chalk.cyan(`  [${time}] ${reason}`));
+    try {
+      const { summary, results } = await regenerateChangedOutputs(cwd, options);
+      printWatchSummary(summary, options.dryRun);
+      for (const { path, found } of results.placeholders) {
+        const names = [...new Set(found.map(entry => entry.placeholder))].join(', ');
+        console.log(chalk.red(`    ✗ ${path}: not written, unresolved ${names}`));
+      }
+    } catch (error) {
+      // Keep watching: the next save usually fixes it
+      console.log(chalk.red(`    ✗ ${error.message.replace(/\n/g, '\n    ')}`));
+    }
+  };
 
-# Security Guidelines
+  const trigger = reason => {
+    if (running) {
+      pending = reason;
+      return;
+    }
+    running = runCycle(reason).finally(() => {
+      running = null;
+      if (pending) {
+        const next = pending;
+        pending = false;
+        trigger(next);
+      }
+    });
+  };
 
-## OWASP Top 10 Prevention
+  const isSource = fileName => {
+    if (fileName === 'guvnr.yaml' || fileName === 'guvnr.yml') {
+      return true;
+    }
+    return (
+      fileName === 'CLAUDE.md' &&
+      !existsSync(join(cwd, 'guvnr.yaml')) &&
+      !existsSync(join(cwd, 'guvnr.yml'))
+    );
+  };
 
-### Injection Prevention
-- Never concatenate user input into SQL queries - use parameterized queries
-- Never pass user input directly to shell commands - use safe APIs
-- Sanitize HTML output to prevent XSS
+  const schedule = reason => {
+    clearTimeout(timer);
+    timer = setTimeout(() => trigger(reason), debounceMs);
+  };
 
-### Authentication & Authorization
-- Never hardcode credentials or secrets
-- Validate authentication on every protected endpoint
-- Use principle of least privilege
+  trigger('Checking generated files');
+  await running;
 
-### Data Protection
-- Never log sensitive data (passwords, tokens, PII)
-- Encrypt sensitive data at rest and in transit
-- Validate and sanitize all inputs
+  // Watch the directory rather than the file: editors often save by renaming
+  const watchers = [
+    watch(cwd, (eventType, fileName) => {
+      if (fileName && isSource(fileName)) {
+        schedule(`${fileName} changed`);
+      }
+    })
+  ];
+
+  // With --recursive, package configs known at startup are watched as well
+  if (options.recursive) {
+    for (const pkg of await listWatchedPackages(cwd)) {
+      watchers.push(
+        watch(join(cwd, pkg.dir), (eventType, fileName) => {
+          if (fileName === basename(pkg.configPath)) {
+            schedule(`${pkg.configPath} changed`);
+          }
+        })
+      );
+    }
+  }
 
-## AI-Specific Security
+  console.log(chalk.gray('\n  Watching for changes (Ctrl+C to stop)\n'));
 
-### Dependency Verification
-Before adding any dependency:
-1. Verify it exists on the package registry
-2. Check download counts and maintenance status
-3. Review for known vulnerabilities
+  await new Promise(resolve => {
+    const stop = () => {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+      process.removeListener('SIGINT', stop);
+      resolve();
+    };
+    if (signal) {
+      if (signal.aborted) {
+        stop();
+      }
+      signal.addEventListener('abort', stop, { once: true });
+    } else {
+      process.once('SIGINT', stop);
+    }
+  });
 
-### Code Review Checklist
-- [ ] No hardcoded secrets
-- [ ] Input validation present
-- [ ] Error messages don't expose internals
-- [ ] Dependencies are verified
-- [ ] Authentication/authorization checked
-`;
+  await running;
 }
 
-function generateCursorIndex(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `---
-description: Guvnr configuration for ${projectName}
-alwaysApply: true
----
+/**
+ * Generate AGENTS.md (Linux Foundation standard)
+ * @see https://agents.md
+ * Note: Also available in modular form at ../generators/agents.js
+ */
+async function generateAgentsMd(cwd, context, options, results) {
+  const { nested, unscoped } = placeRules(cwd, context.rules || []);
+  writeGeneratedFile(
+    cwd,
+    'AGENTS.md',
+    appendExtraSections(
+      renderTemplateFile(cwd, 'agents', 'AGENTS.md', context, { pathRules: unscoped }),
+      context,
+      'agents'
+    ),
+    options,
+    results
+  );
 
-# ${projectName}
+  // Agents read the nearest AGENTS.md, so path rules go in their directory
+  for (const [dir, rules] of nested) {
+    writeGeneratedFile(cwd, `${dir}/AGENTS.md`, renderNestedRules(dir, rules), options, results);
+  }
+}
 
-${context?.overview || 'A software project configured with the Guvnr.'}
+/**
+ * Render one of a tool's templates (see generators/templates.js), preferring
+ * the project's override in .guvnr/templates/
+ *
+ * @param {string} cwd - Project root
+ * @param {string} tool - Tool id
+ * @param {string} name - Template name
+ * @param {Object} context - Project context
+ * @param {Object} [extra] - Values that depend on the file (pathRules, packageDir)
+ * @returns {string} Rendered file
+ * @throws {FrameworkError} GUVNR-CONFIG-314 if the template is invalid
+ */
+function renderTemplateFile(cwd, tool, name, context, extra) {
+  return renderToolTemplate(cwd, tool, name, templateData(cwd, tool, context, extra));
+}
 
-## Quick Reference
+/**
+ * Generate Claude Code configuration (CLAUDE.md, .claude/commands/, .claude/agents/)
+ * This is the primary output for Claude Code users
+ */
+async function generateClaudeConfig(cwd, context, options, results) {
+  // 1. Generate CLAUDE.md, plus a nested CLAUDE.md for each directory path rules apply to
+  const { nested, unscoped } = placeRules(cwd, context.rules || []);
+  writeGeneratedFile(
+    cwd,
+    'CLAUDE.md',
+    appendExtraSections(
+      renderTemplateFile(cwd, 'claude', 'CLAUDE.md', context, { pathRules: unscoped }),
+      context,
+      'claude'
+    ),
+    options,
+    results
+  );
+  for (const [dir, rules] of nested) {
+    writeGeneratedFile(cwd, `${dir}/CLAUDE.md`, renderNestedRules(dir, rules), options, results);
+  }
+
+  // 2. Generate .claude/commands/ (run as /name) and .claude/skills/ (used when relevant) for skills
+  for (const skill of context.skills || []) {
+    writeGeneratedFile(
+      cwd,
+      `.claude/commands/${skill.name}.md`,
+      renderClaudeCommand(skill, context),
+      options,
+      results
+    );
+    writeGeneratedFile(
+      cwd,
+      `.claude/skills/${skill.name}/SKILL.md`,
+      renderSkillFile(skill, context),
+      options,
+      results
+    );
+  }
 
-### Commands
-\`\`\`bash
-npm install    # Install dependencies
-npm test       # Run tests
-npm run build  # Build project
-npm run lint   # Check code style
-\`\`\`
+  // 3. Generate .claude/agents/ for agents
+  if (context.agents && context.agents.length > 0) {
+    for (const agent of context.agents) {
+      writeGeneratedFile(
+        cwd,
+        `.claude/agents/${agent.name}.md`,
+        renderClaudeAgent(agent, context),
+        options,
+        results
+      );
+    }
+  }
 
-### Key Files
-- \`CLAUDE.md\` - Detailed project context
-- \`AGENTS.md\` - Agent configuration (Linux Foundation standard)
-- \`.cursor/rules/\` - Cursor-specific rules
+  // 4. Generate .mcp.json from mcp_servers
+  writeMcpJson(cwd, '.mcp.json', 'claude', context, options, results);
 
-### Working Guidelines
-1. Read relevant documentation before making changes
-2. Follow existing code patterns
-3. Write tests for new functionality
-4. Run verification commands before committing
-`;
+  // 5. Generate .claude/settings.json (permissions, hooks, model, env) and keep
+  // the personal settings.local.json Claude Code merges over it out of git
+  const settings = renderClaudeSettings(context);
+  if (settings) {
+    writeGeneratedFile(
+      cwd,
+      '.claude/settings.json',
+      JSON.stringify(settings, null, 2),
+      options,
+      results
+    );
+    ensureGitignored(cwd, CLAUDE_LOCAL_SETTINGS, options, results);
+  }
 }
 
 /**
- * Generate GitHub Copilot instructions
- * @see https://docs.github.com/copilot/customizing-copilot
+ * Add an entry to .gitignore unless it is already listed
+ *
+ * @param {string} cwd - Project root
+ * @param {string} entry - Path to ignore
+ * @param {Object} options - Generation options
+ * @param {Object} results - Results accumulator object
  */
-async function generateCopilotInstructions(cwd, context, options, results) {
-  const githubDir = join(cwd, '.github');
-  const targetPath = join(githubDir, 'copilot-instructions.md');
-
-  if (!options.dryRun) {
-    mkdirSync(githubDir, { recursive: true });
+function ensureGitignored(cwd, entry, options, results) {
+  const path = join(cwd, '.gitignore');
+  const existing = readProjectFile(cwd, '.gitignore', options) ?? '';
+  if (existing.split('\n').some(line => line.trim() === entry)) {
+    return;
   }
 
-  if (existsSync(targetPath) && !options.force) {
-    results.skipped.push('.github/copilot-instructions.md (exists)');
-    return;
+  const separator = existing && !existing.endsWith('\n') ? '\n' : '';
+  if (options.transaction) {
+    options.transaction.stage('.gitignore', `${existing}${separator}${entry}\n`);
+  } else if (!options.dryRun) {
+    writeFileAtomic(path, `${existing}${separator}${entry}\n`);
   }
+  results.created.push(existing ? '.gitignore (updated)' : '.gitignore');
+}
 
-  const content = generateCopilotContent(context);
+/**
+ * Write a tool's ignore file from security.sensitive_paths, if there are any
+ *
+ * @param {string} cwd - Project root
+ * @param {string} path - Ignore file path
+ * @param {string} toolName - Tool name for the file header
+ * @param {Object} context - Project context
+ * @param {Object} options - Generation options
+ * @param {Object} results - Results accumulator object
+ */
+function writeIgnoreFile(cwd, path, toolName, context, options, results) {
+  if (context.sensitivePaths?.length > 0) {
+    writeGeneratedFile(
+      cwd,
+      path,
+      renderIgnoreFile(toolName, context.sensitivePaths),
+      options,
+      results
+    );
+  }
+}
 
-  if (!options.dryRun) {
-    writeFileSync(targetPath, content);
+/**
+ * A project file as the run sees it: staged in its transaction, or on disk
+ *
+ * @param {string} cwd - Project root
+ * @param {string} relativePath - Path relative to the project root
+ * @param {Object} options - Generation options
+ * @returns {string|null} Content, or null if there is no file
+ */
+function readProjectFile(cwd, relativePath, options) {
+  if (options.transaction) {
+    return options.transaction.read(relativePath);
   }
-  results.created.push('.github/copilot-instructions.md');
+  const path = join(cwd, relativePath);
+  return existsSync(path) ? readFileSync(path, 'utf-8') : null;
 }
 
-function generateCopilotContent(context) {
-  const projectName = context?.projectName || basename(process.cwd());
+/**
+ * Render a JSON config whose other keys belong to the tool or the user.
+ * The keys guvnr owns are set on the existing file's object, so settings
+ * kept alongside them survive --force and --merge; a file that is not a
+ * JSON object is replaced.
+ *
+ * @param {string} cwd - Project root
+ * @param {string} relativePath - Config file path
+ * @param {Object} fields - Keys guvnr generates
+ * @param {Object} options - Generation options
+ * @returns {string} JSON
+ */
+function mergeJsonConfig(cwd, relativePath, fields, options) {
+  let existing = {};
+  const current = readProjectFile(cwd, relativePath, options);
+  if (current !== null) {
+    try {
+      const parsed = JSON.parse(current);
+      existing = isPlainObject(parsed) ? parsed : {};
+    } catch {
+      // Not JSON: replaced as a whole
+    }
+  }
+  return JSON.stringify({ ...existing, ...fields }, null, 2);
+}
 
-  return `# GitHub Copilot Instructions for ${projectName}
+/**
+ * Write a tool's JSON MCP config from mcp_servers, only for projects that
+ * define servers for the tool. Only the servers key of an existing file is
+ * replaced: Gemini CLI, for one, keeps all its project settings in the file.
+ *
+ * @param {string} cwd - Project root
+ * @param {string} path - Config file path
+ * @param {string} tool - Tool id (one of MCP_FILES in generators/mcp.js)
+ * @param {Object} context - Project context
+ * @param {Object} options - Generation options
+ * @param {Object} results - Results accumulator object
+ * @param {string} [key='mcpServers'] - Key the tool keeps its servers under
+ */
+function writeMcpJson(cwd, path, tool, context, options, results, key = 'mcpServers') {
+  const servers = renderMcpServers(tool, context?.mcpServers);
+  if (Object.keys(servers).length > 0) {
+    const content = mergeJsonConfig(cwd, path, { [key]: servers }, options);
+    writeGeneratedFile(cwd, path, content, options, results);
+  }
+}
 
-## Project Context
+/**
+ * Generate Cursor IDE rules: .cursor/rules/ by default, or a single legacy
+ * .cursorrules file with tools.cursor.rules_style: single-file
+ * @see https://docs.cursor.com/context/rules
+ */
+async function generateCursorRules(cwd, context, options, results) {
+  if (toolOverrides(context, 'cursor').rules_style === 'single-file') {
+    writeGeneratedFile(
+      cwd,
+      '.cursorrules',
+      appendExtraSections(generateCursorrulesContent(cwd, context), context, 'cursor'),
+      options,
+      results
+    );
+  } else {
+    // Generate main rules file
+    writeGeneratedFile(
+      cwd,
+      '.cursor/rules/project.mdc',
+      appendExtraSections(
+        renderTemplateFile(cwd, 'cursor', 'project.mdc', context),
+        context,
+        'cursor'
+      ),
+      options,
+      results
+    );
 
-${context?.overview || 'This project uses the Guvnr for AI-assisted development.'}
+    // Generate security rules
+    writeGeneratedFile(
+      cwd,
+      '.cursor/rules/security.mdc',
+      renderTemplateFile(cwd, 'cursor', 'security.mdc', context),
+      options,
+      results
+    );
 
-## Tech Stack
+    // Generate path-scoped rules, attached when a matching file is in context
+    for (const rule of context.rules || []) {
+      writeGeneratedFile(
+        cwd,
+        `.cursor/rules/${rule.name}.mdc`,
+        generateCursorPathRule(rule),
+        options,
+        results
+      );
+    }
 
-${context?.techStack?.map(t => `- **${t.category}**: ${t.value}`).join('\n') || 'See package.json for dependencies.'}
+    // Generate index file
+    writeGeneratedFile(
+      cwd,
+      '.cursor/index.mdc',
+      renderTemplateFile(cwd, 'cursor', 'index.mdc', context),
+      options,
+      results
+    );
+  }
 
-## Code Style
+  // Generate MCP configuration from mcp_servers
+  writeMcpJson(cwd, '.cursor/mcp.json', 'cursor', context, options, results);
 
-${
-  context?.conventions ||
-  `- Follow existing patterns in the codebase
-- Use consistent naming conventions
-- Prefer explicit over implicit
-- Write self-documenting code`
+  // Keep sensitive paths out of Cursor's index and context
+  writeIgnoreFile(cwd, '.cursorignore', 'Cursor', context, options, results);
 }
 
-## Security Requirements
+/**
+ * Single-file Cursor rules: the project and security rules without their
+ * frontmatter, with path-scoped rules as a section (.cursorrules has no globs)
+ * @param {string} cwd - Project root
+ * @param {Object} context - Project context
+ * @returns {string} .cursorrules content
+ */
+function generateCursorrulesContent(cwd, context) {
+  const withoutFrontmatter = content => content.replace(/^---\n[\s\S]*?\n---\n\n/, '');
+  return [
+    withoutFrontmatter(renderTemplateFile(cwd, 'cursor', 'project.mdc', context)),
+    withoutFrontmatter(renderTemplateFile(cwd, 'cursor', 'security.mdc', context)),
+    renderPathRulesSection(context.rules)
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
 
-When generating code, always:
+function generateCursorPathRule(rule) {
+  return `---
+description: ${JSON.stringify(rule.description || `Rules for ${rule.paths.join(', ')}`)}
+globs: ${formatGlobList(rule.paths)}
+alwaysApply: false
+---
 
-${
-  context?.securityChecklist?.length > 0
-    ? context.securityChecklist.map(item => `- ${item}`).join('\n')
-    : `- Validate all user inputs
-- Use parameterized queries for database operations
-- Never hardcode secrets or credentials
-- Sanitize output to prevent XSS
-- Verify dependencies exist before suggesting them`
+${renderRule(rule, '#').trimEnd()}
+`;
 }
 
-## Testing
+/**
+ * Generate GitHub Copilot instructions
+ * @see https://docs.github.com/copilot/customizing-copilot
+ */
+async function generateCopilotInstructions(cwd, context, options, results) {
+  writeGeneratedFile(
+    cwd,
+    '.github/copilot-instructions.md',
+    appendExtraSections(
+      renderTemplateFile(cwd, 'copilot', 'copilot-instructions.md', context),
+      context,
+      'copilot'
+    ),
+    options,
+    results
+  );
+
+  // Path-specific instructions, applied to files matching applyTo
+  for (const rule of context.rules || []) {
+    writeGeneratedFile(
+      cwd,
+      `.github/instructions/${rule.name}.instructions.md`,
+      generateCopilotPathInstructions(rule),
+      options,
+      results
+    );
+  }
 
-- Write unit tests for new functions
-- Include edge cases in test coverage
-- Use descriptive test names
+  // Chat modes, one per guvnr.yaml agent
+  for (const agent of context.agents || []) {
+    writeGeneratedFile(
+      cwd,
+      `.github/chatmodes/${agent.name}.chatmode.md`,
+      renderCopilotChatMode(agent),
+      options,
+      results
+    );
+  }
 
-## Commit Messages
+  // Prompt files, one per guvnr.yaml skill
+  for (const skill of context.skills || []) {
+    writeGeneratedFile(
+      cwd,
+      `.github/prompts/${skill.name}.prompt.md`,
+      renderCopilotPrompt(skill),
+      options,
+      results
+    );
+  }
 
-Use conventional commit format:
-- \`feat:\` for new features
-- \`fix:\` for bug fixes
-- \`docs:\` for documentation
-- \`refactor:\` for code improvements
-- \`test:\` for test changes
+  // Copilot in VS Code reads MCP servers from .vscode/mcp.json
+  writeMcpJson(cwd, '.vscode/mcp.json', 'copilot', context, options, results, 'servers');
+}
 
-## Files to Avoid Modifying
+function generateCopilotPathInstructions(rule) {
+  return `---
+applyTo: ${JSON.stringify(rule.paths.join(','))}
+---
 
-- \`.env\` files (contain secrets)
-- Lock files (package-lock.json, yarn.lock)
-- Generated/compiled files
-- Migration files (create new ones instead)
+${renderRule(rule, '#').trimEnd()}
 `;
 }
 
@@ -989,176 +1768,74 @@ Use conventional commit format:
  * @see https://codeium.com/windsurf/directory
  */
 async function generateWindsurfRules(cwd, context, options, results) {
-  const windsurfDir = join(cwd, '.windsurf');
-  const rulesDir = join(windsurfDir, 'rules');
-
-  if (!options.dryRun) {
-    mkdirSync(rulesDir, { recursive: true });
-  }
-
   // Generate main rules file in directory format
-  const mainRulePath = join(rulesDir, 'project.md');
-  if (!existsSync(mainRulePath) || options.force) {
-    const content = generateWindsurfMainRule(context);
-    if (!options.dryRun) {
-      writeFileSync(mainRulePath, content);
-    }
-    results.created.push('.windsurf/rules/project.md');
-  } else {
-    results.skipped.push('.windsurf/rules/project.md (exists)');
-  }
+  writeGeneratedFile(
+    cwd,
+    '.windsurf/rules/project.md',
+    appendExtraSections(
+      renderTemplateFile(cwd, 'windsurf', 'project.md', context),
+      context,
+      'windsurf'
+    ),
+    options,
+    results
+  );
 
   // Generate security rules in directory format
-  const securityRulePath = join(rulesDir, 'security.md');
-  if (!existsSync(securityRulePath) || options.force) {
-    const content = generateWindsurfSecurityRule(context);
-    if (!options.dryRun) {
-      writeFileSync(securityRulePath, content);
-    }
-    results.created.push('.windsurf/rules/security.md');
-  } else {
-    results.skipped.push('.windsurf/rules/security.md (exists)');
-  }
+  writeGeneratedFile(
+    cwd,
+    '.windsurf/rules/security.md',
+    renderTemplateFile(cwd, 'windsurf', 'security.md', context),
+    options,
+    results
+  );
 
-  // Also generate .windsurfrules single file format (legacy/alternative)
-  const windsurfrulesPath = join(cwd, '.windsurfrules');
-  if (!existsSync(windsurfrulesPath) || options.force) {
-    const content = generateWindsurfrulesContent(context);
-    if (!options.dryRun) {
-      writeFileSync(windsurfrulesPath, content);
-    }
-    results.created.push('.windsurfrules');
-  } else {
-    results.skipped.push('.windsurfrules (exists)');
+  // Generate path-scoped rules with glob triggers
+  for (const rule of context.rules || []) {
+    writeGeneratedFile(
+      cwd,
+      `.windsurf/rules/${rule.name}.md`,
+      generateWindsurfPathRule(rule),
+      options,
+      results
+    );
   }
-}
-
-/**
- * Generate .windsurfrules single file content
- */
-function generateWindsurfrulesContent(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `# Windsurf Rules for ${projectName}
-
-> Single-file format for Windsurf AI rules.
-> See: https://codeium.com/windsurf/directory
-
-## Project Overview
-
-${(context?.overview || 'Project configured with Guvnr.').slice(0, 500)}
-
-## Tech Stack
-
-${context?.techStack?.map(t => `- ${t.category}: ${t.value}`).join('\n') || '- See package.json for dependencies'}
-
-## Coding Conventions
-
-${
-  context?.conventions ||
-  `- Follow existing code patterns in the repository
-- Use consistent naming conventions
-- Write self-documenting code
-- Add tests for new functionality`
-}
-
-## Commands
-
-\`\`\`bash
-npm install    # Install dependencies
-npm test       # Run tests
-npm run build  # Build project
-npm run lint   # Check code style
-\`\`\`
-
-## Security Guidelines
-
-${
-  context?.securityChecklist?.map(item => `- ${item}`).join('\n') ||
-  `- Never hardcode secrets or credentials
-- Validate all user inputs
-- Use parameterized queries for databases
-- Sanitize output to prevent XSS
-- Verify dependencies exist before adding`
-}
-
-## Git Workflow
-
-- Use conventional commits (feat, fix, docs, refactor, test)
-- Run tests before committing
-- Create feature branches from main
-- Keep commits focused and atomic
 
-## Files to Avoid
-
-Never modify without explicit permission:
-- .env files (contain secrets)
-- Lock files (package-lock.json, yarn.lock)
-- Generated files in dist/ or build/
-- Migration files (create new ones instead)
-`;
-}
+  // Workflows, one per guvnr.yaml skill
+  for (const skill of context.skills || []) {
+    writeGeneratedFile(
+      cwd,
+      `.windsurf/workflows/${skill.name}.md`,
+      renderWindsurfWorkflow(skill),
+      options,
+      results
+    );
+  }
 
-function generateWindsurfMainRule(context) {
-  const projectName = context?.projectName || basename(process.cwd());
+  // Also generate .windsurfrules single file format (legacy/alternative)
+  writeGeneratedFile(
+    cwd,
+    '.windsurfrules',
+    appendExtraSections(
+      renderTemplateFile(cwd, 'windsurf', '.windsurfrules', context),
+      context,
+      'windsurf'
+    ),
+    options,
+    results
+  );
 
-  // Windsurf rules have 6000 char limit per file
-  return `# Project Rules: ${projectName}
-
-## Overview
-${(context?.overview || 'Project configured with Guvnr.').slice(0, 500)}
-
-## Tech Stack
-${
-  context?.techStack
-    ?.slice(0, 8)
-    .map(t => `- ${t.category}: ${t.value}`)
-    .join('\n') || '- See package.json'
-}
-
-## Conventions
-- Follow existing code patterns
-- Use conventional commits (feat, fix, docs, refactor, test)
-- Write tests for new functionality
-- Run \`npm test\` before committing
-
-## Commands
-\`\`\`bash
-npm install  # Install dependencies
-npm test     # Run tests
-npm run lint # Check code style
-\`\`\`
-
-## Boundaries
-Never modify without permission:
-- .env files
-- Lock files (package-lock.json)
-- Generated files in dist/build
-`;
+  // Windsurf (Codeium) skips files listed in .codeiumignore
+  writeIgnoreFile(cwd, '.codeiumignore', 'Windsurf', context, options, results);
 }
 
-function generateWindsurfSecurityRule(_context) {
-  return `# Security Rules
-
-## Input Validation
-- Validate all user inputs
-- Use parameterized queries
-- Sanitize HTML output
-
-## Secrets
-- Never hardcode credentials
-- Never log sensitive data
-- Use environment variables
-
-## Dependencies
-- Verify packages exist before adding
-- Check for known vulnerabilities
-- Prefer well-maintained libraries
+function generateWindsurfPathRule(rule) {
+  return `---
+trigger: glob
+globs: ${rule.paths.join(', ')}
+---
 
-## Error Handling
-- Don't expose internal details
-- Log errors securely
-- Return safe error messages
+${renderRule(rule, '#').trimEnd()}
 `;
 }
 
@@ -1167,148 +1844,41 @@ function generateWindsurfSecurityRule(_context) {
  * @see https://aider.chat/docs/config.html
  */
 async function generateAiderConfig(cwd, context, options, results) {
-  const targetPath = join(cwd, '.aider.conf.yml');
-
-  if (existsSync(targetPath) && !options.force) {
-    results.skipped.push('.aider.conf.yml (exists)');
-    return;
-  }
-
-  const content = generateAiderContent(context);
+  writeGeneratedFile(
+    cwd,
+    '.aider.conf.yml',
+    renderTemplateFile(cwd, 'aider', '.aider.conf.yml', context),
+    options,
+    results
+  );
+  writeIgnoreFile(cwd, '.aiderignore', 'Aider', context, options, results);
+}
 
-  if (!options.dryRun) {
-    writeFileSync(targetPath, content);
+/**
+ * Generate Google Gemini CLI configuration
+ * @see https://developers.google.com/gemini-code-assist/docs/gemini-cli
+ */
+async function generateGeminiConfig(cwd, context, options, results) {
+  writeGeneratedFile(
+    cwd,
+    'GEMINI.md',
+    appendExtraSections(renderTemplateFile(cwd, 'gemini', 'GEMINI.md', context), context, 'gemini'),
+    options,
+    results
+  );
+  writeIgnoreFile(cwd, '.geminiignore', 'Gemini CLI', context, options, results);
+  writeMcpJson(cwd, '.gemini/settings.json', 'gemini', context, options, results);
+
+  // Custom commands, one per guvnr.yaml skill
+  for (const skill of context.skills || []) {
+    writeGeneratedFile(
+      cwd,
+      `.gemini/commands/${skill.name}.toml`,
+      renderGeminiCommand(skill),
+      options,
+      results
+    );
   }
-  results.created.push('.aider.conf.yml');
-}
-
-function generateAiderContent(_context) {
-  return `# Aider Configuration
-# Generated by Guvnr
-# See: https://aider.chat/docs/config.html
-
-# Auto-commit changes with good messages
-auto-commits: true
-
-# Run linter after changes
-auto-lint: true
-
-# Run tests after changes
-auto-test: true
-
-# Test command
-test-cmd: npm test
-
-# Lint command
-lint-cmd: npm run lint
-
-# Git settings
-git: true
-gitignore: true
-
-# Don't modify these files
-read-only:
-  - "*.lock"
-  - ".env*"
-  - "dist/**"
-  - "build/**"
-
-# Model preferences (uncomment to use)
-# model: claude-3-5-sonnet-20241022
-# weak-model: claude-3-haiku-20240307
-
-# Editor mode preference
-# edit-format: diff
-
-# Security: verify code before accepting
-show-diffs: true
-`;
-}
-
-/**
- * Generate Google Gemini CLI configuration
- * @see https://developers.google.com/gemini-code-assist/docs/gemini-cli
- */
-async function generateGeminiConfig(cwd, context, options, results) {
-  const targetPath = join(cwd, 'GEMINI.md');
-
-  if (existsSync(targetPath) && !options.force) {
-    results.skipped.push('GEMINI.md (exists)');
-    return;
-  }
-
-  const content = generateGeminiContent(context);
-
-  if (!options.dryRun) {
-    writeFileSync(targetPath, content);
-  }
-  results.created.push('GEMINI.md');
-}
-
-function generateGeminiContent(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `# Gemini CLI Project Configuration
-# This file is read by Gemini CLI for project-specific context
-# See: https://developers.google.com/gemini-code-assist/docs/gemini-cli
-
-## Project: ${projectName}
-
-${context?.overview || 'A software project configured for AI-assisted development with Gemini CLI.'}
-
-## Tech Stack
-
-${context?.techStack?.map(t => `- **${t.category}**: ${t.value}`).join('\n') || 'See package.json for dependencies.'}
-
-## Architecture
-
-${
-  context?.architecture ||
-  `Standard project structure:
-- \`src/\` - Source code
-- \`tests/\` - Test files
-- \`docs/\` - Documentation`
-}
-
-## Commands
-
-\`\`\`bash
-npm install    # Install dependencies
-npm test       # Run tests
-npm run build  # Build project
-npm run lint   # Check code style
-\`\`\`
-
-## Coding Conventions
-
-${
-  context?.conventions ||
-  `- Follow existing code patterns
-- Use conventional commits
-- Write tests for new features
-- Document public APIs`
-}
-
-## Security Guidelines
-
-When generating code:
-- Never hardcode secrets or credentials
-- Validate all user inputs
-- Use parameterized queries for databases
-- Sanitize output to prevent XSS
-- Verify dependencies exist before adding
-
-## Boundaries
-
-Files to never modify without explicit permission:
-- \`.env\` files
-- Lock files (package-lock.json, yarn.lock)
-- Generated files in dist/ or build/
-- Migration files
-
----
-*Generated by [Guvnr](https://guvnr.dev)*
-`;
 }
 
 /**
@@ -1316,95 +1886,27 @@ Files to never modify without explicit permission:
  * @see https://developers.openai.com/codex/
  */
 async function generateCodexConfig(cwd, context, options, results) {
-  const codexDir = join(cwd, '.codex');
-
-  if (!options.dryRun) {
-    mkdirSync(codexDir, { recursive: true });
-  }
-
   // Generate config.toml
-  const configPath = join(codexDir, 'config.toml');
-  if (!existsSync(configPath) || options.force) {
-    const content = generateCodexToml(context);
-    if (!options.dryRun) {
-      writeFileSync(configPath, content);
-    }
-    results.created.push('.codex/config.toml');
-  } else {
-    results.skipped.push('.codex/config.toml (exists)');
-  }
+  writeGeneratedFile(
+    cwd,
+    '.codex/config.toml',
+    renderTemplateFile(cwd, 'codex', 'config.toml', context),
+    options,
+    results
+  );
 
   // Generate AGENTS.override.md for Codex-specific overrides
-  const overridePath = join(codexDir, 'AGENTS.override.md');
-  if (!existsSync(overridePath) || options.force) {
-    const content = generateCodexAgentsOverride(context);
-    if (!options.dryRun) {
-      writeFileSync(overridePath, content);
-    }
-    results.created.push('.codex/AGENTS.override.md');
-  } else {
-    results.skipped.push('.codex/AGENTS.override.md (exists)');
-  }
-}
-
-function generateCodexToml(_context) {
-  return `# Codex CLI Configuration
-# Generated by Guvnr
-# See: https://developers.openai.com/codex/local-config/
-
-# Approval settings
-# ask_for_approval = "on-failure"  # Options: always, on-failure, never
-
-# Sandbox settings for filesystem/network access
-# sandbox_mode = "workspace-write"  # Options: off, workspace-write, workspace-read
-
-# Model selection (uncomment to use)
-# model = "gpt-5.2-codex"
-
-# Additional writable paths beyond workspace
-# writable_roots = []
-
-# Execution policy file
-# execpolicy_file = ".codex/execpolicy.json"
-`;
-}
-
-function generateCodexAgentsOverride(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `# Codex-Specific Agent Instructions
-# This file overrides AGENTS.md for Codex CLI
-# See: https://developers.openai.com/codex/guides/agents-md/
-
-## Project: ${projectName}
-
-## Codex-Specific Guidelines
-
-When working with Codex CLI:
-
-### Verification
-- Always run tests after making changes
-- Use \`npm test\` for test verification
-- Use \`npm run lint\` for code style
-
-### Safety
-- Prefer sandbox mode for untrusted operations
-- Request approval for destructive actions
-- Verify file paths before modifications
-
-### Skills
-- Use available Codex skills when applicable
-- Invoke skills with \`$skill-name\` syntax
-
-## Security Checklist
-${
-  context?.securityChecklist?.map(item => `- ${item}`).join('\n') ||
-  `- Validate inputs
-- No hardcoded secrets
-- Sanitize outputs
-- Verify dependencies`
-}
-`;
+  writeGeneratedFile(
+    cwd,
+    '.codex/AGENTS.override.md',
+    appendExtraSections(
+      renderTemplateFile(cwd, 'codex', 'AGENTS.override.md', context),
+      context,
+      'codex'
+    ),
+    options,
+    results
+  );
 }
 
 /**
@@ -1412,77 +1914,13 @@ ${
  * @see https://zed.dev/docs/ai/rules
  */
 async function generateZedRules(cwd, context, options, results) {
-  const targetPath = join(cwd, '.rules');
-
-  if (existsSync(targetPath) && !options.force) {
-    results.skipped.push('.rules (exists)');
-    return;
-  }
-
-  const content = generateZedContent(context);
-
-  if (!options.dryRun) {
-    writeFileSync(targetPath, content);
-  }
-  results.created.push('.rules');
-}
-
-function generateZedContent(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `# Zed AI Rules for ${projectName}
-# Priority: .rules > .cursorrules > .windsurfrules > AGENTS.md
-# See: https://zed.dev/docs/ai/rules
-
-## Project Overview
-
-${context?.overview || 'A software project configured for AI-assisted development.'}
-
-## Tech Stack
-
-${context?.techStack?.map(t => `- ${t.category}: ${t.value}`).join('\n') || 'See package.json for dependencies.'}
-
-## Coding Conventions
-
-${
-  context?.conventions ||
-  `- Follow existing patterns in the codebase
-- Use consistent naming conventions
-- Write self-documenting code
-- Add tests for new functionality`
-}
-
-## Commands
-
-\`\`\`bash
-npm install    # Install dependencies
-npm test       # Run tests
-npm run build  # Build project
-npm run lint   # Check code style
-\`\`\`
-
-## Security Requirements
-
-When generating code:
-- Never hardcode secrets or credentials
-- Validate all user inputs
-- Use parameterized queries for database operations
-- Sanitize output to prevent XSS
-- Verify dependencies exist before adding them
-
-## Git Workflow
-
-- Use conventional commits (feat, fix, docs, refactor, test)
-- Run tests before committing
-- Create feature branches from main
-
-## Files to Avoid Modifying
-
-- .env files (contain secrets)
-- Lock files (package-lock.json, yarn.lock)
-- Generated/compiled files in dist/ or build/
-- Migration files (create new ones instead)
-`;
+  writeGeneratedFile(
+    cwd,
+    '.rules',
+    appendExtraSections(renderTemplateFile(cwd, 'zed', '.rules', context), context, 'zed'),
+    options,
+    results
+  );
 }
 
 /**
@@ -1491,58 +1929,14 @@ When generating code:
  */
 async function generateAmpConfig(cwd, context, options, results) {
   // Amp reads AGENTS.md, but we can add amp-specific config
-  const targetPath = join(cwd, 'amp.toml');
-
-  if (existsSync(targetPath) && !options.force) {
-    results.skipped.push('amp.toml (exists)');
-    return;
-  }
-
-  const content = generateAmpToml(context);
-
-  if (!options.dryRun) {
-    writeFileSync(targetPath, content);
-  }
-  results.created.push('amp.toml');
-}
-
-function generateAmpToml(_context) {
-  return `# Amp Configuration
-# Generated by Guvnr
-# See: https://ampcode.com/manual
-
-[amp]
-# Enable extended thinking for complex tasks
-# anthropic.thinking.enabled = true
 
-# Enable todo tracking
-todos.enabled = true
-
-# Tool execution timeout (seconds)
-tools.stopTimeout = 600
-
-# Git integration
-git.commit.ampThread.enabled = true
-git.commit.coauthor.enabled = true
-
-[amp.permissions]
-# Define tool permissions
-# Example: block dangerous commands
-# [[amp.permissions.rules]]
-# tool = "shell"
-# action = "reject"
-# pattern = "rm -rf /*"
-
-[amp.terminal]
-# Terminal settings
-# commands.nodeSpawn.loadProfile = "daily"
-
-# MCP Servers (uncomment to add)
-# [amp.mcpServers]
-# [amp.mcpServers.memory]
-# command = "npx"
-# args = ["-y", "@modelcontextprotocol/server-memory"]
-`;
+  writeGeneratedFile(
+    cwd,
+    'amp.toml',
+    renderTemplateFile(cwd, 'amp', 'amp.toml', context),
+    options,
+    results
+  );
 }
 
 /**
@@ -1550,116 +1944,34 @@ git.commit.coauthor.enabled = true
  * @see https://roocode.com
  */
 async function generateRooRules(cwd, context, options, results) {
-  const rooDir = join(cwd, '.roo');
-  const rulesDir = join(rooDir, 'rules');
-
-  if (!options.dryRun) {
-    mkdirSync(rulesDir, { recursive: true });
-  }
-
   // Generate main rules file
-  const mainRulePath = join(rulesDir, 'project.md');
-  if (!existsSync(mainRulePath) || options.force) {
-    const content = generateRooMainRule(context);
-    if (!options.dryRun) {
-      writeFileSync(mainRulePath, content);
-    }
-    results.created.push('.roo/rules/project.md');
-  } else {
-    results.skipped.push('.roo/rules/project.md (exists)');
-  }
+  writeGeneratedFile(
+    cwd,
+    '.roo/rules/project.md',
+    appendExtraSections(renderTemplateFile(cwd, 'roo', 'project.md', context), context, 'roo'),
+    options,
+    results
+  );
 
   // Generate security rules
-  const securityRulePath = join(rulesDir, 'security.md');
-  if (!existsSync(securityRulePath) || options.force) {
-    const content = generateRooSecurityRule(context);
-    if (!options.dryRun) {
-      writeFileSync(securityRulePath, content);
-    }
-    results.created.push('.roo/rules/security.md');
-  } else {
-    results.skipped.push('.roo/rules/security.md (exists)');
-  }
+  writeGeneratedFile(
+    cwd,
+    '.roo/rules/security.md',
+    renderTemplateFile(cwd, 'roo', 'security.md', context),
+    options,
+    results
+  );
 
   // Generate .roomodes file for custom modes
-  const roomodesPath = join(rooDir, '.roomodes');
-  if (!existsSync(roomodesPath) || options.force) {
-    const content = generateRoomodes(context);
-    if (!options.dryRun) {
-      writeFileSync(roomodesPath, content);
-    }
-    results.created.push('.roo/.roomodes');
-  } else {
-    results.skipped.push('.roo/.roomodes (exists)');
-  }
-}
-
-function generateRooMainRule(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `# Roo Code Project Rules: ${projectName}
-
-## Overview
-${context?.overview || 'A software project configured for AI-assisted development.'}
-
-## Tech Stack
-${context?.techStack?.map(t => `- ${t.category}: ${t.value}`).join('\n') || '- See package.json for dependencies'}
-
-## Conventions
-${
-  context?.conventions ||
-  `- Follow existing code patterns
-- Use conventional commits (feat, fix, docs, refactor, test)
-- Write tests for new functionality
-- Run tests before committing`
-}
-
-## Commands
-\`\`\`bash
-npm install  # Install dependencies
-npm test     # Run tests
-npm run lint # Check code style
-\`\`\`
-
-## Git Workflow
-- Create feature branches from main
-- Use descriptive commit messages
-- Run tests before pushing
-`;
+  writeGeneratedFile(cwd, '.roo/.roomodes', generateRoomodes(context), options, results);
 }
 
-function generateRooSecurityRule(_context) {
-  return `# Roo Code Security Rules
-
-## Input Validation
-- Validate all user inputs
-- Use parameterized queries for databases
-- Sanitize HTML output to prevent XSS
-
-## Secrets Management
-- Never hardcode credentials or API keys
-- Use environment variables for secrets
-- Never log sensitive data
-
-## Dependency Security
-- Verify packages exist before adding
-- Check for known vulnerabilities
-- Prefer well-maintained libraries
-
-## Error Handling
-- Don't expose internal details in error messages
-- Log errors securely
-- Return safe, generic error messages to users
-
-## OWASP Top 10 Awareness
-- Prevent injection attacks (SQL, command, XSS)
-- Implement proper authentication
-- Protect sensitive data
-- Use secure configurations
-`;
-}
+function generateRoomodes(context) {
+  // Custom modes from guvnr.yaml agents, or two general-purpose modes
+  if (context?.agents?.length > 0) {
+    return renderRooModes(context.agents);
+  }
 
-function generateRoomodes(_context) {
   return `{
   "customModes": [
     {
@@ -1687,743 +1999,266 @@ function generateRoomodes(_context) {
  * @see https://agentskills.io/specification
  */
 async function generateSkills(cwd, context, options, results) {
-  const skillsDir = join(cwd, '.github', 'skills', 'project-standards');
-
-  if (!options.dryRun) {
-    mkdirSync(skillsDir, { recursive: true });
-  }
-
   // Generate main SKILL.md
-  const skillPath = join(skillsDir, 'SKILL.md');
-  if (!existsSync(skillPath) || options.force) {
-    const content = generateSkillMdContent(context);
-    if (!options.dryRun) {
-      writeFileSync(skillPath, content);
-    }
-    results.created.push('.github/skills/project-standards/SKILL.md');
-  } else {
-    results.skipped.push('.github/skills/project-standards/SKILL.md (exists)');
-  }
+  writeGeneratedFile(
+    cwd,
+    '.github/skills/project-standards/SKILL.md',
+    renderTemplateFile(cwd, 'skills', 'project-standards/SKILL.md', context),
+    options,
+    results
+  );
 
-  // Also create security-review skill
-  const securitySkillDir = join(cwd, '.github', 'skills', 'security-review');
-  if (!options.dryRun) {
-    mkdirSync(securitySkillDir, { recursive: true });
+  // One skill per guvnr.yaml skill
+  for (const skill of context.skills || []) {
+    writeGeneratedFile(
+      cwd,
+      `.github/skills/${skill.name}/SKILL.md`,
+      renderSkillFile(skill, context),
+      options,
+      results
+    );
   }
 
-  const securitySkillPath = join(securitySkillDir, 'SKILL.md');
-  if (!existsSync(securitySkillPath) || options.force) {
-    const content = generateSecuritySkillContent(context);
-    if (!options.dryRun) {
-      writeFileSync(securitySkillPath, content);
-    }
-    results.created.push('.github/skills/security-review/SKILL.md');
-  } else {
-    results.skipped.push('.github/skills/security-review/SKILL.md (exists)');
+  // Built-in security review skill, unless guvnr.yaml defines its own
+  if (!(context.skills || []).some(skill => skill.name === 'security-review')) {
+    writeGeneratedFile(
+      cwd,
+      '.github/skills/security-review/SKILL.md',
+      renderTemplateFile(cwd, 'skills', 'security-review/SKILL.md', context),
+      options,
+      results
+    );
   }
 }
 
-function generateSkillMdContent(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `---
-name: project-standards
-description: Apply project coding standards, conventions, and best practices for ${projectName}
----
-
-# Project Standards Skill
-
-This skill ensures code follows the project's established patterns and conventions.
-
-## When to Use
-
-Activate this skill when:
-- Writing new code in this repository
-- Reviewing or modifying existing code
-- Setting up new components or modules
+/**
+ * Generate JetBrains Junie guidelines
+ * @see https://www.jetbrains.com/help/junie/customize-guidelines.html
+ */
+async function generateJunieGuidelines(cwd, context, options, results) {
+  writeGeneratedFile(
+    cwd,
+    '.junie/guidelines.md',
+    appendExtraSections(
+      renderTemplateFile(cwd, 'junie', 'guidelines.md', context),
+      context,
+      'junie'
+    ),
+    options,
+    results
+  );
+}
 
-## Coding Conventions
+/**
+ * Generate Cline rules
+ * @see https://docs.cline.bot/features/cline-rules
+ */
+async function generateClineRules(cwd, context, options, results) {
+  // Generate single .clinerules file (can also be a directory)
 
-${
-  context?.conventions ||
-  `- Follow existing code patterns in the repository
-- Use consistent naming conventions
-- Write self-documenting code with clear variable names
-- Add JSDoc/docstrings for public APIs`
+  writeGeneratedFile(
+    cwd,
+    '.clinerules',
+    appendExtraSections(renderTemplateFile(cwd, 'cline', '.clinerules', context), context, 'cline'),
+    options,
+    results
+  );
 }
 
-## Tech Stack
-
-${context?.techStack?.map(t => `- **${t.category}**: ${t.value}`).join('\n') || '- See package.json for dependencies'}
+/**
+ * Generate Block Goose configuration
+ * Goose uses AGENTS.md + MCP servers
+ * @see https://block.github.io/goose/
+ */
+async function generateGooseConfig(cwd, context, options, results) {
+  // Goose primarily uses AGENTS.md which we already generate
+  // We'll add a .goose directory with extension recommendations
 
-## Testing Requirements
+  // Generate extensions.yaml for recommended MCP extensions
+  writeGeneratedFile(
+    cwd,
+    '.goose/extensions.yaml',
+    generateGooseExtensions(context),
+    options,
+    results
+  );
 
-- Write unit tests for new functionality
-- Ensure tests pass before committing: \`npm test\`
-- Include edge cases in test coverage
+  // Generate README for Goose users
+  writeGeneratedFile(
+    cwd,
+    '.goose/README.md',
+    renderTemplateFile(cwd, 'goose', 'README.md', context),
+    options,
+    results
+  );
 
-## Commit Standards
+  // Recipes, one per guvnr.yaml skill
+  for (const skill of context.skills || []) {
+    writeGeneratedFile(
+      cwd,
+      `.goose/recipes/${skill.name}.yaml`,
+      renderGooseRecipe(skill),
+      options,
+      results
+    );
+  }
+}
 
-Use conventional commits:
-- \`feat:\` new features
-- \`fix:\` bug fixes
-- \`docs:\` documentation changes
-- \`refactor:\` code improvements
-- \`test:\` test additions/changes
+function generateGooseExtensions(context) {
+  const servers = renderMcpYaml('goose', context?.mcpServers, 2);
 
-## Verification Commands
+  return `# Goose Extensions Configuration
+# Recommended extensions for this project
+# See: https://block.github.io/goose/docs/guides/using-extensions/
 
-\`\`\`bash
-npm test        # Run tests
-npm run lint    # Check code style
-npm run build   # Verify build
-\`\`\`
+# To add these extensions, run:
+#   goose configure
 
-## Files to Avoid
+recommended_extensions:
+  # Developer tools (built-in)
+  - name: developer
+    enabled: true
+    type: builtin
+    description: Core development tools for file operations and shell commands
 
-Never modify without explicit permission:
-- \`.env\` files (contain secrets)
-- Lock files (package-lock.json, yarn.lock)
-- Generated files in dist/ or build/
+  # MCP servers from mcp_servers in guvnr.yaml
+${servers || '  # (none defined)'}
 `;
 }
 
-function generateSecuritySkillContent(_context) {
-  return `---
-name: security-review
-description: Perform security-focused code review using OWASP guidelines and AI-specific security best practices
-allowed-tools: Read, Grep, Glob
----
+/**
+ * Generate Claude Code Plugins
+ * @see https://code.claude.com/docs/en/plugins-reference
+ */
+async function generateClaudePlugins(cwd, context, options, results) {
+  // Generate plugin.json manifest
+  writeGeneratedFile(
+    cwd,
+    '.claude-plugin/plugin.json',
+    generatePluginManifest(context),
+    options,
+    results
+  );
 
-# Security Review Skill
+  // Generate plugin README
+  writeGeneratedFile(
+    cwd,
+    '.claude-plugin/README.md',
+    renderTemplateFile(cwd, 'plugins', 'README.md', context),
+    options,
+    results
+  );
+}
 
-This skill performs comprehensive security analysis of code.
+function generatePluginManifest(context) {
+  const projectName = context?.projectName || basename(process.cwd());
+  const safeName = projectName.toLowerCase().replace(/[^a-z0-9-]/g, '-');
 
-## When to Use
+  return JSON.stringify(
+    {
+      name: safeName,
+      version: '1.0.0',
+      description: `Claude Code plugin for ${projectName}`,
+      author: 'Guvnr',
+      repository: '',
+      commands: './commands',
+      agents: './agents',
+      skills: './skills',
+      hooks: './hooks.json',
+      mcp: './.mcp.json'
+    },
+    null,
+    2
+  );
+}
 
-Activate this skill when:
-- Reviewing AI-generated code
-- Auditing authentication/authorization code
-- Checking for OWASP Top 10 vulnerabilities
-- Validating dependency security
+/**
+ * Generate Kiro CLI configuration (AWS Q Developer successor)
+ * @see https://kiro.dev/docs/cli/
+ */
+async function generateKiroConfig(cwd, context, options, results) {
+  // Kiro uses project-local files, similar to Q Developer
 
-## OWASP Top 10 Checks
+  // Generate MCP configuration
+  writeMcpJson(cwd, '.kiro/mcp.json', 'kiro', context, options, results);
 
-### 1. Injection Prevention
-- SQL injection: Use parameterized queries
-- Command injection: Avoid shell execution with user input
-- XSS: Sanitize all HTML output
+  // Generate steering rules directory
 
-### 2. Authentication
-- No hardcoded credentials
-- Secure password hashing
-- Proper session management
+  writeGeneratedFile(
+    cwd,
+    '.kiro/steering/project.md',
+    appendExtraSections(renderTemplateFile(cwd, 'kiro', 'project.md', context), context, 'kiro'),
+    options,
+    results
+  );
 
-### 3. Sensitive Data
-- Encrypt data at rest and in transit
-- Never log passwords, tokens, or PII
-- Use environment variables for secrets
+  // Path-scoped steering, included when a matching file is read
+  for (const rule of context.rules || []) {
+    writeGeneratedFile(
+      cwd,
+      `.kiro/steering/${rule.name}.md`,
+      generateKiroPathSteering(rule),
+      options,
+      results
+    );
+  }
 
-## AI-Specific Security
-
-### Slopsquatting Prevention
-Before adding any dependency:
-1. Verify package exists on registry (npm, PyPI, etc.)
-2. Check download counts and maintenance status
-3. Review for known vulnerabilities
-4. Cross-reference with official documentation
-
-### Code Review Checklist
-- [ ] No hardcoded secrets or API keys
-- [ ] Input validation present on all user inputs
-- [ ] Error messages don't expose internal details
-- [ ] Dependencies are verified (not hallucinated)
-- [ ] Authentication/authorization properly checked
-- [ ] No eval() or dynamic code execution with user input
-
-## Security Commands
-
-\`\`\`bash
-npm audit              # Check for known vulnerabilities
-npx snyk test          # Deep vulnerability scan
-npm outdated           # Check for outdated packages
-\`\`\`
-`;
-}
-
-/**
- * Generate JetBrains Junie guidelines
- * @see https://www.jetbrains.com/help/junie/customize-guidelines.html
- */
-async function generateJunieGuidelines(cwd, context, options, results) {
-  const junieDir = join(cwd, '.junie');
-
-  if (!options.dryRun) {
-    mkdirSync(junieDir, { recursive: true });
-  }
-
-  const guidelinesPath = join(junieDir, 'guidelines.md');
-  if (!existsSync(guidelinesPath) || options.force) {
-    const content = generateJunieContent(context);
-    if (!options.dryRun) {
-      writeFileSync(guidelinesPath, content);
-    }
-    results.created.push('.junie/guidelines.md');
-  } else {
-    results.skipped.push('.junie/guidelines.md (exists)');
-  }
-}
-
-function generateJunieContent(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `# Junie Guidelines for ${projectName}
-
-> These guidelines are automatically loaded by JetBrains Junie AI agent.
-> See: https://www.jetbrains.com/help/junie/customize-guidelines.html
-
-## Project Overview
-
-${context?.overview || 'A software project configured for AI-assisted development with JetBrains Junie.'}
-
-## Tech Stack
-
-${context?.techStack?.map(t => `- **${t.category}**: ${t.value}`).join('\n') || 'See package.json for dependencies.'}
-
-## Coding Conventions
-
-${
-  context?.conventions ||
-  `### General Rules
-- Follow existing code patterns in the repository
-- Use consistent naming conventions
-- Write self-documenting code
-- Add comments for complex logic only
-
-### Naming Conventions
-- camelCase for variables and functions
-- PascalCase for classes and components
-- SCREAMING_SNAKE_CASE for constants
-- kebab-case for file names`
-}
-
-## Testing Guidelines
-
-- Write unit tests for new functionality
-- Use descriptive test names that explain the behavior
-- Include edge cases and error conditions
-- Run tests before committing: \`npm test\`
-
-## Code Style
-
-- Use consistent indentation (2 spaces recommended)
-- Keep functions focused and small (<50 lines)
-- Prefer composition over inheritance
-- Use meaningful variable names
-
-## Commands
-
-\`\`\`bash
-npm install    # Install dependencies
-npm test       # Run tests
-npm run build  # Build project
-npm run lint   # Check code style
-\`\`\`
-
-## Security Guidelines
-
-When generating code:
-${
-  context?.securityChecklist?.map(item => `- ${item}`).join('\n') ||
-  `- Never hardcode secrets or credentials
-- Validate all user inputs
-- Use parameterized queries for databases
-- Sanitize output to prevent XSS
-- Verify dependencies exist before adding`
-}
-
-## Files to Avoid Modifying
-
-- \`.env\` files (contain secrets)
-- Lock files (package-lock.json, yarn.lock)
-- Generated files in dist/ or build/
-- Migration files (create new ones instead)
-
-## Antipatterns to Avoid
-
-- Don't use \`any\` type in TypeScript without justification
-- Don't catch errors without handling them
-- Don't leave console.log statements in production code
-- Don't commit commented-out code
-- Don't use deprecated APIs
-
----
-*Generated by [Guvnr](https://guvnr.dev)*
-`;
-}
-
-/**
- * Generate Cline rules
- * @see https://docs.cline.bot/features/cline-rules
- */
-async function generateClineRules(cwd, context, options, results) {
-  // Generate single .clinerules file (can also be a directory)
-  const clinerulePath = join(cwd, '.clinerules');
-
-  if (existsSync(clinerulePath) && !options.force) {
-    results.skipped.push('.clinerules (exists)');
-    return;
-  }
-
-  const content = generateClineContent(context);
-
-  if (!options.dryRun) {
-    writeFileSync(clinerulePath, content);
-  }
-  results.created.push('.clinerules');
-}
-
-function generateClineContent(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `# Cline Rules for ${projectName}
-
-> These rules are automatically applied by Cline AI assistant.
-> See: https://docs.cline.bot/features/cline-rules
-
-## Project Context
-
-${context?.overview || 'A software project configured for AI-assisted development with Cline.'}
-
-## Tech Stack
-
-${context?.techStack?.map(t => `- ${t.category}: ${t.value}`).join('\n') || 'See package.json for dependencies.'}
-
-## Coding Standards
-
-${
-  context?.conventions ||
-  `- Follow existing patterns in the codebase
-- Use consistent naming conventions
-- Write self-documenting code
-- Add tests for new functionality`
-}
-
-## Commands
-
-\`\`\`bash
-npm install    # Install dependencies
-npm test       # Run tests
-npm run build  # Build project
-npm run lint   # Check code style
-\`\`\`
-
-## Security Requirements
-
-${
-  context?.securityChecklist?.map(item => `- ${item}`).join('\n') ||
-  `- Never hardcode secrets or credentials
-- Validate all user inputs
-- Use parameterized queries
-- Sanitize output to prevent XSS
-- Verify dependencies exist before adding`
-}
-
-## File Restrictions
-
-Never modify without explicit permission:
-- .env files
-- Lock files (package-lock.json, yarn.lock)
-- Generated files in dist/ or build/
-- Database migration files
-
-## Git Workflow
-
-- Use conventional commits (feat, fix, docs, refactor, test)
-- Run tests before committing
-- Create descriptive commit messages
-- Keep commits focused and atomic
-
-## Plan Mode Guidelines
-
-When in Plan mode:
-- Analyze requirements thoroughly
-- Consider edge cases
-- Design before implementing
-- Document architectural decisions
-
-## Act Mode Guidelines
-
-When in Act mode:
-- Follow the established plan
-- Make incremental changes
-- Verify each step works
-- Run tests after changes
-`;
-}
-
-/**
- * Generate Block Goose configuration
- * Goose uses AGENTS.md + MCP servers
- * @see https://block.github.io/goose/
- */
-async function generateGooseConfig(cwd, context, options, results) {
-  // Goose primarily uses AGENTS.md which we already generate
-  // We'll add a .goose directory with extension recommendations
-
-  const gooseDir = join(cwd, '.goose');
-
-  if (!options.dryRun) {
-    mkdirSync(gooseDir, { recursive: true });
-  }
-
-  // Generate extensions.yaml for recommended MCP extensions
-  const extensionsPath = join(gooseDir, 'extensions.yaml');
-  if (!existsSync(extensionsPath) || options.force) {
-    const content = generateGooseExtensions(context);
-    if (!options.dryRun) {
-      writeFileSync(extensionsPath, content);
-    }
-    results.created.push('.goose/extensions.yaml');
-  } else {
-    results.skipped.push('.goose/extensions.yaml (exists)');
-  }
-
-  // Generate README for Goose users
-  const readmePath = join(gooseDir, 'README.md');
-  if (!existsSync(readmePath) || options.force) {
-    const content = generateGooseReadme(context);
-    if (!options.dryRun) {
-      writeFileSync(readmePath, content);
-    }
-    results.created.push('.goose/README.md');
-  } else {
-    results.skipped.push('.goose/README.md (exists)');
-  }
-}
-
-function generateGooseExtensions(_context) {
-  return `# Goose Extensions Configuration
-# Recommended MCP extensions for this project
-# See: https://block.github.io/goose/docs/guides/using-extensions/
-
-# To add these extensions, run:
-#   goose configure
-
-recommended_extensions:
-  # Developer tools (built-in)
-  - name: developer
-    enabled: true
-    type: builtin
-    description: Core development tools for file operations and shell commands
-
-  # Memory for persistent context
-  - name: memory
-    enabled: true
-    type: mcp
-    command: npx
-    args: ["-y", "@anthropic-ai/mcp-server-memory"]
-    description: Persistent memory for decisions and patterns
-
-  # Git operations
-  - name: git
-    enabled: true
-    type: mcp
-    command: npx
-    args: ["-y", "@anthropic-ai/mcp-server-git"]
-    description: Git operations and repository management
-
-  # Filesystem access
-  - name: filesystem
-    enabled: true
-    type: mcp
-    command: npx
-    args: ["-y", "@anthropic-ai/mcp-server-filesystem", "--allowed-directories", "."]
-    description: Enhanced filesystem operations
-
-# Optional extensions (uncomment to enable)
-# - name: github
-#   enabled: false
-#   type: mcp
-#   command: npx
-#   args: ["-y", "@anthropic-ai/mcp-server-github"]
-#   env:
-#     GITHUB_TOKEN: "\${GITHUB_TOKEN}"
-
-# - name: postgres
-#   enabled: false
-#   type: mcp
-#   command: npx
-#   args: ["-y", "@anthropic-ai/mcp-server-postgres"]
-#   env:
-#     DATABASE_URL: "\${DATABASE_URL}"
-`;
-}
-
-function generateGooseReadme(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `# Goose Configuration for ${projectName}
-
-This directory contains configuration for [Block Goose](https://block.github.io/goose/),
-an open-source AI agent that runs locally on your machine.
-
-## Quick Start
-
-1. Install Goose: https://block.github.io/goose/docs/quickstart/
-2. Configure your provider: \`goose configure\`
-3. Start Goose: \`goose\` or use the desktop app
-
-## Project Configuration
-
-Goose automatically reads:
-- \`AGENTS.md\` - Project-level AI agent instructions
-- \`.goose/extensions.yaml\` - Recommended MCP extensions
-
-## Recommended Extensions
-
-See \`extensions.yaml\` for recommended MCP extensions including:
-- **developer** - Core development tools
-- **memory** - Persistent context across sessions
-- **git** - Git operations
-- **filesystem** - Enhanced file operations
-
-## Security Notes
-
-- Goose runs locally - your code never leaves your machine
-- Review all suggested changes before accepting
-- Use \`GOOSE_MODE=smart_approve\` for balanced security/convenience
-
-## Links
-
-- [Goose Documentation](https://block.github.io/goose/)
-- [MCP Extensions](https://block.github.io/goose/docs/guides/using-extensions/)
-- [AAIF (Agentic AI Foundation)](https://aaif.io)
-
----
-*Generated by [Guvnr](https://guvnr.dev)*
-`;
-}
+  // Agent hooks that run guvnr.yaml commands
+  for (const [name, hook] of Object.entries(generateKiroHooks(context))) {
+    writeGeneratedFile(cwd, `.kiro/hooks/${name}.kiro.hook`, hook, options, results);
+  }
+}
 
 /**
- * Generate Claude Code Plugins
- * @see https://code.claude.com/docs/en/plugins-reference
+ * Kiro agent hooks for guvnr.yaml `commands`: lint each edited file, and a
+ * manual hook that runs every check `guvnr verify` runs
+ * @see https://kiro.dev/docs/hooks/
+ * @param {Object} context - Project context
+ * @returns {Object<string, string>} Hook file contents by hook name
  */
-async function generateClaudePlugins(cwd, context, options, results) {
-  const pluginDir = join(cwd, '.claude-plugin');
-
-  if (!options.dryRun) {
-    mkdirSync(pluginDir, { recursive: true });
-  }
+function generateKiroHooks(context) {
+  const hook = (name, description, when, prompt) =>
+    JSON.stringify(
+      { enabled: true, name, description, version: '1', when, then: { type: 'askAgent', prompt } },
+      null,
+      2
+    );
 
-  // Generate plugin.json manifest
-  const manifestPath = join(pluginDir, 'plugin.json');
-  if (!existsSync(manifestPath) || options.force) {
-    const content = generatePluginManifest(context);
-    if (!options.dryRun) {
-      writeFileSync(manifestPath, content);
-    }
-    results.created.push('.claude-plugin/plugin.json');
-  } else {
-    results.skipped.push('.claude-plugin/plugin.json (exists)');
+  const hooks = {};
+  const lint = projectCommand(context, 'lint');
+  if (lint) {
+    hooks.lint = hook(
+      'Lint edited files',
+      'Runs the lint command from guvnr.yaml after a file is saved',
+      { type: 'fileEdited', patterns: ['**/*'] },
+      `Run \`${lint}\` and fix any problems it reports in the files you changed.`
+    );
   }
 
-  // Generate plugin README
-  const readmePath = join(pluginDir, 'README.md');
-  if (!existsSync(readmePath) || options.force) {
-    const content = generatePluginReadme(context);
-    if (!options.dryRun) {
-      writeFileSync(readmePath, content);
-    }
-    results.created.push('.claude-plugin/README.md');
-  } else {
-    results.skipped.push('.claude-plugin/README.md (exists)');
+  const checks = verificationCommands(context?.projectCommands);
+  if (checks.length > 0) {
+    hooks.verify = hook(
+      'Verify',
+      'Runs the checks from guvnr.yaml commands',
+      { type: 'userTriggered' },
+      `Run these checks in order and fix any failures:\n${checks
+        .map(({ name, command }) => `- ${name}: \`${command}\``)
+        .join('\n')}`
+    );
   }
+  return hooks;
 }
 
-function generatePluginManifest(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-  const safeName = projectName.toLowerCase().replace(/[^a-z0-9-]/g, '-');
-
-  return JSON.stringify(
-    {
-      name: safeName,
-      version: '1.0.0',
-      description: `Claude Code plugin for ${projectName}`,
-      author: 'Guvnr',
-      repository: '',
-      commands: './commands',
-      agents: './agents',
-      skills: './skills',
-      hooks: './hooks.json',
-      mcp: './.mcp.json'
-    },
-    null,
-    2
-  );
-}
-
-function generatePluginReadme(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `# Claude Code Plugin: ${projectName}
-
-This directory contains a Claude Code plugin configuration.
-
-## Plugin Structure
-
-\`\`\`
-.claude-plugin/
-├── plugin.json          # Plugin manifest (required)
-├── README.md            # This file
-├── commands/            # Slash commands (optional)
-├── agents/              # Custom agents (optional)
-├── skills/              # Agent skills (optional)
-├── hooks.json           # Event hooks (optional)
-└── .mcp.json            # MCP servers (optional)
-\`\`\`
-
-## Installation
-
-This plugin is installed locally in the project. To share it:
-
-1. Push to a git repository
-2. Add to a marketplace: \`/plugin marketplace add your-org/your-repo\`
-3. Others can install: \`/plugin install your-org/your-repo\`
-
-## Plugin Scopes
-
-- **User**: \`/plugin install --user\` - Available across all projects
-- **Project**: \`/plugin install --project\` - Shared with collaborators
-- **Local**: \`/plugin install --local\` - Only for you in this project
-
-## Resources
-
-- [Claude Code Plugins Docs](https://code.claude.com/docs/en/plugins-reference)
-- [Plugin Marketplaces](https://code.claude.com/docs/en/discover-plugins)
+function generateKiroPathSteering(rule) {
+  const pattern =
+    rule.paths.length === 1 ? JSON.stringify(rule.paths[0]) : formatGlobList(rule.paths);
 
+  return `---
+inclusion: fileMatch
+fileMatchPattern: ${pattern}
 ---
-*Generated by [Guvnr](https://guvnr.dev)*
-`;
-}
-
-/**
- * Generate Kiro CLI configuration (AWS Q Developer successor)
- * @see https://kiro.dev/docs/cli/
- */
-async function generateKiroConfig(cwd, context, options, results) {
-  // Kiro uses project-local files, similar to Q Developer
-  const kiroDir = join(cwd, '.kiro');
-
-  if (!options.dryRun) {
-    mkdirSync(kiroDir, { recursive: true });
-  }
-
-  // Generate MCP configuration
-  const mcpPath = join(kiroDir, 'mcp.json');
-  if (!existsSync(mcpPath) || options.force) {
-    const content = generateKiroMcpConfig(context);
-    if (!options.dryRun) {
-      writeFileSync(mcpPath, content);
-    }
-    results.created.push('.kiro/mcp.json');
-  } else {
-    results.skipped.push('.kiro/mcp.json (exists)');
-  }
-
-  // Generate steering rules directory
-  const steeringDir = join(kiroDir, 'steering');
-  if (!options.dryRun) {
-    mkdirSync(steeringDir, { recursive: true });
-  }
-
-  const steeringPath = join(steeringDir, 'project.md');
-  if (!existsSync(steeringPath) || options.force) {
-    const content = generateKiroSteering(context);
-    if (!options.dryRun) {
-      writeFileSync(steeringPath, content);
-    }
-    results.created.push('.kiro/steering/project.md');
-  } else {
-    results.skipped.push('.kiro/steering/project.md (exists)');
-  }
-}
-
-function generateKiroMcpConfig(_context) {
-  return JSON.stringify(
-    {
-      mcpServers: {
-        memory: {
-          command: 'npx',
-          args: ['-y', '@anthropic-ai/mcp-server-memory'],
-          disabled: false
-        },
-        filesystem: {
-          command: 'npx',
-          args: ['-y', '@anthropic-ai/mcp-server-filesystem', '--allowed-directories', '.'],
-          disabled: false
-        }
-      }
-    },
-    null,
-    2
-  );
-}
-
-function generateKiroSteering(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `# Kiro Steering Rules for ${projectName}
-
-> These rules guide Kiro CLI behavior for this project.
-> See: https://kiro.dev/docs/cli/
-
-## Project Context
-
-${context?.overview || 'A software project configured for AI-assisted development with Kiro CLI.'}
-
-## Tech Stack
-
-${context?.techStack?.map(t => `- ${t.category}: ${t.value}`).join('\n') || 'See package.json for dependencies.'}
 
-## Coding Standards
-
-${
-  context?.conventions ||
-  `- Follow existing code patterns
-- Use conventional commits
-- Write tests for new features
-- Run tests before committing`
-}
-
-## Commands
-
-\`\`\`bash
-npm install    # Install dependencies
-npm test       # Run tests
-npm run build  # Build project
-npm run lint   # Check code style
-\`\`\`
-
-## Security Guidelines
-
-${
-  context?.securityChecklist?.map(item => `- ${item}`).join('\n') ||
-  `- Never hardcode secrets or credentials
-- Validate all user inputs
-- Use parameterized queries
-- Verify dependencies exist before adding`
-}
-
-## Files to Avoid
-
-- .env files (contain secrets)
-- Lock files (package-lock.json, yarn.lock)
-- Generated files in dist/ or build/
-- Migration files
-
----
-*Generated by [Guvnr](https://guvnr.dev)*
+${renderRule(rule, '#').trimEnd()}
 `;
 }
 
@@ -2432,885 +2267,312 @@ ${
  * @see https://docs.continue.dev/reference
  */
 async function generateContinueConfig(cwd, context, options, results) {
-  const continueDir = join(cwd, '.continue');
-
-  if (!options.dryRun) {
-    mkdirSync(continueDir, { recursive: true });
-  }
-
   // Generate config.yaml
-  const configPath = join(continueDir, 'config.yaml');
-  if (!existsSync(configPath) || options.force) {
-    const content = generateContinueConfigYaml(context);
-    if (!options.dryRun) {
-      writeFileSync(configPath, content);
-    }
-    results.created.push('.continue/config.yaml');
-  } else {
-    results.skipped.push('.continue/config.yaml (exists)');
-  }
-
-  // Generate rules directory
-  const rulesDir = join(continueDir, 'rules');
-  if (!options.dryRun) {
-    mkdirSync(rulesDir, { recursive: true });
-  }
-
-  const rulesPath = join(rulesDir, 'project.md');
-  if (!existsSync(rulesPath) || options.force) {
-    const content = generateContinueRules(context);
-    if (!options.dryRun) {
-      writeFileSync(rulesPath, content);
-    }
-    results.created.push('.continue/rules/project.md');
-  } else {
-    results.skipped.push('.continue/rules/project.md (exists)');
-  }
-}
-
-function generateContinueConfigYaml(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `# Continue.dev Configuration
-# See: https://docs.continue.dev/reference
-# This file configures Continue's AI coding assistant
-
-name: "${projectName}"
-version: "1.0.0"
-
-# Model configuration (uncomment and configure as needed)
-# models:
-#   - name: "claude-3-5-sonnet"
-#     provider: "anthropic"
-#     apiKey: "\${ANTHROPIC_API_KEY}"
-#   - name: "gpt-4o"
-#     provider: "openai"
-#     apiKey: "\${OPENAI_API_KEY}"
-
-# Context providers
-contextProviders:
-  - name: "code"
-    params:
-      nRetrieve: 25
-  - name: "docs"
-    params:
-      sites:
-        - title: "Project Docs"
-          startUrl: "./docs"
-
-# Slash commands
-slashCommands:
-  - name: "test"
-    description: "Generate tests for selected code"
-  - name: "docs"
-    description: "Generate documentation for selected code"
-  - name: "review"
-    description: "Review selected code for issues"
-
-# MCP servers (Model Context Protocol)
-# mcpServers:
-#   - name: "memory"
-#     command: "npx"
-#     args: ["-y", "@anthropic-ai/mcp-server-memory"]
-
-# Rules directory for team standards
-rules:
-  - ".continue/rules/"
-`;
-}
-
-function generateContinueRules(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `# Continue.dev Rules for ${projectName}
-
-These rules are automatically applied by Continue's AI assistant.
-
-## Project Overview
-
-${context?.overview || 'A software project configured for AI-assisted development.'}
-
-## Tech Stack
-
-${context?.techStack?.map(t => `- **${t.category}**: ${t.value}`).join('\n') || 'See package.json for dependencies.'}
-
-## Coding Conventions
-
-${
-  context?.conventions ||
-  `- Follow existing patterns in the codebase
-- Use consistent naming conventions
-- Write self-documenting code
-- Add tests for new functionality`
-}
-
-## Security Guidelines
-
-${
-  context?.securityChecklist?.map(item => `- ${item}`).join('\n') ||
-  `- Never hardcode secrets or credentials
-- Validate all user inputs
-- Use parameterized queries for databases
-- Sanitize output to prevent XSS
-- Verify dependencies exist before adding`
-}
-
-## Commands
-
-\`\`\`bash
-npm install    # Install dependencies
-npm test       # Run tests
-npm run build  # Build project
-npm run lint   # Check code style
-\`\`\`
-
-## Git Workflow
-
-- Use conventional commits (feat, fix, docs, refactor, test)
-- Run tests before committing
-- Create feature branches from main
-- Keep commits focused and atomic
-
----
-*Generated by [Guvnr](https://guvnr.dev)*
-`;
-}
-
-/**
- * Generate Augment Code configuration
- * @see https://www.augmentcode.com
- */
-async function generateAugmentConfig(cwd, context, options, results) {
-  const augmentDir = join(cwd, '.augment');
-
-  if (!options.dryRun) {
-    mkdirSync(augmentDir, { recursive: true });
-  }
-
-  // Generate augment rules
-  const rulesPath = join(augmentDir, 'rules.md');
-  if (!existsSync(rulesPath) || options.force) {
-    const content = generateAugmentRules(context);
-    if (!options.dryRun) {
-      writeFileSync(rulesPath, content);
-    }
-    results.created.push('.augment/rules.md');
-  } else {
-    results.skipped.push('.augment/rules.md (exists)');
-  }
-
-  // Generate MCP configuration
-  const mcpPath = join(augmentDir, 'mcp.json');
-  if (!existsSync(mcpPath) || options.force) {
-    const content = generateAugmentMcp(context);
-    if (!options.dryRun) {
-      writeFileSync(mcpPath, content);
-    }
-    results.created.push('.augment/mcp.json');
-  } else {
-    results.skipped.push('.augment/mcp.json (exists)');
-  }
-}
-
-function generateAugmentRules(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `# Augment Code Rules for ${projectName}
-
-> These rules guide Augment's AI agent behavior.
-> See: https://www.augmentcode.com/changelog
-
-## Project Overview
-
-${context?.overview || 'A software project configured for AI-assisted development with Augment Code.'}
-
-## Tech Stack
-
-${context?.techStack?.map(t => `- **${t.category}**: ${t.value}`).join('\n') || 'See package.json for dependencies.'}
-
-## Coding Conventions
-
-${
-  context?.conventions ||
-  `### General Rules
-- Follow existing code patterns in the repository
-- Use consistent naming conventions
-- Write self-documenting code
-- Add comments for complex logic only
-
-### Naming Conventions
-- camelCase for variables and functions
-- PascalCase for classes and components
-- SCREAMING_SNAKE_CASE for constants
-- kebab-case for file names`
-}
-
-## Testing Requirements
-
-- Write unit tests for new functionality
-- Run tests before committing: \`npm test\`
-- Include edge cases and error conditions
-- Use descriptive test names
-
-## Security Guidelines
-
-${
-  context?.securityChecklist?.map(item => `- ${item}`).join('\n') ||
-  `- Never hardcode secrets or credentials
-- Validate all user inputs
-- Use parameterized queries for databases
-- Sanitize output to prevent XSS
-- Verify dependencies exist before adding`
-}
-
-## Commands
-
-\`\`\`bash
-npm install    # Install dependencies
-npm test       # Run tests
-npm run build  # Build project
-npm run lint   # Check code style
-\`\`\`
-
-## Files to Avoid
-
-Never modify without explicit permission:
-- \`.env\` files (contain secrets)
-- Lock files (package-lock.json, yarn.lock)
-- Generated files in dist/ or build/
-- Migration files
-
-## Custom Commands
-
-Use these slash commands in Augment:
-- \`/test\` - Generate tests for selected code
-- \`/docs\` - Generate documentation
-- \`/review\` - Review code for issues
-- \`/refactor\` - Suggest refactoring improvements
-
----
-*Generated by [Guvnr](https://guvnr.dev)*
-`;
-}
-
-function generateAugmentMcp(_context) {
-  return JSON.stringify(
-    {
-      mcpServers: {
-        memory: {
-          command: 'npx',
-          args: ['-y', '@anthropic-ai/mcp-server-memory'],
-          enabled: true
-        },
-        filesystem: {
-          command: 'npx',
-          args: ['-y', '@anthropic-ai/mcp-server-filesystem', '--allowed-directories', '.'],
-          enabled: true
-        }
-      }
-    },
-    null,
-    2
+  writeGeneratedFile(
+    cwd,
+    '.continue/config.yaml',
+    generateContinueConfigYaml(context),
+    options,
+    results
   );
-}
-
-/**
- * Generate Qodo AI configuration
- * @see https://www.qodo.ai
- */
-async function generateQodoConfig(cwd, context, options, results) {
-  // Generate qodo.toml configuration
-  const configPath = join(cwd, 'qodo.toml');
-  if (!existsSync(configPath) || options.force) {
-    const content = generateQodoToml(context);
-    if (!options.dryRun) {
-      writeFileSync(configPath, content);
-    }
-    results.created.push('qodo.toml');
-  } else {
-    results.skipped.push('qodo.toml (exists)');
-  }
-
-  // Generate best_practices.md
-  const bestPracticesPath = join(cwd, 'best_practices.md');
-  if (!existsSync(bestPracticesPath) || options.force) {
-    const content = generateQodoBestPractices(context);
-    if (!options.dryRun) {
-      writeFileSync(bestPracticesPath, content);
-    }
-    results.created.push('best_practices.md');
-  } else {
-    results.skipped.push('best_practices.md (exists)');
-  }
-}
-
-function generateQodoToml(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `# Qodo AI Configuration
-# See: https://www.qodo.ai
-# This file configures Qodo's AI coding agents
-
-[project]
-name = "${projectName}"
-version = "1.0.0"
-
-[agent]
-# Agent mode settings
-default_mode = "code"  # Options: ask, code, plan
-
-# Enable MCP tools
-mcp_enabled = true
-
-[testing]
-# Test generation settings
-framework = "jest"  # Options: jest, mocha, pytest, etc.
-coverage_target = 80
-
-[review]
-# Code review settings
-auto_review = true
-security_checks = true
-style_checks = true
-
-[security]
-# Security scanning
-owasp_checks = true
-dependency_audit = true
-secret_detection = true
-
-[git]
-# Git integration
-conventional_commits = true
-auto_stage = false
-branch_prefix = "feature/"
-
-[commands]
-# Custom test command
-test = "npm test"
-lint = "npm run lint"
-build = "npm run build"
-
-# Workflows (uncomment to customize)
-# [workflows.review]
-# steps = ["lint", "test", "security-scan"]
-
-# [workflows.deploy]
-# steps = ["test", "build", "deploy"]
-`;
-}
 
-function generateQodoBestPractices(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `# Best Practices for ${projectName}
-
-> This file is used by Qodo AI to enforce project-specific standards.
-> It can be auto-generated by running \`/scan_repo_discussions\` in Qodo Merge.
-> See: https://www.qodo.ai
-
-## Coding Standards
-
-${
-  context?.conventions ||
-  `### General Rules
-- Follow existing code patterns in the repository
-- Use consistent naming conventions
-- Write self-documenting code with clear variable names
-- Keep functions focused and small (< 50 lines)
-- Prefer composition over inheritance
-
-### Naming Conventions
-- Variables: camelCase (\`userName\`, \`itemCount\`)
-- Functions: camelCase with verb prefix (\`getUserById\`, \`calculateTotal\`)
-- Classes: PascalCase (\`UserService\`, \`OrderProcessor\`)
-- Constants: SCREAMING_SNAKE_CASE (\`MAX_RETRIES\`, \`API_BASE_URL\`)
-- Files: kebab-case (\`user-service.js\`, \`order-utils.ts\`)`
-}
-
-## Security Requirements
-
-${
-  context?.securityChecklist?.map(item => `- ${item}`).join('\n') ||
-  `- Never hardcode secrets, API keys, or credentials
-- Validate and sanitize all user inputs
-- Use parameterized queries for database operations
-- Sanitize HTML output to prevent XSS attacks
-- Verify that all dependencies exist and are maintained
-- Check for known vulnerabilities before adding packages`
-}
-
-## Testing Standards
-
-- Write unit tests for all new functions and methods
-- Include tests for edge cases and error conditions
-- Use descriptive test names that explain the expected behavior
-- Aim for meaningful coverage of critical paths (80%+)
-- Run \`npm test\` before every commit
-
-## Code Review Checklist
-
-When reviewing code, verify:
-- [ ] No hardcoded secrets or sensitive data
-- [ ] Input validation is present where needed
-- [ ] Error handling doesn't expose internal details
-- [ ] New dependencies are verified and necessary
-- [ ] Tests are included for new functionality
-- [ ] Code follows established patterns
-
-## Git Workflow
-
-- Use conventional commits: \`feat:\`, \`fix:\`, \`docs:\`, \`refactor:\`, \`test:\`
-- Keep commits focused and atomic
-- Run tests before pushing
-- Create feature branches from \`main\`
-- Request review for significant changes
-
-## Files to Protect
-
-Never modify without explicit permission:
-- \`.env\` files (contain secrets)
-- \`package-lock.json\` / \`yarn.lock\` (modify via package manager)
-- Files in \`dist/\` or \`build/\` (generated)
-- Database migration files (create new ones)
-
----
-*Generated by [Guvnr](https://guvnr.dev)*
-`;
-}
-
-/**
- * Generate OpenCode AI configuration
- * OpenCode uses opencode.json for configuration with markdown-based agents
- * @see https://opencode.ai
- */
-async function generateOpenCodeConfig(cwd, context, options, results) {
-  // Generate opencode.json configuration
-  const configPath = join(cwd, 'opencode.json');
-  if (!existsSync(configPath) || options.force) {
-    const content = generateOpenCodeJson(context);
-    if (!options.dryRun) {
-      writeFileSync(configPath, content);
-    }
-    results.created.push('opencode.json');
-  } else {
-    results.skipped.push('opencode.json (exists)');
-  }
-
-  // Generate agents directory
-  const agentsDir = join(cwd, '.opencode', 'agents');
-  if (!options.dryRun) {
-    mkdirSync(agentsDir, { recursive: true });
-  }
-
-  // Generate main agent markdown
-  const agentPath = join(agentsDir, 'project.md');
-  if (!existsSync(agentPath) || options.force) {
-    const content = generateOpenCodeAgent(context);
-    if (!options.dryRun) {
-      writeFileSync(agentPath, content);
-    }
-    results.created.push('.opencode/agents/project.md');
-  } else {
-    results.skipped.push('.opencode/agents/project.md (exists)');
-  }
-
-  // Generate instructions file
-  const instructionsPath = join(cwd, '.opencode', 'instructions.md');
-  if (!existsSync(instructionsPath) || options.force) {
-    const content = generateOpenCodeInstructions(context);
-    if (!options.dryRun) {
-      writeFileSync(instructionsPath, content);
-    }
-    results.created.push('.opencode/instructions.md');
-  } else {
-    results.skipped.push('.opencode/instructions.md (exists)');
-  }
-}
-
-function generateOpenCodeJson(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return JSON.stringify(
-    {
-      $schema: 'https://opencode.ai/schema/opencode.json',
-      name: projectName,
-      version: '1.0.0',
-      model: {
-        provider: 'anthropic',
-        name: 'claude-sonnet-4-20250514'
-      },
-      tools: {
-        shell: { enabled: true },
-        file: { enabled: true },
-        browser: { enabled: false }
-      },
-      formatter: {
-        command: 'npm run format'
-      },
-      agents: '.opencode/agents',
-      instructions: '.opencode/instructions.md',
-      rules: [
-        'Follow existing code patterns',
-        'Use conventional commits',
-        'Run tests before committing',
-        'Never hardcode secrets'
-      ]
-    },
-    null,
-    2
-  );
-}
-
-function generateOpenCodeAgent(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `---
-name: project-assistant
-description: AI assistant for ${projectName} development
-tools: [shell, file]
----
-
-# Project Assistant for ${projectName}
-
-You are an AI coding assistant for this project.
-
-## Project Overview
-
-${context?.overview || 'A software project configured for AI-assisted development with OpenCode.'}
-
-## Tech Stack
-
-${context?.techStack?.map(t => `- **${t.category}**: ${t.value}`).join('\n') || 'See package.json for dependencies.'}
-
-## Your Responsibilities
-
-1. **Code Quality**: Write clean, maintainable code following project conventions
-2. **Testing**: Write tests for new functionality
-3. **Security**: Never hardcode secrets, validate inputs, use safe patterns
-4. **Documentation**: Update docs when making significant changes
-
-## Commands
-
-\`\`\`bash
-npm install    # Install dependencies
-npm test       # Run tests
-npm run build  # Build project
-npm run lint   # Check code style
-\`\`\`
-
-## Coding Conventions
-
-${
-  context?.conventions ||
-  `- Follow existing patterns in the codebase
-- Use consistent naming conventions
-- Write self-documenting code
-- Add tests for new functionality`
-}
-
-## Security Guidelines
-
-${
-  context?.securityChecklist?.map(item => `- ${item}`).join('\n') ||
-  `- Never hardcode secrets or credentials
-- Validate all user inputs
-- Use parameterized queries for databases
-- Sanitize output to prevent XSS
-- Verify dependencies exist before adding`
-}
-
-## Git Workflow
-
-- Use conventional commits (feat, fix, docs, refactor, test)
-- Run tests before committing
-- Keep commits focused and atomic
-`;
-}
-
-function generateOpenCodeInstructions(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `# OpenCode Instructions for ${projectName}
-
-These instructions are automatically loaded by OpenCode AI.
-
-## General Guidelines
-
-- Read relevant documentation before making changes
-- Follow existing code patterns
-- Write tests for new functionality
-- Run verification commands before committing
-
-## Security Requirements
-
-${
-  context?.securityChecklist?.map(item => `- ${item}`).join('\n') ||
-  `- Never hardcode secrets or credentials
-- Validate all user inputs
-- Use parameterized queries
-- Sanitize output to prevent XSS
-- Verify dependencies exist before adding`
-}
-
-## Files to Avoid Modifying
-
-- \`.env\` files (contain secrets)
-- Lock files (package-lock.json, yarn.lock)
-- Generated files in dist/ or build/
-- Migration files (create new ones instead)
-
-## Verification Commands
-
-Before completing any task:
-
-\`\`\`bash
-npm test       # Run tests
-npm run lint   # Check code style
-npm run build  # Verify build
-\`\`\`
-
----
-*Generated by [Guvnr](https://guvnr.dev)*
-`;
-}
-
-/**
- * Generate Zencoder configuration (Zen Rules)
- * Zencoder uses .zencoder/rules/*.md with YAML frontmatter
- * @see https://zencoder.ai
- */
-async function generateZencoderConfig(cwd, context, options, results) {
-  const zencoderDir = join(cwd, '.zencoder');
-  const rulesDir = join(zencoderDir, 'rules');
-
-  if (!options.dryRun) {
-    mkdirSync(rulesDir, { recursive: true });
-  }
-
-  // Generate main project rules
-  const projectRulesPath = join(rulesDir, 'project.md');
-  if (!existsSync(projectRulesPath) || options.force) {
-    const content = generateZencoderProjectRules(context);
-    if (!options.dryRun) {
-      writeFileSync(projectRulesPath, content);
-    }
-    results.created.push('.zencoder/rules/project.md');
-  } else {
-    results.skipped.push('.zencoder/rules/project.md (exists)');
-  }
-
-  // Generate security rules
-  const securityRulesPath = join(rulesDir, 'security.md');
-  if (!existsSync(securityRulesPath) || options.force) {
-    const content = generateZencoderSecurityRules(context);
-    if (!options.dryRun) {
-      writeFileSync(securityRulesPath, content);
-    }
-    results.created.push('.zencoder/rules/security.md');
-  } else {
-    results.skipped.push('.zencoder/rules/security.md (exists)');
-  }
-
-  // Generate testing rules
-  const testingRulesPath = join(rulesDir, 'testing.md');
-  if (!existsSync(testingRulesPath) || options.force) {
-    const content = generateZencoderTestingRules(context);
-    if (!options.dryRun) {
-      writeFileSync(testingRulesPath, content);
-    }
-    results.created.push('.zencoder/rules/testing.md');
-  } else {
-    results.skipped.push('.zencoder/rules/testing.md (exists)');
-  }
-
-  // Generate zencoder.json config
-  const configPath = join(zencoderDir, 'zencoder.json');
-  if (!existsSync(configPath) || options.force) {
-    const content = generateZencoderJson(context);
-    if (!options.dryRun) {
-      writeFileSync(configPath, content);
-    }
-    results.created.push('.zencoder/zencoder.json');
-  } else {
-    results.skipped.push('.zencoder/zencoder.json (exists)');
-  }
-}
-
-function generateZencoderProjectRules(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `---
-description: Project-wide coding conventions and patterns for ${projectName}
-globs:
-  - "**/*.{js,ts,jsx,tsx}"
-  - "**/*.{py,rb,go,java}"
-alwaysApply: true
----
-
-# Project Rules: ${projectName}
-
-## Overview
-
-${context?.overview || 'A software project configured for AI-assisted development with Zencoder.'}
-
-## Tech Stack
-
-${context?.techStack?.map(t => `- **${t.category}**: ${t.value}`).join('\n') || 'See package.json for dependencies.'}
-
-## Coding Conventions
-
-${
-  context?.conventions ||
-  `### General Rules
-- Follow existing code patterns in the repository
-- Use consistent naming conventions
-- Write self-documenting code
-- Keep functions focused and small
-
-### Naming Conventions
-- camelCase for variables and functions
-- PascalCase for classes and components
-- SCREAMING_SNAKE_CASE for constants
-- kebab-case for file names`
-}
-
-## Commands
+  // Generate rules directory
 
-\`\`\`bash
-npm install    # Install dependencies
-npm test       # Run tests
-npm run build  # Build project
-npm run lint   # Check code style
-\`\`\`
+  writeGeneratedFile(
+    cwd,
+    '.continue/rules/project.md',
+    appendExtraSections(
+      renderTemplateFile(cwd, 'continue', 'project.md', context),
+      context,
+      'continue'
+    ),
+    options,
+    results
+  );
 
-## Git Workflow
+  // Path-scoped rules, applied when a matching file is in context
+  for (const rule of context.rules || []) {
+    writeGeneratedFile(
+      cwd,
+      `.continue/rules/${rule.name}.md`,
+      generateContinuePathRule(rule),
+      options,
+      results
+    );
+  }
 
-- Use conventional commits (feat, fix, docs, refactor, test)
-- Run tests before committing
-- Create feature branches from main
-- Keep commits focused and atomic
+  // Assistants, one per guvnr.yaml agent
+  for (const agent of context.agents || []) {
+    writeGeneratedFile(
+      cwd,
+      `.continue/assistants/${agent.name}.yaml`,
+      renderContinueAssistant(agent),
+      options,
+      results
+    );
+  }
 
-## Files to Avoid
+  // Prompts, one per guvnr.yaml skill
+  for (const skill of context.skills || []) {
+    writeGeneratedFile(
+      cwd,
+      `.continue/prompts/${skill.name}.md`,
+      renderContinuePrompt(skill),
+      options,
+      results
+    );
+  }
+}
 
-Never modify without explicit permission:
-- \`.env\` files (contain secrets)
-- Lock files (package-lock.json, yarn.lock)
-- Generated files in dist/ or build/
-- Migration files
+function generateContinuePathRule(rule) {
+  let frontmatter = `name: ${rule.name}
 `;
-}
+  if (rule.description) {
+    frontmatter += `description: ${JSON.stringify(rule.description)}
+`;
+  }
 
-function generateZencoderSecurityRules(_context) {
   return `---
-description: Security guidelines for AI-generated code
-globs:
-  - "**/*.{js,ts,jsx,tsx,py,go,java,rb}"
-alwaysApply: true
-priority: high
+${frontmatter}globs: ${formatGlobList(rule.paths)}
+alwaysApply: false
 ---
 
-# Security Rules
-
-## OWASP Top 10 Prevention
+${renderRule(rule, '#').trimEnd()}
+`;
+}
 
-### Injection Prevention
-- Never concatenate user input into SQL queries - use parameterized queries
-- Never pass user input directly to shell commands - use safe APIs
-- Sanitize HTML output to prevent XSS
+function generateContinueConfigYaml(context) {
+  const projectName = context?.projectName || basename(process.cwd());
+  const mcpServers = renderMcpYaml('continue', context?.mcpServers, 2);
 
-### Authentication & Authorization
-- Never hardcode credentials or secrets
-- Validate authentication on every protected endpoint
-- Use principle of least privilege
+  return `# Continue.dev Configuration
+# See: https://docs.continue.dev/reference
+# This file configures Continue's AI coding assistant
 
-### Data Protection
-- Never log sensitive data (passwords, tokens, PII)
-- Encrypt sensitive data at rest and in transit
-- Validate and sanitize all inputs
+name: "${projectName}"
+version: "1.0.0"
 
-## AI-Specific Security
+# Model configuration (uncomment and configure as needed)
+# models:
+#   - name: "claude-3-5-sonnet"
+#     provider: "anthropic"
+#     apiKey: "\${ANTHROPIC_API_KEY}"
+#   - name: "gpt-4o"
+#     provider: "openai"
+#     apiKey: "\${OPENAI_API_KEY}"
 
-### Dependency Verification
-Before adding any dependency:
-1. Verify it exists on the package registry
-2. Check download counts and maintenance status
-3. Review for known vulnerabilities
+# Context providers
+contextProviders:
+  - name: "code"
+    params:
+      nRetrieve: 25
+  - name: "docs"
+    params:
+      sites:
+        - title: "Project Docs"
+          startUrl: "./docs"
 
-### Code Review Checklist
-- [ ] No hardcoded secrets
-- [ ] Input validation present
-- [ ] Error messages don't expose internals
-- [ ] Dependencies are verified
-- [ ] Authentication/authorization checked
+# Slash commands
+slashCommands:
+  - name: "test"
+    description: "Generate tests for selected code"
+  - name: "docs"
+    description: "Generate documentation for selected code"
+  - name: "review"
+    description: "Review selected code for issues"
 
-## Error Handling
+# MCP servers (Model Context Protocol), from mcp_servers in guvnr.yaml
+${mcpServers ? `mcpServers:\n${mcpServers}` : '# mcpServers: []'}
 
-- Don't expose internal details in error messages
-- Log errors securely
-- Return safe, generic error messages to users
+# Rules directory for team standards
+rules:
+  - ".continue/rules/"
 `;
 }
 
-function generateZencoderTestingRules(_context) {
-  return `---
-description: Testing standards and requirements
-globs:
-  - "**/*.test.{js,ts,jsx,tsx}"
-  - "**/*.spec.{js,ts,jsx,tsx}"
-  - "**/test/**/*"
-  - "**/tests/**/*"
-alwaysApply: false
----
+/**
+ * Generate Augment Code configuration
+ * @see https://www.augmentcode.com
+ */
+async function generateAugmentConfig(cwd, context, options, results) {
+  // Generate augment rules
+  writeGeneratedFile(
+    cwd,
+    '.augment/rules.md',
+    appendExtraSections(
+      renderTemplateFile(cwd, 'augment', 'rules.md', context),
+      context,
+      'augment'
+    ),
+    options,
+    results
+  );
 
-# Testing Rules
+  // Generate MCP configuration
+  writeMcpJson(cwd, '.augment/mcp.json', 'augment', context, options, results);
+}
 
-## Test Coverage Requirements
+/**
+ * Generate Qodo AI configuration
+ * @see https://www.qodo.ai
+ */
+async function generateQodoConfig(cwd, context, options, results) {
+  // Generate qodo.toml configuration
+  writeGeneratedFile(
+    cwd,
+    'qodo.toml',
+    renderTemplateFile(cwd, 'qodo', 'qodo.toml', context),
+    options,
+    results
+  );
 
-- Write unit tests for all new functions and methods
-- Include tests for edge cases and error conditions
-- Aim for meaningful coverage of critical paths (80%+)
+  // Generate best_practices.md
+  writeGeneratedFile(
+    cwd,
+    'best_practices.md',
+    appendExtraSections(
+      renderTemplateFile(cwd, 'qodo', 'best_practices.md', context),
+      context,
+      'qodo'
+    ),
+    options,
+    results
+  );
+}
 
-## Test Naming
+/**
+ * Generate OpenCode AI configuration
+ * OpenCode uses opencode.json for configuration with markdown-based agents
+ * @see https://opencode.ai
+ */
+async function generateOpenCodeConfig(cwd, context, options, results) {
+  // Generate opencode.json configuration, keeping settings guvnr does not generate
+  writeGeneratedFile(
+    cwd,
+    'opencode.json',
+    mergeJsonConfig(cwd, 'opencode.json', generateOpenCodeJson(context), options),
+    options,
+    results
+  );
 
-Use descriptive test names that explain the expected behavior:
+  // Generate agents directory
 
-\`\`\`javascript
-// Good
-test('should return null when user is not found', () => {});
-test('throws error when email format is invalid', () => {});
+  // Generate main agent markdown
+  writeGeneratedFile(
+    cwd,
+    '.opencode/agents/project.md',
+    renderTemplateFile(cwd, 'opencode', 'project.md', context),
+    options,
+    results
+  );
 
-// Avoid
-test('test1', () => {});
-test('works', () => {});
-\`\`\`
+  // Subagents, one per guvnr.yaml agent
+  for (const agent of context.agents || []) {
+    writeGeneratedFile(
+      cwd,
+      `.opencode/agents/${agent.name}.md`,
+      renderOpenCodeAgent(agent, context),
+      options,
+      results
+    );
+  }
 
-## Test Structure
+  // Generate instructions file
+  writeGeneratedFile(
+    cwd,
+    '.opencode/instructions.md',
+    appendExtraSections(
+      renderTemplateFile(cwd, 'opencode', 'instructions.md', context),
+      context,
+      'opencode'
+    ),
+    options,
+    results
+  );
+}
 
-Follow the Arrange-Act-Assert pattern:
+/**
+ * The opencode.json keys guvnr generates
+ * @param {Object} context - Project context
+ * @returns {Object} opencode.json fields
+ */
+function generateOpenCodeJson(context) {
+  const projectName = context?.projectName || basename(process.cwd());
+  const mcp = renderMcpServers('opencode', context?.mcpServers);
 
-\`\`\`javascript
-test('should calculate total with discount', () => {
-  // Arrange
-  const items = [{ price: 100 }, { price: 50 }];
-  const discount = 0.1;
+  return {
+    $schema: 'https://opencode.ai/schema/opencode.json',
+    name: projectName,
+    version: '1.0.0',
+    model: {
+      provider: 'anthropic',
+      name: 'claude-sonnet-4-20250514'
+    },
+    tools: {
+      shell: { enabled: true },
+      file: { enabled: true },
+      browser: { enabled: false }
+    },
+    formatter: {
+      command: projectCommand(context, 'format') || 'npm run format'
+    },
+    agents: '.opencode/agents',
+    instructions: '.opencode/instructions.md',
+    rules: [
+      'Follow existing code patterns',
+      'Use conventional commits',
+      'Run tests before committing',
+      'Never hardcode secrets'
+    ],
+    ...(Object.keys(mcp).length > 0 && { mcp })
+  };
+}
 
-  // Act
-  const result = calculateTotal(items, discount);
+/**
+ * Generate Zencoder configuration (Zen Rules)
+ * Zencoder uses .zencoder/rules/*.md with YAML frontmatter
+ * @see https://zencoder.ai
+ */
+async function generateZencoderConfig(cwd, context, options, results) {
+  // Generate main project rules
+  writeGeneratedFile(
+    cwd,
+    '.zencoder/rules/project.md',
+    appendExtraSections(
+      renderTemplateFile(cwd, 'zencoder', 'project.md', context),
+      context,
+      'zencoder'
+    ),
+    options,
+    results
+  );
 
-  // Assert
-  expect(result).toBe(135);
-});
-\`\`\`
+  // Generate security rules
+  writeGeneratedFile(
+    cwd,
+    '.zencoder/rules/security.md',
+    renderTemplateFile(cwd, 'zencoder', 'security.md', context),
+    options,
+    results
+  );
 
-## Verification Commands
+  // Generate testing rules
+  writeGeneratedFile(
+    cwd,
+    '.zencoder/rules/testing.md',
+    renderTemplateFile(cwd, 'zencoder', 'testing.md', context),
+    options,
+    results
+  );
 
-\`\`\`bash
-npm test              # Run all tests
-npm test -- --watch   # Watch mode
-npm run test:coverage # Generate coverage report
-\`\`\`
-`;
+  // Generate zencoder.json config
+  writeGeneratedFile(
+    cwd,
+    '.zencoder/zencoder.json',
+    generateZencoderJson(context),
+    options,
+    results
+  );
 }
 
 function generateZencoderJson(context) {
@@ -3350,429 +2612,102 @@ function generateZencoderJson(context) {
  * Tabnine uses .tabnine/guidelines/ directory with markdown files
  */
 async function generateTabnineConfig(cwd, context, options, results) {
-  const guidelinesDir = join(cwd, '.tabnine', 'guidelines');
-
-  if (!existsSync(guidelinesDir)) {
-    if (!options.dryRun) {
-      mkdirSync(guidelinesDir, { recursive: true });
-    }
-    results.created.push('.tabnine/guidelines/');
-  }
-
   // Generate main guidelines file
-  const mainPath = join(guidelinesDir, 'project.md');
-  if (!existsSync(mainPath) || options.force) {
-    const content = generateTabnineProjectGuidelines(context);
-    if (!options.dryRun) {
-      writeFileSync(mainPath, content);
-    }
-    results.created.push('.tabnine/guidelines/project.md');
-  } else {
-    results.skipped.push('.tabnine/guidelines/project.md (exists)');
-  }
+  writeGeneratedFile(
+    cwd,
+    '.tabnine/guidelines/project.md',
+    appendExtraSections(
+      renderTemplateFile(cwd, 'tabnine', 'project.md', context),
+      context,
+      'tabnine'
+    ),
+    options,
+    results
+  );
 
   // Generate coding standards file
-  const codingPath = join(guidelinesDir, 'coding-standards.md');
-  if (!existsSync(codingPath) || options.force) {
-    const content = generateTabnineCodingStandards(context);
-    if (!options.dryRun) {
-      writeFileSync(codingPath, content);
-    }
-    results.created.push('.tabnine/guidelines/coding-standards.md');
-  } else {
-    results.skipped.push('.tabnine/guidelines/coding-standards.md (exists)');
-  }
+  writeGeneratedFile(
+    cwd,
+    '.tabnine/guidelines/coding-standards.md',
+    renderTemplateFile(cwd, 'tabnine', 'coding-standards.md', context),
+    options,
+    results
+  );
 
   // Generate security guidelines file
-  const securityPath = join(guidelinesDir, 'security.md');
-  if (!existsSync(securityPath) || options.force) {
-    const content = generateTabnineSecurityGuidelines(context);
-    if (!options.dryRun) {
-      writeFileSync(securityPath, content);
-    }
-    results.created.push('.tabnine/guidelines/security.md');
-  } else {
-    results.skipped.push('.tabnine/guidelines/security.md (exists)');
-  }
-}
-
-function generateTabnineProjectGuidelines(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `# Project Guidelines: ${projectName}
-
-> Tabnine AI guidelines for this project.
-> See: https://www.tabnine.com/getting-started
-
-## Project Overview
-
-${context?.overview || 'Project configured with Guvnr.'}
-
-## Tech Stack
-
-${context?.techStack?.map(t => `- **${t.category}**: ${t.value}`).join('\n') || '- See package.json for dependencies'}
-
-## Architecture
-
-${context?.architecture || 'Follow existing patterns in the codebase.'}
-
-## Commands
-
-\`\`\`bash
-npm install    # Install dependencies
-npm test       # Run tests
-npm run build  # Build project
-npm run lint   # Check code style
-\`\`\`
-
-## Current State
-
-${context?.currentState || 'Refer to CLAUDE.md or README.md for current project status.'}
-
-## Conventions
-
-${
-  context?.conventions ||
-  `- Follow existing code patterns in the repository
-- Use consistent naming conventions
-- Write self-documenting code
-- Add tests for new functionality
-- Use conventional commits (feat, fix, docs, refactor, test)`
-}
-`;
-}
-
-function generateTabnineCodingStandards(context) {
-  return `# Coding Standards
-
-> Standards for code generation in this project.
-
-## Naming Conventions
-
-- Use descriptive, meaningful names
-- camelCase for variables and functions
-- PascalCase for classes and types
-- SCREAMING_SNAKE_CASE for constants
-- kebab-case for file names
-
-## Code Style
-
-${
-  context?.conventions ||
-  `- Use modern JavaScript/TypeScript features
-- Prefer const over let, avoid var
-- Use async/await over callbacks
-- Keep functions focused and small
-- Add JSDoc comments for public APIs`
-}
-
-## Error Handling
-
-- Always handle errors explicitly
-- Use try-catch for async operations
-- Provide meaningful error messages
-- Never silently swallow errors
-
-## Testing
-
-- Write tests for new functionality
-- Follow Arrange-Act-Assert pattern
-- Use descriptive test names
-- Aim for 80%+ coverage on critical paths
-
-## Documentation
-
-- Add comments for complex logic
-- Keep README.md up to date
-- Document API changes
-`;
-}
-
-function generateTabnineSecurityGuidelines(_context) {
-  return `# Security Guidelines
-
-> Security requirements for generated code.
-
-## Input Validation
-
-- Validate all user inputs
-- Use parameterized queries for databases
-- Sanitize HTML output to prevent XSS
-- Validate file paths to prevent traversal
-
-## Secrets Management
-
-- Never hardcode secrets or credentials
-- Never log sensitive data
-- Use environment variables for configuration
-- Never commit .env files
-
-## Dependencies
-
-- Verify packages exist before adding
-- Check for known vulnerabilities
-- Prefer well-maintained libraries
-- Keep dependencies updated
-
-## Error Handling
-
-- Don't expose internal details in errors
-- Log errors securely (no sensitive data)
-- Return generic error messages to users
-
-## Access Control
-
-- Implement proper authentication
-- Use role-based access control
-- Validate permissions on every request
-`;
+  writeGeneratedFile(
+    cwd,
+    '.tabnine/guidelines/security.md',
+    renderTemplateFile(cwd, 'tabnine', 'security.md', context),
+    options,
+    results
+  );
 }
 
 /**
  * Generate Amazon Q Developer configuration
  * @see https://docs.aws.amazon.com/amazonq/latest/qdeveloper-ug/
- * Amazon Q uses .amazonq/rules/ directory with markdown files
+ * Amazon Q uses .amazonq/rules/ directory with markdown files, and agent
+ * profiles in .amazonq/cli-agents/
  */
 async function generateAmazonQConfig(cwd, context, options, results) {
-  const rulesDir = join(cwd, '.amazonq', 'rules');
-
-  if (!existsSync(rulesDir)) {
-    if (!options.dryRun) {
-      mkdirSync(rulesDir, { recursive: true });
-    }
-    results.created.push('.amazonq/rules/');
-  }
-
   // Generate main rules file
-  const mainPath = join(rulesDir, 'project-rules.md');
-  if (!existsSync(mainPath) || options.force) {
-    const content = generateAmazonQProjectRules(context);
-    if (!options.dryRun) {
-      writeFileSync(mainPath, content);
-    }
-    results.created.push('.amazonq/rules/project-rules.md');
-  } else {
-    results.skipped.push('.amazonq/rules/project-rules.md (exists)');
-  }
+  writeGeneratedFile(
+    cwd,
+    '.amazonq/rules/project-rules.md',
+    appendExtraSections(
+      renderTemplateFile(cwd, 'amazonq', 'project-rules.md', context),
+      context,
+      'amazonq'
+    ),
+    options,
+    results
+  );
 
   // Generate coding rules file
-  const codingPath = join(rulesDir, 'coding-rules.md');
-  if (!existsSync(codingPath) || options.force) {
-    const content = generateAmazonQCodingRules(context);
-    if (!options.dryRun) {
-      writeFileSync(codingPath, content);
-    }
-    results.created.push('.amazonq/rules/coding-rules.md');
-  } else {
-    results.skipped.push('.amazonq/rules/coding-rules.md (exists)');
-  }
+  writeGeneratedFile(
+    cwd,
+    '.amazonq/rules/coding-rules.md',
+    renderTemplateFile(cwd, 'amazonq', 'coding-rules.md', context),
+    options,
+    results
+  );
 
   // Generate security rules file
-  const securityPath = join(rulesDir, 'security-rules.md');
-  if (!existsSync(securityPath) || options.force) {
-    const content = generateAmazonQSecurityRules(context);
-    if (!options.dryRun) {
-      writeFileSync(securityPath, content);
-    }
-    results.created.push('.amazonq/rules/security-rules.md');
-  } else {
-    results.skipped.push('.amazonq/rules/security-rules.md (exists)');
-  }
-}
-
-function generateAmazonQProjectRules(context) {
-  const projectName = context?.projectName || basename(process.cwd());
-
-  return `# Project Rules: ${projectName}
-
-> Amazon Q Developer rules for this project.
-> See: https://docs.aws.amazon.com/amazonq/latest/qdeveloper-ug/
-
-## Project Overview
-
-${context?.overview || 'Project configured with Guvnr.'}
-
-## Tech Stack
-
-${context?.techStack?.map(t => `- **${t.category}**: ${t.value}`).join('\n') || '- See package.json for dependencies'}
-
-## Architecture
-
-${context?.architecture || 'Follow existing patterns in the codebase.'}
-
-## Commands
-
-\`\`\`bash
-npm install    # Install dependencies
-npm test       # Run tests
-npm run build  # Build project
-npm run lint   # Check code style
-\`\`\`
-
-## Current State
-
-${context?.currentState || 'Refer to CLAUDE.md or README.md for current project status.'}
-
-## Development Workflow
-
-1. Create feature branch from main
-2. Make changes following project conventions
-3. Write tests for new functionality
-4. Run tests and linting
-5. Create pull request with descriptive title
-
-## Conventions
-
-${
-  context?.conventions ||
-  `- Follow existing code patterns in the repository
-- Use consistent naming conventions
-- Write self-documenting code
-- Add tests for new functionality
-- Use conventional commits (feat, fix, docs, refactor, test)`
-}
-`;
-}
-
-function generateAmazonQCodingRules(context) {
-  return `# Coding Rules
-
-> Code generation rules for Amazon Q Developer.
-
-## Naming Conventions
-
-- Use descriptive, meaningful names
-- camelCase for variables and functions
-- PascalCase for classes, types, and components
-- SCREAMING_SNAKE_CASE for constants
-- kebab-case for file names
-
-## Code Style
-
-${
-  context?.conventions ||
-  `- Use modern JavaScript/TypeScript features
-- Prefer const over let, avoid var
-- Use async/await over callbacks
-- Keep functions focused and small (< 50 lines)
-- Add JSDoc comments for public APIs`
-}
-
-## Error Handling
-
-- Always handle errors explicitly
-- Use try-catch for async operations
-- Provide meaningful error messages
-- Log errors with appropriate severity
-
-## Testing Requirements
-
-- Write unit tests for new functions
-- Write integration tests for APIs
-- Follow Arrange-Act-Assert pattern
-- Use descriptive test names
-
-## Documentation
-
-- Add JSDoc for public interfaces
-- Update README for new features
-- Document breaking changes
-- Include usage examples
-
-## Files to Avoid
-
-Never modify without explicit permission:
-- .env files (contain secrets)
-- Lock files (package-lock.json, yarn.lock)
-- Generated files in dist/ or build/
-- Database migration files
-`;
-}
-
-function generateAmazonQSecurityRules(_context) {
-  return `# Security Rules
-
-> Security requirements for code generated by Amazon Q Developer.
-
-## Input Validation
-
-- Validate all user inputs at boundaries
-- Use parameterized queries for databases
-- Sanitize HTML output to prevent XSS
-- Validate file paths to prevent directory traversal
-- Check content types for file uploads
-
-## Secrets Management
-
-- Never hardcode secrets, API keys, or credentials
-- Never log sensitive data (passwords, tokens, PII)
-- Use environment variables for configuration
-- Never commit .env files to version control
-- Rotate secrets regularly
-
-## Dependencies
-
-- Verify npm packages exist before adding
-- Check for known vulnerabilities (npm audit)
-- Prefer well-maintained, popular libraries
-- Review transitive dependencies
-- Keep dependencies up to date
-
-## AWS-Specific Security
-
-- Use IAM roles with least privilege
-- Enable CloudTrail logging
-- Encrypt data at rest and in transit
-- Use VPC for network isolation
-- Implement proper S3 bucket policies
-
-## Error Handling
-
-- Don't expose stack traces or internal details
-- Log errors securely (no credentials in logs)
-- Return generic error messages to users
-- Implement proper error boundaries
-
-## Authentication & Authorization
+  writeGeneratedFile(
+    cwd,
+    '.amazonq/rules/security-rules.md',
+    renderTemplateFile(cwd, 'amazonq', 'security-rules.md', context),
+    options,
+    results
+  );
 
-- Use strong authentication mechanisms
-- Implement MFA where possible
-- Validate JWT tokens properly
-- Use role-based access control (RBAC)
-- Check permissions on every request
-`;
+  // Agent profiles, one per guvnr.yaml agent
+  for (const agent of context.agents || []) {
+    writeGeneratedFile(
+      cwd,
+      `.amazonq/cli-agents/${agent.name}.json`,
+      renderAmazonQAgent(agent),
+      options,
+      results
+    );
+  }
 }
 
 /**
- * Print generation results
+ * Update the guvnr block in CODEOWNERS from security.require_review.
+ * Only the block is generated: lines outside it belong to the project and are
+ * kept. A CODEOWNERS file guvnr did not write, or one edited since, is
+ * skipped like any other file until --force or --merge.
+ * @see https://docs.github.com/repositories/managing-your-repositorys-settings-and-features/customizing-your-repository/about-code-owners
  */
-function printResults(results, dryRun) {
-  console.log('');
+async function generateCodeowners(cwd, context, options, results) {
+  const path = codeownersPath(cwd);
+  const content = renderCodeowners(readProjectFile(cwd, path, options), context?.reviewRules || []);
 
-  if (results.created.length > 0) {
-    console.log(
-      chalk.green(`  ${dryRun ? 'Would create' : 'Created'} ${results.created.length} files:`)
-    );
-    results.created.forEach(f => console.log(chalk.gray(`    ✓ ${f}`)));
-  }
-
-  if (results.skipped.length > 0) {
-    console.log(chalk.yellow(`\n  Skipped ${results.skipped.length} files:`));
-    results.skipped.forEach(f => console.log(chalk.gray(`    - ${f}`)));
+  if (content !== null) {
+    writeGeneratedFile(cwd, path, content, options, results);
   }
-
-  if (results.errors.length > 0) {
-    console.log(chalk.red('\n  Errors:'));
-    results.errors.forEach(e => console.log(chalk.red(`    ✗ ${e}`)));
-  }
-
-  console.log(chalk.cyan('\n  Multi-tool support enabled!'));
-  console.log(
-    chalk.gray('  Your project now works with: Claude, Cursor, Copilot, Windsurf, Aider,')
-  );
-  console.log(chalk.gray('  Gemini CLI, Codex CLI, Zed, Amp, Roo, Junie, Cline, Goose, Kiro,'));
-  console.log(chalk.gray('  Continue, Augment, Qodo, OpenCode, Zencoder, Tabnine, Amazon Q,'));
-  console.log(chalk.gray('  Skills, and Plugins (23 tools total)\n'));
 }
 
 export default generateCommand;
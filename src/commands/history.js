@@ -0,0 +1,114 @@
+/**
+ * Guvnr - History and Undo Commands
+ *
+ * `guvnr history` lists the runs recorded in .guvnr/history/ (generate,
+ * update, validate --fix, uninstall and undo itself), and `guvnr undo [runId]`
+ * puts back the files a run changed. See utils/history.js for the journal.
+ */
+
+import chalk from 'chalk';
+import { HISTORY_DIR, SHORT_ID_LENGTH, listRuns, undoRun } from '../utils/history.js';
+
+/**
+ * List the recorded runs, newest first
+ *
+ * @param {Object} [options={}] - Command options
+ * @param {string} [options.targetDir=process.cwd()] - Project root
+ * @param {boolean} [options.json=false] - Output results as JSON
+ * @returns {Promise<Array<Object>>} Runs as recorded in their run.json
+ */
+export async function historyCommand(options = {}) {
+  const cwd = options.targetDir || process.cwd();
+  const runs = listRuns(cwd);
+
+  if (options.json) {
+    console.log(JSON.stringify(runs, null, 2));
+    return runs;
+  }
+
+  if (runs.length === 0) {
+    console.log(chalk.gray(`\n  No runs recorded in ${HISTORY_DIR}\n`));
+    return runs;
+  }
+
+  console.log(chalk.bold('\n  History\n'));
+  for (const run of runs) {
+    const id = run.id.slice(0, SHORT_ID_LENGTH);
+    const time = new Date(run.startedAt).toLocaleString();
+    const files = `${run.files.length} file(s)`;
+    let note = '';
+    if (run.undoneAt) {
+      note = chalk.yellow(' (undone)');
+    } else if (!run.finishedAt) {
+      note = chalk.red(' (incomplete)');
+    }
+    console.log(`  ${chalk.cyan(id)}  ${chalk.gray(time)}  ${run.command}  ${files}${note}`);
+  }
+  console.log(chalk.gray('\n  Restore the files a run changed with guvnr undo <id>\n'));
+
+  return runs;
+}
+
+/**
+ * Put back the files a run changed
+ *
+ * @param {string} [runId] - Run ID or prefix; the latest run not yet undone by default
+ * @param {Object} [options={}] - Command options
+ * @param {string} [options.targetDir=process.cwd()] - Project root
+ * @param {boolean} [options.force=false] - Also restore files changed since the run
+ * @param {boolean} [options.dryRun=false] - List the files without changing them
+ * @param {boolean} [options.json=false] - Output results as JSON
+ * @param {string} [options._operationId] - Run ID for the undo's own journal entry (set by the CLI)
+ * @returns {Promise<{run: Object, undoRun: string|null, restored: string[], removed: string[]}>}
+ *   The run undone, the undo's own run ID, files written back and files removed
+ * @throws {FrameworkError} GUVNR-FS-408 if the run is not found, GUVNR-FS-409 if files changed
+ *   since the run, GUVNR-FS-406 if another run holds the lock
+ */
+export async function undoCommand(runId, options = {}) {
+  const cwd = options.targetDir || process.cwd();
+  // undoRun holds the project lock while it writes
+  const result = undoRun(cwd, runId, {
+    force: options.force,
+    dryRun: options.dryRun,
+    id: options._operationId
+  });
+
+  if (options.json) {
+    console.log(
+      JSON.stringify(
+        {
+          run: result.run.id,
+          command: result.run.command,
+          undoRun: result.undoRun,
+          restored: result.restored,
+          removed: result.removed
+        },
+        null,
+        2
+      )
+    );
+    return result;
+  }
+
+  const id = result.run.id.slice(0, SHORT_ID_LENGTH);
+  console.log(chalk.bold(`\n  Undo ${id} (${result.run.command})\n`));
+  const [restoreVerb, removeVerb] = options.dryRun
+    ? ['Would restore', 'Would remove']
+    : ['Restored', 'Removed'];
+  for (const path of result.restored) {
+    console.log(chalk.green(`  ✓ ${restoreVerb} ${path}`));
+  }
+  for (const path of result.removed) {
+    console.log(chalk.green(`  ✓ ${removeVerb} ${path}`));
+  }
+  if (result.undoRun) {
+    const undoId = result.undoRun.slice(0, SHORT_ID_LENGTH);
+    console.log(chalk.gray(`\n  Changed your mind? guvnr undo ${undoId}\n`));
+  } else {
+    console.log('');
+  }
+
+  return result;
+}
+
+export default undoCommand;
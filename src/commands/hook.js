@@ -0,0 +1,97 @@
+/**
+ * Guvnr - Hook Command
+ *
+ * `guvnr hook <check>` runs a check from an AI tool hook. Claude Code passes
+ * the pending tool call as JSON on stdin; exiting with HOOK_BLOCK_EXIT blocks
+ * the call and shows stderr to the model so it can correct itself.
+ *
+ * Checks:
+ * - secrets: block Write, Edit and MultiEdit calls whose new content contains a secret
+ */
+
+import { createError } from '../errors.js';
+import { detectSecrets } from '../index.js';
+
+/**
+ * Exit code that makes Claude Code block the tool call
+ */
+export const HOOK_BLOCK_EXIT = 2;
+
+/**
+ * Checks `guvnr hook` can run
+ */
+export const HOOK_CHECKS = ['secrets'];
+
+/**
+ * Read all of stdin
+ * @returns {Promise<string>} Input text
+ */
+async function readStdin() {
+  let input = '';
+  process.stdin.setEncoding('utf-8');
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+  return input;
+}
+
+/**
+ * Text a file-writing tool call would put on disk
+ * @param {Object} [toolInput] - `tool_input` from the hook payload
+ * @returns {string[]} Written content, new strings of edits
+ */
+function writtenContent(toolInput = {}) {
+  return [
+    toolInput.content,
+    toolInput.new_string,
+    ...(toolInput.edits || []).map(edit => edit?.new_string)
+  ].filter(text => typeof text === 'string' && text.length > 0);
+}
+
+/**
+ * Run a hook check against a tool call
+ *
+ * @param {string} check - Check to run (one of HOOK_CHECKS)
+ * @param {Object} [options={}] - Command options
+ * @param {string} [options.input] - Hook payload JSON (default: read from stdin)
+ * @returns {Promise<{check: string, tool: string|null, blocked: boolean, findings: Object[], reason: string|null}>}
+ *   Check result; the reason is written to stderr when the call is blocked
+ * @throws {FrameworkError} GUVNR-HOOK-700 for an unknown check or a payload that is not JSON
+ */
+export async function hookCommand(check, options = {}) {
+  if (!HOOK_CHECKS.includes(check)) {
+    throw createError('GUVNR-HOOK-700', `Unknown hook check: ${check}`, {
+      suggestion: `Use one of: ${HOOK_CHECKS.join(', ')}`
+    });
+  }
+
+  const input = options.input ?? (await readStdin());
+  let payload;
+  try {
+    payload = JSON.parse(input || '{}');
+  } catch (error) {
+    throw createError('GUVNR-HOOK-700', 'Hook input is not valid JSON', { cause: error });
+  }
+
+  const path = payload.tool_input?.file_path;
+  const findings = writtenContent(payload.tool_input).flatMap(
+    text => detectSecrets(text, path ? { filePath: path } : {}).findings
+  );
+
+  let reason = null;
+  if (findings.length > 0) {
+    const types = [...new Set(findings.map(finding => finding.type))].join(', ');
+    reason = `guvnr: blocked writing ${path || 'a file'}: possible secret (${types}). Read it from an environment variable instead.`;
+    process.stderr.write(`${reason}\n`);
+  }
+
+  return {
+    check,
+    tool: payload.tool_name || null,
+    blocked: findings.length > 0,
+    findings,
+    reason
+  };
+}
+
+export default hookCommand;
@@ -0,0 +1,720 @@
+/**
+ * Guvnr - Import Command
+ *
+ * The reverse of `guvnr generate`: reads the rule files other AI tools already
+ * use (found through TOOL_PATTERNS in detect.js) and proposes a guvnr.yaml
+ * built from them. Every imported item carries a comment naming the file it
+ * came from, so the proposal can be reviewed line by line before generating.
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync, writeFileSync } from 'fs';
+import { basename, extname, join } from 'path';
+import chalk from 'chalk';
+import yaml from 'js-yaml';
+import { TOOL_PATTERNS } from './detect.js';
+import { extractSections } from '../generators/base.js';
+import { validateGuvnrYaml, formatViolation } from '../utils/schema.js';
+import { createError } from '../errors.js';
+
+/**
+ * Extensions of files that hold prose rules ('' covers .cursorrules, .windsurfrules, ...)
+ */
+const RULE_EXTENSIONS = new Set(['.md', '.mdc', '.txt', '']);
+
+/**
+ * Directories whose markdown files define subagents and slash commands
+ */
+const AGENT_DIRS = ['.claude/agents/', '.opencode/agents/'];
+const COMMAND_DIRS = ['.claude/commands/'];
+
+/**
+ * Files larger than this are not rule files worth importing
+ */
+const MAX_IMPORT_FILE_SIZE = 512 * 1024;
+
+/**
+ * Section headings mapped to the guvnr.yaml list their bullets belong in
+ */
+const HEADING_CATEGORIES = [
+  [/secur|secret|credential|privacy|safety/i, 'security'],
+  [/avoid|don'?t|do not|never|anti-?pattern|forbidden|prohibit/i, 'avoid'],
+  [/naming/i, 'naming'],
+  [/pattern|architect|design|structure/i, 'patterns']
+];
+
+/**
+ * Headings whose content describes tools or sessions rather than rules
+ */
+const SKIPPED_HEADINGS =
+  /tech stack|session|before starting|during work|before ending|current state|contents/i;
+
+/**
+ * Headings whose code blocks and `code` bullets are project commands
+ */
+const COMMAND_HEADINGS = /command|script|build|test|lint|format|workflow|setup|getting started/i;
+
+const OVERVIEW_HEADINGS = /overview|about/i;
+const SECURITY_TERMS =
+  /\b(secrets?|passwords?|credentials?|api[ _-]?keys?|injection|xss|csrf|sanitiz\w*|vulnerab\w*|encrypt\w*)\b/i;
+const AVOID_PREFIX = /^(never|avoid|don'?t|do not|no)\b/i;
+const NAMING_TERMS = /\b(naming|camelCase|PascalCase|snake_case|kebab-case|SCREAMING_SNAKE_CASE)\b/;
+const SHELL_LANGUAGES = new Set(['', 'sh', 'bash', 'shell', 'zsh', 'console']);
+
+/**
+ * Convention lists in the order they appear in guvnr.yaml
+ */
+const CONVENTION_CATEGORIES = ['style', 'naming', 'patterns', 'avoid'];
+
+/**
+ * Find every existing rule, agent and slash command file of a known tool
+ *
+ * @param {string} cwd - Project root
+ * @returns {Array<{path: string, tool: string, kind: 'rules'|'agent'|'command'}>}
+ *   Files to import, in TOOL_PATTERNS order
+ */
+export function findImportSources(cwd) {
+  const sources = [];
+  const seen = new Set();
+
+  const add = (relativePath, tool) => {
+    const fullPath = join(cwd, relativePath);
+    if (seen.has(relativePath) || statSync(fullPath).size > MAX_IMPORT_FILE_SIZE) {
+      return;
+    }
+    seen.add(relativePath);
+
+    let kind = 'rules';
+    if (AGENT_DIRS.some(dir => relativePath.startsWith(dir))) {
+      kind = 'agent';
+    } else if (COMMAND_DIRS.some(dir => relativePath.startsWith(dir))) {
+      kind = 'command';
+    }
+    sources.push({ path: relativePath, tool, kind });
+  };
+
+  for (const tool of TOOL_PATTERNS) {
+    for (const entry of new Set([...tool.configFiles, ...tool.patterns])) {
+      const fullPath = join(cwd, entry);
+      if (!existsSync(fullPath)) {
+        continue;
+      }
+
+      if (!statSync(fullPath).isDirectory()) {
+        if (RULE_EXTENSIONS.has(extname(entry))) {
+          add(entry, tool.id);
+        }
+        continue;
+      }
+
+      // Directories (.cursor/rules/, .clinerules/, ...) contribute their top-level files
+      const dir = entry.endsWith('/') ? entry : `${entry}/`;
+      for (const file of readdirSync(fullPath).sort()) {
+        const isRuleFile =
+          !file.startsWith('.') && extname(file) !== '' && RULE_EXTENSIONS.has(extname(file));
+        if (isRuleFile && statSync(join(fullPath, file)).isFile()) {
+          add(`${dir}${file}`, tool.id);
+        }
+      }
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Split YAML frontmatter (as used by .mdc rules, subagents and slash commands) from the body
+ *
+ * @param {string} content - File content
+ * @returns {{data: object, body: string}} Parsed frontmatter (empty if missing or invalid) and body
+ */
+function splitFrontmatter(content) {
+  const match = content.match(/^---\n([\s\S]*?)\n---(?:\n|$)/);
+  if (!match) {
+    return { data: {}, body: content };
+  }
+
+  let data;
+  try {
+    data = yaml.load(match[1]);
+  } catch {
+    data = null;
+  }
+  return {
+    data: data && typeof data === 'object' ? data : {},
+    body: content.slice(match[0].length)
+  };
+}
+
+/**
+ * Strip list markup and emphasis from a bullet
+ * @param {string} text - Bullet text without its marker
+ * @returns {string} Clean item text
+ */
+function cleanItem(text) {
+  return text
+    .replace(/^\[[ xX]\]\s*/, '')
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/__(.+?)__/g, '$1')
+    .trim();
+}
+
+/**
+ * Pick the guvnr.yaml list a rule belongs in
+ *
+ * @param {string} text - Rule text
+ * @param {string} sectionCategory - Category implied by the rule's heading
+ * @returns {'style'|'naming'|'patterns'|'avoid'|'security'} Target list
+ */
+function classifyRule(text, sectionCategory) {
+  if (sectionCategory === 'security' || SECURITY_TERMS.test(text)) {
+    return 'security';
+  }
+  if (sectionCategory === 'avoid' || AVOID_PREFIX.test(text)) {
+    return 'avoid';
+  }
+  if (sectionCategory === 'naming' || NAMING_TERMS.test(text)) {
+    return 'naming';
+  }
+  return sectionCategory;
+}
+
+/**
+ * Extract rules, commands and an overview paragraph from a markdown rule file
+ *
+ * @param {string} content - File content
+ * @returns {{rules: Array<{category: string, text: string}>, commands: Array<{command: string, description: string}>, overview: string}}
+ *   Extracted items in file order
+ */
+export function parseRuleFile(content) {
+  const { body } = splitFrontmatter(content.replace(/\r\n/g, '\n'));
+  const rules = [];
+  const commands = [];
+  const overview = [];
+
+  let heading = '';
+  let fence = null;
+  let overviewDone = false;
+
+  for (const line of body.split('\n')) {
+    const fenceMatch = line.match(/^\s*(```|~~~)\s*([\w-]*)/);
+    if (fenceMatch) {
+      fence = fence ? null : { language: fenceMatch[2].toLowerCase() };
+      continue;
+    }
+
+    if (fence) {
+      const command = line.trim().replace(/^\$\s+/, '');
+      if (
+        COMMAND_HEADINGS.test(heading) &&
+        SHELL_LANGUAGES.has(fence.language) &&
+        command &&
+        !command.startsWith('#')
+      ) {
+        commands.push({ command, description: '' });
+      }
+      continue;
+    }
+
+    const headingMatch = line.match(/^#{1,6}\s+(.+?)\s*#*$/);
+    if (headingMatch) {
+      heading = headingMatch[1];
+      overviewDone = overview.length > 0;
+      continue;
+    }
+
+    if (SKIPPED_HEADINGS.test(heading)) {
+      continue;
+    }
+
+    const itemMatch = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.+)$/);
+    if (!itemMatch) {
+      // The first paragraph under an Overview/About heading becomes context.overview
+      if (OVERVIEW_HEADINGS.test(heading) && !overviewDone) {
+        if (line.trim()) {
+          overview.push(line.trim());
+        } else {
+          overviewDone = overview.length > 0;
+        }
+      }
+      continue;
+    }
+
+    const text = cleanItem(itemMatch[1]);
+    if (!text || /^\[[^\]]*\]\([^)]*\)$/.test(text)) {
+      continue;
+    }
+
+    const codeMatch = text.match(/^`([^`]+)`\s*(?:[-–—:]\s*)?(.*)$/);
+    if (codeMatch && COMMAND_HEADINGS.test(heading)) {
+      commands.push({ command: codeMatch[1].trim(), description: codeMatch[2].trim() });
+      continue;
+    }
+
+    const sectionCategory =
+      HEADING_CATEGORIES.find(([pattern]) => pattern.test(heading))?.[1] ?? 'style';
+    rules.push({ category: classifyRule(text, sectionCategory), text });
+  }
+
+  return { rules, commands, overview: overview.join(' ') };
+}
+
+/**
+ * Turn a file or heading name into a guvnr.yaml identifier (^[a-z][a-z0-9-]*$)
+ * @param {string} value - Name to convert
+ * @returns {string} Identifier
+ */
+function toIdentifier(value) {
+  const id = String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^[^a-z]+|-+$/g, '');
+  return id || 'imported';
+}
+
+/**
+ * List items (bullets or numbered) in a block of markdown
+ * @param {string} content - Markdown
+ * @param {RegExp} [marker] - Item marker to accept
+ * @returns {string[]} Item texts
+ */
+function listItems(content, marker = /^\s*(?:[-*+]|\d+[.)])\s+(.+)$/) {
+  return content
+    .split('\n')
+    .map(line => line.match(marker)?.[1])
+    .filter(Boolean)
+    .map(cleanItem);
+}
+
+/**
+ * First prose paragraph of a markdown body (skipping headings, lists and bold labels)
+ * @param {string} body - Markdown body
+ * @returns {string} Paragraph text, or '' if there is none
+ */
+function firstParagraph(body) {
+  const paragraph = [];
+  for (const line of body.split('\n')) {
+    const trimmed = line.trim();
+    const isProse = trimmed && !/^(#|[-*+]\s|\d+[.)]\s|\*\*\w+\*\*:|```)/.test(trimmed);
+    if (isProse) {
+      paragraph.push(trimmed);
+    } else if (paragraph.length > 0) {
+      break;
+    }
+  }
+  return paragraph.join(' ');
+}
+
+/**
+ * Parse a subagent file (frontmatter style, or the layout guvnr generates)
+ *
+ * @param {string} content - File content
+ * @param {string} fileName - File name, used when the agent has no name
+ * @returns {{name: string, role: string, expertise?: string[], instructions?: string}} Agent entry
+ */
+export function parseAgentFile(content, fileName) {
+  const { data, body } = splitFrontmatter(content.replace(/\r\n/g, '\n'));
+  const title = body.match(/^#\s+(.+)$/m)?.[1];
+  const roleLine = body.match(/^\*\*Role\*\*:\s*(.+)$/m)?.[1];
+  const sections = extractSections(body);
+
+  const name = toIdentifier(data.name || title || basename(fileName, extname(fileName)));
+  const agent = {
+    name,
+    role: String(data.description || roleLine || firstParagraph(body) || `${name} agent`).trim()
+  };
+
+  const expertise = listItems(sections.Expertise || '');
+  if (expertise.length > 0) {
+    agent.expertise = expertise;
+  }
+
+  // Without an Instructions section the whole prompt body is the instructions
+  const instructions =
+    sections.Instructions ??
+    body
+      .replace(/^#\s+.+$/m, '')
+      .replace(/^\*\*Role\*\*:.+$/m, '')
+      .replace(/^##\s+Expertise\s*\n[\s\S]*?(?=^##\s|(?![\s\S]))/m, '')
+      .trim();
+  if (instructions) {
+    agent.instructions = instructions;
+  }
+
+  return agent;
+}
+
+/**
+ * Parse a slash command file into a skill
+ *
+ * @param {string} content - File content
+ * @param {string} fileName - File name (the command trigger)
+ * @returns {{name: string, description: string, trigger?: string, steps?: string[]}} Skill entry
+ */
+export function parseCommandFile(content, fileName) {
+  const { data, body } = splitFrontmatter(content.replace(/\r\n/g, '\n'));
+  const name = toIdentifier(basename(fileName, extname(fileName)));
+  const skill = {
+    name,
+    description: String(data.description || firstParagraph(body) || `Run /${name}`).trim()
+  };
+
+  const trigger = body.match(/^\*\*Trigger\*\*:\s*(.+)$/m)?.[1];
+  if (trigger) {
+    skill.trigger = trigger.trim();
+  }
+
+  const steps = listItems(body, /^\s*\d+[.)]\s+(.+)$/);
+  if (steps.length > 0) {
+    skill.steps = steps;
+  }
+
+  return skill;
+}
+
+/**
+ * Normalize rule text for duplicate detection
+ * @param {string} text - Rule text
+ * @returns {string} Lowercase words separated by single spaces
+ */
+function normalizeRule(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether two normalized rules say the same thing.
+ * Besides exact matches, rules of four or more words that share at least 80%
+ * of their words count as the same (e.g. "Use strict mode" across two files
+ * with slightly different wording).
+ *
+ * @param {string} a - Normalized rule
+ * @param {string} b - Normalized rule
+ * @returns {boolean} True if one is a duplicate of the other
+ */
+function isSameRule(a, b) {
+  if (a === b) {
+    return true;
+  }
+  const wordsA = new Set(a.split(' '));
+  const wordsB = new Set(b.split(' '));
+  if (wordsA.size < 4 || wordsB.size < 4) {
+    return false;
+  }
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / new Set([...wordsA, ...wordsB]).size >= 0.8;
+}
+
+/**
+ * Add an item to a list, or record another source for an existing duplicate
+ *
+ * @param {Array<{key: string, sources: string[]}>} list - Imported items
+ * @param {Object} item - Item to add (with a `key` used for matching)
+ * @param {string} source - File the item came from
+ * @param {(a: string, b: string) => boolean} [isSame] - Duplicate test
+ */
+function addImported(list, item, source, isSame = (a, b) => a === b) {
+  const existing = list.find(entry => isSame(entry.key, item.key));
+  if (!existing) {
+    list.push({ ...item, sources: [source] });
+  } else if (!existing.sources.includes(source)) {
+    existing.sources.push(source);
+  }
+}
+
+/**
+ * Read the project name and description from package.json (or the directory name)
+ * @param {string} cwd - Project root
+ * @returns {{name: string, description: string}} Project metadata
+ */
+function readProjectInfo(cwd) {
+  let pkg = {};
+  try {
+    pkg = JSON.parse(readFileSync(join(cwd, 'package.json'), 'utf-8'));
+  } catch {
+    // No package.json (or unreadable) - fall back to the directory name
+  }
+  return {
+    name: String(pkg.name || basename(cwd)).slice(0, 100),
+    description: typeof pkg.description === 'string' ? pkg.description.slice(0, 500) : ''
+  };
+}
+
+/**
+ * Collect de-duplicated items from every importable file
+ *
+ * @param {string} cwd - Project root
+ * @returns {{project: {name: string, description: string}, sources: Array<{path: string, tool: string, kind: string}>, overview: {text: string, sources: string[]}|null, rules: Array<{category: string, text: string, sources: string[]}>, commands: Array<{command: string, description: string, sources: string[]}>, agents: Array<Object>, skills: Array<Object>}}
+ *   Imported items, each with the files it was found in
+ */
+export function collectImports(cwd) {
+  const sources = findImportSources(cwd);
+  const imported = {
+    project: readProjectInfo(cwd),
+    sources,
+    overview: null,
+    rules: [],
+    commands: [],
+    agents: [],
+    skills: []
+  };
+
+  for (const source of sources) {
+    const content = readFileSync(join(cwd, source.path), 'utf-8');
+
+    if (source.kind === 'agent') {
+      const agent = parseAgentFile(content, source.path);
+      addImported(imported.agents, { key: agent.name, value: agent }, source.path);
+      continue;
+    }
+    if (source.kind === 'command') {
+      const skill = parseCommandFile(content, source.path);
+      addImported(imported.skills, { key: skill.name, value: skill }, source.path);
+      continue;
+    }
+
+    const parsed = parseRuleFile(content);
+    if (parsed.overview && !imported.overview) {
+      imported.overview = { text: parsed.overview, sources: [source.path] };
+    }
+    for (const rule of parsed.rules) {
+      addImported(
+        imported.rules,
+        { key: normalizeRule(rule.text), ...rule },
+        source.path,
+        isSameRule
+      );
+    }
+    for (const command of parsed.commands) {
+      addImported(imported.commands, { key: command.command, ...command }, source.path);
+    }
+  }
+
+  return imported;
+}
+
+/**
+ * Render a YAML scalar, re-indenting block scalars for their nesting level
+ * @param {*} value - Value to render
+ * @param {number} indent - Indentation of the key the value belongs to
+ * @returns {string} YAML text
+ */
+function scalar(value, indent) {
+  return yaml
+    .dump(value, { lineWidth: -1 })
+    .trimEnd()
+    .split('\n')
+    .map((line, index) => (index === 0 || !line ? line : `${' '.repeat(indent)}${line}`))
+    .join('\n');
+}
+
+/**
+ * Comment naming the files an item was imported from
+ * @param {string[]} sources - Source files
+ * @returns {string} YAML comment
+ */
+function fromComment(sources) {
+  return `# from ${sources.join(', ')}`;
+}
+
+/**
+ * Render a list of single-line strings with a source comment on each item
+ * @param {string} key - YAML key
+ * @param {Array<{text: string, sources: string[]}>} items - Items
+ * @param {number} indent - Indentation of the key
+ * @returns {string[]} YAML lines
+ */
+function renderList(key, items, indent) {
+  const pad = ' '.repeat(indent);
+  return [
+    `${pad}${key}:`,
+    ...items.map(item => `${pad}  - ${scalar(item.text, indent + 4)}  ${fromComment(item.sources)}`)
+  ];
+}
+
+/**
+ * Render agents or skills, with a source comment above each entry
+ * @param {string} key - YAML key
+ * @param {Array<{value: Object, sources: string[]}>} entries - Entries
+ * @returns {string[]} YAML lines
+ */
+function renderEntries(key, entries) {
+  const lines = [`${key}:`];
+  for (const entry of entries) {
+    lines.push(`  ${fromComment(entry.sources)}`);
+    Object.entries(entry.value).forEach(([field, value], index) => {
+      const prefix = index === 0 ? '  - ' : '    ';
+      if (Array.isArray(value)) {
+        lines.push(`${prefix}${field}:`, ...value.map(item => `      - ${scalar(item, 8)}`));
+      } else {
+        lines.push(`${prefix}${field}: ${scalar(value, 4)}`);
+      }
+    });
+  }
+  return lines;
+}
+
+/**
+ * Render imported items as a commented guvnr.yaml proposal
+ *
+ * @param {ReturnType<typeof collectImports>} imported - Items from collectImports
+ * @returns {string} guvnr.yaml content
+ */
+export function renderImportedYaml(imported) {
+  const lines = [
+    `# Proposed by "guvnr import" from ${imported.sources.length} existing AI tool config file(s).`,
+    '# Each item names the file it was imported from. Review it, then run "guvnr generate".',
+    'version: "1.0"',
+    '',
+    'project:',
+    `  name: ${scalar(imported.project.name, 2)}`
+  ];
+  if (imported.project.description) {
+    lines.push(`  description: ${scalar(imported.project.description, 2)}`);
+  }
+
+  if (imported.overview) {
+    lines.push(
+      '',
+      'context:',
+      `  ${fromComment(imported.overview.sources)}`,
+      `  overview: ${scalar(imported.overview.text, 2)}`
+    );
+  }
+
+  const conventions = CONVENTION_CATEGORIES.map(category => [
+    category,
+    imported.rules.filter(rule => rule.category === category)
+  ]).filter(([, items]) => items.length > 0);
+  if (conventions.length > 0) {
+    lines.push('', 'conventions:');
+    for (const [category, items] of conventions) {
+      lines.push(...renderList(category, items, 2));
+    }
+  }
+
+  const securityRules = imported.rules.filter(rule => rule.category === 'security');
+  if (securityRules.length > 0) {
+    lines.push('', 'security:', ...renderList('rules', securityRules, 2));
+  }
+
+  if (imported.skills.length > 0) {
+    lines.push('', ...renderEntries('skills', imported.skills));
+  }
+  if (imported.agents.length > 0) {
+    lines.push('', ...renderEntries('agents', imported.agents));
+  }
+
+  // Imported commands are not named build/test/lint, so leave mapping them to `commands:` to the user
+  if (imported.commands.length > 0) {
+    lines.push('', '# Project commands found in the imported files (add them under commands:):');
+    for (const command of imported.commands) {
+      const description = command.description ? ` - ${command.description}` : '';
+      lines.push(`#   ${command.command}${description}  (from ${command.sources.join(', ')})`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Build a proposed guvnr.yaml from the project's existing tool configs
+ *
+ * @param {string} [cwd=process.cwd()] - Project root
+ * @returns {{sources: Array<{path: string, tool: string, kind: string}>, counts: {conventions: number, security: number, commands: number, agents: number, skills: number}, yaml: string, valid: boolean, violations: Array<Object>}}
+ *   Files read, item counts, the proposed YAML and its schema validation result
+ */
+export function importConfigs(cwd = process.cwd()) {
+  const imported = collectImports(cwd);
+  const source = renderImportedYaml(imported);
+  const { valid, violations } = validateGuvnrYaml(source);
+  const security = imported.rules.filter(rule => rule.category === 'security').length;
+
+  return {
+    sources: imported.sources,
+    counts: {
+      conventions: imported.rules.length - security,
+      security,
+      commands: imported.commands.length,
+      agents: imported.agents.length,
+      skills: imported.skills.length
+    },
+    yaml: source,
+    valid,
+    violations
+  };
+}
+
+/**
+ * Import existing AI tool configs into a proposed guvnr.yaml.
+ *
+ * Reads .cursorrules, .cursor/rules/*.mdc, .github/copilot-instructions.md,
+ * .windsurfrules, .clinerules, GEMINI.md, AGENTS.md, CLAUDE.md and the other
+ * files listed in TOOL_PATTERNS, plus Claude subagents and slash commands.
+ *
+ * @param {Object} [options={}] - Command options
+ * @param {string} [options.targetDir=process.cwd()] - Project root
+ * @param {string} [options.output='guvnr.yaml'] - File to write, relative to the project root
+ * @param {boolean} [options.force=false] - Overwrite an existing output file
+ * @param {boolean} [options.dryRun=false] - Print the proposal instead of writing it
+ * @param {boolean} [options.json=false] - Output results as JSON for scripting
+ * @returns {Promise<Object>} Import result (see importConfigs) with `output` and `written`
+ * @throws {FrameworkError} GUVNR-FS-405 if the output file exists and --force was not given
+ * @example
+ * await importCommand({ dryRun: true });
+ */
+export async function importCommand(options = {}) {
+  const cwd = options.targetDir || process.cwd();
+  const output = options.output || 'guvnr.yaml';
+  const result = { ...importConfigs(cwd), output, written: false };
+
+  if (!result.valid) {
+    throw createError('GUVNR-VALID-203', 'Imported configuration does not match the schema', {
+      context: { violations: result.violations.map(v => formatViolation(v, output)) }
+    });
+  }
+
+  const outputPath = join(cwd, output);
+  const canWrite = result.sources.length > 0 && !options.dryRun;
+  if (canWrite && existsSync(outputPath) && !options.force) {
+    throw createError('GUVNR-FS-405', `${output} already exists`, {
+      suggestion: 'Use --force to overwrite it, --output <file> to write elsewhere, or --dry-run'
+    });
+  }
+  if (canWrite) {
+    writeFileSync(outputPath, result.yaml);
+    result.written = true;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return result;
+  }
+
+  if (result.sources.length === 0) {
+    console.log(chalk.yellow('\n  No existing AI tool configs found to import.\n'));
+    return result;
+  }
+
+  if (options.dryRun) {
+    console.log(result.yaml);
+    return result;
+  }
+
+  const { counts } = result;
+  console.log(chalk.bold('\n  Imported from:'));
+  for (const source of result.sources) {
+    console.log(chalk.gray(`    ${source.path}`));
+  }
+  console.log(
+    `\n  ${counts.conventions} conventions, ${counts.security} security rules, ` +
+      `${counts.agents} agents, ${counts.skills} skills, ${counts.commands} commands`
+  );
+  console.log(chalk.green(`\n  ✓ Wrote ${output}`));
+  console.log(chalk.gray('  Review each item, then run "guvnr generate".\n'));
+
+  return result;
+}
+
+export default importCommand;
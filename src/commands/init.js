@@ -1,7 +1,8 @@
 /**
  * Guvnr - Init Command
  *
- * Initializes Guvnr in a project directory by creating guvnr.yaml.
+ * Initializes Guvnr in a project directory by creating guvnr.yaml, filled in
+ * with the tech stack, style conventions and commands detected in the project.
  */
 
 import { existsSync } from 'fs';
@@ -15,6 +16,8 @@ import fse from 'fs-extra';
 import yaml from 'js-yaml';
 import { createError, FrameworkError } from '../errors.js';
 import { PRESET_CONFIGS } from '../index.js';
+import { detectProjectCommands } from '../generators/commands.js';
+import { analyzeProject } from '../utils/analyze.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -261,6 +264,23 @@ export async function initCommand(rawOptions) {
     }
   }
 
+  // Detect what guvnr.yaml should say about the project and confirm it
+  let detected = detectProject(cwd);
+  if (!jsonOutput) {
+    printDetected(detected);
+  }
+  if (!options.yes && !jsonOutput && hasDetections(detected)) {
+    const { useDetected } = await enquirer.prompt({
+      type: 'confirm',
+      name: 'useDetected',
+      message: 'Use the detected values in guvnr.yaml?',
+      initial: true
+    });
+    if (!useDetected) {
+      detected = emptyDetection();
+    }
+  }
+
   // Install components
   // Disable spinner in JSON mode for clean output
   const spinner = jsonOutput
@@ -280,7 +300,7 @@ export async function initCommand(rawOptions) {
 
     // 2. Install guvnr.yaml (primary config)
     spinner.text = 'Creating guvnr.yaml...';
-    await installGuvnrConfig(cwd, config, options.dryRun, results);
+    await installGuvnrConfig(cwd, config, options.dryRun, results, detected);
 
     // Note: Tool-specific files (like .claude/commands, .cursor/) are created by
     // `guvnr generate`. The init command only creates the universal guvnr.yaml config.
@@ -329,6 +349,7 @@ export async function initCommand(rawOptions) {
             success: true,
             dryRun: options.dryRun,
             preset: options.preset,
+            detected,
             results
           },
           null,
@@ -361,6 +382,82 @@ export async function initCommand(rawOptions) {
   }
 }
 
+/**
+ * Nothing detected: guvnr.yaml gets commented examples instead
+ *
+ * @returns {{techStack: Object, style: string[], commands: Object}} Empty detection
+ * @private
+ */
+function emptyDetection() {
+  return { techStack: { languages: [], frameworks: [] }, style: [], commands: {} };
+}
+
+/**
+ * Detect the tech stack, style conventions and commands of the project
+ *
+ * @param {string} cwd - Project root
+ * @returns {{techStack: Object, style: string[], commands: Object}} Detected values (see analyzeProject and detectProjectCommands)
+ * @private
+ */
+function detectProject(cwd) {
+  return { ...analyzeProject(cwd), commands: detectProjectCommands(cwd) };
+}
+
+/**
+ * Whether anything was detected
+ *
+ * @param {{techStack: Object, style: string[], commands: Object}} detected - Detected values
+ * @returns {boolean} True if guvnr.yaml will contain detected values
+ * @private
+ */
+function hasDetections({ techStack, style, commands }) {
+  return techStack.languages.length > 0 || style.length > 0 || Object.keys(commands).length > 0;
+}
+
+/**
+ * A tech stack entry as "Name version"
+ * @param {{name: string, version?: string}} entry - Language, framework or runtime
+ * @returns {string} Label
+ * @private
+ */
+function describeEntry({ name, version }) {
+  return version ? `${name} ${version}` : name;
+}
+
+/**
+ * Print the detected values for the user to confirm
+ *
+ * @param {{techStack: Object, style: string[], commands: Object}} detected - Detected values
+ * @returns {void}
+ * @private
+ */
+function printDetected(detected) {
+  if (!hasDetections(detected)) {
+    console.log(chalk.gray('  Nothing detected; guvnr.yaml will contain examples to edit.\n'));
+    return;
+  }
+
+  const { techStack, style, commands } = detected;
+  const rows = [
+    ['Languages', techStack.languages.map(describeEntry).join(', ')],
+    ['Frameworks', techStack.frameworks.map(describeEntry).join(', ')],
+    ['Runtime', techStack.runtime && describeEntry(techStack.runtime)],
+    ['Package manager', techStack.package_manager],
+    ['Test framework', techStack.test_framework],
+    ...Object.entries(commands).map(([name, command]) => [`Command: ${name}`, command])
+  ].filter(([, value]) => value);
+
+  console.log(chalk.bold('  Detected in this project:\n'));
+  for (const [label, value] of rows) {
+    console.log(chalk.gray(`    ${`${label}:`.padEnd(18)}`) + value);
+  }
+  if (style.length > 0) {
+    console.log(chalk.gray('    Style:'));
+    style.forEach(entry => console.log(chalk.gray(`      - ${entry}`)));
+  }
+  console.log('');
+}
+
 /**
  * Prompt for configuration interactively
  *
@@ -473,10 +570,11 @@ async function createDirectories(cwd, config, dryRun, results) {
  * @param {Object} config - Preset configuration
  * @param {boolean} dryRun - If true, don't write files
  * @param {Object} results - Results tracker with created/skipped arrays
+ * @param {Object} [detected] - Detected values from detectProject (detected now when omitted)
  * @returns {Promise<void>}
  * @private
  */
-async function installGuvnrConfig(cwd, config, dryRun, results) {
+async function installGuvnrConfig(cwd, config, dryRun, results, detected = detectProject(cwd)) {
   const targetPath = join(cwd, 'guvnr.yaml');
   const templatePath = join(PACKAGE_ROOT, 'templates', 'guvnr.yaml.template');
 
@@ -492,19 +590,18 @@ async function installGuvnrConfig(cwd, config, dryRun, results) {
   const projectName = basename(cwd) || 'my-project';
   content = content.replace(/\$\{PROJECT_NAME\}/g, projectName);
   content = content.replace(/\$\{PROJECT_DESCRIPTION\}/g, 'A project using Guvnr for AI assistant configuration');
-  content = content.replace(/\$\{PRIMARY_LANGUAGE\}/g, 'JavaScript');
-  content = content.replace(/\$\{LANGUAGE_VERSION\}/g, 'ES2022');
-  content = content.replace(/\$\{FRAMEWORK\}/g, 'Node.js');
-  content = content.replace(/\$\{FRAMEWORK_VERSION\}/g, '20.x');
-  content = content.replace(/\$\{RUNTIME\}/g, 'Node.js');
-  content = content.replace(/\$\{RUNTIME_VERSION\}/g, '20.x');
-  content = content.replace(/\$\{PACKAGE_MANAGER\}/g, 'npm');
-  content = content.replace(/\$\{TEST_FRAMEWORK\}/g, 'jest');
+  content = content.replace(/^# \$\{TECH_STACK\}.*$/m, () =>
+    renderTechStackYaml(detected.techStack)
+  );
+  content = content.replace(/^( *)# \$\{STYLE\}.*$/m, (line, indent) =>
+    renderStyleYaml(detected.style, indent)
+  );
   content = content.replace(/\$\{PROJECT_OVERVIEW\}/g, 'Describe your project here.');
   content = content.replace(/\$\{ARCHITECTURE_DESCRIPTION\}/g, 'Describe your architecture here.');
   content = content.replace(/\$\{CURRENT_PHASE\}/g, 'Development');
   content = content.replace(/\$\{ACTIVE_WORK_ITEM\}/g, 'Initial setup');
   content = content.replace(/\$\{KNOWN_ISSUE\}/g, 'None yet');
+  content = content.replace(/^# \$\{COMMANDS\}.*$/m, () => renderCommandsYaml(detected.commands));
 
   if (!dryRun) {
     await writeFile(targetPath, content);
@@ -512,6 +609,90 @@ async function installGuvnrConfig(cwd, config, dryRun, results) {
   results.created.push('guvnr.yaml');
 }
 
+/**
+ * The guvnr.yaml `tech_stack` section for a detected stack, or a commented
+ * example when no language was recognised
+ *
+ * @param {Object} techStack - tech_stack from analyzeProject
+ * @returns {string} YAML
+ * @private
+ */
+function renderTechStackYaml(techStack) {
+  if (techStack.languages.length === 0) {
+    return [
+      '# tech_stack:',
+      '#   languages:',
+      '#     - name: "TypeScript"',
+      '#       version: "5.4"',
+      '#   package_manager: "npm"',
+      '#   test_framework: "Vitest"'
+    ].join('\n');
+  }
+
+  // name and version lines; list items start with "- " in place of the indent's last two spaces
+  const renderEntry = (entry, indent, first = indent) =>
+    Object.entries(entry).map(
+      ([key, value], index) => `${index === 0 ? first : indent}${key}: ${JSON.stringify(value)}`
+    );
+  const renderList = (key, entries) => {
+    if (entries.length === 0) {
+      return [];
+    }
+    return [`  ${key}:`, ...entries.flatMap(entry => renderEntry(entry, '      ', '    - '))];
+  };
+
+  const lines = [
+    'tech_stack:',
+    ...renderList('languages', techStack.languages),
+    ...renderList('frameworks', techStack.frameworks)
+  ];
+  if (techStack.runtime) {
+    lines.push('  runtime:', ...renderEntry(techStack.runtime, '    '));
+  }
+  for (const key of ['package_manager', 'test_framework']) {
+    if (techStack[key]) {
+      lines.push(`  ${key}: ${JSON.stringify(techStack[key])}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * conventions.style entries: the detected conventions, or general defaults
+ * when the project has no formatter or linter config
+ *
+ * @param {string[]} style - Entries from analyzeProject
+ * @param {string} indent - Indentation of the list in the template
+ * @returns {string} YAML list items
+ * @private
+ */
+function renderStyleYaml(style, indent) {
+  const entries =
+    style.length > 0
+      ? style
+      : ['Use consistent indentation (2 spaces)', 'Prefer const over let, avoid var'];
+  return entries.map(entry => `${indent}- ${JSON.stringify(entry)}`).join('\n');
+}
+
+/**
+ * The guvnr.yaml `commands` section for detected commands, or a commented
+ * example when none were found
+ *
+ * @param {Object} commands - Commands by name from detectProjectCommands
+ * @returns {string} YAML
+ * @private
+ */
+function renderCommandsYaml(commands) {
+  const entries = Object.entries(commands);
+  if (entries.length === 0) {
+    return '# commands:\n#   test: npm test\n#   lint: npm run lint';
+  }
+  return [
+    'commands:',
+    ...entries.map(([name, command]) => `  ${name}: ${JSON.stringify(command)}`)
+  ].join('\n');
+}
+
 /**
  * Generate guvnr.yaml template inline when external template is unavailable
  *
@@ -532,18 +713,7 @@ project:
   name: "\${PROJECT_NAME}"
   description: "\${PROJECT_DESCRIPTION}"
 
-tech_stack:
-  languages:
-    - name: "\${PRIMARY_LANGUAGE}"
-      version: "\${LANGUAGE_VERSION}"
-  frameworks:
-    - name: "\${FRAMEWORK}"
-      version: "\${FRAMEWORK_VERSION}"
-  runtime:
-    name: "\${RUNTIME}"
-    version: "\${RUNTIME_VERSION}"
-  package_manager: "\${PACKAGE_MANAGER}"
-  test_framework: "\${TEST_FRAMEWORK}"
+# \${TECH_STACK}
 
 context:
   overview: |
@@ -556,13 +726,14 @@ context:
 
 conventions:
   style:
-    - "Use consistent indentation"
-    - "Prefer const over let"
+    # \${STYLE}
   naming:
     - "camelCase for variables and functions"
     - "PascalCase for classes"
   commit_format: conventional
 
+# \${COMMANDS}
+
 security:
   rules:
     - "Never commit secrets or API keys"
@@ -885,7 +1056,9 @@ async function updateGitignore(cwd, dryRun, results) {
   const additions = `
 # Guvnr - AI Tool Configs
 guvnr.local.yaml
-.guvnr/
+.guvnr/*
+!.guvnr/approvals
+!.guvnr/templates/
 docs/session-notes/*.local.md
 .tmp/
 .secrets.baseline
@@ -2,9 +2,13 @@
  * Guvnr - Lint Command
  *
  * Checks configuration files for issues and best practices:
+ * - guvnr.yaml against the bundled schema
  * - CLAUDE.md structure and content
- * - AGENTS.md alignment with specification
+ * - AGENTS.md alignment with specification, and listing the guvnr.yaml commands
  * - Cursor/Copilot/Windsurf rules
+ * - MCP configs agreeing with each other and with mcp_servers
+ * - Ignore files and deny lists covering security.sensitive_paths
+ * - Unresolved template placeholders in every generated tool file
  * - Security configuration
  */
 
@@ -13,11 +17,43 @@ import { join } from 'path';
 import chalk from 'chalk';
 import ora from 'ora';
 import { createError, FrameworkError } from '../errors.js';
+import { checkAbortSignal, withAbortSignal } from '../index.js';
+import { formatViolation } from '../utils/schema.js';
+import { resolveGuvnrConfig, validateGuvnrSource } from '../utils/config.js';
+import {
+  MCP_FILES,
+  normalizeMcpServers,
+  readMcpServers,
+  describeMcpServers
+} from '../generators/mcp.js';
+import {
+  SENSITIVE_PATH_FILES,
+  sensitivePaths,
+  pathKey,
+  readCoveredPaths
+} from '../generators/ignore.js';
+import { normalizeCommands, verificationCommands } from '../generators/commands.js';
+import { findPlaceholders, formatPlaceholders } from '../utils/placeholders.js';
+import { readManifest } from '../utils/manifest.js';
+import { TOOL_PATTERNS } from './detect.js';
+
+/**
+ * @typedef {Object} LintFinding
+ * @property {string} file - File or area the check covers (e.g. AGENTS.md)
+ * @property {string} check - Check name (e.g. verification-commands)
+ * @property {string} message - What the check found
+ * @property {string|null} [suggestion] - How to fix a failed check
+ */
 
 /**
  * Configuration file checks
  */
 const CHECKS = {
+  guvnrYaml: {
+    name: 'guvnr.yaml',
+    required: false,
+    checks: [{ name: 'schema', fn: checkGuvnrSchema, severity: 'error' }]
+  },
   claudeMd: {
     name: 'CLAUDE.md',
     required: true,
@@ -91,6 +127,21 @@ const CHECKS = {
       { name: 'char-limit', fn: checkWindsurfCharLimit, severity: 'warning' }
     ]
   },
+  mcp: {
+    name: 'MCP configs',
+    required: false,
+    checks: [{ name: 'consistent', fn: checkMcpConsistency, severity: 'warning' }]
+  },
+  sensitivePaths: {
+    name: 'security.sensitive_paths',
+    required: false,
+    checks: [{ name: 'ignore-coverage', fn: checkSensitivePathCoverage, severity: 'error' }]
+  },
+  placeholders: {
+    name: 'Generated files',
+    required: false,
+    checks: [{ name: 'placeholders', fn: checkGeneratedPlaceholders, severity: 'error' }]
+  },
   hooks: {
     name: 'scripts/hooks/',
     required: false,
@@ -102,64 +153,94 @@ const CHECKS = {
   }
 };
 
+/**
+ * Run the lint checks and return what they found, without printing anything
+ *
+ * @param {string} [cwd=process.cwd()] - Project root
+ * @param {Object} [options={}] - Lint options
+ * @param {string|string[]} [options.only] - Only run the checks for these files (keys of CHECKS, e.g. mcp)
+ * @param {(file: string) => void} [options.onFile] - Called with each file's name before it is checked
+ * @param {AbortSignal} [options.signal] - Stops linting between checks when aborted
+ * @returns {Promise<{valid: boolean, errors: LintFinding[], warnings: LintFinding[], info: LintFinding[], passed: LintFinding[]}>}
+ *   Findings by severity; valid is false when there are errors
+ * @throws {Error} If aborted via signal
+ */
+export async function lint(cwd = process.cwd(), options = {}) {
+  const results = {
+    errors: [],
+    warnings: [],
+    info: [],
+    passed: []
+  };
+
+  for (const [key, config] of Object.entries(CHECKS)) {
+    if (options.only && !options.only.includes(key)) {
+      continue;
+    }
+
+    options.onFile?.(config.name);
+
+    for (const check of config.checks) {
+      checkAbortSignal(options.signal, 'Lint');
+      const result = await withAbortSignal(
+        Promise.resolve(check.fn(cwd, config.name, options)),
+        options.signal,
+        'Lint'
+      );
+
+      if (result.passed) {
+        results.passed.push({
+          file: config.name,
+          check: check.name,
+          message: result.message
+        });
+      } else {
+        const category =
+          check.severity === 'error'
+            ? 'errors'
+            : check.severity === 'warning'
+              ? 'warnings'
+              : 'info';
+
+        results[category].push({
+          file: config.name,
+          check: check.name,
+          message: result.message,
+          suggestion: result.suggestion
+        });
+      }
+    }
+  }
+
+  return { valid: results.errors.length === 0, ...results };
+}
+
 /**
  * Main lint command handler
  *
  * @param {object} options - Command options
+ * @param {string} [options.targetDir=process.cwd()] - Project root
  * @param {boolean} [options.ignoreErrors=false] - Don't exit with error on lint failures
  * @param {boolean} [options.verbose=false] - Show detailed output
- * @returns {Promise<void>} Resolves when linting is complete
+ * @param {AbortSignal} [options._abortSignal] - Signal for cancellation support
+ * @returns {Promise<Object>} Lint results (see lint)
  * @throws {FrameworkError} If linting fails with errors
  */
 export async function lintCommand(options) {
-  const cwd = process.cwd();
+  const cwd = options.targetDir || process.cwd();
 
   console.log(chalk.cyan('\n  Guvnr - Configuration Linter\n'));
 
   const spinner = ora('Checking configuration files...').start();
 
-  const results = {
-    errors: [],
-    warnings: [],
-    info: [],
-    passed: []
-  };
-
   try {
-    // Run all checks
-    for (const [key, config] of Object.entries(CHECKS)) {
-      if (options.only && !options.only.includes(key)) {
-        continue;
+    const results = await lint(cwd, {
+      only: options.only,
+      signal: options._abortSignal,
+      onFile: name => {
+        spinner.text = `Checking ${name}...`;
       }
-
-      spinner.text = `Checking ${config.name}...`;
-
-      for (const check of config.checks) {
-        const result = await check.fn(cwd, config.name, options);
-
-        if (result.passed) {
-          results.passed.push({
-            file: config.name,
-            check: check.name,
-            message: result.message
-          });
-        } else {
-          const category =
-            check.severity === 'error'
-              ? 'errors'
-              : check.severity === 'warning'
-                ? 'warnings'
-                : 'info';
-
-          results[category].push({
-            file: config.name,
-            check: check.name,
-            message: result.message,
-            suggestion: result.suggestion
-          });
-        }
-      }
-    }
+    });
 
     spinner.succeed('Lint complete!');
 
@@ -170,6 +251,8 @@ export async function lintCommand(options) {
     if (results.errors.length > 0 && !options.ignoreErrors) {
       throw createError('GUVNR-VALID-200', `Lint found ${results.errors.length} error(s)`);
     }
+
+    return results;
   } catch (error) {
     spinner.fail('Lint failed');
 
@@ -187,6 +270,27 @@ export async function lintCommand(options) {
 // Check Functions
 // ============================================
 
+function checkGuvnrSchema(cwd) {
+  const fileName = ['guvnr.yaml', 'guvnr.yml'].find(f => existsSync(join(cwd, f)));
+  if (!fileName) {
+    return { passed: true, message: 'Skipped (file not found)' };
+  }
+
+  const result = validateGuvnrSource(readFileSync(join(cwd, fileName), 'utf-8'));
+  if (result.valid) {
+    return { passed: true, message: `${fileName} matches the Guvnr schema` };
+  }
+
+  const violations = result.violations.map(v => formatViolation(v, fileName));
+  return {
+    passed: false,
+    message: result.syntaxError
+      ? `Invalid YAML: ${violations[0]}`
+      : `${violations.length} schema violation(s):\n      ${violations.join('\n      ')}`,
+    suggestion: 'Run "guvnr validate" for the full list of violations'
+  };
+}
+
 function checkExists(cwd, name) {
   const path = join(cwd, name);
   const exists = existsSync(path);
@@ -360,13 +464,31 @@ function checkAgentsMdSections(cwd) {
   };
 }
 
-function checkVerificationCommands(cwd) {
+/**
+ * Confirm AGENTS.md tells agents how to verify their work. With a guvnr.yaml
+ * `commands` section, AGENTS.md must list each check `guvnr verify` runs;
+ * without one, it must at least contain a shell block that runs tests.
+ */
+async function checkVerificationCommands(cwd) {
   const path = join(cwd, 'AGENTS.md');
   if (!existsSync(path)) {
     return { passed: true, message: 'Skipped' };
   }
 
   const content = readFileSync(path, 'utf-8');
+  const checks = await readVerificationCommands(cwd);
+  if (checks.length > 0) {
+    const missing = checks.filter(({ command }) => !content.includes(command));
+    return {
+      passed: missing.length === 0,
+      message:
+        missing.length === 0
+          ? `AGENTS.md lists the guvnr.yaml checks (${checks.map(({ name }) => name).join(', ')})`
+          : `AGENTS.md does not list ${missing.map(({ command }) => `"${command}"`).join(', ')}`,
+      suggestion: missing.length > 0 ? 'Run "guvnr generate" to update AGENTS.md' : null
+    };
+  }
+
   const hasCommands = content.includes('```bash') || content.includes('```sh');
   const hasVerification =
     content.toLowerCase().includes('verification') || content.toLowerCase().includes('test');
@@ -378,11 +500,32 @@ function checkVerificationCommands(cwd) {
         ? 'Verification commands found'
         : 'Missing verification commands section',
     suggestion: !(hasCommands && hasVerification)
-      ? 'Add executable verification commands for agents to run'
+      ? 'Add test and lint commands to the commands section of guvnr.yaml, then run "guvnr generate"'
       : null
   };
 }
 
+/**
+ * Checks from the guvnr.yaml `commands` section
+ * @param {string} cwd - Project root
+ * @returns {Promise<Array<{name: string, command: string}>>} Commands `guvnr verify` runs
+ *   (empty without a guvnr.yaml, or when it is invalid)
+ */
+async function readVerificationCommands(cwd) {
+  const fileName = ['guvnr.yaml', 'guvnr.yml'].find(f => existsSync(join(cwd, f)));
+  if (!fileName) {
+    return [];
+  }
+
+  try {
+    const { config } = await resolveGuvnrConfig(join(cwd, fileName), { root: cwd });
+    return verificationCommands(normalizeCommands(config.commands));
+  } catch {
+    // Reported by the guvnr.yaml schema check
+    return [];
+  }
+}
+
 function checkBoundaries(cwd) {
   const path = join(cwd, 'AGENTS.md');
   if (!existsSync(path)) {
@@ -527,6 +670,214 @@ function checkWindsurfCharLimit(cwd) {
   };
 }
 
+/**
+ * Compare every MCP config on disk with mcp_servers in guvnr.yaml or, without
+ * a registry, with each other. Servers disabled for a tool are not expected
+ * in its file.
+ */
+async function checkMcpConsistency(cwd) {
+  const files = [];
+  const unreadable = [];
+  for (const [tool, path] of Object.entries(MCP_FILES)) {
+    if (existsSync(join(cwd, path))) {
+      try {
+        files.push({
+          tool,
+          path,
+          servers: readMcpServers(tool, readFileSync(join(cwd, path), 'utf-8'))
+        });
+      } catch (error) {
+        unreadable.push(`${path}: ${error.message}`);
+      }
+    }
+  }
+
+  if (files.length === 0 && unreadable.length === 0) {
+    return { passed: true, message: 'Skipped (no MCP configs)' };
+  }
+
+  let registry = null;
+  const fileName = ['guvnr.yaml', 'guvnr.yml'].find(f => existsSync(join(cwd, f)));
+  if (fileName) {
+    try {
+      const { config } = await resolveGuvnrConfig(join(cwd, fileName), { root: cwd });
+      registry = config.mcp_servers ? normalizeMcpServers(config.mcp_servers) : null;
+    } catch (error) {
+      // The guvnr.yaml check reports schema problems; MCP errors are reported here
+      if (error.code === 'GUVNR-CONFIG-310') {
+        return { passed: false, message: error.message, suggestion: error.suggestion };
+      }
+    }
+  }
+
+  const issues = [...unreadable];
+  const reference = files[0];
+  for (const file of files) {
+    const expected = registry ? describeMcpServers(registry, file.tool) : reference?.servers;
+    const against = registry ? 'mcp_servers' : reference.path;
+    if (!registry && file === reference) {
+      continue;
+    }
+
+    const missing = [...expected.keys()].filter(name => !file.servers.has(name));
+    const extra = [...file.servers.keys()].filter(name => !expected.has(name));
+    const differ = [...expected.keys()].filter(
+      name => file.servers.has(name) && file.servers.get(name) !== expected.get(name)
+    );
+
+    if (missing.length > 0) {
+      issues.push(`${file.path} is missing ${missing.join(', ')} (from ${against})`);
+    }
+    if (extra.length > 0) {
+      issues.push(`${file.path} has ${extra.join(', ')}, not in ${against}`);
+    }
+    if (differ.length > 0) {
+      issues.push(`${file.path} runs ${differ.join(', ')} differently from ${against}`);
+    }
+  }
+
+  return {
+    passed: issues.length === 0,
+    message:
+      issues.length === 0
+        ? `${files.length} MCP config(s) agree`
+        : `${issues.length} disagreement(s):\n      ${issues.join('\n      ')}`,
+    suggestion:
+      issues.length > 0
+        ? 'Define servers once under mcp_servers in guvnr.yaml and run "guvnr generate"'
+        : null
+  };
+}
+
+/**
+ * Confirm every tool set up in the project keeps out each sensitive path:
+ * its ignore file (or Claude Code deny list, or Codex override) must list them all
+ */
+async function checkSensitivePathCoverage(cwd) {
+  const fileName = ['guvnr.yaml', 'guvnr.yml'].find(f => existsSync(join(cwd, f)));
+  if (!fileName) {
+    return { passed: true, message: 'Skipped (no guvnr.yaml)' };
+  }
+
+  let paths;
+  try {
+    const { config } = await resolveGuvnrConfig(join(cwd, fileName), { root: cwd });
+    paths = sensitivePaths(config.security);
+  } catch {
+    // Reported by the guvnr.yaml schema check
+    return { passed: true, message: 'Skipped (guvnr.yaml is invalid)' };
+  }
+  if (paths.length === 0) {
+    return { passed: true, message: 'Skipped (no sensitive paths)' };
+  }
+
+  const issues = [];
+  const tools = Object.entries(SENSITIVE_PATH_FILES).filter(
+    ([, file]) => existsSync(join(cwd, file.marker)) || existsSync(join(cwd, file.path))
+  );
+
+  for (const [tool, file] of tools) {
+    if (!existsSync(join(cwd, file.path))) {
+      issues.push(`${file.path} not found (${tool} is set up)`);
+      continue;
+    }
+
+    let covered;
+    try {
+      covered = readCoveredPaths(tool, readFileSync(join(cwd, file.path), 'utf-8'));
+    } catch (error) {
+      issues.push(`${file.path}: ${error.message}`);
+      continue;
+    }
+
+    const missing = paths.filter(path => !covered.has(pathKey(path)));
+    if (missing.length > 0) {
+      issues.push(`${file.path} does not cover ${missing.join(', ')}`);
+    }
+  }
+
+  return {
+    passed: issues.length === 0,
+    message:
+      issues.length === 0
+        ? `${tools.length} tool(s) cover all ${paths.length} sensitive path(s)`
+        : `${issues.length} gap(s):\n      ${issues.join('\n      ')}`,
+    suggestion:
+      issues.length > 0
+        ? 'Run "guvnr generate" to write ignore files and deny lists from guvnr.yaml'
+        : null
+  };
+}
+
+/**
+ * Largest tool file scanned for placeholders; anything bigger is not an instruction file
+ */
+const MAX_SCANNED_FILE_BYTES = 1024 * 1024;
+
+/**
+ * Tool files in the project: every file recorded in the generated-file
+ * manifest, plus the config files and directories detect knows for each tool
+ * (so files generated before the manifest existed, or written by hand, are
+ * covered too)
+ *
+ * @param {string} cwd - Project root
+ * @returns {string[]} Relative paths of existing files
+ */
+function listToolFiles(cwd) {
+  const files = new Set();
+  const addPath = path => {
+    const fullPath = join(cwd, path);
+    if (!existsSync(fullPath)) {
+      return;
+    }
+    if (!statSync(fullPath).isDirectory()) {
+      files.add(path);
+      return;
+    }
+    for (const entry of readdirSync(fullPath)) {
+      addPath(`${path.replace(/\/$/, '')}/${entry}`);
+    }
+  };
+
+  let manifest = null;
+  try {
+    manifest = readManifest(cwd);
+  } catch {
+    // A corrupt manifest is reported by guvnr status; scan the known files
+  }
+  Object.keys(manifest?.files ?? {}).forEach(addPath);
+  TOOL_PATTERNS.flatMap(tool => tool.configFiles).forEach(addPath);
+  return [...files].sort();
+}
+
+/**
+ * Confirm no generated tool file still contains a template placeholder such
+ * as ${KNOWN_ISSUE} or [PROJECT_NAME]
+ */
+function checkGeneratedPlaceholders(cwd) {
+  const files = listToolFiles(cwd).filter(
+    path => statSync(join(cwd, path)).size <= MAX_SCANNED_FILE_BYTES
+  );
+  if (files.length === 0) {
+    return { passed: true, message: 'Skipped (no tool files)' };
+  }
+
+  const issues = files.flatMap(path =>
+    formatPlaceholders(path, findPlaceholders(readFileSync(join(cwd, path), 'utf-8')))
+  );
+  return {
+    passed: issues.length === 0,
+    message:
+      issues.length === 0
+        ? `No unresolved placeholders in ${files.length} tool file(s)`
+        : `${issues.length} unresolved placeholder(s):\n      ${issues.join('\n      ')}`,
+    suggestion:
+      issues.length > 0
+        ? 'Fill them in guvnr.yaml (see "guvnr validate") and run "guvnr generate --force"'
+        : null
+  };
+}
+
 function checkHooksExist(cwd) {
   const path = join(cwd, 'scripts', 'hooks');
   return {
@@ -0,0 +1,200 @@
+/**
+ * Guvnr - Review Check Command
+ *
+ * `guvnr review-check --base <ref>` lists the files changed since the base ref
+ * that match `security.require_review` and fails unless each matched glob has
+ * been approved by one of its owners. Approvals are read from the local git
+ * repository only, so the check runs offline:
+ * - a `Reviewed-by:` or `Approved-by:` trailer on any commit since the base
+ * - an `Approved-by:` line in .guvnr/approvals, when the change updates it
+ */
+
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { spawnSync } from 'child_process';
+import chalk from 'chalk';
+import { createError } from '../errors.js';
+import { resolveGuvnrConfig } from '../utils/config.js';
+import { normalizeReviewRules, globToRegExp } from '../generators/codeowners.js';
+
+/**
+ * File a change can update to record approvals, one trailer per line.
+ * The .gitignore entries guvnr writes ignore the rest of .guvnr/ but not this.
+ */
+export const APPROVAL_FILE = '.guvnr/approvals';
+
+/**
+ * Trailers that record a review
+ */
+const APPROVAL_TRAILER = /^(?:Reviewed-by|Approved-by):[ \t]*(.+?)[ \t]*$/gim;
+
+/**
+ * Run git in the repository
+ *
+ * @param {string} cwd - Repository root
+ * @param {string[]} args - git arguments (passed as an array, never through a shell)
+ * @returns {string} Standard output
+ * @throws {FrameworkError} GUVNR-GEN-905 if git fails
+ */
+function git(cwd, args) {
+  const result = spawnSync('git', args, {
+    cwd,
+    encoding: 'utf-8',
+    maxBuffer: 64 * 1024 * 1024
+  });
+
+  if (result.error || result.status !== 0) {
+    const reason = (result.stderr || result.error?.message || '').trim().split('\n')[0];
+    throw createError('GUVNR-GEN-905', `git ${args[0]} failed: ${reason}`);
+  }
+  return result.stdout;
+}
+
+/**
+ * Reviewers named by approval trailers in a commit message or approvals file
+ * @param {string} text - Text to scan
+ * @returns {string[]} Trailer values
+ */
+function readApprovers(text) {
+  return [...text.matchAll(APPROVAL_TRAILER)].map(match => match[1]);
+}
+
+/**
+ * Whether a trailer value names an owner. Owners are compared as whole
+ * words, so `Reviewed-by: Alice <alice@example.com>` matches the owner
+ * alice@example.com and `@alice` does not match `@alice2`.
+ *
+ * @param {string} reviewer - Trailer value
+ * @param {string} owner - Owner from review_owners
+ * @returns {boolean} True if the reviewer is the owner
+ */
+function namesOwner(reviewer, owner) {
+  return reviewer.split(/[\s<>,]+/).some(token => token.toLowerCase() === owner.toLowerCase());
+}
+
+/**
+ * Check the changes since a base ref against `security.require_review`
+ *
+ * @param {string} [cwd=process.cwd()] - Repository root
+ * @param {Object} options - Check options
+ * @param {string} options.base - Ref to compare HEAD with (e.g. origin/main)
+ * @returns {Promise<{base: string, changed: string[], approvals: Array<{reviewer: string, source: string}>, required: Array<{path: string, owners: string[], files: string[], approvedBy: string[], approved: boolean}>}>}
+ *   Changed files, the approvals found, and each require_review glob that matched a changed file
+ * @throws {FrameworkError} GUVNR-CONFIG-301 without a guvnr.yaml, GUVNR-GEN-905 if git cannot compare with the base
+ */
+export async function getReviewStatus(cwd = process.cwd(), options = {}) {
+  const { base } = options;
+  if (!base || base.startsWith('-')) {
+    throw createError('GUVNR-GEN-905', `Invalid base ref: ${base || '(none)'}`, {
+      suggestion: 'Pass the branch the change will merge into, e.g. --base origin/main'
+    });
+  }
+
+  const fileName = ['guvnr.yaml', 'guvnr.yml'].find(name => existsSync(join(cwd, name)));
+  if (!fileName) {
+    throw createError('GUVNR-CONFIG-301', 'No guvnr.yaml found', {
+      suggestion: 'Run "guvnr init" to create one'
+    });
+  }
+  const { config } = await resolveGuvnrConfig(join(cwd, fileName), { root: cwd });
+  const rules = normalizeReviewRules(config.security);
+
+  try {
+    git(cwd, ['rev-parse', '--verify', '--quiet', `${base}^{commit}`]);
+  } catch (error) {
+    throw createError('GUVNR-GEN-905', `Unknown base ref: ${base}`, { cause: error });
+  }
+  const changed = git(cwd, ['diff', '--name-only', '--no-renames', '-z', `${base}...HEAD`])
+    .split('\0')
+    .filter(Boolean);
+
+  const approvals = [];
+  for (const entry of git(cwd, ['log', '--format=%h%x1f%B%x00', `${base}..HEAD`]).split('\0')) {
+    const [hash, message = ''] = entry.replace(/^\n/, '').split('\x1f');
+    for (const reviewer of readApprovers(message)) {
+      approvals.push({ reviewer, source: hash });
+    }
+  }
+  if (changed.includes(APPROVAL_FILE)) {
+    const file = spawnSync('git', ['show', `HEAD:${APPROVAL_FILE}`], { cwd, encoding: 'utf-8' });
+    for (const reviewer of file.status === 0 ? readApprovers(file.stdout) : []) {
+      approvals.push({ reviewer, source: APPROVAL_FILE });
+    }
+  }
+
+  const required = [];
+  for (const rule of rules) {
+    const pattern = globToRegExp(rule.path);
+    const files = changed.filter(file => pattern.test(file));
+    if (files.length === 0) {
+      continue;
+    }
+
+    const approvedBy = approvals
+      .filter(
+        approval =>
+          rule.owners.length === 0 ||
+          rule.owners.some(owner => namesOwner(approval.reviewer, owner))
+      )
+      .map(approval => `${approval.reviewer} (${approval.source})`);
+    required.push({ ...rule, files, approvedBy, approved: approvedBy.length > 0 });
+  }
+
+  return { base, changed, approvals, required };
+}
+
+/**
+ * Fail when changes to require_review paths have not been approved by an owner.
+ *
+ * @param {Object} [options={}] - Command options
+ * @param {string} [options.targetDir=process.cwd()] - Repository root
+ * @param {string} options.base - Ref to compare HEAD with
+ * @param {boolean} [options.json=false] - Output results as JSON for scripting
+ * @returns {Promise<Object>} Review status (see getReviewStatus)
+ * @throws {FrameworkError} GUVNR-VALID-208 if a matched glob has no approval from its owners
+ */
+export async function reviewCheckCommand(options = {}) {
+  const cwd = options.targetDir || process.cwd();
+  const result = await getReviewStatus(cwd, { base: options.base });
+  const missing = result.required.filter(rule => !rule.approved);
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(
+      chalk.bold(`\n  Review check against ${result.base}`) +
+        chalk.gray(` (${result.changed.length} changed files)\n`)
+    );
+
+    if (result.required.length === 0) {
+      console.log(chalk.green('  No changed files match security.require_review.\n'));
+    }
+    for (const rule of result.required) {
+      const who = rule.owners.length > 0 ? rule.owners.join(' or ') : 'any reviewer';
+      if (rule.approved) {
+        console.log(
+          chalk.green(`  ✓ ${rule.path}`) + chalk.gray(` approved by ${rule.approvedBy.join(', ')}`)
+        );
+      } else {
+        console.log(chalk.red(`  ✗ ${rule.path}`) + chalk.gray(` needs a review by ${who}`));
+        rule.files.forEach(file => console.log(chalk.gray(`      ${file}`)));
+      }
+    }
+    if (result.required.length > 0) {
+      console.log('');
+    }
+  }
+
+  if (missing.length > 0) {
+    const paths = missing.map(rule => rule.path).join(', ');
+    throw createError(
+      'GUVNR-VALID-208',
+      `${missing.length} require_review path(s) changed without an owner's approval: ${paths}`,
+      { context: { files: missing.flatMap(rule => rule.files) } }
+    );
+  }
+
+  return result;
+}
+
+export default reviewCheckCommand;
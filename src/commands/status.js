@@ -0,0 +1,155 @@
+/**
+ * Guvnr - Status Command
+ *
+ * Compares the files recorded in .guvnr/manifest.json with what is on disk and
+ * with what `guvnr generate` would write from the current guvnr.yaml.
+ */
+
+import chalk from 'chalk';
+import { renderOutputs } from './generate.js';
+import {
+  MANIFEST_PATH,
+  GENERATOR_VERSION,
+  hashContent,
+  readManifest,
+  checkRecordedFile
+} from '../utils/manifest.js';
+
+/**
+ * Display order and labels for each file status
+ */
+const STATUS_LABELS = {
+  modified: { label: 'hand-modified', color: chalk.yellow, icon: '✎' },
+  stale: { label: 'stale', color: chalk.cyan, icon: '↻' },
+  orphaned: { label: 'orphaned', color: chalk.magenta, icon: '?' },
+  missing: { label: 'missing', color: chalk.red, icon: '✗' },
+  clean: { label: 'clean', color: chalk.green, icon: '✓' }
+};
+
+/**
+ * Work out the status of every file recorded in the manifest.
+ *
+ * - clean: on disk exactly as generated, and generate would write the same content today
+ * - modified: edited by hand since guvnr wrote it
+ * - stale: untouched, but guvnr.yaml (or guvnr itself) has changed since, so generate would write something else
+ * - orphaned: untouched, but the current config no longer produces it
+ * - missing: recorded in the manifest but deleted from disk
+ *
+ * @param {string} [cwd=process.cwd()] - Project root
+ * @returns {Promise<{manifest: boolean, source: {path: string, hash: string}|null, files: Array<{path: string, tool: string, status: string, reason?: string}>}>}
+ *   Per-file status, sorted by path
+ * @throws {FrameworkError} If the manifest or guvnr.yaml cannot be read
+ */
+export async function getGeneratedStatus(cwd = process.cwd()) {
+  const manifest = readManifest(cwd);
+  if (!manifest) {
+    return { manifest: false, source: null, files: [] };
+  }
+
+  // A tool whose plugin was removed from guvnr.yaml renders nothing, which
+  // marks the files it wrote as orphaned. Package outputs are rendered only if
+  // the last generate ran with --recursive.
+  const recursive = Object.values(manifest.files).some(entry => entry.package);
+  const { source, outputs } = await renderOutputs(cwd, { tools: 'all', recursive });
+  const rendered = new Map(outputs.map(output => [`${output.tool}:${output.path}`, output]));
+
+  const files = Object.entries(manifest.files).map(([path, entry]) => {
+    const file = { path, tool: entry.tool };
+    const onDisk = checkRecordedFile(cwd, path, entry);
+    const current = rendered.get(`${entry.tool}:${path}`);
+
+    if (onDisk === 'missing') {
+      file.status = 'missing';
+    } else if (onDisk === 'modified') {
+      file.status = 'modified';
+    } else if (!current) {
+      file.status = 'orphaned';
+      file.reason = 'no longer produced by the current config';
+    } else if (hashContent(current.content) !== entry.hash) {
+      file.status = 'stale';
+      const currentSource = current.package
+        ? { path: `${source?.path} or ${current.package}`, hash: current.sourceHash }
+        : source;
+      file.reason =
+        entry.generatorVersion !== GENERATOR_VERSION && entry.sourceHash === currentSource?.hash
+          ? `generated by guvnr ${entry.generatorVersion}, now ${GENERATOR_VERSION}`
+          : `${currentSource?.path ?? 'config'} changed since it was generated`;
+    } else {
+      file.status = 'clean';
+    }
+    return file;
+  });
+
+  files.sort((a, b) => a.path.localeCompare(b.path));
+  return { manifest: true, source, files };
+}
+
+/**
+ * Show the status of generated files
+ *
+ * @param {Object} [options={}] - Command options
+ * @param {string} [options.targetDir=process.cwd()] - Project root
+ * @param {boolean} [options.json=false] - Output results as JSON for scripting
+ * @param {boolean} [options.verbose=false] - List clean files as well
+ * @returns {Promise<{manifest: boolean, source: Object|null, files: Array<Object>, summary: Object}>} Status report
+ */
+export async function statusCommand(options = {}) {
+  const cwd = options.targetDir || process.cwd();
+  const report = await getGeneratedStatus(cwd);
+
+  const summary = Object.fromEntries(Object.keys(STATUS_LABELS).map(status => [status, 0]));
+  for (const file of report.files) {
+    summary[file.status]++;
+  }
+  const result = { ...report, summary };
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return result;
+  }
+
+  console.log(chalk.cyan('\n  Guvnr - Generated File Status\n'));
+
+  if (!report.manifest) {
+    console.log(chalk.yellow(`  No ${MANIFEST_PATH} found.`));
+    console.log(chalk.gray('  Run "guvnr generate" to create one.\n'));
+    return result;
+  }
+
+  for (const [status, { label, color, icon }] of Object.entries(STATUS_LABELS)) {
+    const files = report.files.filter(file => file.status === status);
+    if (files.length === 0 || (status === 'clean' && !options.verbose)) {
+      continue;
+    }
+
+    console.log(color(`  ${label} (${files.length}):`));
+    for (const file of files) {
+      const reason = file.reason ? chalk.gray(` - ${file.reason}`) : '';
+      console.log(`    ${color(icon)} ${file.path} ${chalk.gray(`[${file.tool}]`)}${reason}`);
+    }
+    console.log('');
+  }
+
+  const counts = Object.entries(summary)
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${count} ${STATUS_LABELS[status].label}`);
+  console.log(chalk.bold(`  ${report.files.length} generated file(s): ${counts.join(', ')}`));
+
+  if (summary.stale > 0 || summary.missing > 0) {
+    console.log(
+      chalk.gray('  Run "guvnr generate --force" to bring stale and missing files up to date.')
+    );
+  }
+  if (summary.modified > 0) {
+    console.log(
+      chalk.gray(
+        '  Hand-modified files are overwritten by --force; move edits into guvnr.yaml first.'
+      )
+    );
+  }
+  console.log('');
+
+  return result;
+}
+
+export default statusCommand;
@@ -0,0 +1,77 @@
+/**
+ * Guvnr - Templates Command
+ *
+ * `guvnr templates list` shows which generated files come from templates, and
+ * `guvnr templates eject <tool>` copies a tool's built-in templates into
+ * .guvnr/templates/ so the project can change them. Generate uses the copies
+ * from then on; `guvnr validate` checks them.
+ */
+
+import chalk from 'chalk';
+import {
+  PROJECT_TEMPLATES_DIR,
+  defaultTemplates,
+  ejectTemplates,
+  templateTools
+} from '../generators/templates.js';
+
+/**
+ * List the tools with templates and the files each can override
+ *
+ * @param {Object} [options={}] - Command options
+ * @param {boolean} [options.json=false] - Output results as JSON
+ * @returns {Promise<Object<string, string[]>>} Template names by tool id
+ */
+export async function templatesListCommand(options = {}) {
+  const templates = Object.fromEntries(templateTools().map(tool => [tool, defaultTemplates(tool)]));
+
+  if (options.json) {
+    console.log(JSON.stringify(templates, null, 2));
+    return templates;
+  }
+
+  console.log(chalk.bold('\n  Templates\n'));
+  for (const [tool, names] of Object.entries(templates)) {
+    console.log(`  ${chalk.cyan(tool.padEnd(10))} ${names.join(', ')}`);
+  }
+  console.log(chalk.gray(`\n  Override one with ${PROJECT_TEMPLATES_DIR}/<tool>/<template>\n`));
+
+  return templates;
+}
+
+/**
+ * Copy a tool's built-in templates into .guvnr/templates/ for editing
+ *
+ * @param {string} tool - Tool id
+ * @param {Object} [options={}] - Command options
+ * @param {string} [options.targetDir=process.cwd()] - Project root
+ * @param {boolean} [options.force=false] - Replace templates the project already overrides
+ * @param {boolean} [options.dryRun=false] - List the files without writing them
+ * @param {boolean} [options.json=false] - Output results as JSON
+ * @returns {Promise<{written: string[], skipped: string[]}>} Project-relative paths
+ * @throws {FrameworkError} GUVNR-CONFIG-315 if the tool has no templates
+ */
+export async function templatesEjectCommand(tool, options = {}) {
+  const cwd = options.targetDir || process.cwd();
+  const result = ejectTemplates(cwd, tool, { force: options.force, dryRun: options.dryRun });
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return result;
+  }
+
+  const verb = options.dryRun ? 'Would write' : 'Wrote';
+  for (const path of result.written) {
+    console.log(chalk.green(`  ✓ ${verb} ${path}`));
+  }
+  for (const path of result.skipped) {
+    console.log(chalk.yellow(`  - Skipped ${path} (already exists; use --force to replace it)`));
+  }
+  if (result.written.length > 0 && !options.dryRun) {
+    console.log(chalk.gray(`\n  Edit them, then run guvnr generate --tools ${tool}\n`));
+  }
+
+  return result;
+}
+
+export default templatesEjectCommand;
@@ -6,6 +6,10 @@ import fs from 'fs-extra';
 import path from 'path';
 import chalk from 'chalk';
 import ora from 'ora';
+import { MANIFEST_PATH, BASE_DIR, readManifest, checkRecordedFile } from '../utils/manifest.js';
+import { SHORT_ID_LENGTH, createJournal, formatCommand } from '../utils/history.js';
+import { writeFileAtomic } from '../utils/transaction.js';
+import { CODEOWNERS_PATHS, renderCodeowners } from '../generators/codeowners.js';
 
 // Files and directories installed by the framework
 const FRAMEWORK_FILES = [
@@ -25,7 +29,9 @@ const FRAMEWORK_FILES = [
   'scripts/health/claude-md-monitor.sh'
 ];
 
-// Generated tool configurations
+// Generated tool configurations, used when the project has no .guvnr/manifest.json
+// (generated before the manifest existed). Otherwise the manifest says exactly
+// which files guvnr wrote.
 const GENERATED_TOOL_CONFIGS = [
   'AGENTS.md',
   '.cursor/',
@@ -72,11 +78,25 @@ async function exists(filePath) {
 }
 
 /**
- * Get list of files that would be removed
+ * Read the generated-file manifest, treating a corrupt one as absent so
+ * uninstall can still fall back to the known tool config locations
+ */
+function readManifestSafely(targetDir) {
+  try {
+    return readManifest(targetDir);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get list of files that would be removed.
+ * Generated files that were edited by hand since guvnr wrote them are preserved.
  */
 async function getFilesToRemove(targetDir, options = {}) {
   const toRemove = [];
   const toPreserve = [];
+  const modified = [];
 
   // Check framework files
   for (const file of FRAMEWORK_FILES) {
@@ -87,10 +107,51 @@ async function getFilesToRemove(targetDir, options = {}) {
   }
 
   // Check generated tool configs
-  for (const file of GENERATED_TOOL_CONFIGS) {
+  const manifest = readManifestSafely(targetDir);
+  if (manifest) {
+    const removedDirs = toRemove.filter(item => item.path.endsWith('/')).map(item => item.path);
+
+    for (const [file, entry] of Object.entries(manifest.files)) {
+      if (
+        PRESERVE_BY_DEFAULT.includes(file) ||
+        CODEOWNERS_PATHS.includes(file) ||
+        removedDirs.some(dir => file.startsWith(dir))
+      ) {
+        continue;
+      }
+
+      const state = checkRecordedFile(targetDir, file, entry);
+      if (state === 'unchanged') {
+        toRemove.push({ path: file, type: 'generated' });
+      } else if (state === 'modified') {
+        toPreserve.push(file);
+        modified.push(file);
+      }
+    }
+  } else {
+    for (const file of GENERATED_TOOL_CONFIGS) {
+      const fullPath = path.join(targetDir, file);
+      if (await exists(fullPath)) {
+        toRemove.push({ path: file, type: 'generated' });
+      }
+    }
+  }
+
+  if (await exists(path.join(targetDir, MANIFEST_PATH))) {
+    toRemove.push({ path: MANIFEST_PATH, type: 'generated' });
+  }
+  if (await exists(path.join(targetDir, BASE_DIR))) {
+    toRemove.push({ path: `${BASE_DIR}/`, type: 'generated' });
+  }
+
+  // Only guvnr's block leaves CODEOWNERS; the project's own owners stay
+  for (const file of CODEOWNERS_PATHS) {
     const fullPath = path.join(targetDir, file);
     if (await exists(fullPath)) {
-      toRemove.push({ path: file, type: 'generated' });
+      const content = renderCodeowners(await fs.readFile(fullPath, 'utf-8'), []);
+      if (content !== null) {
+        toRemove.push({ path: file, type: 'block', content });
+      }
     }
   }
 
@@ -106,7 +167,7 @@ async function getFilesToRemove(targetDir, options = {}) {
     }
   }
 
-  return { toRemove, toPreserve };
+  return { toRemove, toPreserve, modified };
 }
 
 /**
@@ -132,7 +193,11 @@ async function removeItem(targetDir, itemPath) {
  * Uninstall Guvnr from a project.
  *
  * Removes framework files including commands, agents, hooks, MCP server,
- * and optionally the CLAUDE.md configuration file.
+ * and optionally the CLAUDE.md configuration file. Generated tool configs are
+ * removed according to .guvnr/manifest.json when present; files edited by hand
+ * since they were generated are preserved. From CODEOWNERS only the guvnr
+ * block is removed (and the file, if nothing else is left). The removed
+ * files are kept in .guvnr/history/ so `guvnr undo` can bring them back.
  *
  * @param {Object} [options={}] - Uninstall options
  * @param {string} [options.targetDir=process.cwd()] - Directory to uninstall from
@@ -141,6 +206,7 @@ async function removeItem(targetDir, itemPath) {
  * @param {boolean} [options.keepConfig=false] - Preserve CLAUDE.md file
  * @param {boolean} [options.json=false] - Output results as JSON for scripting
  * @param {boolean} [options.verbose=false] - Show detailed progress
+ * @param {string} [options._operationId] - Run ID for the history journal (set by the CLI)
  * @returns {Promise<{success: boolean, removed: string[], preserved: string[], errors: Array<{path: string, error: string}>}>}
  *   Result object with arrays of removed files, preserved files, and any errors
  * @example
@@ -166,7 +232,7 @@ export async function uninstall(options = {}) {
   };
 
   // Get files to remove
-  const { toRemove, toPreserve } = await getFilesToRemove(targetDir, { keepConfig });
+  const { toRemove, toPreserve, modified } = await getFilesToRemove(targetDir, { keepConfig });
 
   if (toRemove.length === 0) {
     if (json) {
@@ -192,7 +258,10 @@ export async function uninstall(options = {}) {
 
     for (const item of toRemove) {
       const icon = item.preservable ? '⚠' : '•';
-      const note = item.preservable ? chalk.yellow(' (user content)') : '';
+      let note = item.preservable ? chalk.yellow(' (user content)') : '';
+      if (item.type === 'block') {
+        note = chalk.gray(' (guvnr block only)');
+      }
       console.log(`  ${icon} ${item.path}${note}`);
     }
 
@@ -200,7 +269,8 @@ export async function uninstall(options = {}) {
       console.log('');
       console.log(chalk.bold('Files to be preserved:'));
       for (const file of toPreserve) {
-        console.log(`  ✓ ${file}`);
+        const note = modified.includes(file) ? chalk.yellow(' (modified since generated)') : '';
+        console.log(`  ✓ ${file}${note}`);
       }
     }
 
@@ -243,12 +313,21 @@ export async function uninstall(options = {}) {
     }
   }
 
-  // Remove files
+  // Remove files, keeping their previous versions for guvnr undo
   const spinner = json ? null : ora('Removing framework files...').start();
+  const journal = createJournal(targetDir, {
+    id: options._operationId,
+    command: formatCommand('uninstall', { 'keep-config': keepConfig })
+  });
 
   for (const item of toRemove) {
     try {
-      await removeItem(targetDir, item.path);
+      journal.record(item.path);
+      if (item.type === 'block' && item.content !== '') {
+        writeFileAtomic(path.join(targetDir, item.path), item.content);
+      } else {
+        await removeItem(targetDir, item.path);
+      }
       result.removed.push(item.path);
     } catch (error) {
       result.errors.push({ path: item.path, error: error.message });
@@ -256,6 +335,7 @@ export async function uninstall(options = {}) {
   }
 
   result.preserved = toPreserve;
+  const run = journal.save();
 
   // Report results
   if (spinner) {
@@ -290,6 +370,9 @@ export async function uninstall(options = {}) {
     if (keepConfig) {
       console.log(chalk.cyan('Your CLAUDE.md file was preserved.'));
     }
+    if (run) {
+      console.log(chalk.gray(`Undo with: guvnr undo ${run.id.slice(0, SHORT_ID_LENGTH)}`));
+    }
   }
 
   return result;
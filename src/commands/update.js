@@ -10,6 +10,7 @@ import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import ora from 'ora';
 import fse from 'fs-extra';
+import { createJournal, formatCommand } from '../utils/history.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -109,11 +110,15 @@ const UPDATABLE_COMPONENTS = [
  * Checks for and installs updates to framework components (commands, agents,
  * hooks, templates). Can be used in check-only mode for CI/CD pipelines.
  *
+ * Files it replaces are kept in .guvnr/history/ so `guvnr undo` can restore them.
+ *
  * @param {Object} options - Command options
+ * @param {string} [options.targetDir=process.cwd()] - Project root
  * @param {boolean} [options.check=false] - Check for updates without installing
  * @param {boolean} [options.force=false] - Force update even if no changes detected
  * @param {boolean} [options.verbose=false] - Show detailed update progress
  * @param {boolean} [options.json=false] - Output results as JSON for scripting
+ * @param {string} [options._operationId] - Run ID for the history journal (set by the CLI)
  * @returns {Promise<void>} Resolves when update check/install is complete
  * @example
  * // Check for updates without installing
@@ -123,7 +128,7 @@ const UPDATABLE_COMPONENTS = [
  * await updateCommand({ force: true });
  */
 export async function updateCommand(options) {
-  const cwd = process.cwd();
+  const cwd = options.targetDir || process.cwd();
   const jsonOutput = options.json === true;
 
   // Helper to log only when not in JSON mode
@@ -228,9 +233,14 @@ export async function updateCommand(options) {
   const updateSpinner = jsonOutput
     ? { text: '', start: () => updateSpinner, stop: () => {}, succeed: () => {} }
     : ora('Applying updates...').start();
+  const journal = createJournal(cwd, {
+    id: options._operationId,
+    command: formatCommand('update', { force: true })
+  });
 
   for (const update of updates.available) {
     try {
+      journal.record(update.file);
       fse.copySync(update.sourcePath, update.targetPath);
       updates.updated.push(update);
     } catch (error) {
@@ -241,6 +251,7 @@ export async function updateCommand(options) {
     }
   }
 
+  journal.save();
   updateSpinner.succeed('Updates applied!');
 
   // Output results
@@ -15,8 +15,14 @@ import chalk from 'chalk';
 import ora from 'ora';
 import fse from 'fs-extra';
 import yaml from 'js-yaml';
-import { detectSecrets, checkAbortSignal } from '../index.js';
+import { detectSecrets, checkAbortSignal, withAbortSignal } from '../index.js';
 import { createError } from '../errors.js';
+import { formatViolation, suggestClosest } from '../utils/schema.js';
+import { validateGuvnrSource, resolveGuvnrConfig } from '../utils/config.js';
+import { findUnsupportedOverrides } from '../generators/overrides.js';
+import { findConfigPlaceholders } from '../utils/placeholders.js';
+import { checkProjectTemplates } from '../generators/templates.js';
+import { createJournal, formatCommand } from '../utils/history.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -49,18 +55,64 @@ async function safeReadFile(filePath) {
   }
 }
 
+/**
+ * Resolve the guvnr.yaml path, falling back to guvnr.yml
+ * @param {string} cwd - Project directory
+ * @returns {Promise<string>} Path to the config file (which may not exist)
+ */
+async function resolveGuvnrYamlPath(cwd) {
+  return (await fileExists(join(cwd, 'guvnr.yaml')))
+    ? join(cwd, 'guvnr.yaml')
+    : join(cwd, 'guvnr.yml');
+}
+
+/**
+ * Parse guvnr.yaml, merging in the configs it extends when they resolve
+ * @param {string} content - guvnr.yaml contents
+ * @param {string} cwd - Project directory
+ * @returns {Promise<Object|null>} Parsed (and, where possible, resolved) config
+ * @throws {Error} If the YAML cannot be parsed
+ */
+async function loadWithParents(content, cwd) {
+  const config = yaml.load(content);
+  if (config?.extends === undefined) {
+    return config;
+  }
+  try {
+    return (await resolveGuvnrConfig(await resolveGuvnrYamlPath(cwd), { partial: true })).config;
+  } catch {
+    return config; // Reported by guvnr-yaml-schema
+  }
+}
+
+/**
+ * Normalize a rule check outcome.
+ * Checks return a boolean, or `{ passed, details }` when they have
+ * per-location findings to report.
+ * @param {boolean|{passed: boolean, details?: string[]}} outcome - Raw check result
+ * @returns {{passed: boolean, details: string[]}} Normalized result
+ */
+function normalizeCheckResult(outcome) {
+  if (outcome && typeof outcome === 'object') {
+    return { passed: Boolean(outcome.passed), details: outcome.details || [] };
+  }
+  return { passed: Boolean(outcome), details: [] };
+}
+
 /**
  * Validation rules with auto-fix capabilities.
  * All check and fix functions are async for non-blocking I/O.
+ * `touches` lists the paths a fix may write (a trailing slash for a
+ * directory it creates), so their previous state is journaled for guvnr undo.
  */
 const VALIDATION_RULES = [
   {
     id: 'guvnr-yaml-exists',
     name: 'guvnr.yaml exists',
     category: 'core',
-    check: async cwd => {
-      return (await fileExists(join(cwd, 'guvnr.yaml'))) || (await fileExists(join(cwd, 'guvnr.yml')));
-    },
+    check: async cwd =>
+      (await fileExists(join(cwd, 'guvnr.yaml'))) || (await fileExists(join(cwd, 'guvnr.yml'))),
+    touches: ['guvnr.yaml'],
     fix: async cwd => {
       const template = `# Guvnr Configuration
 version: "1.0"
@@ -109,11 +161,10 @@ tools:
     name: 'guvnr.yaml is valid YAML',
     category: 'core',
     check: async cwd => {
-      const yamlPath = (await fileExists(join(cwd, 'guvnr.yaml')))
-        ? join(cwd, 'guvnr.yaml')
-        : join(cwd, 'guvnr.yml');
-      const content = await safeReadFile(yamlPath);
-      if (content === null) return true; // Skip if no file
+      const content = await safeReadFile(await resolveGuvnrYamlPath(cwd));
+      if (content === null) {
+        return true; // Skip if no file
+      }
       try {
         yaml.load(content);
         return true;
@@ -124,18 +175,110 @@ tools:
     fix: null, // Cannot auto-fix YAML syntax errors
     severity: 'error'
   },
+  {
+    id: 'guvnr-yaml-schema',
+    name: 'guvnr.yaml matches the Guvnr schema',
+    category: 'core',
+    check: async cwd => {
+      const yamlPath = await resolveGuvnrYamlPath(cwd);
+      const content = await safeReadFile(yamlPath);
+      if (content === null) {
+        return true; // Skip if no file
+      }
+      const result = validateGuvnrSource(content);
+      if (result.syntaxError) {
+        return true; // Reported by guvnr-yaml-valid
+      }
+      if (result.valid && result.config.extends !== undefined) {
+        // Parents must exist, be valid and supply whatever this file leaves out
+        try {
+          await resolveGuvnrConfig(yamlPath, { root: cwd });
+        } catch (error) {
+          return { passed: false, details: [error.message] };
+        }
+      }
+      return {
+        passed: result.valid,
+        details: result.violations.map(v => formatViolation(v, basename(yamlPath)))
+      };
+    },
+    fix: null, // Schema violations need a human decision
+    severity: 'error'
+  },
+  {
+    id: 'guvnr-yaml-placeholders',
+    name: 'guvnr.yaml has no unresolved template placeholders',
+    category: 'core',
+    check: async cwd => {
+      const yamlPath = await resolveGuvnrYamlPath(cwd);
+      const content = await safeReadFile(yamlPath);
+      if (content === null) {
+        return true; // Skip if no file
+      }
+      const found = findConfigPlaceholders(content);
+      return {
+        passed: found.length === 0,
+        details: found.map(v => formatViolation(v, basename(yamlPath)))
+      };
+    },
+    fix: null, // Only the user knows what belongs there
+    severity: 'error'
+  },
+  {
+    id: 'guvnr-yaml-tool-overrides',
+    name: 'tools.<id> overrides are used by their generators',
+    category: 'core',
+    check: async cwd => {
+      const content = await safeReadFile(await resolveGuvnrYamlPath(cwd));
+      if (content === null) {
+        return true; // Skip if no file
+      }
+      let config;
+      try {
+        config = await loadWithParents(content, cwd);
+      } catch {
+        return true; // Reported by guvnr-yaml-valid
+      }
+      const unsupported = findUnsupportedOverrides(config);
+      return {
+        passed: unsupported.length === 0,
+        details: unsupported.map(({ tool, key, supported }) => {
+          const suggestion = suggestClosest(key, supported);
+          const hint = suggestion ? ` (did you mean "${suggestion}"?)` : '';
+          return `tools.${tool}.${key}: not used by the ${tool} generator${hint}`;
+        })
+      };
+    },
+    fix: null,
+    severity: 'error'
+  },
+  {
+    id: 'generator-templates',
+    name: 'Template overrides in .guvnr/templates are valid',
+    category: 'core',
+    check: async cwd => {
+      const problems = checkProjectTemplates(cwd);
+      return {
+        passed: problems.length === 0,
+        details: problems.map(
+          ({ path, line, column, message }) => `${path}:${line}:${column} ${message}`
+        )
+      };
+    },
+    fix: null, // Only the user knows what the template should say
+    severity: 'error'
+  },
   {
     id: 'guvnr-yaml-has-project',
     name: 'guvnr.yaml has project section',
     category: 'core',
     check: async cwd => {
-      const yamlPath = (await fileExists(join(cwd, 'guvnr.yaml')))
-        ? join(cwd, 'guvnr.yaml')
-        : join(cwd, 'guvnr.yml');
-      const content = await safeReadFile(yamlPath);
-      if (content === null) return true; // Skip if no file
+      const content = await safeReadFile(await resolveGuvnrYamlPath(cwd));
+      if (content === null) {
+        return true; // Skip if no file
+      }
       try {
-        const config = yaml.load(content);
+        const config = await loadWithParents(content, cwd);
         return config && config.project && config.project.name;
       } catch {
         return false;
@@ -149,13 +292,12 @@ tools:
     name: 'guvnr.yaml has version field',
     category: 'core',
     check: async cwd => {
-      const yamlPath = (await fileExists(join(cwd, 'guvnr.yaml')))
-        ? join(cwd, 'guvnr.yaml')
-        : join(cwd, 'guvnr.yml');
-      const content = await safeReadFile(yamlPath);
-      if (content === null) return true; // Skip if no file
+      const content = await safeReadFile(await resolveGuvnrYamlPath(cwd));
+      if (content === null) {
+        return true; // Skip if no file
+      }
       try {
-        const config = yaml.load(content);
+        const config = await loadWithParents(content, cwd);
         return config && config.version;
       } catch {
         return false;
@@ -169,6 +311,7 @@ tools:
     name: '.claude/commands directory exists',
     category: 'commands',
     check: async cwd => fileExists(join(cwd, '.claude', 'commands')),
+    touches: ['.claude/commands/'],
     fix: async cwd => {
       await mkdir(join(cwd, '.claude', 'commands'), { recursive: true });
       return true;
@@ -180,6 +323,7 @@ tools:
     name: '/plan command exists',
     category: 'commands',
     check: async cwd => fileExists(join(cwd, '.claude', 'commands', 'plan.md')),
+    touches: ['.claude/commands/plan.md'],
     fix: async cwd => {
       const source = join(PACKAGE_ROOT, '.claude', 'commands', 'plan.md');
       const target = join(cwd, '.claude', 'commands', 'plan.md');
@@ -197,6 +341,7 @@ tools:
     name: '/verify command exists',
     category: 'commands',
     check: async cwd => fileExists(join(cwd, '.claude', 'commands', 'verify.md')),
+    touches: ['.claude/commands/verify.md'],
     fix: async cwd => {
       const source = join(PACKAGE_ROOT, '.claude', 'commands', 'verify.md');
       const target = join(cwd, '.claude', 'commands', 'verify.md');
@@ -214,6 +359,7 @@ tools:
     name: 'Pre-commit configuration exists',
     category: 'security',
     check: async cwd => fileExists(join(cwd, '.pre-commit-config.yaml')),
+    touches: ['.pre-commit-config.yaml'],
     fix: async cwd => {
       const source = join(PACKAGE_ROOT, 'templates', '.pre-commit-config.yaml');
       const target = join(cwd, '.pre-commit-config.yaml');
@@ -245,10 +391,13 @@ tools:
     name: '.gitignore exists',
     category: 'security',
     check: async cwd => fileExists(join(cwd, '.gitignore')),
+    touches: ['.gitignore'],
     fix: async cwd => {
       const content = `# Guvnr - AI Tool Configs
 guvnr.local.yaml
-.guvnr/
+.guvnr/*
+!.guvnr/approvals
+!.guvnr/templates/
 .tmp/
 .secrets.baseline
 
@@ -287,6 +436,7 @@ Thumbs.db
       const content = await safeReadFile(join(cwd, '.gitignore'));
       return content !== null && (content.includes('.tmp/') || content.includes('.tmp'));
     },
+    touches: ['.gitignore'],
     fix: async cwd => {
       const path = join(cwd, '.gitignore');
       if (!(await fileExists(path))) {
@@ -305,6 +455,7 @@ Thumbs.db
       const content = await safeReadFile(join(cwd, '.gitignore'));
       return content !== null && content.includes('.secrets.baseline');
     },
+    touches: ['.gitignore'],
     fix: async cwd => {
       const path = join(cwd, '.gitignore');
       if (!(await fileExists(path))) {
@@ -320,6 +471,7 @@ Thumbs.db
     name: 'Session notes directory exists',
     category: 'workflow',
     check: async cwd => fileExists(join(cwd, 'docs', 'session-notes')),
+    touches: ['docs/session-notes/.gitkeep'],
     fix: async cwd => {
       await mkdir(join(cwd, 'docs', 'session-notes'), { recursive: true });
       await writeFile(join(cwd, 'docs', 'session-notes', '.gitkeep'), '');
@@ -332,6 +484,7 @@ Thumbs.db
     name: '.tmp directory exists',
     category: 'workflow',
     check: async cwd => fileExists(join(cwd, '.tmp')),
+    touches: ['.tmp/.gitkeep'],
     fix: async cwd => {
       await mkdir(join(cwd, '.tmp'), { recursive: true });
       await writeFile(join(cwd, '.tmp', '.gitkeep'), '');
@@ -360,6 +513,7 @@ Thumbs.db
     name: '.claude/agents directory exists',
     category: 'agents',
     check: async cwd => fileExists(join(cwd, '.claude', 'agents')),
+    touches: ['.claude/agents/'],
     fix: async cwd => {
       await mkdir(join(cwd, '.claude', 'agents'), { recursive: true });
       return true;
@@ -369,31 +523,39 @@ Thumbs.db
 ];
 
 /**
- * Main validate command handler
+ * Summarize a validation rule for results, without its check and fix functions
+ * @param {Object} rule - Entry from VALIDATION_RULES
+ * @param {Object} [extra={}] - details or error from running it
+ * @returns {{id: string, name: string, category: string, fixable: boolean, details?: string[], error?: string}} Rule summary
+ */
+function summarizeRule(rule, extra = {}) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    category: rule.category,
+    fixable: Boolean(rule.fix),
+    ...extra
+  };
+}
+
+/**
+ * Run the validation rules and return their results, without printing anything
  *
- * @param {object} options - Command options
- * @param {boolean} [options.fix=false] - Automatically fix issues where possible
- * @param {boolean} [options.json=false] - Output results as JSON
- * @param {AbortSignal} [options._abortSignal] - Signal for cancellation support
- * @returns {Promise<void>} Resolves when validation is complete
- * @throws {FrameworkError} If validation fails with errors
+ * @param {string} [cwd=process.cwd()] - Project root
+ * @param {Object} [options={}] - Validation options
+ * @param {boolean} [options.fix=false] - Repair what can be repaired automatically
+ * @param {(rule: {id: string, name: string}) => void} [options.onFix] - Called before each fix is attempted
+ * @param {AbortSignal} [options.signal] - Stops validation between rules when aborted
+ * @param {string} [options.runId] - ID of the fix run in .guvnr/history/ (a new UUID by default)
+ * @returns {Promise<{valid: boolean, total: number, passed: Object[], errors: Object[], warnings: Object[], info: Object[], fixed: Object[]}>}
+ *   Rule summaries (id, name, category, fixable, and details or error when failed) by outcome
  * @throws {Error} If aborted via signal
  */
-export async function validateCommand(options) {
-  const cwd = process.cwd();
-  const autoFix = options.fix || false;
-  const json = options.json || false;
-  const signal = options._abortSignal;
-
-  if (!json) {
-    console.log(chalk.cyan('\n  Guvnr - Configuration Validator\n'));
-
-    if (autoFix) {
-      console.log(chalk.yellow('  Auto-fix mode enabled\n'));
-    }
-  }
-
-  const spinner = json ? null : ora('Running validation checks...').start();
+export async function validate(cwd = process.cwd(), options = {}) {
+  const { signal } = options;
+  const journal = options.fix
+    ? createJournal(cwd, { id: options.runId, command: formatCommand('validate', { fix: true }) })
+    : null;
 
   const results = {
     passed: [],
@@ -409,18 +571,19 @@ export async function validateCommand(options) {
     checkAbortSignal(signal, 'Validation');
 
     try {
-      let passed = await rule.check(cwd);
+      let { passed, details } = normalizeCheckResult(
+        await withAbortSignal(rule.check(cwd), signal, 'Validation')
+      );
 
-      if (!passed && autoFix && rule.fix) {
-        if (spinner) {
-          spinner.text = `Fixing: ${rule.name}...`;
-        }
+      if (!passed && options.fix && rule.fix) {
+        options.onFix?.(rule);
         try {
+          rule.touches.forEach(path => journal.record(path));
           const fixed = await rule.fix(cwd);
           if (fixed) {
-            passed = await rule.check(cwd);
+            ({ passed, details } = normalizeCheckResult(await rule.check(cwd)));
             if (passed) {
-              results.fixed.push(rule);
+              results.fixed.push(summarizeRule(rule));
             }
           }
         } catch (fixError) {
@@ -432,85 +595,133 @@ export async function validateCommand(options) {
       }
 
       if (passed) {
-        results.passed.push(rule);
+        results.passed.push(summarizeRule(rule));
       } else {
+        const failed = summarizeRule(rule, details.length > 0 ? { details } : {});
         switch (rule.severity) {
           case 'error':
-            results.errors.push(rule);
+            results.errors.push(failed);
             break;
           case 'warning':
-            results.warnings.push(rule);
+            results.warnings.push(failed);
             break;
           case 'info':
-            results.info.push(rule);
+            results.info.push(failed);
             break;
           default:
             // Unknown severity, treat as warning
-            results.warnings.push(rule);
+            results.warnings.push(failed);
         }
       }
     } catch (error) {
-      results.errors.push({
-        ...rule,
-        error: error.message
-      });
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      results.errors.push(summarizeRule(rule, { error: error.message }));
+    }
+  }
+  journal?.save();
+
+  return {
+    valid: results.errors.length === 0,
+    total: VALIDATION_RULES.length,
+    ...results
+  };
+}
+
+/**
+ * Main validate command handler
+ *
+ * @param {object} options - Command options
+ * @param {string} [options.targetDir=process.cwd()] - Project root
+ * @param {boolean} [options.fix=false] - Automatically fix issues where possible
+ * @param {boolean} [options.json=false] - Output results as JSON
+ * @param {AbortSignal} [options._abortSignal] - Signal for cancellation support
+ * @param {string} [options._operationId] - Run ID for the history journal (set by the CLI)
+ * @returns {Promise<Object>} Validation results (see validate)
+ * @throws {FrameworkError} If validation fails with errors
+ * @throws {Error} If aborted via signal
+ */
+export async function validateCommand(options) {
+  const cwd = options.targetDir || process.cwd();
+  const autoFix = options.fix || false;
+  const json = options.json || false;
+
+  if (!json) {
+    console.log(chalk.cyan('\n  Guvnr - Configuration Validator\n'));
+
+    if (autoFix) {
+      console.log(chalk.yellow('  Auto-fix mode enabled\n'));
     }
   }
 
-  if (spinner) {
-    spinner.stop();
+  const spinner = json ? null : ora('Running validation checks...').start();
+
+  let results;
+  try {
+    results = await validate(cwd, {
+      fix: autoFix,
+      signal: options._abortSignal,
+      runId: options._operationId,
+      onFix: rule => {
+        if (spinner) {
+          spinner.text = `Fixing: ${rule.name}...`;
+        }
+      }
+    });
+  } finally {
+    if (spinner) {
+      spinner.stop();
+    }
   }
 
   // JSON output
   if (json) {
     const jsonOutput = {
-      valid: results.errors.length === 0,
+      valid: results.valid,
       passed: results.passed.length,
-      total: VALIDATION_RULES.length,
-      errors: results.errors.map(r => ({
-        id: r.id,
-        name: r.name,
-        category: r.category,
-        fixable: !!r.fix
-      })),
-      warnings: results.warnings.map(r => ({
-        id: r.id,
-        name: r.name,
-        category: r.category,
-        fixable: !!r.fix
-      })),
-      info: results.info.map(r => ({
-        id: r.id,
-        name: r.name,
-        category: r.category,
-        fixable: !!r.fix
-      })),
-      fixed: results.fixed.map(r => ({ id: r.id, name: r.name, category: r.category }))
+      total: results.total,
+      errors: results.errors,
+      warnings: results.warnings,
+      info: results.info,
+      fixed: results.fixed.map(({ id, name, category }) => ({ id, name, category }))
     };
     console.log(JSON.stringify(jsonOutput, null, 2));
-    if (results.errors.length > 0) {
-      throw createError(
-        'GUVNR-VALID-200',
-        `Validation failed with ${results.errors.length} error(s)`
-      );
-    }
-    return;
+  } else {
+    printValidationResults(results, autoFix);
   }
 
-  // Print results
-  printValidationResults(results, autoFix);
-
   // Throw error if validation failed (CLI will handle exit code)
   if (results.errors.length > 0) {
-    throw createError('GUVNR-VALID-200', `Validation failed with ${results.errors.length} error(s)`);
+    throw createError(
+      validationErrorCode(results),
+      `Validation failed with ${results.errors.length} error(s)`
+    );
   }
+
+  return results;
+}
+
+/**
+ * Pick the error code for a failed run: schema violations and leftover
+ * template placeholders get their own codes so scripts can tell a malformed
+ * or unfinished guvnr.yaml apart from a missing setup step.
+ */
+function validationErrorCode(results) {
+  if (results.errors.some(r => r.id === 'guvnr-yaml-schema')) {
+    return 'GUVNR-VALID-203';
+  }
+  if (results.errors.some(r => r.id === 'guvnr-yaml-placeholders')) {
+    return 'GUVNR-VALID-210';
+  }
+  return 'GUVNR-VALID-200';
 }
 
 /**
  * Print validation results
  */
 function printValidationResults(results, autoFix) {
-  const total = VALIDATION_RULES.length;
+  const { total } = results;
   const passedCount = results.passed.length;
 
   // Summary
@@ -542,7 +753,10 @@ function printValidationResults(results, autoFix) {
       if (r.error) {
         console.log(chalk.gray(`      Error: ${r.error}`));
       }
-      if (r.fix && !autoFix) {
+      (r.details || []).forEach(detail => {
+        console.log(chalk.gray(`      ${detail}`));
+      });
+      if (r.fixable && !autoFix) {
         console.log(chalk.gray('      Run with --fix to auto-repair'));
       }
     });
@@ -554,7 +768,10 @@ function printValidationResults(results, autoFix) {
     console.log(chalk.yellow('  ⚠ Warnings (should fix):'));
     results.warnings.forEach(r => {
       console.log(chalk.yellow(`    ⚠ ${r.name}`));
-      if (r.fix && !autoFix) {
+      (r.details || []).forEach(detail => {
+        console.log(chalk.gray(`      ${detail}`));
+      });
+      if (r.fixable && !autoFix) {
         console.log(chalk.gray('      Run with --fix to auto-repair'));
       }
     });
@@ -566,7 +783,7 @@ function printValidationResults(results, autoFix) {
     console.log(chalk.blue('  ℹ Info (optional):'));
     results.info.forEach(r => {
       console.log(chalk.gray(`    ℹ ${r.name}`));
-      if (r.fix && !autoFix) {
+      if (r.fixable && !autoFix) {
         console.log(chalk.gray('      Run with --fix to auto-repair'));
       }
     });
@@ -0,0 +1,210 @@
+/**
+ * Guvnr - Verify Command
+ *
+ * `guvnr verify` runs the checks in the guvnr.yaml `commands` section (build,
+ * test, lint and any others, but not install or format unless named) from the
+ * project root and reports which passed. The same commands are written into
+ * every tool's instructions, so agents and CI run exactly what a developer does.
+ */
+
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { spawn } from 'child_process';
+import chalk from 'chalk';
+import { createError } from '../errors.js';
+import { checkAbortSignal } from '../index.js';
+import { resolveGuvnrConfig } from '../utils/config.js';
+import { normalizeCommands, verificationCommands } from '../generators/commands.js';
+
+/**
+ * Lines of output kept for each command in JSON results
+ */
+const OUTPUT_TAIL_LINES = 50;
+
+/**
+ * Whether a command runs in its own process group that can be signalled as a whole
+ */
+const PROCESS_GROUPS = process.platform !== 'win32';
+
+/**
+ * Run one command through the shell
+ *
+ * The shell gets its own process group, so an abort stops the test runner,
+ * compiler or watcher it started too, not just the shell.
+ *
+ * @param {string} cwd - Project root
+ * @param {string} command - Command line from guvnr.yaml
+ * @param {Object} options - Run options
+ * @param {boolean} options.capture - Collect output instead of streaming it
+ * @param {AbortSignal} [options.signal] - Stops the command and everything it started when aborted
+ * @returns {Promise<{exitCode: number|null, output: string}>} Exit code (null if it could not start or was killed)
+ */
+function runShellCommand(cwd, command, { capture, signal }) {
+  return new Promise(resolve => {
+    let output = '';
+    const child = spawn(command, {
+      cwd,
+      shell: true,
+      stdio: capture ? ['ignore', 'pipe', 'pipe'] : 'inherit',
+      detached: PROCESS_GROUPS
+    });
+
+    const stop = () => {
+      try {
+        if (PROCESS_GROUPS && child.pid) {
+          process.kill(-child.pid, 'SIGTERM');
+        } else {
+          child.kill('SIGTERM');
+        }
+      } catch {
+        // Already exited
+      }
+    };
+    signal?.addEventListener('abort', stop, { once: true });
+
+    if (capture) {
+      child.stdout.on('data', chunk => (output += chunk));
+      child.stderr.on('data', chunk => (output += chunk));
+    }
+    child.on('error', error => {
+      output += `${error.message}\n`;
+    });
+    child.on('close', exitCode => {
+      signal?.removeEventListener('abort', stop);
+      resolve({ exitCode, output });
+    });
+  });
+}
+
+/**
+ * Run the guvnr.yaml commands
+ *
+ * @param {string} [cwd=process.cwd()] - Project root
+ * @param {Object} [options={}] - Run options
+ * @param {string[]} [options.only] - Command names to run (default: every check)
+ * @param {boolean} [options.capture=false] - Collect each command's output instead of streaming it
+ * @param {(entry: {name: string, command: string}) => void} [options.onStart] - Called before each command
+ * @param {AbortSignal} [options.signal] - Stops the running command (and its process group) when aborted
+ * @returns {Promise<{passed: boolean, results: Array<{name: string, command: string, passed: boolean, exitCode: number|null, durationMs: number, output?: string}>}>}
+ *   One result per command, in the order they ran
+ * @throws {FrameworkError} GUVNR-CONFIG-301 without a guvnr.yaml, GUVNR-CONFIG-313 if there is nothing to run
+ * @throws {Error} If aborted via signal
+ */
+export async function runVerification(cwd = process.cwd(), options = {}) {
+  const fileName = ['guvnr.yaml', 'guvnr.yml'].find(name => existsSync(join(cwd, name)));
+  if (!fileName) {
+    throw createError('GUVNR-CONFIG-301', 'No guvnr.yaml found', {
+      suggestion: 'Run "guvnr init" to create one'
+    });
+  }
+
+  const { config } = await resolveGuvnrConfig(join(cwd, fileName), { root: cwd });
+  const commands = normalizeCommands(config.commands);
+
+  let selected;
+  if (options.only?.length > 0) {
+    const unknown = options.only.filter(name => !commands.some(entry => entry.name === name));
+    if (unknown.length > 0) {
+      throw createError('GUVNR-CONFIG-313', `Not in guvnr.yaml commands: ${unknown.join(', ')}`, {
+        suggestion: `Use one of: ${commands.map(entry => entry.name).join(', ') || '(none)'}`
+      });
+    }
+    selected = commands.filter(entry => options.only.includes(entry.name));
+  } else {
+    selected = verificationCommands(commands);
+  }
+
+  if (selected.length === 0) {
+    throw createError('GUVNR-CONFIG-313', 'guvnr.yaml has no commands to verify with');
+  }
+
+  const results = [];
+  checkAbortSignal(options.signal, 'Verify');
+  for (const entry of selected) {
+    options.onStart?.(entry);
+    const started = Date.now();
+    const { exitCode, output } = await runShellCommand(cwd, entry.command, {
+      capture: Boolean(options.capture),
+      signal: options.signal
+    });
+    // A command stopped by an abort neither passed nor failed
+    checkAbortSignal(options.signal, 'Verify');
+    results.push({
+      ...entry,
+      passed: exitCode === 0,
+      exitCode,
+      durationMs: Date.now() - started,
+      ...(options.capture && {
+        output: output.trimEnd().split('\n').slice(-OUTPUT_TAIL_LINES).join('\n')
+      })
+    });
+  }
+
+  return { passed: results.every(result => result.passed), results };
+}
+
+/**
+ * Split a comma-separated --only value
+ * @param {string} [value] - Command names
+ * @returns {string[]} Names
+ */
+function splitNames(value = '') {
+  return value
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Run the guvnr.yaml checks and report pass/fail
+ *
+ * @param {Object} [options={}] - Command options
+ * @param {string} [options.targetDir=process.cwd()] - Project root
+ * @param {string|string[]} [options.only] - Command names to run (comma-separated or array)
+ * @param {boolean} [options.json=false] - Output results as JSON for scripting (command output is captured)
+ * @returns {Promise<Object>} Verification results (see runVerification)
+ * @throws {FrameworkError} GUVNR-VALID-209 if any command fails
+ */
+export async function verifyCommand(options = {}) {
+  const cwd = options.targetDir || process.cwd();
+  const only = Array.isArray(options.only) ? options.only : splitNames(options.only);
+
+  // Output streams straight to the terminal unless it is captured for JSON
+  const announce = ({ name, command }) =>
+    console.log(chalk.bold(`\n  ▶ ${name}`) + chalk.gray(` ${command}\n`));
+
+  const result = await runVerification(cwd, {
+    only,
+    capture: Boolean(options.json),
+    signal: options._abortSignal,
+    onStart: options.json ? undefined : announce
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(chalk.bold('\n  Verify\n'));
+    for (const { name, command, passed, exitCode, durationMs } of result.results) {
+      const time = chalk.gray(` (${(durationMs / 1000).toFixed(1)}s)`);
+      if (passed) {
+        console.log(chalk.green(`  ✓ ${name}`) + time);
+      } else {
+        console.log(chalk.red(`  ✗ ${name}`) + chalk.gray(` ${command} exited ${exitCode}`) + time);
+      }
+    }
+    console.log('');
+  }
+
+  const failed = result.results.filter(entry => !entry.passed);
+  if (failed.length > 0) {
+    throw createError(
+      'GUVNR-VALID-209',
+      `${failed.length} of ${result.results.length} command(s) failed: ${failed.map(entry => entry.name).join(', ')}`,
+      { context: { commands: failed.map(entry => entry.command) } }
+    );
+  }
+
+  return result;
+}
+
+export default verifyCommand;
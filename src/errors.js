@@ -334,7 +334,7 @@ export const ERROR_CODES = {
   'GUVNR-VALID-203': {
     category: 'Validation',
     description: 'Configuration schema validation failed',
-    suggestion: 'Check guvnr.config.json against the schema'
+    suggestion: 'Run "guvnr validate" to list each violation with its line and column in guvnr.yaml'
   },
   'GUVNR-VALID-204': {
     category: 'Validation',
@@ -351,6 +351,28 @@ export const ERROR_CODES = {
     description: 'Hook script is not executable',
     suggestion: 'Run: chmod +x scripts/hooks/*.sh'
   },
+  'GUVNR-VALID-207': {
+    category: 'Validation',
+    description: 'Generated files are out of date',
+    suggestion: 'Run "guvnr diff" to review the changes, then "guvnr generate --force" (or --merge)'
+  },
+  'GUVNR-VALID-208': {
+    category: 'Validation',
+    description: 'Changes need a review they do not have',
+    suggestion:
+      'Add a "Reviewed-by:" trailer naming an owner to a commit, or record the approval in .guvnr/approvals'
+  },
+  'GUVNR-VALID-209': {
+    category: 'Validation',
+    description: 'Project commands failed',
+    suggestion: 'Fix the failures shown above, then run "guvnr verify" again'
+  },
+  'GUVNR-VALID-210': {
+    category: 'Validation',
+    description: 'Unresolved template placeholders',
+    suggestion:
+      'Replace the placeholders listed above in guvnr.yaml (or CLAUDE.md), or pass --allow-placeholders'
+  },
 
   // Configuration Errors (300-399)
   'GUVNR-CONFIG-300': {
@@ -379,6 +401,61 @@ export const ERROR_CODES = {
     description: 'Incompatible configuration version',
     suggestion: 'Run "guvnr update" to migrate configuration to current version'
   },
+  'GUVNR-CONFIG-305': {
+    category: 'Configuration',
+    description: 'Generator plugin could not be loaded',
+    suggestion: 'Check the path or package name under tools.plugins in guvnr.yaml'
+  },
+  'GUVNR-CONFIG-306': {
+    category: 'Configuration',
+    description: 'Generator plugin is invalid',
+    suggestion: 'Plugins must export { id, outputs, render(context) } with a unique lowercase id'
+  },
+  'GUVNR-CONFIG-307': {
+    category: 'Configuration',
+    description: 'Generated-file manifest is corrupt',
+    suggestion: 'Delete .guvnr/manifest.json and run "guvnr generate --force" to rebuild it'
+  },
+  'GUVNR-CONFIG-308': {
+    category: 'Configuration',
+    description: 'Extended config not found',
+    suggestion: 'Check the paths and package names under extends in guvnr.yaml'
+  },
+  'GUVNR-CONFIG-309': {
+    category: 'Configuration',
+    description: 'Configs extend each other in a cycle',
+    suggestion: 'Remove one of the extends entries listed in the cycle'
+  },
+  'GUVNR-CONFIG-310': {
+    category: 'Configuration',
+    description: 'Invalid MCP server',
+    suggestion: 'Check the server under mcp_servers in guvnr.yaml'
+  },
+  'GUVNR-CONFIG-311': {
+    category: 'Configuration',
+    description: 'Invalid review owners',
+    suggestion: 'Every key under security.review_owners must also be listed in security.require_review'
+  },
+  'GUVNR-CONFIG-312': {
+    category: 'Configuration',
+    description: 'Secret in Claude Code settings',
+    suggestion: 'Set secrets in .claude/settings.local.json or your shell, not in tools.claude.env'
+  },
+  'GUVNR-CONFIG-313': {
+    category: 'Configuration',
+    description: 'No commands to run',
+    suggestion: 'Add build, test and lint commands to the commands section of guvnr.yaml'
+  },
+  'GUVNR-CONFIG-314': {
+    category: 'Configuration',
+    description: 'Invalid generator template',
+    suggestion: 'Fix the template at the reported line, or delete the override to use the built-in one'
+  },
+  'GUVNR-CONFIG-315': {
+    category: 'Configuration',
+    description: 'No templates for tool',
+    suggestion: 'Run guvnr templates list to see the tools and templates that can be overridden'
+  },
 
   // Filesystem Errors (400-499)
   'GUVNR-FS-400': {
@@ -411,6 +488,26 @@ export const ERROR_CODES = {
     description: 'File already exists and overwrite not allowed',
     suggestion: 'Use --force flag to overwrite or rename the existing file'
   },
+  'GUVNR-FS-406': {
+    category: 'Filesystem',
+    description: 'Another guvnr run holds the project lock',
+    suggestion: 'Wait for the other run to finish; if none is running, delete .guvnr/lock'
+  },
+  'GUVNR-FS-407': {
+    category: 'Filesystem',
+    description: 'Write failed and the run was rolled back',
+    suggestion: 'Fix the cause (permissions, disk space, a directory in the way) and run the command again'
+  },
+  'GUVNR-FS-408': {
+    category: 'Filesystem',
+    description: 'No matching run in .guvnr/history',
+    suggestion: 'Run guvnr history to see the recorded runs and their IDs'
+  },
+  'GUVNR-FS-409': {
+    category: 'Filesystem',
+    description: 'Files changed since the run being undone',
+    suggestion: 'Review the listed files; run guvnr undo --force to restore them anyway'
+  },
 
   // Network Errors (500-599)
   'GUVNR-NET-500': {
@@ -508,6 +605,17 @@ export const ERROR_CODES = {
     category: 'General',
     description: 'Unsupported operating system',
     suggestion: 'This operation is not supported on your operating system'
+  },
+  'GUVNR-GEN-905': {
+    category: 'General',
+    description: 'Cannot read changes from git',
+    suggestion:
+      'Run inside a git repository and pass a --base ref that exists locally (fetch it first in shallow CI clones)'
+  },
+  'GUVNR-GEN-906': {
+    category: 'General',
+    description: 'Generator failed',
+    suggestion: 'Fix the error reported for each tool, or leave the tool out with --tools'
   }
 };
 
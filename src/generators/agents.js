@@ -3,9 +3,7 @@
  * @see https://agents.md
  */
 
-import { existsSync, writeFileSync } from 'fs';
-import { join } from 'path';
-import { getProjectName, formatTechStack } from './base.js';
+import { getProjectName, formatTechStack, writeGeneratedFile } from './base.js';
 
 /**
  * Generate AGENTS.md file (Linux Foundation AAIF standard).
@@ -25,19 +23,7 @@ import { getProjectName, formatTechStack } from './base.js';
  * @see https://agents.md - AAIF standard specification
  */
 export async function generateAgentsMd(cwd, context, options, results) {
-  const targetPath = join(cwd, 'AGENTS.md');
-
-  if (existsSync(targetPath) && !options.force) {
-    results.skipped.push('AGENTS.md (already exists, use --force)');
-    return;
-  }
-
-  const content = generateAgentsMdContent(context);
-
-  if (!options.dryRun) {
-    writeFileSync(targetPath, content);
-  }
-  results.created.push('AGENTS.md');
+  writeGeneratedFile(cwd, 'AGENTS.md', generateAgentsMdContent(context), options, results);
 }
 
 /**
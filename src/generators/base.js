@@ -4,9 +4,14 @@
  * Shared utilities for all generator modules.
  */
 
-import { basename } from 'path';
+import { existsSync, readFileSync } from 'fs';
+import { basename, join } from 'path';
 import { createHash } from 'crypto';
 import chalk from 'chalk';
+import { BASE_DIR, readBaseCopy, writeBaseCopy } from '../utils/manifest.js';
+import { mergeThreeWay } from '../utils/merge.js';
+import { findPlaceholders, formatPlaceholders } from '../utils/placeholders.js';
+import { writeFileAtomic } from '../utils/transaction.js';
 
 /**
  * Simple cache for parsed CLAUDE.md content.
@@ -291,12 +296,116 @@ export function formatTechStack(context) {
   return context?.techStack?.map(t => `${t.category}: ${t.value}`).join(', ') || 'Not specified';
 }
 
+/**
+ * Write one generated file, honouring --force, --merge and --dry-run.
+ *
+ * Every rendered file is recorded in `results.outputs` (when present) with its
+ * content, whether or not it was written, so callers such as the manifest
+ * writer see exactly what each generator produced.
+ *
+ * With --merge, an existing file that differs from the last generated version
+ * (kept under .guvnr/base/) is three-way merged with the new output instead of
+ * being skipped. Clean merges are written; conflicting regions get conflict
+ * markers and the file is listed under `results.conflicts`. With
+ * `updateUnmodified` (used by --watch), an existing file that still matches
+ * the last generated version is replaced, and hand-edited files are skipped.
+ *
+ * When `results.placeholders` is present, content that still contains an
+ * unresolved template placeholder (`${KNOWN_ISSUE}`, `[PROJECT_NAME]`) is not
+ * written unless --allow-placeholders is set; the file and its placeholders
+ * are listed there instead.
+ *
+ * With `options.transaction`, the file and its base copy are staged rather
+ * than written, and the caller commits them together with the rest of the
+ * run (see utils/transaction.js). Without one, the file is written atomically
+ * straight away.
+ *
+ * @param {string} cwd - Project root
+ * @param {string} relativePath - Output path relative to the project root (forward slashes)
+ * @param {string} content - File content
+ * @param {Object} options - Generation options
+ * @param {boolean} [options.force=false] - Overwrite existing files
+ * @param {boolean} [options.merge=false] - Merge local edits into existing files
+ * @param {boolean} [options.updateUnmodified=false] - Replace existing files nobody edited since they were generated
+ * @param {boolean} [options.dryRun=false] - Preview without writing files
+ * @param {Object} [options.transaction] - Transaction to stage the write in
+ * @param {boolean} [options.allowPlaceholders=false] - Write content with unresolved placeholders
+ * @param {Object} results - Results accumulator object
+ * @param {string[]} results.created - Files that were (or would be) written
+ * @param {string[]} results.skipped - Files left untouched
+ * @param {string[]} [results.merged] - Files whose local edits were merged cleanly
+ * @param {string[]} [results.conflicts] - Files written with conflict markers
+ * @param {Array<{path: string, content: string, written: boolean}>} [results.outputs] - Rendered files
+ * @param {Array<{path: string, found: Array<Object>}>} [results.placeholders] - Files refused for unresolved placeholders
+ * @returns {boolean} True if the file was (or would be, in a dry run) written
+ */
+export function writeGeneratedFile(cwd, relativePath, content, options, results) {
+  const targetPath = join(cwd, relativePath);
+  const output = { path: relativePath, content, written: false };
+  results.outputs?.push(output);
+
+  if (results.placeholders && !options.allowPlaceholders) {
+    const found = findPlaceholders(content);
+    if (found.length > 0) {
+      results.placeholders.push({ path: relativePath, found });
+      return false;
+    }
+  }
+
+  let fileContent = content;
+  let bucket = results.created;
+
+  const current = options.transaction
+    ? options.transaction.read(relativePath)
+    : existsSync(targetPath)
+      ? readFileSync(targetPath, 'utf-8')
+      : null;
+
+  if (current !== null && !options.force) {
+    const base = options.merge || options.updateUnmodified ? readBaseCopy(cwd, relativePath) : null;
+    if (base === null) {
+      const reason = options.merge ? 'no previous generated version to merge' : 'use --force';
+      results.skipped.push(`${relativePath} (exists, ${reason})`);
+      return false;
+    }
+
+    const local = current;
+    if (local !== base && !options.merge) {
+      results.skipped.push(`${relativePath} (hand-modified, use --merge or --force)`);
+      return false;
+    }
+    if (local !== base) {
+      const merged = mergeThreeWay(base, local, content, {
+        ours: `${relativePath} (local)`,
+        theirs: `${relativePath} (guvnr generate)`
+      });
+      fileContent = merged.content;
+      bucket = merged.conflicts > 0 ? results.conflicts : results.merged;
+    }
+  }
+
+  if (options.transaction) {
+    options.transaction.stage(relativePath, fileContent);
+    options.transaction.stage(`${BASE_DIR}/${relativePath}`, content);
+    output.written = true;
+  } else if (!options.dryRun) {
+    writeFileAtomic(targetPath, fileContent);
+    writeBaseCopy(cwd, relativePath, content);
+    output.written = true;
+  }
+  bucket.push(relativePath);
+  return true;
+}
+
 /**
  * Print generation results to stdout.
  *
  * @param {object} results - Results object with created, skipped, errors arrays
  * @param {string[]} results.created - Files that were created
+ * @param {string[]} [results.merged] - Files whose local edits were merged cleanly
+ * @param {string[]} [results.conflicts] - Files written with merge conflict markers
  * @param {string[]} results.skipped - Files that were skipped
+ * @param {Array<{path: string, found: Array<Object>}>} [results.placeholders] - Files refused for unresolved placeholders
  * @param {string[]} results.errors - Error messages
  * @param {boolean} dryRun - Whether this was a dry run
  * @returns {void}
@@ -311,11 +420,48 @@ export function printResults(results, dryRun) {
     results.created.forEach(f => console.log(chalk.gray(`    \u2713 ${f}`)));
   }
 
+  if (results.merged?.length > 0) {
+    console.log(
+      chalk.green(
+        `\n  ${dryRun ? 'Would merge' : 'Merged'} local edits into ${results.merged.length} files:`
+      )
+    );
+    results.merged.forEach(f => console.log(chalk.gray(`    \u2713 ${f}`)));
+  }
+
+  if (results.conflicts?.length > 0) {
+    console.log(
+      chalk.red(
+        `\n  ${dryRun ? 'Would leave' : 'Left'} merge conflicts in ${results.conflicts.length} files:`
+      )
+    );
+    results.conflicts.forEach(f => console.log(chalk.red(`    ! ${f}`)));
+    if (!dryRun) {
+      console.log(
+        chalk.gray('    Resolve the <<<<<<< / ======= / >>>>>>> markers, then commit the files.')
+      );
+    }
+  }
+
   if (results.skipped.length > 0) {
     console.log(chalk.yellow(`\n  Skipped ${results.skipped.length} files:`));
     results.skipped.forEach(f => console.log(chalk.gray(`    - ${f}`)));
   }
 
+  if (results.placeholders?.length > 0) {
+    console.log(
+      chalk.red(
+        `\n  Refused ${results.placeholders.length} files with unresolved template placeholders:`
+      )
+    );
+    for (const { path, found } of results.placeholders) {
+      formatPlaceholders(path, found).forEach(f => console.log(chalk.red(`    ! ${f}`)));
+    }
+    console.log(
+      chalk.gray('    Fill them in guvnr.yaml, or pass --allow-placeholders to write them anyway.')
+    );
+  }
+
   if (results.errors.length > 0) {
     console.log(chalk.red('\n  Errors:'));
     results.errors.forEach(e => console.log(chalk.red(`    \u2717 ${e}`)));
@@ -0,0 +1,335 @@
+/**
+ * Token Budgets
+ *
+ * Keeps generated instruction files within a per-tool size budget. Each file a
+ * tool writes must fit in `tools.<id>.budget` tokens (or the default for the
+ * tool). When a file is over budget, guvnr.yaml sections are compacted from
+ * the lowest priority up: first summarised (lists cut to their first items,
+ * text to its first paragraph), then replaced by a reference to the section's
+ * linked doc (`context.docs.<section>`, or guvnr.yaml itself). Security rules
+ * are never compacted.
+ */
+
+import { isPlainObject } from '../utils/config.js';
+
+/**
+ * Characters per token, the same conservative estimate as scripts/context-analysis.js
+ */
+export const CHARS_PER_TOKEN = 4;
+
+/**
+ * Budgets (tokens per generated file) for tools with known size limits:
+ * CLAUDE.md should stay under RECOMMENDED_CLAUDE_MD_TOKENS, and lint warns
+ * above 8000 characters of Copilot instructions and 6000 per Windsurf rule
+ */
+export const DEFAULT_BUDGETS = {
+  claude: 5000,
+  copilot: 2000,
+  windsurf: 1500
+};
+
+/**
+ * guvnr.yaml sections, highest priority first
+ */
+export const SECTION_PRIORITY = [
+  'security',
+  'conventions',
+  'tech_stack',
+  'overview',
+  'architecture',
+  'skills',
+  'agents',
+  'current_state'
+];
+
+/**
+ * Where each section lives in guvnr.yaml, used when there is no linked doc
+ */
+const SECTION_PATHS = {
+  security: 'security.rules',
+  conventions: 'conventions',
+  tech_stack: 'tech_stack',
+  overview: 'context.overview',
+  architecture: 'context.architecture',
+  skills: 'skills',
+  agents: 'agents',
+  current_state: 'context'
+};
+
+/**
+ * Items a summarised list keeps
+ */
+const SUMMARY_ITEMS = 3;
+
+/**
+ * Estimate the tokens in a piece of text
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Budget for a tool's generated files
+ * @param {string} tool - Tool id
+ * @param {Object|null} config - Parsed guvnr.yaml
+ * @returns {number|null} Tokens allowed per file, or null if the tool has no budget
+ */
+export function resolveBudget(tool, config) {
+  const settings = config?.tools?.[tool];
+  return (isPlainObject(settings) && settings.budget) || DEFAULT_BUDGETS[tool] || null;
+}
+
+/**
+ * Cut a list to its first items, noting where the rest can be found
+ * @param {string[]|undefined} list - List to shorten
+ * @param {string} ref - Where the full list lives
+ * @returns {string[]|undefined} Shortened list
+ */
+function truncateList(list, ref) {
+  if (!Array.isArray(list) || list.length <= SUMMARY_ITEMS) {
+    return list;
+  }
+  const rest = list.length - SUMMARY_ITEMS;
+  return [...list.slice(0, SUMMARY_ITEMS), `...and ${rest} more (see ${ref})`];
+}
+
+/**
+ * Cut text to its first paragraph, noting where the rest can be found
+ * @param {string|undefined} text - Text to shorten
+ * @param {string} ref - Where the full text lives
+ * @returns {string|undefined} Shortened text
+ */
+function firstParagraph(text, ref) {
+  const [first, ...rest] = (text || '').trim().split(/\n\s*\n/);
+  return rest.length > 0 ? `${first}\n\nMore in ${ref}.` : text;
+}
+
+/**
+ * How each section is summarised, replaced by a reference, or dropped (for
+ * measuring). Each function edits a copy of the config in place.
+ */
+const COMPACTORS = {
+  security: {
+    drop: config => {
+      if (config.security) {
+        delete config.security.rules;
+      }
+    }
+  },
+  conventions: {
+    summary: (config, ref) => {
+      for (const [key, list] of Object.entries(config.conventions || {})) {
+        config.conventions[key] = truncateList(list, ref);
+      }
+    },
+    reference: (config, ref) => {
+      if (config.conventions) {
+        config.conventions = { style: [`Full conventions: ${ref}`] };
+      }
+    },
+    drop: config => {
+      delete config.conventions;
+    }
+  },
+  tech_stack: {
+    summary: config => {
+      for (const key of ['languages', 'frameworks']) {
+        if (Array.isArray(config.tech_stack?.[key])) {
+          config.tech_stack[key] = config.tech_stack[key].slice(0, SUMMARY_ITEMS);
+        }
+      }
+    },
+    drop: config => {
+      delete config.tech_stack;
+    }
+  },
+  overview: {
+    summary: (config, ref) => {
+      if (config.context?.overview) {
+        config.context.overview = firstParagraph(config.context.overview, ref);
+      } else if (config.project?.description) {
+        config.project.description = firstParagraph(config.project.description, ref);
+      }
+    },
+    reference: (config, ref) => {
+      if (config.context?.overview || config.project?.description) {
+        config.context = { ...config.context, overview: `See ${ref}.` };
+      }
+    },
+    drop: config => {
+      delete config.context?.overview;
+      delete config.project?.description;
+    }
+  },
+  architecture: {
+    summary: (config, ref) => {
+      if (config.context?.architecture) {
+        config.context.architecture = firstParagraph(config.context.architecture, ref);
+      }
+    },
+    reference: (config, ref) => {
+      if (config.context?.architecture) {
+        config.context.architecture = `See ${ref}.`;
+      }
+    },
+    drop: config => {
+      delete config.context?.architecture;
+    }
+  },
+  skills: {
+    summary: config => {
+      config.skills &&= config.skills.map(({ name, description }) => ({ name, description }));
+    },
+    reference: (config, ref) => {
+      config.skills &&= config.skills.map(({ name }) => ({ name, description: `See ${ref}` }));
+    },
+    drop: config => {
+      delete config.skills;
+    }
+  },
+  agents: {
+    summary: config => {
+      config.agents &&= config.agents.map(({ name, role }) => ({ name, role }));
+    },
+    reference: (config, ref) => {
+      config.agents &&= config.agents.map(({ name }) => ({ name, role: `See ${ref}` }));
+    },
+    drop: config => {
+      delete config.agents;
+    }
+  },
+  current_state: {
+    summary: (config, ref) => {
+      if (config.context) {
+        config.context.active_work = truncateList(config.context.active_work, ref);
+        config.context.known_issues = truncateList(config.context.known_issues, ref);
+      }
+    },
+    reference: (config, ref) => {
+      const {
+        current_phase: phase,
+        active_work: work,
+        known_issues: issues
+      } = config.context || {};
+      if (phase || work?.length || issues?.length) {
+        delete config.context.current_phase;
+        delete config.context.known_issues;
+        config.context.active_work = [`See ${ref}`];
+      }
+    },
+    drop: config => {
+      delete config.context?.current_phase;
+      delete config.context?.active_work;
+      delete config.context?.known_issues;
+    }
+  }
+};
+
+/**
+ * Compact one guvnr.yaml section
+ *
+ * @param {Object} config - Parsed guvnr.yaml (not modified)
+ * @param {string} section - One of SECTION_PRIORITY
+ * @param {'summary'|'reference'|'drop'} level - How far to compact it
+ * @returns {Object} Compacted copy of the config
+ */
+export function compactSection(config, section, level) {
+  const compacted = structuredClone(config);
+  const ref = config.context?.docs?.[section] || `${SECTION_PATHS[section]} in guvnr.yaml`;
+  COMPACTORS[section][level]?.(compacted, ref);
+  return compacted;
+}
+
+/**
+ * Total tokens of a set of rendered files
+ * @param {Array<{content: string}>} outputs - Rendered files
+ * @returns {number} Estimated tokens
+ */
+function totalTokens(outputs) {
+  return outputs.reduce((sum, output) => sum + estimateTokens(output.content), 0);
+}
+
+/**
+ * Compact guvnr.yaml until every file a tool renders fits its budget.
+ * A compaction step is kept only if it shrinks a file that is over budget,
+ * so sections a file does not contain are left alone.
+ *
+ * @param {Object} config - Parsed guvnr.yaml
+ * @param {number} budget - Tokens allowed per file
+ * @param {(config: Object) => Promise<Array<{path: string, content: string}>>|Array<{path: string, content: string}>} render
+ *   Renders the tool's files from a config, without writing them
+ * @returns {Promise<{config: Object, outputs: Array<{path: string, content: string}>, compacted: Array<{section: string, level: string}>}>}
+ *   Config to generate from, its rendered files, and the steps applied
+ */
+export async function fitToBudget(config, budget, render) {
+  let current = config;
+  let outputs = await render(current);
+  const compacted = [];
+
+  for (const level of ['summary', 'reference']) {
+    for (const section of [...SECTION_PRIORITY].reverse()) {
+      const over = outputs.filter(output => estimateTokens(output.content) > budget);
+      if (over.length === 0) {
+        return { config: current, outputs, compacted };
+      }
+      if (!COMPACTORS[section][level]) {
+        continue;
+      }
+
+      const candidate = compactSection(current, section, level);
+      const candidateOutputs = await render(candidate);
+      const shrinks = over.some(output => {
+        const next = candidateOutputs.find(other => other.path === output.path);
+        return !next || estimateTokens(next.content) < estimateTokens(output.content);
+      });
+
+      if (shrinks) {
+        current = candidate;
+        outputs = candidateOutputs;
+        const previous = compacted.find(step => step.section === section);
+        if (previous) {
+          previous.level = level;
+        } else {
+          compacted.push({ section, level });
+        }
+      }
+    }
+  }
+
+  return { config: current, outputs, compacted };
+}
+
+/**
+ * Tokens each guvnr.yaml section contributes to a tool's files, measured as
+ * the difference between rendering with and without the section
+ *
+ * @param {Object} config - Parsed guvnr.yaml the outputs were rendered from
+ * @param {Array<{content: string}>} outputs - The tool's rendered files
+ * @param {(config: Object) => Promise<Array<{content: string}>>|Array<{content: string}>} render
+ *   Renders the tool's files from a config
+ * @returns {Promise<Object<string, number>>} Tokens by section, in priority order
+ */
+export async function measureSections(config, outputs, render) {
+  const total = totalTokens(outputs);
+  const sections = {};
+
+  for (const section of SECTION_PRIORITY) {
+    const without = await render(compactSection(config, section, 'drop'));
+    sections[section] = Math.max(0, total - totalTokens(without));
+  }
+
+  return sections;
+}
+
+export default {
+  CHARS_PER_TOKEN,
+  DEFAULT_BUDGETS,
+  SECTION_PRIORITY,
+  estimateTokens,
+  resolveBudget,
+  compactSection,
+  fitToBudget,
+  measureSections
+};
@@ -0,0 +1,156 @@
+/**
+ * Claude Code Settings
+ *
+ * Renders `.claude/settings.json`, where Claude Code enforces what CLAUDE.md
+ * can only ask for:
+ * - permissions: `security.allow_commands` and `security.deny_commands` as Bash
+ *   rules, Read/Edit denies for sensitive paths, and a prompt before editing
+ *   `require_review` paths
+ * - hooks: guvnr's secret scan before each write (`hooks.pre_commit: [secrets]`)
+ *   and scripts/hooks/post-edit.sh after it (`hooks.post_edit`)
+ * - model and env from `tools.claude` (`max_tokens` becomes CLAUDE_CODE_MAX_OUTPUT_TOKENS)
+ *
+ * `.claude/settings.local.json` is personal: Claude Code merges it over this
+ * file and records "always allow" answers in it, so guvnr never writes it and
+ * keeps it out of git.
+ */
+
+import { createError } from '../errors.js';
+import { looksLikeSecret } from '../utils/validation.js';
+import { claudeDenyRules, claudeRulePath } from './ignore.js';
+
+/**
+ * JSON Schema Claude Code publishes for its settings files
+ */
+export const CLAUDE_SETTINGS_SCHEMA = 'https://json.schemastore.org/claude-code-settings.json';
+
+/**
+ * Personal settings Claude Code merges over .claude/settings.json
+ */
+export const CLAUDE_LOCAL_SETTINGS = '.claude/settings.local.json';
+
+/**
+ * Commands the generated hooks run
+ */
+export const CLAUDE_HOOK_COMMANDS = {
+  // Reads the pending tool call from stdin and exits 2 to block it
+  secrets: 'npx --no-install guvnr hook secrets',
+  // Formats and lints the edited file
+  postEdit: '"$CLAUDE_PROJECT_DIR"/scripts/hooks/post-edit.sh'
+};
+
+/**
+ * Claude Code tools that write files
+ */
+const FILE_TOOLS = 'Write|Edit|MultiEdit';
+
+/**
+ * Bash permission rule for a command prefix (`npm test` also matches `npm test -- --watch`)
+ * @param {string} command - Command prefix
+ * @returns {string} Permission rule
+ */
+export function bashRule(command) {
+  return `Bash(${command.trim()}:*)`;
+}
+
+/**
+ * Edit permission rule for a require_review glob. Claude Code reads plain
+ * patterns from the project root, so CODEOWNERS globs that match at any depth
+ * (no inner slash) get a leading `**`.
+ * @param {string} glob - Glob from require_review
+ * @returns {string} Permission rule
+ */
+function reviewRule(glob) {
+  const anchored = glob.replace(/\/$/, '').includes('/');
+  const path = glob.replace(/\/$/, '/**');
+  return `Edit(${claudeRulePath(anchored ? path : `**/${path}`)})`;
+}
+
+/**
+ * One hook entry running a command for the file-writing tools
+ * @param {string} command - Command to run
+ * @returns {Object} Hook matcher entry
+ */
+function fileToolHook(command) {
+  return { matcher: FILE_TOOLS, hooks: [{ type: 'command', command }] };
+}
+
+/**
+ * Environment variables for Claude Code sessions, rejecting literal secrets
+ * (settings.json is committed)
+ *
+ * @param {Object} [env] - `tools.claude.env` from guvnr.yaml
+ * @returns {Object} Variables as strings
+ * @throws {FrameworkError} GUVNR-CONFIG-312 if a value looks like a secret
+ */
+function claudeEnv(env = {}) {
+  for (const [name, value] of Object.entries(env)) {
+    if (looksLikeSecret(String(value))) {
+      throw createError('GUVNR-CONFIG-312', `tools.claude.env.${name} looks like a secret`);
+    }
+  }
+  return Object.fromEntries(Object.entries(env).map(([name, value]) => [name, String(value)]));
+}
+
+/**
+ * Build .claude/settings.json from the project context
+ *
+ * @param {Object} context - Project context from guvnr.yaml
+ * @returns {Object|null} Settings, or null when guvnr.yaml configures none of them
+ * @throws {FrameworkError} GUVNR-CONFIG-312 if tools.claude.env contains a secret
+ */
+export function renderClaudeSettings(context) {
+  const security = context?.security || {};
+  const claude = context?.tools?.claude || {};
+  const settings = {};
+
+  if (claude.model) {
+    settings.model = claude.model;
+  }
+
+  const permissions = {
+    allow: (security.allow_commands || []).map(bashRule),
+    ask: (context?.reviewRules || []).map(rule => reviewRule(rule.path)),
+    deny: [
+      ...(security.deny_commands || []).map(bashRule),
+      ...claudeDenyRules(context?.sensitivePaths || [])
+    ]
+  };
+  for (const [key, rules] of Object.entries(permissions)) {
+    if (rules.length === 0) {
+      delete permissions[key];
+    }
+  }
+  if (Object.keys(permissions).length > 0) {
+    settings.permissions = permissions;
+  }
+
+  const hooks = {};
+  if (context?.hooks?.pre_commit?.includes('secrets')) {
+    hooks.PreToolUse = [fileToolHook(CLAUDE_HOOK_COMMANDS.secrets)];
+  }
+  if (context?.hooks?.post_edit) {
+    hooks.PostToolUse = [fileToolHook(CLAUDE_HOOK_COMMANDS.postEdit)];
+  }
+  if (Object.keys(hooks).length > 0) {
+    settings.hooks = hooks;
+  }
+
+  const env = claudeEnv(claude.env);
+  if (claude.max_tokens && !env.CLAUDE_CODE_MAX_OUTPUT_TOKENS) {
+    env.CLAUDE_CODE_MAX_OUTPUT_TOKENS = String(claude.max_tokens);
+  }
+  if (Object.keys(env).length > 0) {
+    settings.env = env;
+  }
+
+  return Object.keys(settings).length > 0 ? { $schema: CLAUDE_SETTINGS_SCHEMA, ...settings } : null;
+}
+
+export default {
+  CLAUDE_SETTINGS_SCHEMA,
+  CLAUDE_LOCAL_SETTINGS,
+  CLAUDE_HOOK_COMMANDS,
+  bashRule,
+  renderClaudeSettings
+};
@@ -0,0 +1,148 @@
+/**
+ * Review Ownership
+ *
+ * `security.require_review` lists globs whose changes need a human reviewer,
+ * and `security.review_owners` names who (GitHub users, teams or emails) for
+ * each glob. Owned globs are written to a managed block in CODEOWNERS so
+ * GitHub requests the review; `guvnr review-check` matches changed files
+ * against the same globs with the gitignore rules CODEOWNERS uses.
+ */
+
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { createError } from '../errors.js';
+
+/**
+ * Where GitHub looks for CODEOWNERS, in the order it looks
+ */
+export const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+/**
+ * First line of the block guvnr manages in CODEOWNERS
+ */
+export const CODEOWNERS_BEGIN =
+  '# BEGIN guvnr: security.require_review (edit guvnr.yaml, not this block)';
+
+/**
+ * Last line of the block guvnr manages in CODEOWNERS
+ */
+export const CODEOWNERS_END = '# END guvnr';
+
+/**
+ * Pair each `require_review` glob with its owners
+ *
+ * @param {Object} [security] - `security` from guvnr.yaml
+ * @returns {Array<{path: string, owners: string[]}>} Review rules in declaration order
+ *   (owners is empty for globs any reviewer may approve)
+ * @throws {FrameworkError} GUVNR-CONFIG-311 if review_owners names a glob require_review does not list
+ */
+export function normalizeReviewRules(security) {
+  const globs = security?.require_review || [];
+  const owners = security?.review_owners || {};
+
+  for (const glob of Object.keys(owners)) {
+    if (!globs.includes(glob)) {
+      throw createError(
+        'GUVNR-CONFIG-311',
+        `security.review_owners: "${glob}" is not listed in security.require_review`,
+        { suggestion: `Add "${glob}" to security.require_review, or fix the glob to match it` }
+      );
+    }
+  }
+
+  return globs.map(glob => ({ path: glob, owners: owners[glob] || [] }));
+}
+
+/**
+ * Compile a CODEOWNERS glob (gitignore syntax) to a regular expression.
+ * A pattern containing a slash other than a trailing one is relative to the
+ * repository root, anything else matches at any depth; a pattern naming a
+ * directory matches everything below it.
+ *
+ * @param {string} glob - Glob from require_review
+ * @returns {RegExp} Expression matching repository-relative file paths
+ */
+export function globToRegExp(glob) {
+  const anchored = glob.replace(/\/$/, '').includes('/');
+  const pattern = glob.replace(/^\//, '').replace(/\/$/, '/**');
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` matches zero or more directories, any other `**` everything
+      source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}(?:/.*)?$`);
+}
+
+/**
+ * CODEOWNERS file to update: the first one GitHub would read, or .github/CODEOWNERS
+ * @param {string} cwd - Repository root
+ * @returns {string} Path relative to the repository root
+ */
+export function codeownersPath(cwd) {
+  return CODEOWNERS_PATHS.find(path => existsSync(join(cwd, path))) || CODEOWNERS_PATHS[0];
+}
+
+/**
+ * Write the managed block into CODEOWNERS content. An existing block is
+ * replaced in place; otherwise the block is appended, so its owners win over
+ * earlier hand-written lines (the last matching CODEOWNERS line applies).
+ * Lines outside the block are kept as they are.
+ *
+ * @param {string|null} existing - Current CODEOWNERS content, or null if there is none
+ * @param {Array<{path: string, owners: string[]}>} rules - Review rules
+ * @returns {string|null} New content, or null when neither the rules nor the file have a block
+ */
+export function renderCodeowners(existing, rules) {
+  const owned = rules.filter(rule => rule.owners.length > 0);
+  const block = [];
+  if (owned.length > 0) {
+    block.push(
+      CODEOWNERS_BEGIN,
+      ...owned.map(rule => `${rule.path} ${rule.owners.join(' ')}`),
+      CODEOWNERS_END
+    );
+  }
+
+  const lines = existing ? existing.replace(/\n$/, '').split('\n') : [];
+  const start = lines.findIndex(line => line.startsWith('# BEGIN guvnr'));
+  const end = lines.indexOf(CODEOWNERS_END, start);
+
+  if (start !== -1 && end !== -1) {
+    lines.splice(start, end - start + 1, ...block);
+    // Drop the blank line that separated a removed block at the end of the file
+    while (block.length === 0 && lines.length > 0 && lines[lines.length - 1].trim() === '') {
+      lines.pop();
+    }
+  } else if (block.length > 0) {
+    if (lines.length > 0 && lines[lines.length - 1].trim() !== '') {
+      lines.push('');
+    }
+    lines.push(...block);
+  } else {
+    return null;
+  }
+
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+export default {
+  CODEOWNERS_PATHS,
+  CODEOWNERS_BEGIN,
+  CODEOWNERS_END,
+  normalizeReviewRules,
+  globToRegExp,
+  codeownersPath,
+  renderCodeowners
+};
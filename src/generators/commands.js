@@ -0,0 +1,314 @@
+/**
+ * Project Commands
+ *
+ * The `commands:` section of guvnr.yaml names the shell commands that build,
+ * test, lint and format the project. Generators write them into each tool's
+ * native slot (AGENTS.md and CLAUDE.md, Aider's test-cmd and lint-cmd,
+ * OpenCode's formatter, Kiro hooks), and `guvnr verify` runs them.
+ *
+ * `guvnr init` fills the section in from what the project already has. Sources
+ * are read in order and the first one that defines a command wins:
+ * - package.json scripts, run with the package manager the project uses
+ * - Makefile targets
+ * - pyproject.toml tool sections (pytest, ruff, black)
+ * - Cargo.toml
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { isPlainObject } from '../utils/config.js';
+
+/**
+ * Commands guvnr detects and renders first, in this order (others follow as written)
+ */
+export const COMMAND_NAMES = ['build', 'test', 'lint', 'format'];
+
+/**
+ * Commands `guvnr verify` leaves out unless they are named: they change the
+ * project rather than check it
+ */
+export const VERIFY_SKIPPED = ['install', 'format'];
+
+/**
+ * What each well-known command does, used as its comment in rendered files
+ */
+const COMMAND_LABELS = {
+  install: 'Install dependencies',
+  build: 'Build',
+  test: 'Run tests',
+  lint: 'Run linter',
+  format: 'Format code',
+  typecheck: 'Type-check'
+};
+
+/**
+ * Script names that provide each command in package.json and Makefiles
+ */
+const SCRIPT_NAMES = {
+  build: ['build'],
+  test: ['test'],
+  lint: ['lint'],
+  format: ['format', 'fmt']
+};
+
+/**
+ * The placeholder `npm init` writes for scripts.test
+ */
+const NPM_INIT_TEST = /no test specified/;
+
+/**
+ * Lock files naming a package manager, checked in order
+ */
+const LOCK_FILES = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['bun.lockb', 'bun'],
+  ['bun.lock', 'bun']
+];
+
+/**
+ * Project commands in render order: build, test, lint and format first, then
+ * any others in the order guvnr.yaml lists them
+ *
+ * @param {Object} [commands] - `commands` from guvnr.yaml
+ * @returns {Array<{name: string, command: string}>} Commands with a non-empty value
+ */
+export function normalizeCommands(commands) {
+  if (!isPlainObject(commands)) {
+    return [];
+  }
+
+  const names = [
+    ...COMMAND_NAMES.filter(name => name in commands),
+    ...Object.keys(commands).filter(name => !COMMAND_NAMES.includes(name))
+  ];
+  return names
+    .filter(name => typeof commands[name] === 'string' && commands[name].trim())
+    .map(name => ({ name, command: commands[name].trim() }));
+}
+
+/**
+ * The command configured for a name
+ *
+ * @param {Object} context - Project context
+ * @param {string} name - Command name (e.g. test)
+ * @returns {string|null} The command, or null when guvnr.yaml does not set it
+ */
+export function projectCommand(context, name) {
+  return context?.projectCommands?.find(entry => entry.name === name)?.command || null;
+}
+
+/**
+ * What a command does, for its comment in rendered files
+ *
+ * @param {string} name - Command name
+ * @returns {string} Label for well-known commands, otherwise the name
+ */
+export function commandLabel(name) {
+  return COMMAND_LABELS[name] || name;
+}
+
+/**
+ * Commands that check the project, in the order `guvnr verify` runs them
+ *
+ * @param {Array<{name: string, command: string}>} commands - Normalized commands
+ * @returns {Array<{name: string, command: string}>} Commands other than VERIFY_SKIPPED
+ */
+export function verificationCommands(commands) {
+  return (commands || []).filter(({ name }) => !VERIFY_SKIPPED.includes(name));
+}
+
+/**
+ * Render commands as a bash block, each preceded by a comment saying what it does
+ *
+ * @param {Array<{name: string, command: string}>} commands - Normalized commands
+ * @returns {string} Fenced code block, or '' when there are no commands
+ */
+export function renderCommandsBlock(commands) {
+  if (!commands || commands.length === 0) {
+    return '';
+  }
+
+  const entries = commands.map(({ name, command }) => `# ${commandLabel(name)}\n${command}`);
+  return `\`\`\`bash\n${entries.join('\n\n')}\n\`\`\`\n`;
+}
+
+/**
+ * Read a file in the project, or null when it is missing or unreadable
+ * @param {string} cwd - Project root
+ * @param {string} file - Relative path
+ * @returns {string|null} Contents
+ */
+function readProjectFile(cwd, file) {
+  const path = join(cwd, file);
+  if (!existsSync(path)) {
+    return null;
+  }
+  try {
+    return readFileSync(path, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The package manager a JavaScript project uses: package.json `packageManager`,
+ * then its lock file, then npm
+ *
+ * @param {string} cwd - Project root
+ * @param {Object|null} [pkg] - Parsed package.json
+ * @returns {string} npm, pnpm, yarn or bun
+ */
+export function nodePackageManager(cwd, pkg) {
+  return (
+    (typeof pkg?.packageManager === 'string' && pkg.packageManager.split('@')[0]) ||
+    LOCK_FILES.find(([file]) => existsSync(join(cwd, file)))?.[1] ||
+    'npm'
+  );
+}
+
+/**
+ * Commands from package.json scripts
+ * @param {string} cwd - Project root
+ * @returns {Object} Commands by name
+ */
+function packageJsonCommands(cwd) {
+  let pkg;
+  try {
+    pkg = JSON.parse(readProjectFile(cwd, 'package.json') || 'null');
+  } catch {
+    return {};
+  }
+  const scripts = isPlainObject(pkg?.scripts) ? pkg.scripts : {};
+  const manager = nodePackageManager(cwd, pkg);
+
+  const commands = {};
+  for (const [name, candidates] of Object.entries(SCRIPT_NAMES)) {
+    const script = candidates.find(candidate => typeof scripts[candidate] === 'string');
+    if (!script || (script === 'test' && NPM_INIT_TEST.test(scripts.test))) {
+      continue;
+    }
+    commands[name] =
+      manager === 'npm' && script === 'test' ? 'npm test' : `${manager} run ${script}`;
+  }
+  return commands;
+}
+
+/**
+ * Commands from Makefile targets
+ * @param {string} cwd - Project root
+ * @returns {Object} Commands by name
+ */
+function makefileCommands(cwd) {
+  const makefile = readProjectFile(cwd, 'Makefile') ?? readProjectFile(cwd, 'makefile');
+  if (!makefile) {
+    return {};
+  }
+
+  // A target line is `name:` or `name: deps`, but not a `name := value` assignment
+  const targets = new Set(
+    [...makefile.matchAll(/^([A-Za-z0-9_.-]+)[ \t]*:(?!=)/gm)].map(match => match[1])
+  );
+
+  const commands = {};
+  for (const [name, candidates] of Object.entries(SCRIPT_NAMES)) {
+    const target = candidates.find(candidate => targets.has(candidate));
+    if (target) {
+      commands[name] = `make ${target}`;
+    }
+  }
+  return commands;
+}
+
+/**
+ * Commands from the tools configured in pyproject.toml
+ * @param {string} cwd - Project root
+ * @returns {Object} Commands by name
+ */
+function pyprojectCommands(cwd) {
+  const pyproject = readProjectFile(cwd, 'pyproject.toml');
+  if (!pyproject) {
+    return {};
+  }
+
+  const tables = new Set(
+    [...pyproject.matchAll(/^\[([A-Za-z0-9_.-]+)\]/gm)].map(match =>
+      match[1].split('.').slice(0, 2).join('.')
+    )
+  );
+  let runner = null;
+  if (existsSync(join(cwd, 'uv.lock'))) {
+    runner = 'uv';
+  } else if (tables.has('tool.poetry')) {
+    runner = 'poetry';
+  }
+  const run = runner ? `${runner} run ` : '';
+
+  const commands = {};
+  if (tables.has('build-system')) {
+    commands.build = runner ? `${runner} build` : 'python -m build';
+  }
+  if (tables.has('tool.pytest')) {
+    commands.test = `${run}pytest`;
+  }
+  if (tables.has('tool.ruff')) {
+    commands.lint = `${run}ruff check .`;
+    commands.format = `${run}ruff format .`;
+  } else if (tables.has('tool.black')) {
+    commands.format = `${run}black .`;
+  }
+  return commands;
+}
+
+/**
+ * Commands for a Cargo project
+ * @param {string} cwd - Project root
+ * @returns {Object} Commands by name
+ */
+function cargoCommands(cwd) {
+  if (!existsSync(join(cwd, 'Cargo.toml'))) {
+    return {};
+  }
+  return {
+    build: 'cargo build',
+    test: 'cargo test',
+    lint: 'cargo clippy',
+    format: 'cargo fmt'
+  };
+}
+
+/**
+ * Detect a project's build, test, lint and format commands
+ *
+ * @param {string} [cwd=process.cwd()] - Project root
+ * @returns {Object} Commands by name, in COMMAND_NAMES order (empty when none are found)
+ */
+export function detectProjectCommands(cwd = process.cwd()) {
+  const found = [
+    packageJsonCommands(cwd),
+    makefileCommands(cwd),
+    pyprojectCommands(cwd),
+    cargoCommands(cwd)
+  ];
+
+  const commands = {};
+  for (const name of COMMAND_NAMES) {
+    const source = found.find(candidates => candidates[name]);
+    if (source) {
+      commands[name] = source[name];
+    }
+  }
+  return commands;
+}
+
+export default {
+  COMMAND_NAMES,
+  VERIFY_SKIPPED,
+  normalizeCommands,
+  projectCommand,
+  commandLabel,
+  verificationCommands,
+  renderCommandsBlock,
+  nodePackageManager,
+  detectProjectCommands
+};
@@ -3,9 +3,7 @@
  * @see https://docs.github.com/copilot/customizing-copilot
  */
 
-import { existsSync, mkdirSync, writeFileSync } from 'fs';
-import { join } from 'path';
-import { getProjectName } from './base.js';
+import { getProjectName, writeGeneratedFile } from './base.js';
 
 /**
  * Generate GitHub Copilot instructions (.github/copilot-instructions.md).
@@ -23,24 +21,13 @@ import { getProjectName } from './base.js';
  * @returns {Promise<void>} Resolves when generation is complete
  */
 export async function generateCopilotInstructions(cwd, context, options, results) {
-  const githubDir = join(cwd, '.github');
-  const targetPath = join(githubDir, 'copilot-instructions.md');
-
-  if (!options.dryRun) {
-    mkdirSync(githubDir, { recursive: true });
-  }
-
-  if (existsSync(targetPath) && !options.force) {
-    results.skipped.push('.github/copilot-instructions.md (exists)');
-    return;
-  }
-
-  const content = generateCopilotContent(context);
-
-  if (!options.dryRun) {
-    writeFileSync(targetPath, content);
-  }
-  results.created.push('.github/copilot-instructions.md');
+  writeGeneratedFile(
+    cwd,
+    '.github/copilot-instructions.md',
+    generateCopilotContent(context),
+    options,
+    results
+  );
 }
 
 /**
@@ -3,9 +3,7 @@
  * @see https://docs.cursor.com/context/rules
  */
 
-import { existsSync, mkdirSync, writeFileSync } from 'fs';
-import { join } from 'path';
-import { getProjectName } from './base.js';
+import { getProjectName, writeGeneratedFile } from './base.js';
 
 /**
  * Generate Cursor IDE rules (.cursor/rules/).
@@ -23,47 +21,26 @@ import { getProjectName } from './base.js';
  * @returns {Promise<void>} Resolves when generation is complete
  */
 export async function generateCursorRules(cwd, context, options, results) {
-  const rulesDir = join(cwd, '.cursor', 'rules');
-
-  if (!options.dryRun) {
-    mkdirSync(rulesDir, { recursive: true });
-  }
-
   // Generate main rules file
-  const mainRulePath = join(rulesDir, 'project.mdc');
-  if (!existsSync(mainRulePath) || options.force) {
-    const content = generateCursorMainRule(context);
-    if (!options.dryRun) {
-      writeFileSync(mainRulePath, content);
-    }
-    results.created.push('.cursor/rules/project.mdc');
-  } else {
-    results.skipped.push('.cursor/rules/project.mdc (exists)');
-  }
+  writeGeneratedFile(
+    cwd,
+    '.cursor/rules/project.mdc',
+    generateCursorMainRule(context),
+    options,
+    results
+  );
 
   // Generate security rules
-  const securityRulePath = join(rulesDir, 'security.mdc');
-  if (!existsSync(securityRulePath) || options.force) {
-    const content = generateCursorSecurityRule(context);
-    if (!options.dryRun) {
-      writeFileSync(securityRulePath, content);
-    }
-    results.created.push('.cursor/rules/security.mdc');
-  } else {
-    results.skipped.push('.cursor/rules/security.mdc (exists)');
-  }
+  writeGeneratedFile(
+    cwd,
+    '.cursor/rules/security.mdc',
+    generateCursorSecurityRule(context),
+    options,
+    results
+  );
 
   // Generate index file
-  const indexPath = join(cwd, '.cursor', 'index.mdc');
-  if (!existsSync(indexPath) || options.force) {
-    const content = generateCursorIndex(context);
-    if (!options.dryRun) {
-      writeFileSync(indexPath, content);
-    }
-    results.created.push('.cursor/index.mdc');
-  } else {
-    results.skipped.push('.cursor/index.mdc (exists)');
-  }
+  writeGeneratedFile(cwd, '.cursor/index.mdc', generateCursorIndex(context), options, results);
 }
 
 /**
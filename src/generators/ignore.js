@@ -0,0 +1,143 @@
+/**
+ * Sensitive Paths
+ *
+ * Turns `security.sensitive_paths` into files tools enforce rather than prose
+ * they may ignore: gitignore-style ignore files for Cursor, Aider, Windsurf
+ * (Codeium) and Gemini CLI, and Read/Edit deny rules in Claude Code's
+ * `.claude/settings.json`. Codex's sandbox cannot deny individual paths, so
+ * its AGENTS.override.md lists them instead. The readers let `guvnr lint`
+ * confirm each configured tool covers every sensitive path.
+ */
+
+/**
+ * Where each tool's sensitive paths go, and the file whose presence means the
+ * tool is set up in a project
+ */
+export const SENSITIVE_PATH_FILES = {
+  claude: { path: '.claude/settings.json', marker: 'CLAUDE.md' },
+  cursor: { path: '.cursorignore', marker: '.cursor' },
+  aider: { path: '.aiderignore', marker: '.aider.conf.yml' },
+  windsurf: { path: '.codeiumignore', marker: '.windsurf' },
+  gemini: { path: '.geminiignore', marker: 'GEMINI.md' },
+  codex: { path: '.codex/AGENTS.override.md', marker: '.codex' }
+};
+
+/**
+ * Heading of the sensitive path list in Markdown outputs
+ */
+export const SENSITIVE_PATHS_HEADING = '## Sensitive Paths';
+
+/**
+ * Normalise `security.sensitive_paths` (drops a leading ./)
+ * @param {Object} [security] - `security` from guvnr.yaml
+ * @returns {string[]} Sensitive paths (gitignore syntax)
+ */
+export function sensitivePaths(security) {
+  return (security?.sensitive_paths || []).map(path => path.replace(/^\.\//, ''));
+}
+
+/**
+ * Key for comparing paths across formats (ignores a leading ./ or /)
+ * @param {string} path - Path or pattern
+ * @returns {string} Comparison key
+ */
+export function pathKey(path) {
+  return path.replace(/^\.?\//, '');
+}
+
+/**
+ * Render a gitignore-style ignore file
+ * @param {string} tool - Tool name for the header
+ * @param {string[]} paths - Sensitive paths
+ * @returns {string} Ignore file content
+ */
+export function renderIgnoreFile(tool, paths) {
+  return `# Files ${tool} must not read, from security.sensitive_paths in guvnr.yaml
+# Generated by Guvnr
+
+${paths.join('\n')}
+`;
+}
+
+/**
+ * Claude Code permission path for a gitignore-style pattern: patterns rooted
+ * in the project get ./, patterns that match anywhere (**) stay as they are
+ * @param {string} path - Sensitive path
+ * @returns {string} Permission rule path
+ */
+export function claudeRulePath(path) {
+  return path.startsWith('**') ? path : `./${path.replace(/^\//, '')}`;
+}
+
+/**
+ * Claude Code `permissions.deny` rules for sensitive paths
+ * @param {string[]} paths - Sensitive paths
+ * @returns {string[]} Read and Edit deny rules
+ */
+export function claudeDenyRules(paths) {
+  return paths.flatMap(path => [`Read(${claudeRulePath(path)})`, `Edit(${claudeRulePath(path)})`]);
+}
+
+/**
+ * Markdown section listing sensitive paths (for tools without an ignore mechanism)
+ * @param {string[]} paths - Sensitive paths
+ * @returns {string} Markdown section, or '' when there are none
+ */
+export function renderSensitivePathsSection(paths) {
+  if (paths.length === 0) {
+    return '';
+  }
+
+  return `${SENSITIVE_PATHS_HEADING}
+
+Never read, print or modify files matching these paths:
+
+${paths.map(path => `- \`${path}\``).join('\n')}
+`;
+}
+
+/**
+ * Sensitive paths a tool's file already covers
+ *
+ * @param {string} tool - Tool id (one of SENSITIVE_PATH_FILES)
+ * @param {string} content - Content of the tool's file
+ * @returns {Set<string>} Covered paths, as pathKey() keys
+ * @throws {Error} If .claude/settings.json is not valid JSON
+ */
+export function readCoveredPaths(tool, content) {
+  if (tool === 'claude') {
+    const deny = JSON.parse(content).permissions?.deny || [];
+    const pathsFor = verb =>
+      deny
+        .map(rule => rule.match(new RegExp(`^${verb}\\((.+)\\)$`))?.[1])
+        .filter(Boolean)
+        .map(pathKey);
+    const edit = new Set(pathsFor('Edit'));
+    return new Set(pathsFor('Read').filter(path => edit.has(path)));
+  }
+
+  if (tool === 'codex') {
+    const section = content.split(SENSITIVE_PATHS_HEADING)[1]?.split(/\n## /)[0] || '';
+    return new Set([...section.matchAll(/^- `(.+)`$/gm)].map(match => pathKey(match[1])));
+  }
+
+  return new Set(
+    content
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(pathKey)
+  );
+}
+
+export default {
+  SENSITIVE_PATH_FILES,
+  SENSITIVE_PATHS_HEADING,
+  sensitivePaths,
+  pathKey,
+  renderIgnoreFile,
+  claudeRulePath,
+  claudeDenyRules,
+  renderSensitivePathsSection,
+  readCoveredPaths
+};
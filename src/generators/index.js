@@ -10,6 +10,7 @@
  * - cursor.js - Cursor IDE rules generator
  * - copilot.js - GitHub Copilot instructions generator
  * - windsurf.js - Windsurf IDE rules generator
+ * - plugins.js - Third-party generators loaded from tools.plugins
  *
  * Remaining generators are still in ../commands/generate.js and will be
  * extracted incrementally as needed.
@@ -43,6 +44,7 @@ export {
   generateWindsurfMainRule,
   generateWindsurfSecurityRule
 } from './windsurf.js';
+export { loadGeneratorPlugins, validateGenerator, runPluginGenerator } from './plugins.js';
 
 /**
  * Generator registry for dynamic lookup
@@ -50,6 +52,8 @@ export {
  *
  * Note: Generators not yet extracted remain in generate.js
  * and are called directly from the switch statement there.
+ * Plugin generators are not listed here; they are loaded per project
+ * from tools.plugins (see plugins.js) and dispatched by id.
  */
 export const MODULAR_GENERATORS = {
   agents: 'generateAgentsMd',
@@ -0,0 +1,366 @@
+/**
+ * MCP Server Registry
+ *
+ * `mcp_servers` in guvnr.yaml lists each MCP server once. Every tool with an
+ * MCP config gets the servers enabled for it in its own format, with secrets
+ * passed only as environment variable references: `env` names variables to
+ * pass through, and `${VAR}` in args, URLs and headers is rewritten to the
+ * tool's reference syntax. The readers turn those files back into a common
+ * shape so `guvnr lint` can check they agree.
+ */
+
+import yaml from 'js-yaml';
+import { createError } from '../errors.js';
+import { looksLikeSecret } from '../utils/validation.js';
+
+/**
+ * MCP config file each tool reads
+ */
+export const MCP_FILES = {
+  claude: '.mcp.json',
+  cursor: '.cursor/mcp.json',
+  copilot: '.vscode/mcp.json',
+  gemini: '.gemini/settings.json',
+  opencode: 'opencode.json',
+  kiro: '.kiro/mcp.json',
+  augment: '.augment/mcp.json',
+  goose: '.goose/extensions.yaml',
+  continue: '.continue/config.yaml'
+};
+
+/**
+ * How each tool references an environment variable
+ */
+const ENV_REFERENCES = {
+  claude: name => `\${${name}}`,
+  cursor: name => `\${env:${name}}`,
+  copilot: name => `\${env:${name}}`,
+  gemini: name => `\${${name}}`,
+  opencode: name => `{env:${name}}`,
+  kiro: name => `\${${name}}`,
+  augment: name => `\${${name}}`,
+  goose: name => `\${${name}}`,
+  continue: name => `\${{ secrets.${name} }}`
+};
+
+const REFERENCE_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * Raise GUVNR-CONFIG-310 for a server entry
+ * @param {string} name - Server name
+ * @param {string} message - What is wrong
+ * @param {string} [suggestion] - How to fix it
+ * @returns {FrameworkError} Error to throw
+ */
+function invalidServer(name, message, suggestion) {
+  return createError('GUVNR-CONFIG-310', `mcp_servers.${name}: ${message}`, {
+    context: { server: name },
+    ...(suggestion && { suggestion })
+  });
+}
+
+/**
+ * Reject values that look like literal secrets
+ * @param {string} name - Server name
+ * @param {string} field - Field being checked
+ * @param {string} value - Value to check
+ * @throws {FrameworkError} GUVNR-CONFIG-310 if the value contains a secret
+ */
+function assertNoSecret(name, field, value) {
+  const tokens = value.replace(REFERENCE_PATTERN, '').split(/[\s=:,]+/);
+  if (tokens.some(token => looksLikeSecret(token))) {
+    throw invalidServer(
+      name,
+      `${field} looks like it contains a secret`,
+      'Keep secrets in environment variables: list them under env, or reference them as ${VAR}'
+    );
+  }
+}
+
+/**
+ * Normalise `mcp_servers` from guvnr.yaml
+ *
+ * @param {Object|undefined} servers - `mcp_servers` from guvnr.yaml
+ * @returns {Array<{name: string, transport: 'stdio'|'http'|'sse', command?: string, args: string[], env: string[], url?: string, headers: Object<string, string>, enabled: boolean, tools: Object<string, boolean>}>}
+ *   Servers in declaration order
+ * @throws {FrameworkError} GUVNR-CONFIG-310 for a server without a command or URL, an
+ *   unknown tool id, or a literal secret
+ */
+export function normalizeMcpServers(servers) {
+  return Object.entries(servers || {}).map(([name, server]) => {
+    const transport = server.transport || (server.url && !server.command ? 'http' : 'stdio');
+
+    if (transport === 'stdio' && !server.command) {
+      throw invalidServer(name, 'a stdio server needs a command');
+    }
+    if (transport !== 'stdio' && !server.url) {
+      throw invalidServer(name, `an ${transport} server needs a url`);
+    }
+
+    const unknownTools = Object.keys(server.tools || {}).filter(tool => !MCP_FILES[tool]);
+    if (unknownTools.length > 0) {
+      throw invalidServer(
+        name,
+        `unknown tool ${unknownTools.join(', ')}`,
+        `Tools with MCP configs: ${Object.keys(MCP_FILES).join(', ')}`
+      );
+    }
+
+    const normalized = {
+      name,
+      transport,
+      args: server.args || [],
+      env: server.env || [],
+      headers: server.headers || {},
+      enabled: server.enabled !== false,
+      tools: server.tools || {}
+    };
+    if (transport === 'stdio') {
+      normalized.command = server.command;
+    } else {
+      normalized.url = server.url;
+    }
+
+    for (const arg of normalized.args) {
+      assertNoSecret(name, 'args', arg);
+    }
+    for (const [header, value] of Object.entries(normalized.headers)) {
+      assertNoSecret(name, `headers.${header}`, value);
+    }
+    if (normalized.url) {
+      assertNoSecret(name, 'url', normalized.url);
+    }
+
+    return normalized;
+  });
+}
+
+/**
+ * Servers a tool gets: `tools.<id>` overrides the server's `enabled`
+ * @param {Array<Object>} servers - Normalised servers
+ * @param {string} tool - Tool id
+ * @returns {Array<Object>} Servers enabled for the tool
+ */
+export function serversForTool(servers, tool) {
+  return (servers || []).filter(server => server.tools[tool] ?? server.enabled);
+}
+
+/**
+ * Rewrite `${VAR}` references to a tool's syntax
+ * @param {string} tool - Tool id
+ * @param {string} value - Value with `${VAR}` references
+ * @returns {string} Value for the tool
+ */
+function withReferences(tool, value) {
+  return value.replace(REFERENCE_PATTERN, (_, name) => ENV_REFERENCES[tool](name));
+}
+
+/**
+ * Parts of a server shared by most formats, in the tool's reference syntax
+ * @param {string} tool - Tool id
+ * @param {Object} server - Normalised server
+ * @returns {{args: string[], env?: Object<string, string>, url?: string, headers?: Object<string, string>}}
+ */
+function serverFields(tool, server) {
+  const fields = { args: server.args.map(arg => withReferences(tool, arg)) };
+  if (server.env.length > 0) {
+    fields.env = Object.fromEntries(server.env.map(name => [name, ENV_REFERENCES[tool](name)]));
+  }
+  if (server.url) {
+    fields.url = withReferences(tool, server.url);
+  }
+  if (Object.keys(server.headers).length > 0) {
+    fields.headers = Object.fromEntries(
+      Object.entries(server.headers).map(([header, value]) => [header, withReferences(tool, value)])
+    );
+  }
+  return fields;
+}
+
+/**
+ * Render one server in a tool's format
+ */
+const RENDERERS = {
+  claude: (server, { args, env, url, headers }) => {
+    if (server.transport === 'stdio') {
+      return { command: server.command, args, ...(env && { env }) };
+    }
+    return { type: server.transport, url, ...(headers && { headers }) };
+  },
+  cursor: (server, { args, env, url, headers }) => {
+    if (server.transport === 'stdio') {
+      return { command: server.command, args, ...(env && { env }) };
+    }
+    return { url, ...(headers && { headers }) };
+  },
+  copilot: (server, { args, env, url, headers }) => {
+    if (server.transport === 'stdio') {
+      return { type: 'stdio', command: server.command, args, ...(env && { env }) };
+    }
+    return { type: server.transport, url, ...(headers && { headers }) };
+  },
+  gemini: (server, { args, env, url, headers }) => {
+    if (server.transport === 'stdio') {
+      return { command: server.command, args, ...(env && { env }) };
+    }
+    // Gemini CLI takes streamable HTTP servers as httpUrl and SSE servers as url
+    const key = server.transport === 'http' ? 'httpUrl' : 'url';
+    return { [key]: url, ...(headers && { headers }) };
+  },
+  opencode: (server, { args, env, url, headers }) => {
+    if (server.transport === 'stdio') {
+      const command = [server.command, ...args];
+      return { type: 'local', command, ...(env && { environment: env }), enabled: true };
+    }
+    return { type: 'remote', url, ...(headers && { headers }), enabled: true };
+  },
+  kiro: (server, { args, env, url, headers }) => {
+    if (server.transport === 'stdio') {
+      return { command: server.command, args, ...(env && { env }), disabled: false };
+    }
+    return { url, ...(headers && { headers }), disabled: false };
+  },
+  augment: (server, { args, env, url, headers }) => {
+    if (server.transport === 'stdio') {
+      return { command: server.command, args, ...(env && { env }), enabled: true };
+    }
+    return { url, ...(headers && { headers }), enabled: true };
+  },
+  goose: (server, { args, env, url, headers }) => {
+    const entry = { name: server.name, enabled: true };
+    if (server.transport === 'stdio') {
+      return { ...entry, type: 'stdio', command: server.command, args, ...(env && { env }) };
+    }
+    const type = server.transport === 'http' ? 'streamable_http' : 'sse';
+    return { ...entry, type, uri: url, ...(headers && { headers }) };
+  },
+  continue: (server, { args, env, url, headers }) => {
+    if (server.transport === 'stdio') {
+      return { name: server.name, command: server.command, args, ...(env && { env }) };
+    }
+    const type = server.transport === 'http' ? 'streamable-http' : 'sse';
+    return { name: server.name, type, url, ...(headers && { requestOptions: { headers } }) };
+  }
+};
+
+/**
+ * Render the servers enabled for a tool in its native format
+ *
+ * @param {string} tool - Tool id (one of MCP_FILES)
+ * @param {Array<Object>} servers - Normalised servers
+ * @returns {Object|Array<Object>} Server map keyed by name, or a list of entries
+ *   for tools that list servers (goose, continue)
+ */
+export function renderMcpServers(tool, servers) {
+  const rendered = serversForTool(servers, tool).map(server => [
+    server.name,
+    RENDERERS[tool](server, serverFields(tool, server))
+  ]);
+
+  return ['goose', 'continue'].includes(tool)
+    ? rendered.map(([, entry]) => entry)
+    : Object.fromEntries(rendered);
+}
+
+/**
+ * Render servers as a YAML block for the YAML-based configs
+ * @param {string} tool - 'goose' or 'continue'
+ * @param {Array<Object>} servers - Normalised servers
+ * @param {number} indent - Indentation of the list
+ * @returns {string} YAML list items, or '' when the tool has no servers
+ */
+export function renderMcpYaml(tool, servers, indent = 0) {
+  const entries = renderMcpServers(tool, servers);
+  if (entries.length === 0) {
+    return '';
+  }
+
+  const pad = ' '.repeat(indent);
+  return yaml
+    .dump(entries, { lineWidth: -1 })
+    .trimEnd()
+    .split('\n')
+    .map(line => `${pad}${line}`)
+    .join('\n');
+}
+
+/**
+ * Rewrite any tool's environment references back to `${VAR}`
+ * @param {string} value - Value from a tool's MCP config
+ * @returns {string} Value with `${VAR}` references
+ */
+function canonicalReferences(value) {
+  return String(value)
+    .replace(/\$\{\{\s*secrets\.(\w+)\s*\}\}/g, '${$1}')
+    .replace(/\$\{env:(\w+)\}/g, '${$1}')
+    .replace(/(^|[^$])\{env:(\w+)\}/g, '$1${$2}')
+    .replace(/\$([A-Za-z_]\w*)/g, '${$1}');
+}
+
+/**
+ * What a server runs, comparable across tools
+ * @param {Object} entry - Server entry from a tool's MCP config
+ * @returns {string} `command arg...` or the server URL
+ */
+function describeEntry(entry) {
+  const command = Array.isArray(entry.command)
+    ? entry.command
+    : [entry.command, ...(entry.args || [])];
+  const target = entry.command ? command.join(' ') : entry.httpUrl || entry.url || entry.uri || '';
+  return canonicalReferences(target);
+}
+
+/**
+ * Read the servers a tool's MCP config defines
+ *
+ * @param {string} tool - Tool id (one of MCP_FILES)
+ * @param {string} content - Content of the tool's MCP config
+ * @returns {Map<string, string>} What each enabled server runs, by name
+ * @throws {Error} If the file is not valid JSON or YAML
+ */
+export function readMcpServers(tool, content) {
+  let entries;
+
+  if (tool === 'goose' || tool === 'continue') {
+    const parsed = yaml.load(content) || {};
+    const list = tool === 'goose' ? parsed.recommended_extensions : parsed.mcpServers;
+    entries = (list || [])
+      .filter(entry => entry?.name && entry.type !== 'builtin')
+      .map(entry => [entry.name, entry]);
+  } else {
+    const parsed = JSON.parse(content);
+    const key = { copilot: 'servers', opencode: 'mcp' }[tool] || 'mcpServers';
+    entries = Object.entries(parsed[key] || {});
+  }
+
+  return new Map(
+    entries
+      .filter(([, entry]) => entry.enabled !== false && entry.disabled !== true)
+      .map(([name, entry]) => [name, describeEntry(entry)])
+  );
+}
+
+/**
+ * What each server enabled for a tool runs, in the shape readMcpServers returns
+ * @param {Array<Object>} servers - Normalised servers
+ * @param {string} tool - Tool id
+ * @returns {Map<string, string>} What each server runs, by name
+ */
+export function describeMcpServers(servers, tool) {
+  return new Map(
+    serversForTool(servers, tool).map(server => [
+      server.name,
+      server.command ? [server.command, ...server.args].join(' ') : server.url
+    ])
+  );
+}
+
+export default {
+  MCP_FILES,
+  normalizeMcpServers,
+  serversForTool,
+  renderMcpServers,
+  renderMcpYaml,
+  readMcpServers,
+  describeMcpServers
+};
@@ -0,0 +1,148 @@
+/**
+ * Per-Tool Overrides
+ *
+ * A `tools.<id>` block in guvnr.yaml adjusts one tool's output without
+ * changing the others: its token budget, guvnr.yaml sections to leave out,
+ * extra sections to append to its instruction file, and settings only that
+ * tool has (model, Cursor's rule style, Aider's test and lint commands).
+ * Each generator reads its own block; TOOL_OVERRIDES lists the keys each one
+ * understands so `guvnr validate` can flag the rest.
+ */
+
+import { isPlainObject } from '../utils/config.js';
+import { compactSection } from './budget.js';
+
+/**
+ * Keys under `tools` that configure generation itself rather than a tool
+ */
+export const TOOL_SETTINGS_KEYS = ['generate', 'plugins'];
+
+/**
+ * guvnr.yaml sections a tool can leave out (security rules cannot be excluded)
+ */
+export const EXCLUDABLE_SECTIONS = [
+  'conventions',
+  'tech_stack',
+  'overview',
+  'architecture',
+  'skills',
+  'agents',
+  'current_state'
+];
+
+/**
+ * Overrides every built-in generator understands
+ */
+const SHARED = ['budget', 'exclude_sections'];
+
+/**
+ * Overrides for generators that write an instruction file
+ */
+const INSTRUCTIONS = [...SHARED, 'extra_sections'];
+
+/**
+ * Override keys each built-in generator understands
+ */
+export const TOOL_OVERRIDES = {
+  agents: INSTRUCTIONS,
+  skills: SHARED,
+  claude: [...INSTRUCTIONS, 'model', 'max_tokens', 'env'],
+  cursor: [...INSTRUCTIONS, 'rules_style'],
+  copilot: INSTRUCTIONS,
+  windsurf: INSTRUCTIONS,
+  aider: [...SHARED, 'model', 'test_cmd', 'lint_cmd'],
+  gemini: INSTRUCTIONS,
+  codex: [...INSTRUCTIONS, 'model'],
+  amp: SHARED,
+  roo: INSTRUCTIONS,
+  continue: INSTRUCTIONS,
+  cline: INSTRUCTIONS,
+  zed: INSTRUCTIONS,
+  junie: INSTRUCTIONS,
+  goose: SHARED,
+  kiro: INSTRUCTIONS,
+  augment: INSTRUCTIONS,
+  qodo: INSTRUCTIONS,
+  opencode: INSTRUCTIONS,
+  zencoder: INSTRUCTIONS,
+  tabnine: INSTRUCTIONS,
+  amazonq: INSTRUCTIONS,
+  codeowners: []
+};
+
+/**
+ * A tool's override block
+ * @param {Object|null} config - Parsed guvnr.yaml, or a project context (both have `tools`)
+ * @param {string} tool - Tool id
+ * @returns {Object} The `tools.<id>` block, or {} when there is none
+ */
+export function toolOverrides(config, tool) {
+  const settings = config?.tools?.[tool];
+  return isPlainObject(settings) ? settings : {};
+}
+
+/**
+ * Override keys in guvnr.yaml that the tool's generator does not understand.
+ * Plugin generators and unknown tool ids are not checked.
+ *
+ * @param {Object|null} config - Parsed guvnr.yaml
+ * @returns {Array<{tool: string, key: string, supported: string[]}>} Unsupported keys
+ */
+export function findUnsupportedOverrides(config) {
+  const unsupported = [];
+  for (const [tool, settings] of Object.entries(config?.tools || {})) {
+    const supported = TOOL_OVERRIDES[tool];
+    if (!supported || TOOL_SETTINGS_KEYS.includes(tool) || !isPlainObject(settings)) {
+      continue;
+    }
+    for (const key of Object.keys(settings)) {
+      if (!supported.includes(key)) {
+        unsupported.push({ tool, key, supported });
+      }
+    }
+  }
+  return unsupported;
+}
+
+/**
+ * Config a tool generates from: guvnr.yaml without the sections its
+ * `exclude_sections` leaves out, dropped the same way `--report` measures them
+ *
+ * @param {Object} config - Parsed guvnr.yaml (not modified)
+ * @param {string} tool - Tool id
+ * @returns {Object} The config, or a copy without the excluded sections
+ */
+export function excludeSections(config, tool) {
+  const sections = toolOverrides(config, tool).exclude_sections || [];
+  return sections
+    .filter(section => EXCLUDABLE_SECTIONS.includes(section))
+    .reduce((current, section) => compactSection(current, section, 'drop'), config);
+}
+
+/**
+ * Append a tool's `extra_sections` to its instruction file
+ *
+ * @param {string} content - Rendered instruction file
+ * @param {Object} context - Project context
+ * @param {string} tool - Tool id
+ * @returns {string} Content followed by one `##` section per extra section
+ */
+export function appendExtraSections(content, context, tool) {
+  const sections = toolOverrides(context, tool).extra_sections || [];
+  if (sections.length === 0) {
+    return content;
+  }
+
+  const extra = sections.map(({ title, content: body }) => `## ${title}\n\n${body.trim()}\n`);
+  return `${content.replace(/\n*$/, '\n')}\n${extra.join('\n')}`;
+}
+
+export default {
+  TOOL_SETTINGS_KEYS,
+  EXCLUDABLE_SECTIONS,
+  TOOL_OVERRIDES,
+  toolOverrides,
+  findUnsupportedOverrides,
+  excludeSections,
+  appendExtraSections
+};
@@ -0,0 +1,407 @@
+/**
+ * Agent Personas
+ *
+ * Each `agents:` entry in guvnr.yaml (name, role, expertise, instructions)
+ * becomes a persona in every tool that has one, in that tool's own format:
+ * Claude Code subagents, Roo custom modes, OpenCode agents, Copilot chat
+ * modes, Amazon Q agent profiles and Continue assistants.
+ *
+ * The optional per-agent fields are translated where the tool supports them
+ * and left out where it does not:
+ * - tools: the capabilities the agent may use (read, edit, command, browser,
+ *   mcp); all of them when unset, except in Roo Code modes, which then only read
+ * - model: passed through. OpenCode and Continue also need the provider, read
+ *   from a `provider/model` value or inferred from the model name.
+ * - permissions: `edit` and `command` as allow, ask or deny, plus
+ *   `allow_commands` and `deny_commands` prefixes. Tools without per-agent
+ *   permissions only honour deny, by removing the capability.
+ */
+
+import yaml from 'js-yaml';
+import { serversForTool } from './mcp.js';
+
+/**
+ * Capabilities an agent's `tools` can list
+ */
+export const AGENT_TOOLS = ['read', 'edit', 'command', 'browser', 'mcp'];
+
+/**
+ * Native tool names for each capability (MCP servers are added per tool)
+ */
+const NATIVE_TOOLS = {
+  claude: {
+    read: ['Read', 'Grep', 'Glob'],
+    edit: ['Edit', 'Write', 'MultiEdit'],
+    command: ['Bash'],
+    browser: ['WebFetch', 'WebSearch']
+  },
+  copilot: {
+    read: ['codebase', 'search', 'usages'],
+    edit: ['editFiles'],
+    command: ['runCommands'],
+    browser: ['fetch']
+  },
+  opencode: {
+    edit: ['write', 'edit'],
+    command: ['bash'],
+    browser: ['webfetch']
+  },
+  amazonq: {
+    read: ['fs_read'],
+    edit: ['fs_write'],
+    command: ['execute_bash']
+  }
+};
+
+/**
+ * Providers inferred from bare model names
+ */
+const MODEL_PROVIDERS = [
+  { pattern: /^(claude|sonnet|opus|haiku)/i, provider: 'anthropic' },
+  { pattern: /^(gpt|o\d|codex)/i, provider: 'openai' }
+];
+
+/**
+ * Normalise an `agents:` entry
+ * @param {Object} agent - Entry from guvnr.yaml
+ * @returns {{name: string, role: string, expertise: string[], instructions: string, tools?: string[], model?: string, permissions: Object}}
+ *   Agent with defaults applied
+ */
+export function normalizeAgent(agent) {
+  return {
+    name: agent.name,
+    role: agent.role,
+    expertise: agent.expertise || [],
+    instructions: agent.instructions || '',
+    ...(agent.tools && { tools: agent.tools }),
+    ...(agent.model && { model: agent.model }),
+    permissions: agent.permissions || {}
+  };
+}
+
+/**
+ * Capabilities an agent may use: its `tools` (all when unset) without the
+ * ones its permissions deny
+ * @param {Object} agent - Normalised agent
+ * @returns {string[]} Capabilities, in AGENT_TOOLS order
+ */
+export function agentCapabilities(agent) {
+  return AGENT_TOOLS.filter(
+    capability =>
+      (agent.tools || AGENT_TOOLS).includes(capability) && agent.permissions[capability] !== 'deny'
+  );
+}
+
+/**
+ * Whether the agent is limited to fewer than all capabilities
+ * @param {Object} agent - Normalised agent
+ * @returns {boolean} True when the tool list must be written out
+ */
+function isRestricted(agent) {
+  return agentCapabilities(agent).length < AGENT_TOOLS.length;
+}
+
+/**
+ * A tool's names for a list of capabilities. Claude Code names MCP tools
+ * after their server, so `mcp` becomes one entry per server enabled for it.
+ * @param {string} tool - Tool id (claude, copilot, opencode or amazonq)
+ * @param {string[]} capabilities - Capabilities from AGENT_TOOLS
+ * @param {Object} [context] - Project context (MCP servers)
+ * @returns {string[]} Native tool names
+ */
+export function nativeToolNames(tool, capabilities, context) {
+  const names = capabilities.flatMap(capability => NATIVE_TOOLS[tool][capability] || []);
+  if (tool === 'claude' && capabilities.includes('mcp')) {
+    const servers = serversForTool(context?.mcpServers, 'claude');
+    names.push(...servers.map(server => `mcp__${server.name}`));
+  }
+  return names;
+}
+
+/**
+ * Split a model into provider and name
+ * @param {string} model - `provider/model` or a bare model name
+ * @returns {{provider: string|null, name: string}} Provider (null when unknown) and model name
+ */
+export function splitModel(model) {
+  const slash = model.indexOf('/');
+  if (slash > 0) {
+    return { provider: model.slice(0, slash), name: model.slice(slash + 1) };
+  }
+  const known = MODEL_PROVIDERS.find(({ pattern }) => pattern.test(model));
+  return { provider: known?.provider || null, name: model };
+}
+
+/**
+ * Model as Claude Code names it: bare, without the anthropic/ provider
+ * @param {string} model - `provider/model` or a bare model name
+ * @returns {string} Model for Claude Code frontmatter
+ */
+export function claudeModel(model) {
+  const { provider, name } = splitModel(model);
+  return provider === 'anthropic' ? name : model;
+}
+
+/**
+ * Title for tools that show a display name (`code-reviewer` becomes `Code Reviewer`)
+ * @param {string} name - Agent or skill name
+ * @returns {string} Display name
+ */
+export function displayName(name) {
+  return name
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * YAML frontmatter block
+ * @param {Object} data - Frontmatter fields
+ * @returns {string} `---` delimited block
+ */
+export function renderFrontmatter(data) {
+  return `---\n${yaml.dump(data, { lineWidth: -1 })}---\n`;
+}
+
+/**
+ * The persona itself: role, expertise and instructions as Markdown
+ * @param {Object} agent - Normalised agent
+ * @returns {string} Markdown body shared by every format
+ */
+export function renderAgentPrompt(agent) {
+  let content = `# ${agent.name}
+
+**Role**: ${agent.role}
+
+`;
+
+  if (agent.expertise.length > 0) {
+    content += `## Expertise
+
+${agent.expertise.map(e => `- ${e}`).join('\n')}
+
+`;
+  }
+
+  if (agent.instructions) {
+    content += `## Instructions
+
+${agent.instructions}
+`;
+  }
+
+  return content;
+}
+
+/**
+ * Claude Code subagent (`.claude/agents/<name>.md`). Subagents have no
+ * permissions of their own, so only denied capabilities carry over.
+ * @param {Object} agent - Normalised agent
+ * @param {Object} context - Project context (MCP servers)
+ * @returns {string} Subagent file
+ * @see https://docs.anthropic.com/en/docs/claude-code/sub-agents
+ */
+export function renderClaudeAgent(agent, context) {
+  const data = { name: agent.name, description: agent.role };
+  if (isRestricted(agent)) {
+    data.tools = nativeToolNames('claude', agentCapabilities(agent), context).join(', ');
+  }
+  if (agent.model) {
+    data.model = claudeModel(agent.model);
+  }
+  return `${renderFrontmatter(data)}\n${renderAgentPrompt(agent)}`;
+}
+
+/**
+ * Roo Code `.roomodes` custom modes, one per agent. Modes pick tool groups
+ * and have no model or per-command permissions. A mode is granted only the
+ * groups its agent's `tools` list; an agent without `tools` gets `read`.
+ * @param {Object[]} agents - Normalised agents
+ * @returns {string} JSON file content
+ * @see https://docs.roocode.com/features/custom-modes
+ */
+export function renderRooModes(agents) {
+  const customModes = agents.map(agent => ({
+    slug: agent.name,
+    name: displayName(agent.name),
+    roleDefinition:
+      agent.expertise.length > 0
+        ? `${agent.role}. Expertise: ${agent.expertise.join(', ')}.`
+        : agent.role,
+    ...(agent.instructions && { customInstructions: agent.instructions.trim() }),
+    groups: agent.tools ? agentCapabilities(agent) : ['read']
+  }));
+  return `${JSON.stringify({ customModes }, null, 2)}\n`;
+}
+
+/**
+ * OpenCode bash permission, with command prefixes as patterns (the last
+ * matching pattern wins, so the `*` fallback comes first)
+ * @param {Object} permissions - Agent permissions
+ * @returns {string|Object} `allow`, `ask` or `deny`, or a pattern map
+ */
+function openCodeBashPermission(permissions) {
+  const fallback = permissions.command || 'ask';
+  const allow = permissions.allow_commands || [];
+  const deny = permissions.deny_commands || [];
+  if (allow.length === 0 && deny.length === 0) {
+    return fallback;
+  }
+  return {
+    '*': fallback,
+    ...Object.fromEntries(allow.map(command => [`${command.trim()}*`, 'allow'])),
+    ...Object.fromEntries(deny.map(command => [`${command.trim()}*`, 'deny']))
+  };
+}
+
+/**
+ * OpenCode agent (`.opencode/agents/<name>.md`), used as a subagent
+ * @param {Object} agent - Normalised agent
+ * @param {Object} context - Project context (MCP servers)
+ * @returns {string} Agent file
+ * @see https://opencode.ai/docs/agents
+ */
+export function renderOpenCodeAgent(agent, context) {
+  const data = { description: agent.role, mode: 'subagent' };
+  if (agent.model) {
+    const { provider, name } = splitModel(agent.model);
+    data.model = provider ? `${provider}/${name}` : agent.model;
+  }
+
+  const capabilities = agentCapabilities(agent);
+  const disabled = AGENT_TOOLS.filter(capability => !capabilities.includes(capability));
+  const tools = Object.fromEntries(
+    disabled.flatMap(capability => NATIVE_TOOLS.opencode[capability] || []).map(t => [t, false])
+  );
+  if (disabled.includes('mcp')) {
+    for (const server of serversForTool(context?.mcpServers, 'opencode')) {
+      tools[`${server.name}_*`] = false;
+    }
+  }
+  if (Object.keys(tools).length > 0) {
+    data.tools = tools;
+  }
+
+  const { permissions } = agent;
+  const permission = {};
+  if (permissions.edit) {
+    permission.edit = permissions.edit;
+  }
+  if (permissions.command || permissions.allow_commands || permissions.deny_commands) {
+    permission.bash = openCodeBashPermission(permissions);
+  }
+  if (Object.keys(permission).length > 0) {
+    data.permission = permission;
+  }
+
+  return `${renderFrontmatter(data)}\n${renderAgentPrompt(agent)}`;
+}
+
+/**
+ * GitHub Copilot chat mode (`.github/chatmodes/<name>.chatmode.md`)
+ * @param {Object} agent - Normalised agent
+ * @returns {string} Chat mode file
+ * @see https://code.visualstudio.com/docs/copilot/chat/chat-modes
+ */
+export function renderCopilotChatMode(agent) {
+  const data = { description: agent.role };
+  if (isRestricted(agent)) {
+    data.tools = nativeToolNames('copilot', agentCapabilities(agent));
+  }
+  if (agent.model) {
+    data.model = splitModel(agent.model).name;
+  }
+  return `${renderFrontmatter(data)}\n${renderAgentPrompt(agent)}`;
+}
+
+/**
+ * Amazon Q `execute_bash` pattern for a command prefix
+ * @param {string} command - Command prefix
+ * @returns {string} Regular expression matching the command with any arguments
+ */
+function commandPattern(command) {
+  return `${command.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}( .*)?`;
+}
+
+/**
+ * Amazon Q Developer CLI agent profile (`.amazonq/cli-agents/<name>.json`).
+ * Allowed tools and commands run without prompting.
+ * @param {Object} agent - Normalised agent
+ * @returns {string} JSON file content
+ * @see https://github.com/aws/amazon-q-developer-cli/blob/main/docs/agent-format.md
+ */
+export function renderAmazonQAgent(agent) {
+  const { permissions } = agent;
+  const profile = {
+    name: agent.name,
+    description: agent.role,
+    prompt: renderAgentPrompt(agent).trimEnd(),
+    tools: isRestricted(agent) ? nativeToolNames('amazonq', agentCapabilities(agent)) : ['*'],
+    resources: ['file://.amazonq/rules/**/*.md']
+  };
+
+  const allowed = ['edit', 'command']
+    .filter(capability => permissions[capability] === 'allow')
+    .flatMap(capability => NATIVE_TOOLS.amazonq[capability]);
+  if (allowed.length > 0) {
+    profile.allowedTools = allowed;
+  }
+
+  const bash = {};
+  if (permissions.allow_commands?.length > 0) {
+    bash.allowedCommands = permissions.allow_commands.map(commandPattern);
+  }
+  if (permissions.deny_commands?.length > 0) {
+    bash.deniedCommands = permissions.deny_commands.map(commandPattern);
+  }
+  if (Object.keys(bash).length > 0) {
+    profile.toolsSettings = { execute_bash: bash };
+  }
+
+  if (agent.model) {
+    profile.model = splitModel(agent.model).name;
+  }
+  return `${JSON.stringify(profile, null, 2)}\n`;
+}
+
+/**
+ * Continue assistant (`.continue/assistants/<name>.yaml`). Assistants carry
+ * rules and models but no tool or permission limits.
+ * @param {Object} agent - Normalised agent
+ * @returns {string} YAML file content
+ * @see https://docs.continue.dev/reference
+ */
+export function renderContinueAssistant(agent) {
+  const assistant = { name: displayName(agent.name), version: '1.0.0', schema: 'v1' };
+  const model = agent.model && splitModel(agent.model);
+  if (model?.provider) {
+    assistant.models = [
+      {
+        name: model.name,
+        provider: model.provider,
+        model: model.name,
+        roles: ['chat', 'edit', 'apply']
+      }
+    ];
+  }
+  assistant.rules = [{ name: agent.name, rule: renderAgentPrompt(agent).trimEnd() }];
+  return `# Generated by Guvnr from the ${agent.name} agent in guvnr.yaml\n${yaml.dump(assistant, { lineWidth: -1 })}`;
+}
+
+export default {
+  AGENT_TOOLS,
+  normalizeAgent,
+  agentCapabilities,
+  nativeToolNames,
+  splitModel,
+  claudeModel,
+  displayName,
+  renderFrontmatter,
+  renderAgentPrompt,
+  renderClaudeAgent,
+  renderRooModes,
+  renderOpenCodeAgent,
+  renderCopilotChatMode,
+  renderAmazonQAgent,
+  renderContinueAssistant
+};
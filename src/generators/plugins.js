@@ -0,0 +1,218 @@
+/**
+ * Generator Plugins
+ *
+ * Loads third-party tool generators listed under `tools.plugins` in guvnr.yaml.
+ * Each entry is either a local file (relative to the project root) or an npm
+ * package installed in the project. A plugin module exports one generator, or
+ * an array of them, as its default export (or as a named `generators` export):
+ *
+ * @example
+ * // guvnr.yaml
+ * // tools:
+ * //   plugins:
+ * //     - ./tools/acme-generator.js
+ * //     - guvnr-plugin-acme
+ *
+ * export default {
+ *   id: 'acme',
+ *   name: 'Acme Assistant',
+ *   outputs: ['.acme/rules.md'],
+ *   render: context => ({ '.acme/rules.md': `# ${context.projectName}\n` })
+ * };
+ */
+
+import { existsSync } from 'fs';
+import { createRequire } from 'module';
+import { join, resolve, relative, isAbsolute } from 'path';
+import { pathToFileURL } from 'url';
+import { createError } from '../errors.js';
+import { writeGeneratedFile } from './base.js';
+
+/**
+ * Plugin ids must be usable as `--tools` values
+ * @type {RegExp}
+ */
+const PLUGIN_ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Whether a plugin spec refers to a local file rather than an npm package
+ * @param {string} spec - Entry from tools.plugins
+ * @returns {boolean} True for relative or absolute file paths
+ */
+function isLocalSpec(spec) {
+  return spec.startsWith('.') || isAbsolute(spec);
+}
+
+/**
+ * Resolve a plugin spec to an importable URL.
+ * npm packages are resolved from the project, not from Guvnr's own install.
+ *
+ * @param {string} spec - Entry from tools.plugins
+ * @param {string} cwd - Project root
+ * @returns {string} File URL of the plugin module
+ * @throws {FrameworkError} GUVNR-CONFIG-305 if the plugin cannot be found
+ */
+function resolvePluginSpec(spec, cwd) {
+  if (isLocalSpec(spec)) {
+    const filePath = resolve(cwd, spec);
+    if (!existsSync(filePath)) {
+      throw createError('GUVNR-CONFIG-305', `Generator plugin not found: ${spec}`, {
+        context: { plugin: spec }
+      });
+    }
+    return pathToFileURL(filePath).href;
+  }
+
+  try {
+    const require = createRequire(join(cwd, 'package.json'));
+    return pathToFileURL(require.resolve(spec)).href;
+  } catch (error) {
+    throw createError('GUVNR-CONFIG-305', `Generator plugin package not installed: ${spec}`, {
+      cause: error,
+      context: { plugin: spec },
+      suggestion: `Run "npm install --save-dev ${spec}" in the project`
+    });
+  }
+}
+
+/**
+ * Check that a generator declares everything guvnr needs to run it.
+ *
+ * @param {*} generator - Candidate generator exported by a plugin
+ * @param {string} source - Plugin spec it came from (for error messages)
+ * @param {string} cwd - Project root, used to keep outputs inside the project
+ * @returns {{id: string, name: string, outputs: string[], render: Function, source: string}} Normalized generator
+ * @throws {FrameworkError} GUVNR-CONFIG-306 if the generator is malformed
+ */
+export function validateGenerator(generator, source, cwd = process.cwd()) {
+  const invalid = reason =>
+    createError('GUVNR-CONFIG-306', `Invalid generator plugin ${source}: ${reason}`, {
+      context: { plugin: source }
+    });
+
+  if (!generator || typeof generator !== 'object') {
+    throw invalid('expected an object with id, outputs and render');
+  }
+  if (typeof generator.id !== 'string' || !PLUGIN_ID_PATTERN.test(generator.id)) {
+    throw invalid('"id" must be a lowercase name such as "acme" or "acme-assistant"');
+  }
+  if (
+    !Array.isArray(generator.outputs) ||
+    generator.outputs.length === 0 ||
+    !generator.outputs.every(output => typeof output === 'string' && output.length > 0)
+  ) {
+    throw invalid('"outputs" must be a non-empty array of file paths');
+  }
+  if (typeof generator.render !== 'function') {
+    throw invalid('"render" must be a function that takes the project context');
+  }
+
+  for (const output of generator.outputs) {
+    const inside = relative(cwd, resolve(cwd, output));
+    if (isAbsolute(output) || inside === '' || inside.startsWith('..') || isAbsolute(inside)) {
+      throw invalid(`output "${output}" must be a relative path inside the project`);
+    }
+  }
+
+  return {
+    id: generator.id,
+    name: generator.name || generator.id,
+    outputs: [...generator.outputs],
+    render: generator.render,
+    source
+  };
+}
+
+/**
+ * Load generator plugins listed under tools.plugins
+ *
+ * @param {string[]} specs - Local paths or npm package names
+ * @param {string} cwd - Project root
+ * @param {string[]} [reservedIds=[]] - Built-in tool ids plugins may not replace
+ * @returns {Promise<Array<{id: string, name: string, outputs: string[], render: Function, source: string}>>} Loaded generators
+ * @throws {FrameworkError} GUVNR-CONFIG-305 if a plugin cannot be loaded
+ * @throws {FrameworkError} GUVNR-CONFIG-306 if a plugin is malformed or its id is taken
+ */
+export async function loadGeneratorPlugins(specs, cwd, reservedIds = []) {
+  const generators = [];
+  const seen = new Map(reservedIds.map(id => [id, 'built-in generator']));
+
+  for (const spec of specs || []) {
+    if (typeof spec !== 'string' || spec.trim() === '') {
+      throw createError('GUVNR-CONFIG-306', 'tools.plugins entries must be non-empty strings');
+    }
+
+    const url = resolvePluginSpec(spec, cwd);
+    let mod;
+    try {
+      mod = await import(url);
+    } catch (error) {
+      throw createError(
+        'GUVNR-CONFIG-305',
+        `Failed to load generator plugin ${spec}: ${error.message}`,
+        {
+          cause: error,
+          context: { plugin: spec }
+        }
+      );
+    }
+
+    const exported = mod.default ?? mod.generators;
+    const candidates = Array.isArray(exported) ? exported : [exported];
+
+    for (const candidate of candidates) {
+      const generator = validateGenerator(candidate, spec, cwd);
+      if (seen.has(generator.id)) {
+        throw createError(
+          'GUVNR-CONFIG-306',
+          `Generator plugin ${spec} uses id "${generator.id}", already taken by ${seen.get(generator.id)}`,
+          { context: { plugin: spec, id: generator.id } }
+        );
+      }
+      seen.set(generator.id, spec);
+      generators.push(generator);
+    }
+  }
+
+  return generators;
+}
+
+/**
+ * Run a plugin generator and write its outputs.
+ * Mirrors the built-in generators: existing files are skipped unless --force.
+ *
+ * @param {string} cwd - Project root
+ * @param {{id: string, outputs: string[], render: Function}} generator - Loaded generator
+ * @param {Object} context - Project context (same shape the built-in generators receive)
+ * @param {Object} options - Generation options
+ * @param {boolean} [options.force=false] - Overwrite existing files
+ * @param {boolean} [options.dryRun=false] - Preview without writing files
+ * @param {Object} results - Results accumulator object
+ * @returns {Promise<void>} Resolves when all outputs are handled
+ */
+export async function runPluginGenerator(cwd, generator, context, options, results) {
+  const rendered = await generator.render(context);
+  let files;
+
+  if (typeof rendered === 'string') {
+    if (generator.outputs.length !== 1) {
+      throw new Error('render returned a string but the plugin declares several outputs');
+    }
+    files = { [generator.outputs[0]]: rendered };
+  } else if (rendered && typeof rendered === 'object') {
+    files = rendered;
+  } else {
+    throw new Error('render must return a string or an object mapping output paths to content');
+  }
+
+  for (const [output, content] of Object.entries(files)) {
+    if (!generator.outputs.includes(output)) {
+      throw new Error(`render produced undeclared output "${output}"`);
+    }
+    if (typeof content !== 'string') {
+      throw new Error(`render returned non-string content for "${output}"`);
+    }
+
+    writeGeneratedFile(cwd, output, content, options, results);
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Path-Scoped Rules
+ *
+ * Rules under `rules:` in guvnr.yaml apply only to files matching their
+ * `paths` globs. Tools with a native glob mechanism (Cursor `globs`, Copilot
+ * `applyTo`, Windsurf glob triggers, Continue `globs`, Kiro `fileMatchPattern`)
+ * get one rule file each. Tools without one read instruction files by
+ * directory instead, so each rule is written to a nested CLAUDE.md/AGENTS.md
+ * in the static directory its glob starts with (`src/api/**` -> `src/api/`).
+ * A rule with any glob that has no such directory (`**\/*.test.ts`), or
+ * whose directory is a workspace package with its own guvnr.yaml, is listed
+ * in the root file instead. Globs that leave the project (`../x/**`, `/etc/**`)
+ * are dropped, so no instruction file is ever written outside it.
+ */
+
+import { existsSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Characters that make a path segment a glob
+ */
+const GLOB_CHARS = /[*?[\]{}!]/;
+
+/**
+ * Whether a glob stays inside the project root: not absolute, and no `..` segment
+ * @param {string} glob - Glob from a rule's `paths`
+ * @returns {boolean} True for a project-relative glob
+ */
+export function isProjectGlob(glob) {
+  const path = glob.replace(/\\/g, '/');
+  return !path.startsWith('/') && !/^[A-Za-z]:/.test(path) && !path.split('/').includes('..');
+}
+
+/**
+ * Normalise the `rules` list of guvnr.yaml.
+ * Globs outside the project are left out (the schema rejects them), and a
+ * rule left without any glob is dropped.
+ *
+ * @param {Array<Object>|undefined} rules - `rules` from guvnr.yaml
+ * @returns {Array<{name: string, description: string, paths: string[], instructions: string[]}>} Rules
+ */
+export function normalizeRules(rules) {
+  return (rules || [])
+    .map(rule => ({
+      name: rule.name,
+      description: rule.description || '',
+      paths: rule.paths.filter(isProjectGlob).map(path => path.replace(/^\.\//, '')),
+      instructions: rule.instructions || []
+    }))
+    .filter(rule => rule.paths.length > 0);
+}
+
+/**
+ * Directory a glob is rooted in: its leading segments without glob characters.
+ * A glob without any glob characters names a file (if its last segment has an
+ * extension) or a directory.
+ *
+ * @param {string} glob - Glob relative to the project root
+ * @returns {string} Directory (empty when the glob can match anywhere)
+ */
+export function staticDirectory(glob) {
+  const segments = glob.split('/').filter(segment => segment && segment !== '.');
+  const firstGlob = segments.findIndex(segment => GLOB_CHARS.test(segment));
+
+  if (firstGlob !== -1) {
+    return segments.slice(0, firstGlob).join('/');
+  }
+  if (segments.length > 0 && segments[segments.length - 1].includes('.')) {
+    return segments.slice(0, -1).join('/');
+  }
+  return segments.join('/');
+}
+
+/**
+ * Decide where tools without glob support pick up each rule
+ *
+ * @param {string} cwd - Project root
+ * @param {Array<Object>} rules - Normalised rules
+ * @returns {{nested: Map<string, Array<Object>>, unscoped: Array<Object>}}
+ *   Rules by the directory of their nested instruction file, and the rules
+ *   the root file lists instead
+ */
+export function placeRules(cwd, rules) {
+  const nested = new Map();
+  const unscoped = [];
+  const add = (list, rule) => !list.includes(rule) && list.push(rule);
+
+  for (const rule of rules) {
+    const dirs = rule.paths.map(staticDirectory);
+    const isPackage = dir =>
+      ['guvnr.yaml', 'guvnr.yml'].some(name => existsSync(join(cwd, dir, name)));
+
+    // A rule the root file has to list anyway is not repeated in nested files
+    if (dirs.some(dir => !dir || isPackage(dir))) {
+      unscoped.push(rule);
+      continue;
+    }
+    for (const dir of dirs) {
+      if (!nested.has(dir)) {
+        nested.set(dir, []);
+      }
+      add(nested.get(dir), rule);
+    }
+  }
+
+  return { nested: new Map([...nested].sort(([a], [b]) => a.localeCompare(b))), unscoped };
+}
+
+/**
+ * Format globs as a YAML flow list for frontmatter
+ * @param {string[]} paths - Globs
+ * @returns {string} e.g. ["src/api/**", "**\/*.test.ts"]
+ */
+export function formatGlobList(paths) {
+  return `[${paths.map(path => JSON.stringify(path)).join(', ')}]`;
+}
+
+/**
+ * Render one rule as Markdown
+ * @param {Object} rule - Normalised rule
+ * @param {string} heading - Heading prefix (e.g. '##')
+ * @returns {string} Markdown
+ */
+export function renderRule(rule, heading) {
+  let content = `${heading} ${rule.name}
+
+Applies to: ${rule.paths.map(path => `\`${path}\``).join(', ')}
+
+`;
+
+  if (rule.description) {
+    content += `${rule.description}
+
+`;
+  }
+
+  if (rule.instructions.length > 0) {
+    content += `${rule.instructions.map(item => `- ${item}`).join('\n')}
+
+`;
+  }
+
+  return content;
+}
+
+/**
+ * Root-file section listing rules that have no nested instruction file
+ * @param {Array<Object>} rules - Rules to list
+ * @returns {string} Markdown section, or '' when there are none
+ */
+export function renderPathRulesSection(rules) {
+  if (!rules || rules.length === 0) {
+    return '';
+  }
+
+  return `## Path-Specific Rules
+
+Follow these rules only when working on files that match their paths.
+
+${rules.map(rule => renderRule(rule, '###')).join('')}`;
+}
+
+/**
+ * Content of a nested CLAUDE.md/AGENTS.md
+ * @param {string} dir - Directory the file is written to
+ * @param {Array<Object>} rules - Rules rooted in the directory
+ * @returns {string} Markdown
+ */
+export function renderNestedRules(dir, rules) {
+  return `# Rules for ${dir}/
+
+> Applies in addition to the project-wide instructions, to files matching each rule's paths.
+
+${rules.map(rule => renderRule(rule, '##')).join('')}---
+*Generated by [Guvnr](https://guvnr.dev) from guvnr.yaml*
+`;
+}
+
+export default {
+  normalizeRules,
+  staticDirectory,
+  placeRules,
+  formatGlobList,
+  renderRule,
+  renderPathRulesSection,
+  renderNestedRules
+};
@@ -0,0 +1,256 @@
+/**
+ * Skills
+ *
+ * Each `skills:` entry in guvnr.yaml (name, description, trigger, steps,
+ * output, examples) is written in every tool's own command, prompt or
+ * workflow format: Agent Skills (`SKILL.md`) for Copilot and Claude Code,
+ * Claude Code slash commands, Copilot prompt files, Windsurf workflows,
+ * Gemini CLI commands, Continue prompts and Goose recipes.
+ *
+ * The optional per-skill fields are mapped onto each format's frontmatter
+ * where it has a slot for them:
+ * - arguments: named inputs, referenced the way the tool substitutes them
+ *   (`$1`, `${input:name}`, `{{args}}`, `{{ name }}`) or listed where it cannot
+ * - allowed_tools: the capabilities the skill may use, as for agents
+ *   (read, edit, command, browser, mcp)
+ * - model: passed through as for agents (see personas.js)
+ */
+
+import yaml from 'js-yaml';
+import {
+  nativeToolNames,
+  splitModel,
+  claudeModel,
+  displayName,
+  renderFrontmatter
+} from './personas.js';
+
+/**
+ * How each format refers to an argument's value in the prompt
+ */
+const ARGUMENT_REFERENCES = {
+  claude: (argument, index) => `$${index + 1}`,
+  copilot: argument => `\${input:${argument.name}:${argument.description || argument.name}}`,
+  goose: argument => `{{ ${argument.name} }}`
+};
+
+/**
+ * Formats that pass every argument as one string, and the placeholder for it
+ */
+const ALL_ARGUMENTS = {
+  gemini: '{{args}}',
+  continue: '{{{ input }}}'
+};
+
+/**
+ * Normalise a `skills:` entry
+ * @param {Object} skill - Entry from guvnr.yaml
+ * @returns {{name: string, description: string, trigger?: string, steps: string[], output?: string, examples: string[], arguments: Object[], allowed_tools?: string[], model?: string}}
+ *   Skill with defaults applied
+ */
+export function normalizeSkill(skill) {
+  return {
+    name: skill.name,
+    description: skill.description,
+    trigger: skill.trigger,
+    steps: skill.steps || [],
+    ...(skill.output && { output: skill.output }),
+    examples: skill.examples || [],
+    arguments: (skill.arguments || []).map(argument => ({
+      name: argument.name,
+      description: argument.description || '',
+      required: argument.required !== false
+    })),
+    ...(skill.allowed_tools && { allowed_tools: skill.allowed_tools }),
+    ...(skill.model && { model: skill.model })
+  };
+}
+
+/**
+ * The skill itself as Markdown: description, trigger, steps, output, examples
+ * and arguments
+ * @param {Object} skill - Normalised skill
+ * @param {string} [format] - Format whose argument syntax to use (key of
+ *   ARGUMENT_REFERENCES or ALL_ARGUMENTS); arguments are only listed otherwise
+ * @returns {string} Markdown body shared by every format
+ */
+export function renderSkillPrompt(skill, format) {
+  const blocks = [`# ${skill.name}`, skill.description];
+
+  if (skill.trigger) {
+    blocks.push(`**Trigger**: ${skill.trigger}`);
+  }
+  if (skill.steps.length > 0) {
+    blocks.push(`## Steps\n\n${skill.steps.map((step, i) => `${i + 1}. ${step}`).join('\n')}`);
+  }
+  if (skill.output) {
+    blocks.push(`## Output\n\n${skill.output.trim()}`);
+  }
+  if (skill.examples.length > 0) {
+    blocks.push(`## Examples\n\n${skill.examples.map(example => `- ${example}`).join('\n')}`);
+  }
+
+  if (skill.arguments.length > 0) {
+    const reference = ARGUMENT_REFERENCES[format];
+    const lines = skill.arguments.map((argument, index) => {
+      const label = `\`${argument.name}\`${argument.required ? '' : ' (optional)'}`;
+      const description = argument.description ? `: ${argument.description}` : '';
+      return `- ${label}${description}${reference ? ` = ${reference(argument, index)}` : ''}`;
+    });
+    if (ALL_ARGUMENTS[format]) {
+      lines.push('', `Arguments: ${ALL_ARGUMENTS[format]}`);
+    }
+    blocks.push(`## Arguments\n\n${lines.join('\n')}`);
+  }
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Argument hint shown while typing the command (`<issue> [priority]`)
+ * @param {Object} skill - Normalised skill
+ * @returns {string} Hint, or '' when the skill takes no arguments
+ */
+function argumentHint(skill) {
+  return skill.arguments
+    .map(argument => (argument.required ? `<${argument.name}>` : `[${argument.name}]`))
+    .join(' ');
+}
+
+/**
+ * Agent Skills `SKILL.md` (`.github/skills/<name>/` and `.claude/skills/<name>/`)
+ * @param {Object} skill - Normalised skill
+ * @param {Object} [context] - Project context (MCP servers)
+ * @returns {string} Skill file
+ * @see https://agentskills.io/specification
+ */
+export function renderSkillFile(skill, context) {
+  const data = { name: skill.name, description: skill.description };
+  if (skill.allowed_tools) {
+    data['allowed-tools'] = nativeToolNames('claude', skill.allowed_tools, context).join(', ');
+  }
+  return `${renderFrontmatter(data)}\n${renderSkillPrompt(skill)}`;
+}
+
+/**
+ * Claude Code slash command (`.claude/commands/<name>.md`)
+ * @param {Object} skill - Normalised skill
+ * @param {Object} [context] - Project context (MCP servers)
+ * @returns {string} Command file
+ * @see https://docs.anthropic.com/en/docs/claude-code/slash-commands
+ */
+export function renderClaudeCommand(skill, context) {
+  const data = { description: skill.description };
+  if (skill.arguments.length > 0) {
+    data['argument-hint'] = argumentHint(skill);
+  }
+  if (skill.allowed_tools) {
+    data['allowed-tools'] = nativeToolNames('claude', skill.allowed_tools, context).join(', ');
+  }
+  if (skill.model) {
+    data.model = claudeModel(skill.model);
+  }
+  return `${renderFrontmatter(data)}\n${renderSkillPrompt(skill, 'claude')}`;
+}
+
+/**
+ * GitHub Copilot prompt file (`.github/prompts/<name>.prompt.md`), run as `/name`
+ * @param {Object} skill - Normalised skill
+ * @returns {string} Prompt file
+ * @see https://code.visualstudio.com/docs/copilot/customization/prompt-files
+ */
+export function renderCopilotPrompt(skill) {
+  const data = { description: skill.description, mode: 'agent' };
+  if (skill.allowed_tools) {
+    data.tools = nativeToolNames('copilot', skill.allowed_tools);
+  }
+  if (skill.model) {
+    data.model = splitModel(skill.model).name;
+  }
+  return `${renderFrontmatter(data)}\n${renderSkillPrompt(skill, 'copilot')}`;
+}
+
+/**
+ * Windsurf workflow (`.windsurf/workflows/<name>.md`), run as `/name`
+ * @param {Object} skill - Normalised skill
+ * @returns {string} Workflow file
+ * @see https://docs.windsurf.com/windsurf/cascade/workflows
+ */
+export function renderWindsurfWorkflow(skill) {
+  return `${renderFrontmatter({ description: skill.description })}\n${renderSkillPrompt(skill)}`;
+}
+
+/**
+ * TOML multi-line basic string
+ * @param {string} value - String to quote
+ * @returns {string} `"""` quoted string
+ */
+function tomlMultiline(value) {
+  const escaped = value.replace(/\\/g, '\\\\').replace(/"""/g, '""\\"');
+  return `"""\n${escaped}"""`;
+}
+
+/**
+ * Gemini CLI custom command (`.gemini/commands/<name>.toml`), run as `/name`
+ * @param {Object} skill - Normalised skill
+ * @returns {string} Command file
+ * @see https://github.com/google-gemini/gemini-cli/blob/main/docs/cli/custom-commands.md
+ */
+export function renderGeminiCommand(skill) {
+  return `description = ${JSON.stringify(skill.description)}
+prompt = ${tomlMultiline(renderSkillPrompt(skill, 'gemini'))}
+`;
+}
+
+/**
+ * Continue prompt (`.continue/prompts/<name>.md`), run as `/name`
+ * @param {Object} skill - Normalised skill
+ * @returns {string} Prompt file
+ * @see https://docs.continue.dev/customize/deep-dives/prompts
+ */
+export function renderContinuePrompt(skill) {
+  const data = { name: skill.name, description: skill.description, invokable: true };
+  return `${renderFrontmatter(data)}\n${renderSkillPrompt(skill, 'continue')}`;
+}
+
+/**
+ * Goose recipe (`.goose/recipes/<name>.yaml`). Every parameter is referenced
+ * in the instructions, as Goose requires.
+ * @param {Object} skill - Normalised skill
+ * @returns {string} Recipe file
+ * @see https://block.github.io/goose/docs/guides/recipes/recipe-reference
+ */
+export function renderGooseRecipe(skill) {
+  const recipe = {
+    version: '1.0.0',
+    title: displayName(skill.name),
+    description: skill.description,
+    instructions: renderSkillPrompt(skill, 'goose')
+  };
+  if (skill.arguments.length > 0) {
+    recipe.parameters = skill.arguments.map(argument => ({
+      key: argument.name,
+      input_type: 'string',
+      requirement: argument.required ? 'required' : 'optional',
+      description: argument.description || argument.name,
+      ...(!argument.required && { default: '' })
+    }));
+  }
+  if (skill.model) {
+    const { provider, name } = splitModel(skill.model);
+    recipe.settings = { ...(provider && { goose_provider: provider }), goose_model: name };
+  }
+  return yaml.dump(recipe, { lineWidth: -1 });
+}
+
+export default {
+  normalizeSkill,
+  renderSkillPrompt,
+  renderSkillFile,
+  renderClaudeCommand,
+  renderCopilotPrompt,
+  renderWindsurfWorkflow,
+  renderGeminiCommand,
+  renderContinuePrompt,
+  renderGooseRecipe
+};
@@ -0,0 +1,441 @@
+/**
+ * Generator Templates
+ *
+ * The instruction files and text configs the generators write are rendered
+ * from templates (see utils/templates.js for the syntax). The built-in ones
+ * live in templates/tools/<tool>/, with shared partials in
+ * templates/tools/partials/.
+ *
+ * A project overrides any of them by putting a file with the same name in
+ * .guvnr/templates/<tool>/ (or .guvnr/templates/partials/), so its house
+ * style survives regeneration without forking guvnr. `guvnr templates eject
+ * <tool>` copies a tool's built-in templates there to start from.
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, statSync, writeFileSync } from 'fs';
+import { basename, dirname, extname, join, relative } from 'path';
+import { fileURLToPath } from 'url';
+import { createError } from '../errors.js';
+import { checkTemplate, parseTemplate, renderTemplate } from '../utils/templates.js';
+import { suggestClosest } from '../utils/schema.js';
+import { commandLabel, verificationCommands } from './commands.js';
+import { serversForTool } from './mcp.js';
+import { toolOverrides } from './overrides.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Built-in templates, one directory per tool
+ */
+export const DEFAULT_TEMPLATES_DIR = join(__dirname, '..', '..', 'templates', 'tools');
+
+/**
+ * Where a project keeps its overrides, relative to the project root
+ */
+export const PROJECT_TEMPLATES_DIR = '.guvnr/templates';
+
+/**
+ * Directory of partials, next to the tool directories
+ */
+const PARTIALS = 'partials';
+
+const SKILL = {
+  name: '',
+  description: '',
+  trigger: '',
+  steps: [''],
+  output: '',
+  examples: [''],
+  arguments: [{ name: '', description: '', required: false }],
+  allowed_tools: [''],
+  model: ''
+};
+
+const AGENT = {
+  name: '',
+  role: '',
+  expertise: [''],
+  instructions: '',
+  tools: [''],
+  model: '',
+  permissions: { edit: '', command: '', allow_commands: [''], deny_commands: [''] }
+};
+
+const RULE = { name: '', description: '', paths: [''], instructions: [''] };
+
+const COMMAND = { name: '', label: '', command: '' };
+
+/**
+ * The variables every template can use (see templateData), in the form
+ * checkTemplate takes
+ */
+export const TEMPLATE_VARIABLES = {
+  tool: '',
+  project: { name: '', description: '' },
+  package_dir: '',
+  overview: '',
+  tech_stack: [''],
+  architecture: '',
+  conventions: '',
+  current_state: '',
+  common_commands: '',
+  commands: [COMMAND],
+  verify_commands: [COMMAND],
+  command: { '*': '' },
+  security_rules: [''],
+  sensitive_paths: [''],
+  rules: [RULE],
+  path_rules: [RULE],
+  skills: [SKILL],
+  agents: [AGENT],
+  mcp_servers: [{ name: '', transport: '' }],
+  settings: { '*': '' }
+};
+
+/**
+ * The values a tool's templates are rendered with
+ *
+ * @param {string} cwd - Project root (its name is the fallback project name)
+ * @param {string} tool - Tool id
+ * @param {Object|null} context - Project context
+ * @param {Object} [extra={}] - Values that depend on the file being rendered
+ * @param {Array<Object>} [extra.pathRules=[]] - Path rules the file lists itself (path_rules)
+ * @param {string} [extra.packageDir=''] - Workspace package the file is for (package_dir)
+ * @returns {Object} Template data, described by TEMPLATE_VARIABLES
+ */
+export function templateData(cwd, tool, context, extra = {}) {
+  const commands = (context?.projectCommands || []).map(entry => ({
+    ...entry,
+    label: commandLabel(entry.name)
+  }));
+
+  return {
+    tool,
+    project: {
+      name: context?.projectName || basename(cwd),
+      description: context?.raw?.project?.description || ''
+    },
+    package_dir: extra.packageDir || '',
+    overview: context?.overview || '',
+    // A CLAUDE.md source lists its stack as category/value pairs
+    tech_stack: (context?.techStack || []).map(item =>
+      typeof item === 'string' ? item : `${item.category}: ${item.value}`
+    ),
+    architecture: context?.architecture || '',
+    conventions: context?.conventions || '',
+    current_state: context?.currentState || '',
+    common_commands: context?.commands || '',
+    commands,
+    verify_commands: verificationCommands(commands),
+    command: Object.fromEntries(commands.map(entry => [entry.name, entry.command])),
+    security_rules: context?.securityChecklist || [],
+    sensitive_paths: context?.sensitivePaths || [],
+    rules: context?.rules || [],
+    path_rules: extra.pathRules || [],
+    skills: context?.skills || [],
+    agents: context?.agents || [],
+    mcp_servers: serversForTool(context?.mcpServers, tool).map(({ name, transport }) => ({
+      name,
+      transport
+    })),
+    settings: toolOverrides(context, tool)
+  };
+}
+
+/**
+ * Files under a directory, as forward-slash paths relative to it
+ * @param {string} dir - Directory
+ * @returns {string[]} Sorted file paths ([] when the directory is missing)
+ */
+function listFiles(dir) {
+  if (!existsSync(dir)) {
+    return [];
+  }
+  return readdirSync(dir, { recursive: true })
+    .map(String)
+    .filter(file => statSync(join(dir, file)).isFile())
+    .map(file => file.split('\\').join('/'))
+    .sort();
+}
+
+/**
+ * Tools that have built-in templates
+ * @returns {string[]} Tool ids, sorted
+ */
+export function templateTools() {
+  return readdirSync(DEFAULT_TEMPLATES_DIR)
+    .filter(name => name !== PARTIALS && statSync(join(DEFAULT_TEMPLATES_DIR, name)).isDirectory())
+    .sort();
+}
+
+/**
+ * A tool's built-in templates
+ * @param {string} tool - Tool id
+ * @returns {string[]} Template names (paths relative to the tool's directory)
+ */
+export function defaultTemplates(tool) {
+  return tool === PARTIALS ? [] : listFiles(join(DEFAULT_TEMPLATES_DIR, tool));
+}
+
+/**
+ * Path of a template, preferring the project's override
+ * @param {string} cwd - Project root
+ * @param {string} dir - Tool id, or `partials`
+ * @param {string} name - Template name
+ * @returns {{path: string, override: boolean}|null} Absolute path, or null when neither exists
+ */
+function locateTemplate(cwd, dir, name) {
+  const override = join(cwd, PROJECT_TEMPLATES_DIR, dir, name);
+  if (existsSync(override)) {
+    return { path: override, override: true };
+  }
+  const builtIn = join(DEFAULT_TEMPLATES_DIR, dir, name);
+  return existsSync(builtIn) ? { path: builtIn, override: false } : null;
+}
+
+/**
+ * File a partial is read from: the first `<name>.<ext>` in the project's
+ * partials, then in the built-in ones
+ * @param {string} cwd - Project root
+ * @param {string} name - Partial name, as in `{{> name}}`
+ * @returns {{path: string, override: boolean}|null} Partial file, or null if there is none
+ */
+function locatePartial(cwd, name) {
+  for (const [root, override] of [
+    [join(cwd, PROJECT_TEMPLATES_DIR, PARTIALS), true],
+    [join(DEFAULT_TEMPLATES_DIR, PARTIALS), false]
+  ]) {
+    const file = listFiles(root).find(
+      candidate => candidate.replace(extname(candidate), '') === name
+    );
+    if (file) {
+      return { path: join(root, file), override };
+    }
+  }
+  return null;
+}
+
+/**
+ * Path to show for a template file: relative to the project for overrides
+ */
+function displayPath(cwd, location) {
+  const root = location.override ? cwd : join(DEFAULT_TEMPLATES_DIR, '..', '..');
+  return relative(root, location.path).split('\\').join('/');
+}
+
+/**
+ * Render one of a tool's templates
+ *
+ * @param {string} cwd - Project root
+ * @param {string} tool - Tool id
+ * @param {string} name - Template name (one of defaultTemplates(tool))
+ * @param {Object} data - Values from templateData
+ * @returns {string} Rendered file
+ * @throws {FrameworkError} GUVNR-CONFIG-314 if the template or a partial it uses is invalid
+ */
+export function renderToolTemplate(cwd, tool, name, data) {
+  const location = locateTemplate(cwd, tool, name);
+  if (!location) {
+    throw createError('GUVNR-CONFIG-315', `No "${name}" template for ${tool}`);
+  }
+
+  const partials = name => {
+    const found = locatePartial(cwd, name);
+    return found ? readFileSync(found.path, 'utf-8') : null;
+  };
+  try {
+    return renderTemplate(readFileSync(location.path, 'utf-8'), data, { partials });
+  } catch (error) {
+    if (error.code !== 'GUVNR-CONFIG-314') {
+      throw error;
+    }
+    const { line, column, reason, template } = error.context;
+    const file = template ? locatePartial(cwd, template) : location;
+    throw createError('GUVNR-CONFIG-314', `${displayPath(cwd, file)}:${line}:${column} ${reason}`, {
+      context: error.context,
+      cause: error
+    });
+  }
+}
+
+/**
+ * Partials a template includes, directly or through other partials
+ * @param {string} cwd - Project root
+ * @param {string} source - Template source
+ * @param {Set<string>} [found=new Set()] - Accumulator
+ * @returns {Set<string>} Partial names
+ */
+function partialsUsed(cwd, source, found = new Set()) {
+  const visit = nodes => {
+    for (const node of nodes) {
+      if (node.type === 'partial' && !found.has(node.name)) {
+        found.add(node.name);
+        const partial = locatePartial(cwd, node.name);
+        if (partial) {
+          visit(parseTemplate(readFileSync(partial.path, 'utf-8')));
+        }
+      }
+      visit(node.body || []);
+      visit(node.inverse || []);
+    }
+  };
+  visit(parseTemplate(source));
+  return found;
+}
+
+/**
+ * Copy a tool's built-in templates, and the partials they use, into
+ * .guvnr/templates/ for editing
+ *
+ * @param {string} cwd - Project root
+ * @param {string} tool - Tool id (one of templateTools())
+ * @param {Object} [options={}] - Eject options
+ * @param {boolean} [options.force=false] - Replace templates the project already overrides
+ * @param {boolean} [options.dryRun=false] - List the files without writing them
+ * @returns {{written: string[], skipped: string[]}} Project-relative paths
+ * @throws {FrameworkError} GUVNR-CONFIG-315 if the tool has no templates
+ */
+export function ejectTemplates(cwd, tool, options = {}) {
+  const tools = templateTools();
+  if (!tools.includes(tool)) {
+    const hint = suggestClosest(tool, tools);
+    throw createError(
+      'GUVNR-CONFIG-315',
+      `No templates for "${tool}"${hint ? ` (did you mean "${hint}"?)` : ''}`
+    );
+  }
+
+  const files = defaultTemplates(tool).map(name => [
+    join(DEFAULT_TEMPLATES_DIR, tool, name),
+    `${tool}/${name}`
+  ]);
+  const partials = new Set();
+  for (const [source] of files) {
+    partialsUsed(cwd, readFileSync(source, 'utf-8'), partials);
+  }
+  for (const name of [...partials].sort()) {
+    const builtIn = listFiles(join(DEFAULT_TEMPLATES_DIR, PARTIALS)).find(
+      file => file.replace(extname(file), '') === name
+    );
+    if (builtIn) {
+      files.push([join(DEFAULT_TEMPLATES_DIR, PARTIALS, builtIn), `${PARTIALS}/${builtIn}`]);
+    }
+  }
+
+  const result = { written: [], skipped: [] };
+  for (const [source, name] of files) {
+    const path = `${PROJECT_TEMPLATES_DIR}/${name}`;
+    const target = join(cwd, path);
+    if (existsSync(target) && !options.force) {
+      result.skipped.push(path);
+      continue;
+    }
+    if (!options.dryRun) {
+      mkdirSync(dirname(target), { recursive: true });
+      writeFileSync(target, readFileSync(source, 'utf-8'));
+    }
+    result.written.push(path);
+  }
+  return result;
+}
+
+/**
+ * Check a project's template overrides: syntax errors, unknown variables and
+ * partials, and files no generator reads. Every built-in template is checked
+ * with the project's partials too, since an overridden partial can break them.
+ *
+ * @param {string} cwd - Project root
+ * @returns {Array<{path: string, line: number, column: number, message: string}>}
+ *   Problems in project files (`.guvnr/templates/...`), in path order
+ */
+export function checkProjectTemplates(cwd) {
+  const root = join(cwd, PROJECT_TEMPLATES_DIR);
+  const overrides = listFiles(root);
+  if (overrides.length === 0) {
+    return [];
+  }
+
+  const problems = [];
+  const tools = templateTools();
+  for (const file of overrides) {
+    const [dir, ...rest] = file.split('/');
+    const name = rest.join('/');
+    const path = `${PROJECT_TEMPLATES_DIR}/${file}`;
+    if (dir === PARTIALS) {
+      continue;
+    }
+    if (!tools.includes(dir)) {
+      const hint = suggestClosest(dir, tools);
+      problems.push({
+        path,
+        line: 1,
+        column: 1,
+        message: `no tool "${dir}" has templates${hint ? ` (did you mean "${hint}"?)` : ''}`
+      });
+    } else if (!defaultTemplates(dir).includes(name)) {
+      problems.push({
+        path,
+        line: 1,
+        column: 1,
+        message: `${dir} has no "${name}" template (it has ${defaultTemplates(dir).join(', ')})`
+      });
+    }
+  }
+
+  const partialPath = name => {
+    const found = locatePartial(cwd, name);
+    return found && displayPath(cwd, found);
+  };
+  const partials = name => {
+    const found = locatePartial(cwd, name);
+    return found ? readFileSync(found.path, 'utf-8') : null;
+  };
+
+  for (const tool of tools) {
+    for (const name of defaultTemplates(tool)) {
+      const location = locateTemplate(cwd, tool, name);
+      const source = readFileSync(location.path, 'utf-8');
+      for (const problem of checkTemplate(source, TEMPLATE_VARIABLES, { partials })) {
+        const { template, ...rest } = problem;
+        problems.push({
+          ...rest,
+          path: template ? partialPath(template) : displayPath(cwd, location)
+        });
+      }
+    }
+  }
+
+  // Partials that no template includes still have to parse
+  for (const file of overrides.filter(path => path.startsWith(`${PARTIALS}/`))) {
+    try {
+      parseTemplate(readFileSync(join(root, file), 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'GUVNR-CONFIG-314') {
+        throw error;
+      }
+      const { line, column, reason } = error.context;
+      problems.push({ path: `${PROJECT_TEMPLATES_DIR}/${file}`, line, column, message: reason });
+    }
+  }
+
+  const seen = new Set();
+  return problems
+    .filter(problem => problem.path.startsWith(`${PROJECT_TEMPLATES_DIR}/`))
+    .filter(problem => {
+      const key = `${problem.path}:${problem.line}:${problem.column} ${problem.message}`;
+      return !seen.has(key) && seen.add(key);
+    })
+    .sort((a, b) => a.path.localeCompare(b.path) || a.line - b.line || a.column - b.column);
+}
+
+export default {
+  DEFAULT_TEMPLATES_DIR,
+  PROJECT_TEMPLATES_DIR,
+  TEMPLATE_VARIABLES,
+  templateData,
+  templateTools,
+  defaultTemplates,
+  renderToolTemplate,
+  ejectTemplates,
+  checkProjectTemplates
+};
@@ -4,9 +4,7 @@
  * @see https://codeium.com/windsurf/directory
  */
 
-import { existsSync, mkdirSync, writeFileSync } from 'fs';
-import { join } from 'path';
-import { getProjectName } from './base.js';
+import { getProjectName, writeGeneratedFile } from './base.js';
 
 /**
  * Generate Windsurf IDE rules (.windsurf/rules/).
@@ -24,48 +22,32 @@ import { getProjectName } from './base.js';
  * @returns {Promise<void>} Resolves when generation is complete
  */
 export async function generateWindsurfRules(cwd, context, options, results) {
-  const windsurfDir = join(cwd, '.windsurf');
-  const rulesDir = join(windsurfDir, 'rules');
-
-  if (!options.dryRun) {
-    mkdirSync(rulesDir, { recursive: true });
-  }
-
   // Generate main rules file in directory format
-  const mainRulePath = join(rulesDir, 'project.md');
-  if (!existsSync(mainRulePath) || options.force) {
-    const content = generateWindsurfMainRule(context);
-    if (!options.dryRun) {
-      writeFileSync(mainRulePath, content);
-    }
-    results.created.push('.windsurf/rules/project.md');
-  } else {
-    results.skipped.push('.windsurf/rules/project.md (exists)');
-  }
+  writeGeneratedFile(
+    cwd,
+    '.windsurf/rules/project.md',
+    generateWindsurfMainRule(context),
+    options,
+    results
+  );
 
   // Generate security rules in directory format
-  const securityRulePath = join(rulesDir, 'security.md');
-  if (!existsSync(securityRulePath) || options.force) {
-    const content = generateWindsurfSecurityRule(context);
-    if (!options.dryRun) {
-      writeFileSync(securityRulePath, content);
-    }
-    results.created.push('.windsurf/rules/security.md');
-  } else {
-    results.skipped.push('.windsurf/rules/security.md (exists)');
-  }
+  writeGeneratedFile(
+    cwd,
+    '.windsurf/rules/security.md',
+    generateWindsurfSecurityRule(context),
+    options,
+    results
+  );
 
   // Also generate .windsurfrules single file format (legacy/alternative)
-  const windsurfrulesPath = join(cwd, '.windsurfrules');
-  if (!existsSync(windsurfrulesPath) || options.force) {
-    const content = generateWindsurfrulesContent(context);
-    if (!options.dryRun) {
-      writeFileSync(windsurfrulesPath, content);
-    }
-    results.created.push('.windsurfrules');
-  } else {
-    results.skipped.push('.windsurfrules (exists)');
-  }
+  writeGeneratedFile(
+    cwd,
+    '.windsurfrules',
+    generateWindsurfrulesContent(context),
+    options,
+    results
+  );
 }
 
 /**
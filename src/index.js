@@ -17,6 +17,14 @@
  * const validation = await validateCommand({ verbose: true });
  *
  * @example
+ * // Embedding: render tool configs in memory, check a project without printing
+ * import { render, lint, resolveGuvnrConfig } from 'guvnr';
+ *
+ * const { config } = await resolveGuvnrConfig('/path/to/guvnr.yaml');
+ * const { files, diagnostics } = await render(config, { cwd: '/path/to', tools: ['claude'] });
+ * const { valid, errors } = await lint('/path/to', { signal: AbortSignal.timeout(10000) });
+ *
+ * @example
  * // Error handling
  * import { createError, FrameworkError, EXIT_CODES } from 'guvnr/errors';
  *
@@ -102,13 +110,26 @@
 // ============================================
 
 export { initCommand } from './commands/init.js';
-export { validateCommand } from './commands/validate.js';
+export { validateCommand, validate } from './commands/validate.js';
 export { updateCommand } from './commands/update.js';
-export { doctorCommand } from './commands/doctor.js';
-export { generateCommand, SUPPORTED_TOOLS } from './commands/generate.js';
-export { lintCommand } from './commands/lint.js';
+export { doctorCommand, doctor } from './commands/doctor.js';
+export { generateCommand, render, renderOutputs, SUPPORTED_TOOLS } from './commands/generate.js';
+export { lintCommand, lint } from './commands/lint.js';
 export { uninstall } from './commands/uninstall.js';
 export { detectCommand, detectTools } from './commands/detect.js';
+export { statusCommand, getGeneratedStatus } from './commands/status.js';
+export { diffCommand, getPendingChanges } from './commands/diff.js';
+export { importCommand, importConfigs } from './commands/import.js';
+export { configResolvedCommand } from './commands/config.js';
+export { reviewCheckCommand, getReviewStatus } from './commands/review.js';
+export { hookCommand, HOOK_BLOCK_EXIT } from './commands/hook.js';
+export { verifyCommand, runVerification } from './commands/verify.js';
+export { templatesListCommand, templatesEjectCommand } from './commands/templates.js';
+export { ejectTemplates, checkProjectTemplates } from './generators/templates.js';
+export { historyCommand, undoCommand } from './commands/history.js';
+export { listRuns, undoRun } from './utils/history.js';
+export { resolveGuvnrConfig } from './utils/config.js';
+export { analyzeProject } from './utils/analyze.js';
 
 // ============================================
 // Error System Exports
@@ -129,6 +150,7 @@ export {
 // ============================================
 
 import { createRequire } from 'module';
+import { deepMerge } from './utils/config.js';
 const require = createRequire(import.meta.url);
 const packageJson = require('../package.json');
 
@@ -261,48 +283,6 @@ export function getPresetConfig(presetName) {
   return PRESET_CONFIGS[presetName] || PRESET_CONFIGS.standard;
 }
 
-/**
- * Check if a value is a plain object (not null, array, or other special types)
- * @param {*} value - Value to check
- * @returns {boolean} True if plain object
- * @private
- */
-function isPlainObject(value) {
-  if (value === null || typeof value !== 'object') {
-    return false;
-  }
-  const prototype = Object.getPrototypeOf(value);
-  return prototype === Object.prototype || prototype === null;
-}
-
-/**
- * Deep merge two objects, with source values taking precedence.
- * Arrays are replaced, not merged. Only plain objects are recursively merged.
- *
- * @param {Object} target - Target object
- * @param {Object} source - Source object (values override target)
- * @returns {Object} Merged object (new object, inputs are not mutated)
- * @private
- */
-function deepMerge(target, source) {
-  const result = { ...target };
-
-  for (const key of Object.keys(source)) {
-    const sourceValue = source[key];
-    const targetValue = target[key];
-
-    // If both values are plain objects, merge recursively
-    if (isPlainObject(sourceValue) && isPlainObject(targetValue)) {
-      result[key] = deepMerge(targetValue, sourceValue);
-    } else {
-      // Otherwise, source value wins (including arrays, primitives, null)
-      result[key] = sourceValue;
-    }
-  }
-
-  return result;
-}
-
 /**
  * Merge user configuration with defaults
  * Uses deep merge to properly handle nested configuration objects.
@@ -999,21 +979,23 @@ export async function withAbortSignal(promise, signal, context = 'Operation') {
   // Check if already aborted
   checkAbortSignal(signal, context);
 
-  return Promise.race([
-    promise,
-    new Promise((_, reject) => {
-      signal.addEventListener(
-        'abort',
-        () => {
-          const error = new Error(`${context} aborted: ${signal.reason?.message || 'Cancelled'}`);
-          error.name = 'AbortError';
-          error.code = 'ERR_ABORT';
-          reject(error);
-        },
-        { once: true }
-      );
-    })
-  ]);
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => {
+      const error = new Error(`${context} aborted: ${signal.reason?.message || 'Cancelled'}`);
+      error.name = 'AbortError';
+      error.code = 'ERR_ABORT';
+      reject(error);
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  try {
+    return await Promise.race([promise, aborted]);
+  } finally {
+    // Callers wrap many operations in one signal; leave no listener behind
+    signal.removeEventListener('abort', onAbort);
+  }
 }
 
 // ============================================
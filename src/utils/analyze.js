@@ -0,0 +1,584 @@
+/**
+ * Project Analyser
+ *
+ * Inspects a project so `guvnr init` can write a guvnr.yaml describing it
+ * instead of placeholders:
+ * - tech_stack: languages, frameworks and runtime with their versions, the
+ *   package manager and the test framework, from package.json, lock files,
+ *   tsconfig.json, pyproject.toml, requirements.txt, go.mod, Cargo.toml and
+ *   Gemfile, with versions pinned in .nvmrc-style files, Dockerfiles and CI
+ *   workflows
+ * - conventions.style: indentation, quotes, semicolons and line length from
+ *   .editorconfig and Prettier, and the rules ESLint enforces
+ *
+ * Manifests are read with regular expressions rather than full TOML parsers:
+ * the analysis proposes values for the user to confirm, it does not need
+ * every edge case.
+ */
+
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { join } from 'path';
+import yaml from 'js-yaml';
+import { isPlainObject } from './config.js';
+import { nodePackageManager } from '../generators/commands.js';
+
+/**
+ * Frameworks recognised in each ecosystem's dependencies, in the order they are listed
+ */
+const FRAMEWORKS = {
+  node: [
+    ['next', 'Next.js'],
+    ['nuxt', 'Nuxt'],
+    ['@remix-run/react', 'Remix'],
+    ['@sveltejs/kit', 'SvelteKit'],
+    ['astro', 'Astro'],
+    ['@angular/core', 'Angular'],
+    ['react', 'React'],
+    ['vue', 'Vue'],
+    ['svelte', 'Svelte'],
+    ['@nestjs/core', 'NestJS'],
+    ['express', 'Express'],
+    ['fastify', 'Fastify'],
+    ['koa', 'Koa'],
+    ['hono', 'Hono'],
+    ['electron', 'Electron']
+  ],
+  python: [
+    ['django', 'Django'],
+    ['flask', 'Flask'],
+    ['fastapi', 'FastAPI']
+  ],
+  go: [
+    ['github.com/gin-gonic/gin', 'Gin'],
+    ['github.com/labstack/echo', 'Echo'],
+    ['github.com/gofiber/fiber', 'Fiber']
+  ],
+  rust: [
+    ['actix-web', 'Actix Web'],
+    ['axum', 'Axum'],
+    ['rocket', 'Rocket']
+  ],
+  ruby: [
+    ['rails', 'Rails'],
+    ['sinatra', 'Sinatra']
+  ]
+};
+
+/**
+ * JavaScript test frameworks, most specific first
+ */
+const NODE_TEST_FRAMEWORKS = [
+  ['vitest', 'Vitest'],
+  ['jest', 'Jest'],
+  ['mocha', 'Mocha'],
+  ['ava', 'AVA'],
+  ['@playwright/test', 'Playwright'],
+  ['cypress', 'Cypress']
+];
+
+/**
+ * Docker images and CI setup actions naming a language or runtime version
+ */
+const VERSION_SOURCES = {
+  node: 'Node.js',
+  python: 'Python',
+  golang: 'Go',
+  go: 'Go',
+  rust: 'Rust',
+  ruby: 'Ruby'
+};
+
+/**
+ * ESLint rules worth stating as conventions
+ */
+const ESLINT_CONVENTIONS = {
+  eqeqeq: 'Use === and !== instead of == and !=',
+  'no-var': 'Never use var',
+  'prefer-const': 'Prefer const over let',
+  curly: 'Always use braces for control statements'
+};
+
+/**
+ * Read a file in the project, or null when it is missing or unreadable
+ * @param {string} cwd - Project root
+ * @param {string} file - Relative path
+ * @returns {string|null} Contents
+ */
+function readText(cwd, file) {
+  const path = join(cwd, file);
+  if (!existsSync(path)) {
+    return null;
+  }
+  try {
+    return readFileSync(path, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List files in a project directory, or [] when it does not exist
+ * @param {string} cwd - Project root
+ * @param {string} dir - Relative directory
+ * @returns {string[]} File names
+ */
+function listFiles(cwd, dir) {
+  try {
+    return readdirSync(join(cwd, dir));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Parse a JSON or YAML config, or null when it does not parse
+ * @param {string|null} text - File contents
+ * @returns {Object|null} Parsed object
+ */
+function parseConfig(text) {
+  if (!text) {
+    return null;
+  }
+  try {
+    const parsed = yaml.load(text, { schema: yaml.JSON_SCHEMA });
+    return isPlainObject(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The version a dependency spec or version file names
+ * (`^5.4.2` → 5.4.2, `>=3.11,<4` → 3.11, `v20.11.0` → 20.11.0)
+ *
+ * @param {string|null|undefined} spec - Version spec
+ * @returns {string|undefined} Version, or undefined for tags like `latest` or `workspace:*`
+ */
+export function cleanVersion(spec) {
+  return String(spec ?? '').match(/\d+(?:\.\d+)*/)?.[0];
+}
+
+/**
+ * A `{name, version}` entry, leaving version out when it is unknown
+ * @param {string} name - Name
+ * @param {string} [version] - Version
+ * @returns {{name: string, version?: string}} Entry
+ */
+function entry(name, version) {
+  return version ? { name, version } : { name };
+}
+
+/**
+ * Versions pinned outside the manifests: version files, Dockerfiles and CI
+ *
+ * @param {string} cwd - Project root
+ * @returns {Object<string, string>} Version by language or runtime name (first found wins)
+ */
+function pinnedVersions(cwd) {
+  const versions = {};
+  const pin = (name, version) => {
+    if (name && version && !versions[name]) {
+      versions[name] = version;
+    }
+  };
+
+  pin('Node.js', cleanVersion(readText(cwd, '.nvmrc') ?? readText(cwd, '.node-version')));
+  pin('Python', cleanVersion(readText(cwd, '.python-version')));
+  pin('Ruby', cleanVersion(readText(cwd, '.ruby-version')));
+
+  const toolVersions = readText(cwd, '.tool-versions') || '';
+  for (const [, tool, version] of toolVersions.matchAll(
+    /^(nodejs|python|golang|rust|ruby)\s+(\S+)/gm
+  )) {
+    pin(VERSION_SOURCES[tool === 'nodejs' ? 'node' : tool], cleanVersion(version));
+  }
+
+  const dockerfiles = listFiles(cwd, '.').filter(file => /^Dockerfile|\.Dockerfile$/.test(file));
+  const workflows = listFiles(cwd, '.github/workflows')
+    .filter(file => /\.ya?ml$/.test(file))
+    .map(file => `.github/workflows/${file}`);
+  const sources = [...dockerfiles, ...workflows, '.gitlab-ci.yml', '.circleci/config.yml']
+    .map(file => readText(cwd, file))
+    .filter(Boolean)
+    .join('\n');
+
+  // FROM node:20-alpine, image: python:3.12, cimg/node:20.11
+  for (const [, image, version] of sources.matchAll(
+    /\b(node|python|golang|rust|ruby):(\d+(?:\.\d+)*)/g
+  )) {
+    pin(VERSION_SOURCES[image], version);
+  }
+  // actions/setup-node with node-version: 20, setup-python with python-version: "3.12"
+  for (const [, tool, version] of sources.matchAll(
+    /\b(node|python|go|ruby)-version:\s*\[?\s*['"]?(\d+(?:\.\d+)*)/g
+  )) {
+    pin(VERSION_SOURCES[tool], version);
+  }
+
+  return versions;
+}
+
+/**
+ * JavaScript and TypeScript projects (package.json)
+ * @param {string} cwd - Project root
+ * @param {Object<string, string>} pinned - Versions from pinnedVersions
+ * @returns {Object|null} Partial tech stack, or null without a package.json
+ */
+function analyzeNode(cwd, pinned) {
+  const text = readText(cwd, 'package.json');
+  if (text === null) {
+    return null;
+  }
+  let pkg;
+  try {
+    pkg = JSON.parse(text);
+  } catch {
+    pkg = {};
+  }
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+
+  const typescript = existsSync(join(cwd, 'tsconfig.json')) || 'typescript' in deps;
+  const manager = nodePackageManager(cwd, pkg);
+
+  let runtime;
+  if (manager === 'bun') {
+    runtime = entry('Bun', cleanVersion(pkg.packageManager?.split('@')[1]));
+  } else if (existsSync(join(cwd, 'deno.json')) || existsSync(join(cwd, 'deno.jsonc'))) {
+    runtime = entry('Deno');
+  } else {
+    runtime = entry('Node.js', pinned['Node.js'] || cleanVersion(pkg.engines?.node));
+  }
+
+  let testFramework = NODE_TEST_FRAMEWORKS.find(([name]) => name in deps)?.[1];
+  if (!testFramework && /\bnode --test\b/.test(pkg.scripts?.test || '')) {
+    testFramework = 'node:test';
+  }
+
+  return {
+    languages: [
+      typescript ? entry('TypeScript', cleanVersion(deps.typescript)) : entry('JavaScript')
+    ],
+    frameworks: FRAMEWORKS.node
+      .filter(([name]) => name in deps)
+      .map(([name, label]) => entry(label, cleanVersion(deps[name]))),
+    runtime,
+    packageManager: manager,
+    testFramework
+  };
+}
+
+/**
+ * Python projects (pyproject.toml, requirements.txt, setup.py or Pipfile)
+ * @param {string} cwd - Project root
+ * @param {Object<string, string>} pinned - Versions from pinnedVersions
+ * @returns {Object|null} Partial tech stack, or null when this is not a Python project
+ */
+function analyzePython(cwd, pinned) {
+  const pyproject = readText(cwd, 'pyproject.toml') || '';
+  const requirements = readText(cwd, 'requirements.txt') || '';
+  if (!pyproject && !requirements && !['setup.py', 'Pipfile'].some(f => existsSync(join(cwd, f)))) {
+    return null;
+  }
+
+  // Poetry tables and requirement lines (django = "^5.0", Django==5.0.1), then
+  // PEP 508 strings anywhere in pyproject.toml ("fastapi[all]>=0.110")
+  const deps = {};
+  const patterns = [
+    /^\s*([A-Za-z0-9_.-]+)(?:\[[^\]]*\])?\s*(?:=\s*["'{]?[^\d\n]*|[=<>~!]=?\s*)?(\d[\d.]*)?/gm,
+    /["']([A-Za-z0-9_.-]+)(?:\[[^\]]*\])?\s*(?:[=<>~!]=?\s*(\d[\d.]*))?[^"']*["']/g
+  ];
+  for (const pattern of patterns) {
+    for (const [, name, version] of `${pyproject}\n${requirements}`.matchAll(pattern)) {
+      deps[name.toLowerCase()] ??= version;
+    }
+  }
+
+  let manager = 'pip';
+  if (existsSync(join(cwd, 'uv.lock'))) {
+    manager = 'uv';
+  } else if (existsSync(join(cwd, 'poetry.lock')) || /^\[tool\.poetry[.\]]/m.test(pyproject)) {
+    manager = 'poetry';
+  } else if (existsSync(join(cwd, 'Pipfile'))) {
+    manager = 'pipenv';
+  }
+
+  const pytest =
+    'pytest' in deps || /^\[tool\.pytest/m.test(pyproject) || existsSync(join(cwd, 'pytest.ini'));
+
+  return {
+    languages: [
+      entry(
+        'Python',
+        pinned.Python || cleanVersion(pyproject.match(/^requires-python\s*=\s*["']([^"']+)/m)?.[1])
+      )
+    ],
+    frameworks: FRAMEWORKS.python
+      .filter(([name]) => name in deps)
+      .map(([name, label]) => entry(label, deps[name])),
+    packageManager: manager,
+    testFramework: pytest ? 'pytest' : undefined
+  };
+}
+
+/**
+ * Go modules (go.mod)
+ * @param {string} cwd - Project root
+ * @param {Object<string, string>} pinned - Versions from pinnedVersions
+ * @returns {Object|null} Partial tech stack, or null without a go.mod
+ */
+function analyzeGo(cwd, pinned) {
+  const gomod = readText(cwd, 'go.mod');
+  if (gomod === null) {
+    return null;
+  }
+
+  return {
+    languages: [entry('Go', gomod.match(/^go\s+(\d[\d.]*)/m)?.[1] || pinned.Go)],
+    frameworks: FRAMEWORKS.go
+      .map(([path, label]) => [
+        label,
+        gomod.match(new RegExp(`^\\s*(?:require\\s+)?${path}(?:/v\\d+)?\\s+v(\\d[\\d.]*)`, 'm'))
+      ])
+      .filter(([, match]) => match)
+      .map(([label, match]) => entry(label, match[1])),
+    packageManager: 'go modules',
+    testFramework: 'go test'
+  };
+}
+
+/**
+ * Rust crates (Cargo.toml)
+ * @param {string} cwd - Project root
+ * @param {Object<string, string>} pinned - Versions from pinnedVersions
+ * @returns {Object|null} Partial tech stack, or null without a Cargo.toml
+ */
+function analyzeRust(cwd, pinned) {
+  const cargo = readText(cwd, 'Cargo.toml');
+  if (cargo === null) {
+    return null;
+  }
+  const toolchain = readText(cwd, 'rust-toolchain.toml') ?? readText(cwd, 'rust-toolchain');
+
+  // axum = "0.7" or axum = { version = "0.7", features = [...] }
+  const dependency = name =>
+    cargo.match(new RegExp(`^${name}\\s*=\\s*(?:\\{[^}\\n]*version\\s*=\\s*)?"([^"]+)"`, 'm'));
+
+  return {
+    languages: [
+      entry(
+        'Rust',
+        cleanVersion(cargo.match(/^rust-version\s*=\s*"([^"]+)"/m)?.[1]) ||
+          cleanVersion(toolchain) ||
+          pinned.Rust
+      )
+    ],
+    frameworks: FRAMEWORKS.rust
+      .filter(([name]) => dependency(name))
+      .map(([name, label]) => entry(label, cleanVersion(dependency(name)[1]))),
+    packageManager: 'cargo',
+    testFramework: 'cargo test'
+  };
+}
+
+/**
+ * Ruby projects (Gemfile)
+ * @param {string} cwd - Project root
+ * @param {Object<string, string>} pinned - Versions from pinnedVersions
+ * @returns {Object|null} Partial tech stack, or null without a Gemfile
+ */
+function analyzeRuby(cwd, pinned) {
+  const gemfile = readText(cwd, 'Gemfile');
+  if (gemfile === null) {
+    return null;
+  }
+
+  const gems = {};
+  for (const [, name, version] of gemfile.matchAll(
+    /^\s*gem\s+["']([^"']+)["'](?:\s*,\s*["'][^\d"']*(\d[\d.]*))?/gm
+  )) {
+    gems[name] ??= version;
+  }
+
+  let testFramework;
+  if ('rspec' in gems || 'rspec-rails' in gems || existsSync(join(cwd, '.rspec'))) {
+    testFramework = 'RSpec';
+  } else if ('minitest' in gems || 'rails' in gems) {
+    testFramework = 'Minitest';
+  }
+
+  return {
+    languages: [entry('Ruby', pinned.Ruby || gemfile.match(/^ruby\s+["'](\d[\d.]*)/m)?.[1])],
+    frameworks: FRAMEWORKS.ruby
+      .filter(([name]) => name in gems)
+      .map(([name, label]) => entry(label, gems[name])),
+    packageManager: 'bundler',
+    testFramework
+  };
+}
+
+/**
+ * Style conventions from .editorconfig, Prettier, ESLint and Python formatters.
+ * Later sources override earlier ones on the same topic (Prettier enforces
+ * what .editorconfig only suggests).
+ *
+ * @param {string} cwd - Project root
+ * @returns {string[]} conventions.style entries
+ */
+function analyzeStyle(cwd) {
+  const style = new Map();
+
+  const editorconfig = readText(cwd, '.editorconfig');
+  if (editorconfig) {
+    // Properties in the preamble or the [*] section apply to every file
+    const global = editorconfig
+      .split(/^\[/m)
+      .filter((part, index) => index === 0 || part.startsWith('*]'))
+      .join('\n');
+    const props = Object.fromEntries(
+      [...global.matchAll(/^\s*([a-z_]+)\s*=\s*(\S+)/gm)].map(([, key, value]) => [
+        key,
+        value.toLowerCase()
+      ])
+    );
+    if (props.indent_style === 'tab') {
+      style.set('indent', 'Indent with tabs');
+    } else if (props.indent_style === 'space' || props.indent_size) {
+      style.set('indent', `Indent with ${props.indent_size || 2} spaces`);
+    }
+    if (props.end_of_line) {
+      style.set('eol', `Use ${props.end_of_line.toUpperCase()} line endings`);
+    }
+    if (/^\d+$/.test(props.max_line_length || '')) {
+      style.set('width', `Keep lines under ${props.max_line_length} characters`);
+    }
+    if (props.insert_final_newline === 'true') {
+      style.set('newline', 'End every file with a newline');
+    }
+  }
+
+  let pkg = null;
+  try {
+    pkg = JSON.parse(readText(cwd, 'package.json') || 'null');
+  } catch {
+    // Reported elsewhere; the project just has no package.json conventions
+  }
+
+  const prettierFile = [
+    '.prettierrc',
+    '.prettierrc.json',
+    '.prettierrc.yaml',
+    '.prettierrc.yml',
+    '.prettierrc.js',
+    '.prettierrc.cjs',
+    '.prettierrc.mjs',
+    'prettier.config.js',
+    'prettier.config.cjs',
+    'prettier.config.mjs'
+  ].find(file => existsSync(join(cwd, file)));
+  if (prettierFile || isPlainObject(pkg?.prettier)) {
+    style.set('formatter', 'Format code with Prettier');
+    const prettier = isPlainObject(pkg?.prettier)
+      ? pkg.prettier
+      : parseConfig(/\.[cm]?js$/.test(prettierFile) ? null : readText(cwd, prettierFile)) || {};
+
+    if (prettier.useTabs === true) {
+      style.set('indent', 'Indent with tabs');
+    } else if (prettier.tabWidth) {
+      style.set('indent', `Indent with ${prettier.tabWidth} spaces`);
+    }
+    if (typeof prettier.singleQuote === 'boolean') {
+      style.set('quotes', prettier.singleQuote ? 'Use single quotes' : 'Use double quotes');
+    }
+    if (prettier.semi === false) {
+      style.set('semi', 'Omit semicolons');
+    } else if (prettier.semi === true) {
+      style.set('semi', 'End statements with semicolons');
+    }
+    if (prettier.printWidth) {
+      style.set('width', `Keep lines under ${prettier.printWidth} characters`);
+    }
+    if (prettier.trailingComma === 'none') {
+      style.set('commas', 'No trailing commas');
+    } else if (prettier.trailingComma) {
+      style.set('commas', 'Use trailing commas in multi-line literals');
+    }
+  }
+
+  const eslintFile = [
+    'eslint.config.js',
+    'eslint.config.mjs',
+    'eslint.config.cjs',
+    'eslint.config.ts',
+    '.eslintrc',
+    '.eslintrc.json',
+    '.eslintrc.js',
+    '.eslintrc.cjs',
+    '.eslintrc.yml',
+    '.eslintrc.yaml'
+  ].find(file => existsSync(join(cwd, file)));
+  if (eslintFile || isPlainObject(pkg?.eslintConfig)) {
+    style.set('linter', 'Code must pass ESLint');
+    const config = eslintFile ? readText(cwd, eslintFile) || '' : JSON.stringify(pkg.eslintConfig);
+    for (const [rule, convention] of Object.entries(ESLINT_CONVENTIONS)) {
+      // 'rule': 'error', rule: ['error', ...] or "rule": 2 (JSON, YAML or JavaScript)
+      const enabled = new RegExp(`['"]?${rule}['"]?\\s*:\\s*\\[?\\s*['"]?(error|warn|2|1)\\b`);
+      if (enabled.test(config)) {
+        style.set(rule, convention);
+      }
+    }
+  }
+
+  const pyproject = readText(cwd, 'pyproject.toml') || '';
+  if (/^\[tool\.ruff/m.test(pyproject)) {
+    style.set('python', 'Lint and format Python with Ruff');
+  } else if (/^\[tool\.black\]/m.test(pyproject)) {
+    style.set('python', 'Format Python with Black');
+  }
+  const lineLength = pyproject.match(/^line-length\s*=\s*(\d+)/m)?.[1];
+  if (lineLength && !style.has('width')) {
+    style.set('width', `Keep lines under ${lineLength} characters`);
+  }
+  if (existsSync(join(cwd, 'go.mod'))) {
+    style.set('go', 'Format Go code with gofmt');
+  }
+  if (existsSync(join(cwd, 'Cargo.toml'))) {
+    style.set('rust', 'Format Rust code with rustfmt');
+  }
+
+  return [...style.values()];
+}
+
+/**
+ * Analyse a project's tech stack and style conventions
+ *
+ * @param {string} [cwd=process.cwd()] - Project root
+ * @returns {{techStack: {languages: Array<{name: string, version?: string}>, frameworks: Array<{name: string, version?: string}>, runtime?: {name: string, version?: string}, package_manager?: string, test_framework?: string}, style: string[]}}
+ *   tech_stack and conventions.style in guvnr.yaml shape (empty when nothing is recognised)
+ */
+export function analyzeProject(cwd = process.cwd()) {
+  const pinned = pinnedVersions(cwd);
+  const ecosystems = [analyzeNode, analyzePython, analyzeGo, analyzeRust, analyzeRuby]
+    .map(analyze => analyze(cwd, pinned))
+    .filter(Boolean);
+
+  const techStack = {
+    languages: ecosystems.flatMap(found => found.languages),
+    frameworks: ecosystems.flatMap(found => found.frameworks)
+  };
+  const runtime = ecosystems.find(found => found.runtime)?.runtime;
+  if (runtime) {
+    techStack.runtime = runtime;
+  }
+  const packageManager = ecosystems[0]?.packageManager;
+  if (packageManager) {
+    techStack.package_manager = packageManager;
+  }
+  const testFramework = ecosystems.find(found => found.testFramework)?.testFramework;
+  if (testFramework) {
+    techStack.test_framework = testFramework;
+  }
+
+  return { techStack, style: analyzeStyle(cwd) };
+}
+
+export default { analyzeProject, cleanVersion };
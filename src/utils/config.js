@@ -0,0 +1,416 @@
+/**
+ * Configuration loading and merging
+ *
+ * Shared by preset handling (mergeConfig), monorepo packages, where a
+ * package-level guvnr.yaml is layered over the root guvnr.yaml, and `extends`,
+ * where a guvnr.yaml inherits from shared organisation baselines.
+ *
+ * Merge order for `extends`: each parent is resolved first (its own parents
+ * included), parents are applied in the order they are listed, and the
+ * extending file is applied last. Later layers win: objects merge key by key,
+ * scalars are replaced, and arrays follow the strategy named for their dotted
+ * path under `merge:` (defaults in DEFAULT_MERGE_STRATEGIES, otherwise replace).
+ */
+
+import { existsSync, readFileSync, statSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { dirname, isAbsolute, join, relative, resolve, sep } from 'path';
+import { createError } from '../errors.js';
+import { validateGuvnrYaml, formatViolation, loadGuvnrSchema } from './schema.js';
+
+/**
+ * Array merge strategies accepted under `merge:` in guvnr.yaml
+ */
+export const MERGE_STRATEGIES = ['replace', 'append', 'unique-by-name'];
+
+/**
+ * Strategies for arrays not listed under `merge:`; every other array is replaced
+ */
+export const DEFAULT_MERGE_STRATEGIES = {
+  skills: 'unique-by-name',
+  agents: 'unique-by-name'
+};
+
+/**
+ * File names looked up when `extends` names a directory or an npm package
+ */
+const CONFIG_FILE_NAMES = ['guvnr.yaml', 'guvnr.yml'];
+
+/**
+ * Check if a value is a plain object (not null, array, or other special types)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if plain object
+ */
+export function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Deep merge two objects, with source values taking precedence.
+ * Arrays are replaced, not merged. Only plain objects are recursively merged.
+ *
+ * @param {Object} target - Target object
+ * @param {Object} source - Source object (values override target)
+ * @returns {Object} Merged object (new object, inputs are not mutated)
+ */
+export function deepMerge(target, source) {
+  const result = { ...target };
+
+  for (const key of Object.keys(source)) {
+    const sourceValue = source[key];
+    const targetValue = target[key];
+
+    // If both values are plain objects, merge recursively
+    if (isPlainObject(sourceValue) && isPlainObject(targetValue)) {
+      result[key] = deepMerge(targetValue, sourceValue);
+    } else {
+      // Otherwise, source value wins (including arrays, primitives, null)
+      result[key] = sourceValue;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validate guvnr.yaml source against the bundled schema.
+ * A file with `extends` may leave required keys (version, project) to its
+ * parents, so it is checked without them; they are enforced once resolved.
+ *
+ * @param {string} source - guvnr.yaml contents
+ * @param {Object} [options={}] - Validation options
+ * @param {boolean} [options.partial=false] - Allow omitting top-level required keys
+ * @returns {ReturnType<typeof validateGuvnrYaml>} Validation result
+ */
+export function validateGuvnrSource(source, options = {}) {
+  const schema = loadGuvnrSchema();
+  const result = validateGuvnrYaml(source, schema);
+
+  if (result.syntaxError || !(options.partial || result.config?.extends !== undefined)) {
+    return result;
+  }
+  return validateGuvnrYaml(source, { ...schema, required: [] });
+}
+
+/**
+ * Parse and validate guvnr.yaml source, throwing on the first problem
+ *
+ * @param {string} source - guvnr.yaml contents
+ * @param {string} fileName - File name used in error messages
+ * @param {Object} [options={}] - Validation options (see validateGuvnrSource)
+ * @returns {Object} Parsed, schema-valid config
+ * @throws {FrameworkError} GUVNR-CONFIG-300 on YAML syntax errors, GUVNR-VALID-203 on schema violations
+ */
+function parseGuvnrSource(source, fileName, options = {}) {
+  const result = validateGuvnrSource(source, options);
+
+  if (result.syntaxError) {
+    const [violation] = result.violations;
+    throw createError(
+      'GUVNR-CONFIG-300',
+      `${fileName} is not valid YAML (line ${violation.line}, column ${violation.column}): ${violation.message}`,
+      { suggestion: `Fix the YAML syntax in ${fileName} and run the command again` }
+    );
+  }
+
+  if (!result.valid) {
+    const lines = result.violations.map(v => formatViolation(v, fileName));
+    throw createError(
+      'GUVNR-VALID-203',
+      `${fileName} failed schema validation with ${lines.length} error(s):\n    ${lines.join('\n    ')}`,
+      {
+        context: { violations: result.violations },
+        suggestion: 'Run "guvnr validate" for details, or fix the locations listed above'
+      }
+    );
+  }
+
+  return result.config;
+}
+
+/**
+ * Load and validate a single guvnr.yaml, without resolving `extends`
+ *
+ * @param {string} configPath - Absolute path to guvnr.yaml / guvnr.yml
+ * @param {string} fileName - File name used in error messages
+ * @param {Object} [options={}] - Load options
+ * @param {boolean} [options.partial=false] - Allow omitting top-level required keys
+ *   (package configs inherit them from the root guvnr.yaml)
+ * @returns {Promise<object>} Parsed, schema-valid config
+ * @throws {FrameworkError} GUVNR-CONFIG-300 on YAML syntax errors, GUVNR-VALID-203 on schema violations
+ */
+export async function loadGuvnrConfig(configPath, fileName, options = {}) {
+  return parseGuvnrSource(await readFile(configPath, 'utf-8'), fileName, options);
+}
+
+/**
+ * Find the guvnr.yaml inside a directory
+ * @param {string} dir - Directory to look in
+ * @returns {string|null} Absolute path, or null if there is none
+ */
+function findConfigInDirectory(dir) {
+  const fileName = CONFIG_FILE_NAMES.find(name => existsSync(join(dir, name)));
+  return fileName ? join(dir, fileName) : null;
+}
+
+/**
+ * Resolve one `extends` entry to the file it names.
+ * Paths starting with `.` or `/` are relative to the extending file; anything
+ * else is an npm package (optionally with a subpath, e.g. `@acme/guvnr/strict.yaml`)
+ * found in node_modules above the extending file. A package provides the
+ * file named by the `guvnr` field of its package.json, or its guvnr.yaml.
+ *
+ * @param {string} spec - Entry from `extends`
+ * @param {string} fromFile - Absolute path of the extending file
+ * @param {string} fileName - Extending file name used in error messages
+ * @returns {string} Absolute path of the parent config
+ * @throws {FrameworkError} GUVNR-CONFIG-308 if the parent cannot be found
+ */
+function resolveExtendsSpec(spec, fromFile, fileName) {
+  const notFound = (message, suggestion) =>
+    createError('GUVNR-CONFIG-308', `${fileName}: ${message}`, {
+      context: { extends: spec, file: fileName },
+      suggestion
+    });
+  const fileOrDirectory = path =>
+    existsSync(path) && statSync(path).isDirectory() ? findConfigInDirectory(path) : path;
+
+  if (spec.startsWith('.') || isAbsolute(spec)) {
+    const filePath = fileOrDirectory(resolve(dirname(fromFile), spec));
+    if (!filePath || !existsSync(filePath)) {
+      throw notFound(`extended config not found: ${spec}`);
+    }
+    return filePath;
+  }
+
+  const segments = spec.split('/');
+  const nameLength = spec.startsWith('@') ? 2 : 1;
+  const packageName = segments.slice(0, nameLength).join('/');
+  const subpath = segments.slice(nameLength).join('/');
+
+  for (let dir = dirname(fromFile); ; dir = dirname(dir)) {
+    const packageDir = join(dir, 'node_modules', packageName);
+    if (existsSync(packageDir)) {
+      let filePath;
+      if (subpath) {
+        filePath = fileOrDirectory(join(packageDir, subpath));
+      } else {
+        const packageJsonPath = join(packageDir, 'package.json');
+        const field = existsSync(packageJsonPath)
+          ? JSON.parse(readFileSync(packageJsonPath, 'utf-8')).guvnr
+          : undefined;
+        filePath =
+          typeof field === 'string' ? join(packageDir, field) : findConfigInDirectory(packageDir);
+      }
+      if (!filePath || !existsSync(filePath)) {
+        throw notFound(
+          `package ${packageName} has no guvnr config${subpath ? ` at ${subpath}` : ''}`,
+          'Point "guvnr" in its package.json at the config, or add guvnr.yaml to the package root'
+        );
+      }
+      return filePath;
+    }
+    if (dirname(dir) === dir) {
+      break;
+    }
+  }
+
+  throw notFound(
+    `extended package not installed: ${packageName}`,
+    `Run "npm install --save-dev ${packageName}" in the project`
+  );
+}
+
+/**
+ * Build the origin tree for a value that came entirely from one file.
+ * Objects map each key to its origin, arrays hold one origin per item, and
+ * anything else is the file name itself.
+ *
+ * @param {*} value - Config value
+ * @param {string} file - File the value came from
+ * @returns {*} Origin tree
+ */
+function originsOf(value, file) {
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, originsOf(v, file)]));
+  }
+  return Array.isArray(value) ? value.map(() => file) : file;
+}
+
+/**
+ * Merge two arrays, keeping the per-item origins in step
+ *
+ * @param {{value: Array, origins: string[]}} base - Inherited array
+ * @param {{value: Array, origins: string[]}} layer - Array from the overriding layer
+ * @param {string} strategy - One of MERGE_STRATEGIES
+ * @returns {{value: Array, origins: string[]}} Merged array
+ */
+function mergeArrays(base, layer, strategy) {
+  if (strategy === 'append') {
+    return {
+      value: [...base.value, ...layer.value],
+      origins: [...base.origins, ...layer.origins]
+    };
+  }
+  if (strategy !== 'unique-by-name') {
+    return layer;
+  }
+
+  // Objects are matched by name, plain values by value; a match is replaced in place
+  const identity = item => (isPlainObject(item) ? item.name : item);
+  const value = [...base.value];
+  const origins = [...base.origins];
+  layer.value.forEach((item, index) => {
+    const id = identity(item);
+    const existing = id === undefined ? -1 : value.findIndex(other => identity(other) === id);
+    if (existing === -1) {
+      value.push(item);
+      origins.push(layer.origins[index]);
+    } else {
+      value[existing] = item;
+      origins[existing] = layer.origins[index];
+    }
+  });
+  return { value, origins };
+}
+
+/**
+ * Layer one config over another, tracking where each value came from
+ *
+ * @param {{value: Object, origins: Object}} base - Config merged so far
+ * @param {{value: Object, origins: Object}} layer - Config that takes precedence
+ * @param {Object<string, string>} strategies - Array strategy by dotted path
+ * @param {string} [path=''] - Dotted path of the objects being merged
+ * @returns {{value: Object, origins: Object}} Merged config and origins
+ */
+function mergeLayer(base, layer, strategies, path = '') {
+  const value = { ...base.value };
+  const origins = { ...base.origins };
+
+  for (const [key, layerValue] of Object.entries(layer.value)) {
+    const keyPath = path ? `${path}.${key}` : key;
+    const baseValue = base.value[key];
+    const pair = [
+      { value: baseValue, origins: base.origins[key] },
+      { value: layerValue, origins: layer.origins[key] }
+    ];
+
+    let merged;
+    if (isPlainObject(layerValue) && isPlainObject(baseValue)) {
+      merged = mergeLayer(...pair, strategies, keyPath);
+    } else if (Array.isArray(layerValue) && Array.isArray(baseValue)) {
+      merged = mergeArrays(...pair, strategies[keyPath] || 'replace');
+    } else {
+      merged = pair[1];
+    }
+    value[key] = merged.value;
+    origins[key] = merged.origins;
+  }
+
+  return { value, origins };
+}
+
+/**
+ * Resolve a config file and its parents into one layer
+ *
+ * @param {string} filePath - Absolute path of the file
+ * @param {Object} state - Shared resolution state
+ * @param {string} state.root - Directory origins are reported relative to
+ * @param {boolean} state.partial - Whether the top-level file may omit required keys
+ * @param {Map<string, string>} state.files - Contents of every file read, by display path
+ * @param {string[]} chain - Files currently being resolved, to detect cycles
+ * @returns {Promise<{value: Object, origins: Object}>} Resolved config (still holding `merge`)
+ * @throws {FrameworkError} GUVNR-CONFIG-309 if the files extend each other in a cycle
+ */
+async function resolveLayer(filePath, state, chain) {
+  const fileName = relative(state.root, filePath).split(sep).join('/');
+
+  if (chain.includes(filePath)) {
+    const cycle = [...chain.slice(chain.indexOf(filePath)), filePath]
+      .map(path => relative(state.root, path).split(sep).join('/'))
+      .join(' -> ');
+    throw createError('GUVNR-CONFIG-309', `extends cycle: ${cycle}`, {
+      context: { cycle }
+    });
+  }
+
+  const source = await readFile(filePath, 'utf-8');
+  state.files.set(fileName, source);
+
+  // Parents only need the keys they set; required keys are checked on the result
+  const config = parseGuvnrSource(source, fileName, {
+    partial: state.partial || chain.length > 0
+  });
+  const own = { ...config };
+  delete own.extends;
+
+  const layers = [];
+  for (const spec of [config.extends ?? []].flat()) {
+    const parentPath = resolveExtendsSpec(spec, filePath, fileName);
+    layers.push(await resolveLayer(parentPath, state, [...chain, filePath]));
+  }
+  layers.push({ value: own, origins: originsOf(own, fileName) });
+
+  // `merge` is inherited like any other key, so a baseline can ask to be appended to
+  const strategies = Object.assign(
+    { ...DEFAULT_MERGE_STRATEGIES },
+    ...layers.map(layer => layer.value.merge)
+  );
+
+  return layers.reduce((base, layer) => mergeLayer(base, layer, strategies), {
+    value: {},
+    origins: {}
+  });
+}
+
+/**
+ * Load a guvnr.yaml with everything it extends merged in
+ *
+ * @param {string} configPath - Absolute path to guvnr.yaml / guvnr.yml
+ * @param {Object} [options={}] - Load options
+ * @param {string} [options.root] - Directory file names are reported relative to
+ *   (defaults to the directory of configPath)
+ * @param {boolean} [options.partial=false] - Allow the result to omit top-level
+ *   required keys (package configs inherit them from the root guvnr.yaml)
+ * @returns {Promise<{config: Object, origins: Object, files: Array<{path: string, content: string}>}>}
+ *   Merged config, the file each value came from (same shape as config, one
+ *   entry per array item), and every file that was read, starting with configPath
+ * @throws {FrameworkError} GUVNR-CONFIG-300, GUVNR-VALID-203, GUVNR-CONFIG-308 or GUVNR-CONFIG-309
+ */
+export async function resolveGuvnrConfig(configPath, options = {}) {
+  const root = options.root || dirname(configPath);
+  const state = { root, partial: Boolean(options.partial), files: new Map() };
+  const { value, origins } = await resolveLayer(resolve(configPath), state, []);
+
+  delete value.merge;
+  delete origins.merge;
+
+  const fileName = relative(root, configPath).split(sep).join('/');
+  const missing = options.partial
+    ? []
+    : (loadGuvnrSchema().required || []).filter(key => !(key in value));
+  if (missing.length > 0) {
+    throw createError(
+      'GUVNR-VALID-203',
+      `${fileName} is missing ${missing.map(key => `"${key}"`).join(', ')} after resolving extends`,
+      { suggestion: `Set ${missing.join(', ')} in ${fileName} or in a config it extends` }
+    );
+  }
+
+  const files = [...state.files].map(([path, content]) => ({ path, content }));
+  return { config: value, origins, files };
+}
+
+export default {
+  MERGE_STRATEGIES,
+  DEFAULT_MERGE_STRATEGIES,
+  isPlainObject,
+  deepMerge,
+  validateGuvnrSource,
+  loadGuvnrConfig,
+  resolveGuvnrConfig
+};
@@ -0,0 +1,197 @@
+/**
+ * Line diffs
+ *
+ * Longest-common-subsequence line matching shared by the three-way merge
+ * (`guvnr generate --merge`) and unified diff output (`guvnr diff`).
+ */
+
+/**
+ * Longest common subsequence of two line arrays
+ *
+ * @param {string[]} a - First sequence
+ * @param {string[]} b - Second sequence
+ * @returns {Map<number, number>} Index in `a` mapped to the matching index in `b`
+ */
+export function matchLines(a, b) {
+  const matches = new Map();
+
+  // Common prefix and suffix need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    matches.set(start, start);
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+    matches.set(endA, endB);
+  }
+
+  const rows = endA - start;
+  const cols = endB - start;
+  if (rows === 0 || cols === 0) {
+    return matches;
+  }
+
+  // lengths[i][j] = LCS length of a[start + i..endA) and b[start + j..endB)
+  const width = cols + 1;
+  const lengths = new Uint32Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        a[start + i] === b[start + j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (a[start + i] === b[start + j]) {
+      matches.set(start + i, start + j);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Split file content into diff lines.
+ * A missing final newline is folded into the last line, as git shows it, so
+ * that a newline-only change still produces a hunk.
+ *
+ * @param {string} text - File content
+ * @returns {string[]} Lines without their terminating newline
+ */
+function toDiffLines(text) {
+  if (text === '') {
+    return [];
+  }
+  if (text.endsWith('\n')) {
+    return text.slice(0, -1).split('\n');
+  }
+  const lines = text.split('\n');
+  lines[lines.length - 1] += '\n\\ No newline at end of file';
+  return lines;
+}
+
+/**
+ * Turn two line arrays into a list of kept, removed and added lines
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>} Edit script
+ */
+function editScript(a, b) {
+  const matches = matchLines(a, b);
+  const ops = [];
+  let j = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    if (!matches.has(i)) {
+      ops.push({ type: '-', line: a[i] });
+      continue;
+    }
+    while (j < matches.get(i)) {
+      ops.push({ type: '+', line: b[j++] });
+    }
+    ops.push({ type: ' ', line: a[i] });
+    j++;
+  }
+  while (j < b.length) {
+    ops.push({ type: '+', line: b[j++] });
+  }
+
+  return ops;
+}
+
+/**
+ * Create a unified diff between two versions of a file
+ *
+ * @param {string} oldText - Current content (empty string for a new file)
+ * @param {string} newText - Content to compare against
+ * @param {Object} [options={}] - Diff options
+ * @param {string} [options.oldLabel='a'] - Label for the --- header
+ * @param {string} [options.newLabel='b'] - Label for the +++ header
+ * @param {number} [options.context=3] - Unchanged lines shown around each change
+ * @returns {{diff: string, hunks: number, additions: number, deletions: number}}
+ *   Unified diff text ('' when the texts are equal) and change counts
+ * @example
+ * const { diff } = createUnifiedDiff(onDisk, rendered, {
+ *   oldLabel: 'a/AGENTS.md',
+ *   newLabel: 'b/AGENTS.md'
+ * });
+ */
+export function createUnifiedDiff(oldText, newText, options = {}) {
+  const context = options.context ?? 3;
+  const ops = editScript(toDiffLines(oldText), toDiffLines(newText));
+
+  // Group changes that are close enough to share context into hunks
+  const ranges = [];
+  ops.forEach((op, index) => {
+    if (op.type === ' ') {
+      return;
+    }
+    const last = ranges[ranges.length - 1];
+    if (last && index - last.end <= context * 2) {
+      last.end = index + 1;
+    } else {
+      ranges.push({ start: index, end: index + 1 });
+    }
+  });
+
+  if (ranges.length === 0) {
+    return { diff: '', hunks: 0, additions: 0, deletions: 0 };
+  }
+
+  // Line numbers (1-based) of each op in the old and new file
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const op of ops) {
+    positions.push({ oldLine, newLine });
+    if (op.type !== '+') {
+      oldLine++;
+    }
+    if (op.type !== '-') {
+      newLine++;
+    }
+  }
+
+  const out = [`--- ${options.oldLabel || 'a'}`, `+++ ${options.newLabel || 'b'}`];
+  let additions = 0;
+  let deletions = 0;
+
+  for (const range of ranges) {
+    const start = Math.max(0, range.start - context);
+    const end = Math.min(ops.length, range.end + context);
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    const oldStart = oldCount === 0 ? positions[start].oldLine - 1 : positions[start].oldLine;
+    const newStart = newCount === 0 ? positions[start].newLine - 1 : positions[start].newLine;
+
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of hunk) {
+      out.push(`${op.type}${op.line}`);
+      if (op.type === '+') {
+        additions++;
+      }
+      if (op.type === '-') {
+        deletions++;
+      }
+    }
+  }
+
+  return { diff: `${out.join('\n')}\n`, hunks: ranges.length, additions, deletions };
+}
+
+export default { matchLines, createUnifiedDiff };
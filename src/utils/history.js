@@ -0,0 +1,472 @@
+/**
+ * Backup journal
+ *
+ * `guvnr generate`, `update`, `validate --fix` and `uninstall` overwrite or
+ * delete files, and many generated files are git-ignored, so git is no way
+ * back. Before a run changes a file, its previous content (or the fact that
+ * it did not exist) is saved under `.guvnr/history/<runId>/`; `guvnr undo`
+ * puts it back. The run ID is the CLI's operation ID, so a run's journal can
+ * be matched with its structured log lines.
+ *
+ * Each run directory holds `run.json` and a `files/` copy of every file as it
+ * was before the run. Files the run recorded but left as they were are
+ * dropped from the run when it is saved. `run.json` is rewritten after each file is recorded, so
+ * a run that crashed part-way can still be undone. The number of runs kept is
+ * set by `history.keep` in guvnr.yaml (0 turns the journal off).
+ *
+ * @example
+ * {
+ *   "id": "6f1c2b9e-…",
+ *   "command": "generate --force",
+ *   "startedAt": "2026-01-01T00:00:00.000Z",
+ *   "finishedAt": "2026-01-01T00:00:01.000Z",
+ *   "files": [
+ *     { "path": "AGENTS.md", "before": "file", "mode": 420, "dirs": [], "after": "9c1e…" },
+ *     { "path": ".cursor/rules/project.mdc", "before": "absent", "dirs": [".cursor/rules", ".cursor"], "after": "3f2a…" }
+ *   ]
+ * }
+ */
+
+import {
+  chmodSync,
+  copyFileSync,
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  rmdirSync,
+  rmSync,
+  statSync,
+  unlinkSync,
+  writeFileSync
+} from 'fs';
+import { randomUUID } from 'crypto';
+import { dirname, join } from 'path';
+import yaml from 'js-yaml';
+import { createError } from '../errors.js';
+import { hashContent } from './manifest.js';
+import { LOCK_PATH, acquireLock, writeFileAtomic } from './transaction.js';
+
+/**
+ * Journal location, relative to the project root
+ * @constant {string}
+ */
+export const HISTORY_DIR = '.guvnr/history';
+
+/**
+ * Runs kept when guvnr.yaml does not set history.keep
+ * @constant {number}
+ */
+export const DEFAULT_HISTORY_KEEP = 20;
+
+/**
+ * Length of the run ID prefix shown by guvnr history
+ * @constant {number}
+ */
+export const SHORT_ID_LENGTH = 8;
+
+/**
+ * Number of runs to keep, from guvnr.yaml (or guvnr.yml).
+ * An unreadable config falls back to the default, so a broken guvnr.yaml
+ * never stops uninstall or validate --fix from keeping a backup.
+ *
+ * @param {string} cwd - Project root
+ * @returns {number} Runs to keep; 0 when the journal is off
+ */
+export function readHistoryKeep(cwd) {
+  for (const name of ['guvnr.yaml', 'guvnr.yml']) {
+    const configPath = join(cwd, name);
+    if (!existsSync(configPath)) {
+      continue;
+    }
+    try {
+      const keep = yaml.load(readFileSync(configPath, 'utf-8'))?.history?.keep;
+      return Number.isInteger(keep) && keep >= 0 ? keep : DEFAULT_HISTORY_KEEP;
+    } catch {
+      return DEFAULT_HISTORY_KEEP;
+    }
+  }
+  return DEFAULT_HISTORY_KEEP;
+}
+
+/**
+ * Command line to show for a run
+ *
+ * @param {string} name - Command name, e.g. "generate"
+ * @param {Object<string, boolean|string|string[]|undefined>} [flags={}] - Options by flag name;
+ *   true becomes `--flag`, a value `--flag value`, and false or undefined is left out
+ * @returns {string} e.g. "generate --force --tools claude,cursor"
+ */
+export function formatCommand(name, flags = {}) {
+  const parts = [name];
+  for (const [flag, value] of Object.entries(flags)) {
+    if (value === true) {
+      parts.push(`--${flag}`);
+    } else if (value) {
+      parts.push(`--${flag}`, [value].flat().join(','));
+    }
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Project-relative path with forward slashes and no trailing slash
+ * @param {string} relativePath - Path as given by the caller
+ * @returns {string} Normalized path
+ */
+function normalize(relativePath) {
+  return relativePath.replace(/\\/g, '/').replace(/\/+$/, '');
+}
+
+/**
+ * Directories above a path that do not exist yet, deepest first
+ * @param {string} cwd - Project root
+ * @param {string} relativePath - Normalized project-relative path
+ * @returns {string[]} Missing directories, project-relative
+ */
+function missingDirs(cwd, relativePath) {
+  const dirs = [];
+  for (let dir = dirname(relativePath); dir !== '.' && !existsSync(join(cwd, dir)); ) {
+    dirs.push(dir);
+    dir = dirname(dir);
+  }
+  return dirs;
+}
+
+/**
+ * Files under a directory, project-relative
+ * @param {string} cwd - Project root
+ * @param {string} relativeDir - Normalized project-relative directory
+ * @returns {string[]} File paths, sorted
+ */
+function listFiles(cwd, relativeDir) {
+  const files = [];
+  for (const entry of readdirSync(join(cwd, relativeDir), { withFileTypes: true })) {
+    const path = `${relativeDir}/${entry.name}`;
+    if (entry.isDirectory()) {
+      files.push(...listFiles(cwd, path));
+    } else if (entry.isFile()) {
+      files.push(path);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Hash of a file as it is now
+ * @param {string} cwd - Project root
+ * @param {string} relativePath - Project-relative path
+ * @returns {string|null} Content hash, or null if there is no file
+ */
+function currentHash(cwd, relativePath) {
+  const filePath = join(cwd, relativePath);
+  return existsSync(filePath) && statSync(filePath).isFile()
+    ? hashContent(readFileSync(filePath))
+    : null;
+}
+
+/**
+ * Start a run's journal. Nothing is written until the first file is
+ * recorded, so a run that changes nothing leaves no history.
+ *
+ * @param {string} cwd - Project root
+ * @param {Object} options - Journal options
+ * @param {string} options.command - Command line shown by guvnr history, e.g. "generate --force"
+ * @param {string} [options.id] - Run ID (the CLI's operation ID); a new UUID by default
+ * @param {number} [options.keep] - Runs to keep; read from guvnr.yaml by default
+ * @param {string} [options.undoes] - ID of the run this run undoes
+ * @returns {{
+ *   id: string,
+ *   record: (relativePath: string) => void,
+ *   save: () => Object|null,
+ *   discard: () => void
+ * }} Journal; record() before changing a path (a directory records every file in it),
+ *   save() once the run is done (it keeps only the files that changed, and
+ *   returns null if none did), discard() if the run changed nothing after all
+ */
+export function createJournal(cwd, { command, id = randomUUID(), keep, undoes } = {}) {
+  const retain = keep ?? readHistoryKeep(cwd);
+  const runDir = join(cwd, HISTORY_DIR, id);
+  const run = {
+    id,
+    command,
+    ...(undoes ? { undoes } : {}),
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    files: []
+  };
+  const recorded = new Set();
+
+  const writeRun = () => {
+    if (!existsSync(join(cwd, HISTORY_DIR, '.gitignore'))) {
+      // Previous versions may include files the project keeps out of git
+      mkdirSync(join(cwd, HISTORY_DIR), { recursive: true });
+      writeFileSync(join(cwd, HISTORY_DIR, '.gitignore'), '*\n');
+    }
+    writeFileAtomic(join(runDir, 'run.json'), `${JSON.stringify(run, null, 2)}\n`);
+  };
+
+  const record = relativePath => {
+    const path = normalize(relativePath);
+    if (
+      retain === 0 ||
+      recorded.has(path) ||
+      path === HISTORY_DIR ||
+      path.startsWith(`${HISTORY_DIR}/`) ||
+      path === LOCK_PATH
+    ) {
+      return;
+    }
+    recorded.add(path);
+
+    const filePath = join(cwd, path);
+    if (!existsSync(filePath)) {
+      const directory = relativePath.endsWith('/');
+      const dirs = missingDirs(cwd, path);
+      run.files.push({
+        path,
+        before: 'absent',
+        ...(directory ? { directory } : {}),
+        dirs: directory ? [path, ...dirs] : dirs
+      });
+      writeRun();
+      return;
+    }
+
+    const stats = statSync(filePath);
+    if (stats.isDirectory()) {
+      listFiles(cwd, path).forEach(record);
+      return;
+    }
+
+    mkdirSync(dirname(join(runDir, 'files', path)), { recursive: true });
+    copyFileSync(filePath, join(runDir, 'files', path));
+    run.files.push({ path, before: 'file', mode: stats.mode & 0o7777, dirs: [] });
+    writeRun();
+  };
+
+  // Recorded, but the run left it as it was
+  const isUnchanged = entry => {
+    const filePath = join(cwd, entry.path);
+    if (entry.before === 'absent') {
+      return !existsSync(filePath);
+    }
+    const backupPath = join(runDir, 'files', entry.path);
+    return (
+      currentHash(cwd, entry.path) === hashContent(readFileSync(backupPath)) &&
+      (statSync(filePath).mode & 0o7777) === entry.mode
+    );
+  };
+
+  const save = () => {
+    const unchanged = run.files.filter(isUnchanged);
+    for (const entry of unchanged) {
+      rmSync(join(runDir, 'files', entry.path), { force: true });
+    }
+    run.files = run.files.filter(entry => !unchanged.includes(entry));
+    if (run.files.length === 0) {
+      rmSync(runDir, { recursive: true, force: true });
+      return null;
+    }
+    run.finishedAt = new Date().toISOString();
+    for (const entry of run.files) {
+      entry.after = entry.directory ? null : currentHash(cwd, entry.path);
+    }
+    writeRun();
+    pruneHistory(cwd, retain);
+    return run;
+  };
+
+  const discard = () => {
+    rmSync(runDir, { recursive: true, force: true });
+    run.files = [];
+    recorded.clear();
+  };
+
+  return { id, record, save, discard };
+}
+
+/**
+ * Runs in the journal, newest first
+ *
+ * @param {string} cwd - Project root
+ * @returns {Array<Object>} Parsed run.json of each run; unreadable runs are left out
+ */
+export function listRuns(cwd) {
+  const historyDir = join(cwd, HISTORY_DIR);
+  if (!existsSync(historyDir)) {
+    return [];
+  }
+
+  const runs = [];
+  for (const entry of readdirSync(historyDir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) {
+      continue;
+    }
+    try {
+      runs.push(JSON.parse(readFileSync(join(historyDir, entry.name, 'run.json'), 'utf-8')));
+    } catch {
+      // Not a run, or one that was being pruned
+    }
+  }
+  return runs.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * Remove the oldest runs beyond the retention limit
+ * @param {string} cwd - Project root
+ * @param {number} keep - Runs to keep
+ * @returns {string[]} IDs of the runs removed
+ */
+export function pruneHistory(cwd, keep) {
+  const removed = listRuns(cwd)
+    .slice(keep)
+    .map(run => run.id);
+  for (const id of removed) {
+    rmSync(join(cwd, HISTORY_DIR, id), { recursive: true, force: true });
+  }
+  return removed;
+}
+
+/**
+ * Find a run by ID or unique ID prefix; without one, the most recent run
+ * that has not been undone (undo runs themselves are only undone by ID)
+ *
+ * @param {string} cwd - Project root
+ * @param {string} [runId] - Run ID or prefix
+ * @returns {Object} The run
+ * @throws {FrameworkError} GUVNR-FS-408 if no run (or more than one) matches
+ */
+export function findRun(cwd, runId) {
+  const runs = listRuns(cwd);
+
+  if (!runId) {
+    const latest = runs.find(run => !run.undoneAt && !run.undoes);
+    if (!latest) {
+      throw createError('GUVNR-FS-408', `Nothing to undo in ${HISTORY_DIR}`, {
+        suggestion: 'Run guvnr history to see the recorded runs'
+      });
+    }
+    return latest;
+  }
+
+  const matches = runs.filter(run => run.id.startsWith(runId));
+  if (matches.length !== 1) {
+    throw createError(
+      'GUVNR-FS-408',
+      matches.length === 0
+        ? `No run "${runId}" in ${HISTORY_DIR}`
+        : `"${runId}" matches ${matches.length} runs: ${matches.map(run => run.id.slice(0, SHORT_ID_LENGTH)).join(', ')}`,
+      { context: { runId }, suggestion: 'Run guvnr history and pass more of the run ID' }
+    );
+  }
+  return matches[0];
+}
+
+/**
+ * Put back every file a run changed, as it was before the run.
+ *
+ * Files changed again since the run (by hand or by a later run) are not
+ * overwritten unless `force` is set. The undo is itself journaled, so it can
+ * be undone by its own run ID. It holds the project lock while it writes, so
+ * it cannot interleave with a generate run.
+ *
+ * @param {string} cwd - Project root
+ * @param {string} [runId] - Run ID or prefix; the latest run not yet undone by default
+ * @param {Object} [options={}] - Undo options
+ * @param {boolean} [options.force=false] - Restore files changed since the run
+ * @param {boolean} [options.dryRun=false] - Work out what would change without changing it
+ * @param {string} [options.id] - Run ID for the undo's own journal entry
+ * @returns {{run: Object, undoRun: string|null, restored: string[], removed: string[]}}
+ *   The run undone, the undo's run ID, files written back and files removed
+ * @throws {FrameworkError} GUVNR-FS-408 if the run is not found, GUVNR-FS-409 if files changed since,
+ *   GUVNR-FS-406 if another run holds the lock
+ */
+export function undoRun(cwd, runId, options = {}) {
+  const release = options.dryRun ? null : acquireLock(cwd, 'undo');
+  try {
+    return restoreRun(cwd, runId, options);
+  } finally {
+    release?.();
+  }
+}
+
+/**
+ * Restore a run's files (see undoRun, which holds the lock around this)
+ * @param {string} cwd - Project root
+ * @param {string} [runId] - Run ID or prefix
+ * @param {Object} options - Undo options
+ * @returns {{run: Object, undoRun: string|null, restored: string[], removed: string[]}} See undoRun
+ */
+function restoreRun(cwd, runId, options) {
+  const run = findRun(cwd, runId);
+  const short = run.id.slice(0, SHORT_ID_LENGTH);
+  const entries = [...run.files].reverse();
+
+  const changed = entries.filter(
+    entry =>
+      !entry.directory && entry.after !== undefined && currentHash(cwd, entry.path) !== entry.after
+  );
+  if (changed.length > 0 && !options.force) {
+    throw createError(
+      'GUVNR-FS-409',
+      `${changed.length} file(s) changed since run ${short}: ${changed.map(entry => entry.path).join(', ')}`,
+      { context: { runId: run.id, files: changed.map(entry => entry.path) } }
+    );
+  }
+
+  const restored = entries.filter(entry => entry.before === 'file').map(entry => entry.path);
+  const removed = entries
+    .filter(entry => entry.before === 'absent' && !entry.directory)
+    .filter(entry => existsSync(join(cwd, entry.path)))
+    .map(entry => entry.path);
+  if (options.dryRun) {
+    return { run, undoRun: null, restored, removed };
+  }
+
+  const journal = createJournal(cwd, { command: `undo ${short}`, id: options.id, undoes: run.id });
+  for (const entry of entries) {
+    journal.record(entry.path);
+    const filePath = join(cwd, entry.path);
+
+    if (entry.before === 'file') {
+      writeFileAtomic(filePath, readFileSync(join(cwd, HISTORY_DIR, run.id, 'files', entry.path)));
+      chmodSync(filePath, entry.mode);
+    } else if (!entry.directory && existsSync(filePath)) {
+      unlinkSync(filePath);
+    }
+
+    for (const dir of entry.dirs) {
+      try {
+        rmdirSync(join(cwd, dir));
+      } catch {
+        // Not empty: something else lives there now
+      }
+    }
+  }
+
+  const saved = journal.save();
+  markRun(cwd, run.id, { undoneBy: saved?.id, undoneAt: new Date().toISOString() });
+  if (run.undoes) {
+    // Undoing an undo makes the original run current again
+    markRun(cwd, run.undoes, { undoneBy: undefined, undoneAt: undefined });
+  }
+
+  return { run, undoRun: saved?.id ?? null, restored, removed };
+}
+
+/**
+ * Update fields of a run's run.json, if the run is still kept
+ * @param {string} cwd - Project root
+ * @param {string} id - Run ID
+ * @param {Object} fields - Fields to set; undefined removes a field
+ * @returns {void}
+ */
+function markRun(cwd, id, fields) {
+  const runPath = join(cwd, HISTORY_DIR, id, 'run.json');
+  if (!existsSync(runPath)) {
+    return;
+  }
+  const run = { ...JSON.parse(readFileSync(runPath, 'utf-8')), ...fields };
+  writeFileAtomic(runPath, `${JSON.stringify(run, null, 2)}\n`);
+}
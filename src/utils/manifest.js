@@ -0,0 +1,225 @@
+/**
+ * Generated-file manifest
+ *
+ * `guvnr generate` records every file it writes in `.guvnr/manifest.json`,
+ * together with the hash of the written content, the hash of the source
+ * config it was rendered from and the guvnr version that rendered it. The
+ * manifest is what lets `guvnr status` tell an untouched generated file from
+ * one a teammate edited, and lets `guvnr uninstall` remove exactly what guvnr
+ * produced.
+ *
+ * A copy of each generated file is also kept under `.guvnr/base/`. It is the
+ * common ancestor `guvnr generate --merge` uses to merge hand edits into the
+ * regenerated output.
+ *
+ * @example
+ * {
+ *   "version": 1,
+ *   "generatorVersion": "1.2.0",
+ *   "source": { "path": "guvnr.yaml", "hash": "3f2a…" },
+ *   "files": {
+ *     "AGENTS.md": {
+ *       "tool": "agents",
+ *       "hash": "9c1e…",
+ *       "sourceHash": "3f2a…",
+ *       "generatorVersion": "1.2.0",
+ *       "generatedAt": "2026-01-01T00:00:00.000Z"
+ *     }
+ *   }
+ * }
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { createRequire } from 'module';
+import { join } from 'path';
+import { createError } from '../errors.js';
+import { writeFileAtomic } from './transaction.js';
+
+const require = createRequire(import.meta.url);
+const packageJson = require('../../package.json');
+
+/**
+ * Manifest location, relative to the project root
+ * @constant {string}
+ */
+export const MANIFEST_PATH = '.guvnr/manifest.json';
+
+/**
+ * Directory holding the last generated version of each file, relative to the project root
+ * @constant {string}
+ */
+export const BASE_DIR = '.guvnr/base';
+
+/**
+ * Manifest format version
+ * @constant {number}
+ */
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Version of guvnr recorded against each generated file
+ * @constant {string}
+ */
+export const GENERATOR_VERSION = packageJson.version;
+
+/**
+ * Hash file content the way the manifest records it
+ * @param {string|Buffer} content - File content
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Create an empty manifest
+ * @returns {{version: number, generatorVersion: string, source: null, files: Object}} Empty manifest
+ */
+export function createManifest() {
+  return {
+    version: MANIFEST_VERSION,
+    generatorVersion: GENERATOR_VERSION,
+    source: null,
+    files: {}
+  };
+}
+
+/**
+ * Read the project's manifest
+ *
+ * @param {string} cwd - Project root
+ * @returns {Object|null} Parsed manifest, or null if the project has none
+ * @throws {FrameworkError} GUVNR-CONFIG-307 if the manifest exists but cannot be parsed
+ */
+export function readManifest(cwd) {
+  const manifestPath = join(cwd, MANIFEST_PATH);
+  if (!existsSync(manifestPath)) {
+    return null;
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+  } catch (error) {
+    throw createError('GUVNR-CONFIG-307', `${MANIFEST_PATH} is not valid JSON: ${error.message}`, {
+      cause: error
+    });
+  }
+
+  if (!manifest || typeof manifest !== 'object' || typeof manifest.files !== 'object') {
+    throw createError('GUVNR-CONFIG-307', `${MANIFEST_PATH} has no "files" map`);
+  }
+  return manifest;
+}
+
+/**
+ * Write the project's manifest
+ * @param {string} cwd - Project root
+ * @param {Object} manifest - Manifest to write
+ * @param {Object} [transaction] - Transaction to stage the write in instead
+ * @returns {void}
+ */
+export function writeManifest(cwd, manifest, transaction) {
+  const content = `${JSON.stringify(manifest, null, 2)}\n`;
+  if (transaction) {
+    transaction.stage(MANIFEST_PATH, content);
+  } else {
+    writeFileAtomic(join(cwd, MANIFEST_PATH), content);
+  }
+}
+
+/**
+ * Record the files a generate run wrote.
+ * Entries for files that were skipped are left as they were, so a partial
+ * run (`--tools cursor`) never forgets files written by an earlier run. A
+ * file regenerated with the same content keeps its `generatedAt`, so a run
+ * that changes nothing leaves the manifest as it was.
+ *
+ * @param {Object|null} manifest - Existing manifest, or null to start a new one
+ * @param {Array<{path: string, tool: string, content: string, written: boolean, package?: string, sourceHash?: string}>} outputs
+ *   Rendered outputs; workspace package outputs carry their package directory and source hash
+ * @param {{path: string, hash: string}|null} source - Config the outputs were rendered from
+ * @param {Date} [now=new Date()] - Timestamp to record
+ * @returns {Object} Updated manifest
+ */
+export function recordOutputs(manifest, outputs, source, now = new Date()) {
+  const updated = manifest ? { ...manifest, files: { ...manifest.files } } : createManifest();
+  updated.version = MANIFEST_VERSION;
+  updated.generatorVersion = GENERATOR_VERSION;
+  updated.source = source;
+
+  for (const output of outputs) {
+    if (!output.written) {
+      continue;
+    }
+    const entry = {
+      tool: output.tool,
+      ...(output.package ? { package: output.package } : {}),
+      hash: hashContent(output.content),
+      sourceHash: output.sourceHash ?? source?.hash ?? null,
+      generatorVersion: GENERATOR_VERSION
+    };
+    const { generatedAt, ...previous } = updated.files[output.path] ?? {};
+    const same = JSON.stringify(previous) === JSON.stringify(entry);
+    updated.files[output.path] = { ...entry, generatedAt: same ? generatedAt : now.toISOString() };
+  }
+
+  updated.files = Object.fromEntries(
+    Object.entries(updated.files).sort(([a], [b]) => a.localeCompare(b))
+  );
+  return updated;
+}
+
+/**
+ * Keep a copy of a generated file as the base for later merges
+ * @param {string} cwd - Project root
+ * @param {string} relativePath - Generated file path
+ * @param {string} content - Content guvnr generated
+ * @returns {void}
+ */
+export function writeBaseCopy(cwd, relativePath, content) {
+  writeFileAtomic(join(cwd, BASE_DIR, relativePath), content);
+}
+
+/**
+ * Read the last generated version of a file
+ * @param {string} cwd - Project root
+ * @param {string} relativePath - Generated file path
+ * @returns {string|null} Last generated content, or null if guvnr has no copy
+ */
+export function readBaseCopy(cwd, relativePath) {
+  const basePath = join(cwd, BASE_DIR, relativePath);
+  return existsSync(basePath) ? readFileSync(basePath, 'utf-8') : null;
+}
+
+/**
+ * Check whether a generated file still has the content guvnr wrote
+ *
+ * @param {string} cwd - Project root
+ * @param {string} relativePath - Path recorded in the manifest
+ * @param {{hash: string}} entry - Manifest entry
+ * @returns {'missing'|'modified'|'unchanged'} State of the file on disk
+ */
+export function checkRecordedFile(cwd, relativePath, entry) {
+  const filePath = join(cwd, relativePath);
+  if (!existsSync(filePath)) {
+    return 'missing';
+  }
+  return hashContent(readFileSync(filePath)) === entry.hash ? 'unchanged' : 'modified';
+}
+
+export default {
+  MANIFEST_PATH,
+  BASE_DIR,
+  MANIFEST_VERSION,
+  GENERATOR_VERSION,
+  hashContent,
+  createManifest,
+  readManifest,
+  writeManifest,
+  recordOutputs,
+  writeBaseCopy,
+  readBaseCopy,
+  checkRecordedFile
+};
@@ -0,0 +1,107 @@
+/**
+ * Three-way merge
+ *
+ * Line-based diff3 merge used by `guvnr generate --merge` to carry hand edits
+ * in a generated file over to its regenerated version. The base is the last
+ * version guvnr generated, "ours" is the file on disk and "theirs" is the new
+ * output. Regions changed on only one side are taken from that side; regions
+ * changed differently on both sides are written with git-style conflict
+ * markers.
+ */
+
+import { matchLines } from './diff.js';
+
+/**
+ * Split text into lines, keeping the trailing-newline state recoverable by join('\n')
+ * @param {string} text - Text to split
+ * @returns {string[]} Lines
+ */
+function splitLines(text) {
+  return text.split('\n');
+}
+
+/**
+ * Compare two line ranges for equality
+ * @param {string[]} a - First range
+ * @param {string[]} b - Second range
+ * @returns {boolean} True if both ranges hold the same lines
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+/**
+ * Merge two edited versions of a text against their common base
+ *
+ * @param {string} base - Common ancestor (the last generated version)
+ * @param {string} ours - Locally edited version (the file on disk)
+ * @param {string} theirs - New version (the regenerated output)
+ * @param {Object} [labels={}] - Conflict marker labels
+ * @param {string} [labels.ours='local'] - Label after <<<<<<<
+ * @param {string} [labels.theirs='generated'] - Label after >>>>>>>
+ * @returns {{content: string, conflicts: number}} Merged text and number of conflicting regions
+ * @example
+ * const { content, conflicts } = mergeThreeWay(lastGenerated, onDisk, regenerated);
+ */
+export function mergeThreeWay(base, ours, theirs, labels = {}) {
+  const oursLabel = labels.ours || 'local';
+  const theirsLabel = labels.theirs || 'generated';
+
+  const baseLines = splitLines(base);
+  const oursLines = splitLines(ours);
+  const theirsLines = splitLines(theirs);
+  const toOurs = matchLines(baseLines, oursLines);
+  const toTheirs = matchLines(baseLines, theirsLines);
+
+  const merged = [];
+  let conflicts = 0;
+  let b = 0;
+  let o = 0;
+  let t = 0;
+
+  while (b < baseLines.length || o < oursLines.length || t < theirsLines.length) {
+    // Stable line: unchanged on both sides
+    if (b < baseLines.length && toOurs.get(b) === o && toTheirs.get(b) === t) {
+      merged.push(baseLines[b]);
+      b++;
+      o++;
+      t++;
+      continue;
+    }
+
+    // Find the next base line both sides kept; everything before it is a changed region
+    let next = b;
+    while (next < baseLines.length && !(toOurs.get(next) >= o && toTheirs.get(next) >= t)) {
+      next++;
+    }
+    const nextOurs = next < baseLines.length ? toOurs.get(next) : oursLines.length;
+    const nextTheirs = next < baseLines.length ? toTheirs.get(next) : theirsLines.length;
+
+    const baseChunk = baseLines.slice(b, next);
+    const oursChunk = oursLines.slice(o, nextOurs);
+    const theirsChunk = theirsLines.slice(t, nextTheirs);
+
+    if (sameLines(oursChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+      merged.push(...theirsChunk);
+    } else if (sameLines(theirsChunk, baseChunk)) {
+      merged.push(...oursChunk);
+    } else {
+      conflicts++;
+      merged.push(
+        `<<<<<<< ${oursLabel}`,
+        ...oursChunk,
+        '=======',
+        ...theirsChunk,
+        `>>>>>>> ${theirsLabel}`
+      );
+    }
+
+    b = next;
+    o = nextOurs;
+    t = nextTheirs;
+  }
+
+  return { content: merged.join('\n'), conflicts };
+}
+
+export default { mergeThreeWay };
@@ -0,0 +1,172 @@
+/**
+ * Unresolved template placeholders
+ *
+ * `guvnr init` copies templates/guvnr.yaml.template and CLAUDE.md.template into
+ * a project, and anything left unfilled (`${KNOWN_ISSUE}`, `[PROJECT_NAME]`,
+ * `[Add observations here]`) would otherwise flow into every generated file.
+ *
+ * The placeholders are the ones the bundled templates define, not every
+ * `${...}`: guvnr.yaml and the generated MCP configs use `${VAR}` for
+ * environment variables, which must be left alone.
+ */
+
+import { readFileSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { isPlainObject } from './config.js';
+import { locateYamlPath, formatYamlPath } from './schema.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEMPLATES_DIR = join(__dirname, '..', '..', 'templates');
+
+/**
+ * `${NAME}` substitutions and bracketed `[Describe ...]` prompts; Markdown
+ * links (`[text](url)`) and checkboxes (`[ ]`, `[x]`) are not placeholders
+ */
+const TEMPLATE_PLACEHOLDER =
+  /\$\{[A-Z][A-Z0-9_]*\}|\[[^[\]\n]*[A-Za-z][^[\]\n]*[A-Za-z][^[\]\n]*\](?!\()/g;
+
+/**
+ * `${NAME}` substitutions only: brackets in YAML templates are flow lists
+ */
+const SUBSTITUTION_PLACEHOLDER = /\$\{[A-Z][A-Z0-9_]*\}/g;
+
+let cachedPattern = null;
+
+/**
+ * Placeholders defined by the bundled templates
+ *
+ * @returns {string[]} Placeholder strings, e.g. `${PROJECT_NAME}` and `[DATE]`
+ */
+export function templatePlaceholders() {
+  const templates = readdirSync(TEMPLATES_DIR).filter(file => file.endsWith('.template'));
+  const found = new Set();
+  for (const file of templates) {
+    const content = readFileSync(join(TEMPLATES_DIR, file), 'utf-8');
+    const pattern = file.endsWith('.yaml.template')
+      ? SUBSTITUTION_PLACEHOLDER
+      : TEMPLATE_PLACEHOLDER;
+    for (const [placeholder] of content.matchAll(pattern)) {
+      found.add(placeholder);
+    }
+  }
+  return [...found];
+}
+
+/**
+ * One regular expression matching any template placeholder (templates are read once)
+ * @returns {RegExp} Fresh global pattern, longest placeholders first
+ */
+function placeholderPattern() {
+  if (!cachedPattern) {
+    const alternatives = templatePlaceholders()
+      .sort((a, b) => b.length - a.length)
+      .map(placeholder => placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    cachedPattern = new RegExp(alternatives.join('|'), 'g');
+  }
+  return new RegExp(cachedPattern.source, 'g');
+}
+
+/**
+ * Find the unresolved placeholders in a text
+ *
+ * @param {string} text - File content
+ * @param {Object} [options={}] - Scan options
+ * @param {boolean} [options.skipComments=false] - Ignore lines that are `#` comments (YAML)
+ * @returns {Array<{placeholder: string, line: number, column: number}>} 1-based positions, in order
+ */
+export function findPlaceholders(text, options = {}) {
+  const pattern = placeholderPattern();
+  const found = [];
+  String(text)
+    .split(/\r?\n/)
+    .forEach((line, index) => {
+      if (options.skipComments && line.trimStart().startsWith('#')) {
+        return;
+      }
+      for (const match of line.matchAll(pattern)) {
+        found.push({ placeholder: match[0], line: index + 1, column: match.index + 1 });
+      }
+    });
+  return found;
+}
+
+/**
+ * Paths of the string values in a parsed config that contain a placeholder
+ * @param {*} value - Parsed YAML value
+ * @param {Array<string|number>} path - Path to value
+ * @param {Array<Array<string|number>>} paths - Accumulator
+ * @returns {Array<Array<string|number>>} Paths, in document order
+ */
+function stringPaths(value, path = [], paths = []) {
+  if (typeof value === 'string') {
+    if (placeholderPattern().test(value)) {
+      paths.push(path);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => stringPaths(item, [...path, index], paths));
+  } else if (isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      stringPaths(child, [...path, key], paths);
+    }
+  }
+  return paths;
+}
+
+/**
+ * Find the unresolved placeholders in guvnr.yaml, as violations that
+ * formatViolation prints (`guvnr.yaml:41:7 context.known_issues[0]: ...`)
+ *
+ * Comments are ignored, so the `# ${COMMANDS}` markers in an uninitialised
+ * template are not reported. When the YAML does not parse, every placeholder
+ * is reported against the document root.
+ *
+ * @param {string} source - guvnr.yaml contents
+ * @returns {Array<{path: string, line: number, column: number, message: string}>} One entry per placeholder
+ */
+export function findConfigPlaceholders(source) {
+  const found = findPlaceholders(source, { skipComments: true });
+  if (found.length === 0) {
+    return [];
+  }
+
+  let paths = [];
+  try {
+    paths = stringPaths(yaml.load(source)).map(path => ({
+      path,
+      line: locateYamlPath(source, path).line
+    }));
+  } catch {
+    // Reported by the YAML syntax check
+  }
+
+  // Each placeholder belongs to the last value whose key starts at or above it
+  return found.map(({ placeholder, line, column }) => {
+    const owner = paths.filter(entry => entry.line <= line).at(-1);
+    return {
+      path: formatYamlPath(owner?.path ?? []),
+      line,
+      column,
+      message: `unresolved placeholder ${placeholder}`
+    };
+  });
+}
+
+/**
+ * Format placeholders found in a file, one `file:line:column placeholder` per entry
+ *
+ * @param {string} file - File path to prefix
+ * @param {Array<{placeholder: string, line: number, column: number}>} found - From findPlaceholders
+ * @returns {string[]} Formatted locations
+ */
+export function formatPlaceholders(file, found) {
+  return found.map(({ placeholder, line, column }) => `${file}:${line}:${column} ${placeholder}`);
+}
+
+export default {
+  templatePlaceholders,
+  findPlaceholders,
+  findConfigPlaceholders,
+  formatPlaceholders
+};
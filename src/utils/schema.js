@@ -0,0 +1,424 @@
+/**
+ * Guvnr - guvnr.yaml Schema Validation
+ *
+ * Checks guvnr.yaml against the bundled JSON Schema (src/schemas/guvnr.schema.json)
+ * and maps every violation back to a line and column in the YAML source.
+ *
+ * Only the draft-07 keywords used by the bundled schemas are implemented, which
+ * keeps the CLI free of a full JSON Schema engine dependency.
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCHEMA_PATH = join(__dirname, '..', 'schemas', 'guvnr.schema.json');
+
+/**
+ * Maximum edit distance for a "did you mean" suggestion
+ * @type {number}
+ */
+const MAX_SUGGESTION_DISTANCE = 3;
+
+let cachedSchema = null;
+
+/**
+ * Load the bundled guvnr.yaml schema (cached after first read)
+ *
+ * @returns {object} Parsed JSON Schema
+ */
+export function loadGuvnrSchema() {
+  if (!cachedSchema) {
+    cachedSchema = JSON.parse(readFileSync(SCHEMA_PATH, 'utf-8'));
+  }
+  return cachedSchema;
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Find the closest candidate to an unknown value
+ *
+ * @param {string} value - Unknown key or value
+ * @param {string[]} candidates - Known keys or values
+ * @returns {string|null} Closest candidate, or null if nothing is close enough
+ */
+export function suggestClosest(value, candidates) {
+  const needle = String(value).toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(needle, String(candidate).toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  const limit = Math.min(MAX_SUGGESTION_DISTANCE, Math.ceil(needle.length / 2));
+  return bestDistance <= limit ? best : null;
+}
+
+/**
+ * Describe the JSON Schema type of a value
+ *
+ * @param {*} value - Value to describe
+ * @returns {string} Schema type name
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema "type" keyword
+ *
+ * @param {*} value - Value to check
+ * @param {string|string[]} expected - Expected type(s)
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+  const types = Array.isArray(expected) ? expected : [expected];
+  return types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Validate a value against a (subset of) draft-07 JSON Schema
+ *
+ * Supported keywords: type, enum, required, properties, additionalProperties,
+ * items, pattern, minLength, maxLength, minItems, minimum, maximum.
+ *
+ * @param {*} value - Value to validate
+ * @param {object} schema - JSON Schema
+ * @param {Array<string|number>} [path=[]] - Path of the value within the document
+ * @returns {Array<{path: Array<string|number>, message: string, suggestion?: string}>} Violations
+ */
+export function validateSchema(value, schema, path = []) {
+  const violations = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+    violations.push({ path, message: `must be ${expected} (got ${typeOf(value)})` });
+    return violations;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const suggestion = typeof value === 'string' ? suggestClosest(value, schema.enum) : null;
+    violations.push({
+      path,
+      message: `must be one of: ${schema.enum.join(', ')}`,
+      ...(suggestion && { suggestion })
+    });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      violations.push({ path, message: `must be at least ${schema.minLength} character(s)` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      violations.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      violations.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      violations.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      violations.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      violations.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        violations.push(...validateSchema(item, schema.items, [...path, index]));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        violations.push({ path, message: `missing required property "${key}"` });
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        violations.push(...validateSchema(child, properties[key], [...path, key]));
+      } else if (schema.additionalProperties === false) {
+        const suggestion = suggestClosest(key, Object.keys(properties));
+        violations.push({
+          path: [...path, key],
+          message: `unknown property "${key}"`,
+          ...(suggestion && { suggestion })
+        });
+      } else if (typeof schema.additionalProperties === 'object') {
+        violations.push(...validateSchema(child, schema.additionalProperties, [...path, key]));
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Format a document path the way users write it (e.g. skills[0].name)
+ *
+ * @param {Array<string|number>} path - Path segments
+ * @returns {string} Human-readable path
+ */
+export function formatYamlPath(path) {
+  if (path.length === 0) {
+    return '(root)';
+  }
+  return path
+    .map((segment, i) =>
+      typeof segment === 'number' ? `[${segment}]` : i === 0 ? segment : `.${segment}`
+    )
+    .join('');
+}
+
+/**
+ * Split a YAML line into its indentation and the column where content starts.
+ * Sequence dashes ("- ") are treated as indentation for the content column.
+ *
+ * @param {string} text - Line text
+ * @returns {{indent: number, column: number, dashed: boolean}} Line layout
+ */
+function lineLayout(text) {
+  const indent = text.search(/\S/);
+  const dashes = text.slice(indent).match(/^(-\s+)+/);
+  return {
+    indent,
+    column: indent + (dashes ? dashes[0].length : 0),
+    dashed: Boolean(dashes)
+  };
+}
+
+/**
+ * Whether a line carries no YAML content
+ *
+ * @param {string} text - Line text
+ * @returns {boolean} True for blank lines, comments and document markers
+ */
+function isIgnorableLine(text) {
+  const trimmed = text.trim();
+  return trimmed === '' || trimmed.startsWith('#') || trimmed === '---' || trimmed === '...';
+}
+
+/**
+ * Find the end (exclusive) of the block that starts at a given line
+ *
+ * @param {string[]} lines - Source lines
+ * @param {number} start - Line index of the block header
+ * @param {number} end - Upper bound for the search
+ * @param {number} indent - Indentation the block's children must exceed
+ * @param {boolean} [allowSequence=false] - Whether a sequence at the same indentation
+ *   still belongs to the block (YAML allows `key:` followed by `- item` at equal indent)
+ * @returns {number} Line index where the block ends
+ */
+function blockEnd(lines, start, end, indent, allowSequence = false) {
+  for (let i = start + 1; i < end; i++) {
+    if (isIgnorableLine(lines[i])) {
+      continue;
+    }
+    const layout = lineLayout(lines[i]);
+    if (layout.indent < indent || (layout.indent === indent && !(allowSequence && layout.dashed))) {
+      return i;
+    }
+  }
+  return end;
+}
+
+/**
+ * Locate a document path in YAML source text.
+ *
+ * js-yaml does not expose node positions, so this walks the block structure
+ * line by line. Flow collections and multi-document files resolve to the
+ * nearest enclosing block that could be found.
+ *
+ * @param {string} source - YAML source text
+ * @param {Array<string|number>} path - Path segments to locate
+ * @returns {{line: number, column: number}} 1-based position
+ */
+export function locateYamlPath(source, path) {
+  const lines = source.split(/\r?\n/);
+  let start = 0;
+  let end = lines.length;
+  let location = { line: 1, column: 1 };
+
+  for (const segment of path) {
+    const first = lines.slice(start, end).findIndex(text => !isIgnorableLine(text));
+    if (first === -1) {
+      break;
+    }
+
+    const firstLayout = lineLayout(lines[start + first]);
+    let found = -1;
+
+    if (typeof segment === 'number') {
+      let index = -1;
+      for (let i = start + first; i < end; i++) {
+        if (isIgnorableLine(lines[i])) {
+          continue;
+        }
+        const layout = lineLayout(lines[i]);
+        if (layout.indent === firstLayout.indent && layout.dashed && ++index === segment) {
+          found = i;
+          break;
+        }
+      }
+    } else {
+      const escaped = segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const keyPattern = new RegExp(`^(["']?)${escaped}\\1\\s*:(\\s|$)`);
+      for (let i = start + first; i < end; i++) {
+        if (isIgnorableLine(lines[i])) {
+          continue;
+        }
+        const layout = lineLayout(lines[i]);
+        if (
+          layout.column === firstLayout.column &&
+          keyPattern.test(lines[i].slice(layout.column))
+        ) {
+          found = i;
+          break;
+        }
+      }
+    }
+
+    if (found === -1) {
+      break;
+    }
+
+    const layout = lineLayout(lines[found]);
+    location = { line: found + 1, column: layout.column + 1 };
+
+    if (typeof segment === 'number') {
+      // Item content starts on the dash line itself
+      end = blockEnd(lines, found, end, layout.indent);
+      start = found;
+      const rest = lines[found].slice(layout.column);
+      if (!/^[^\s#][^#]*:(\s|$)/.test(rest)) {
+        start = found + 1;
+      }
+    } else {
+      end = blockEnd(lines, found, end, layout.column, true);
+      start = found + 1;
+    }
+  }
+
+  return location;
+}
+
+/**
+ * Parse and validate guvnr.yaml source against the bundled schema
+ *
+ * @param {string} source - guvnr.yaml contents
+ * @param {object} [schema] - Schema to validate against (defaults to the bundled schema)
+ * @returns {{valid: boolean, config: object|null, syntaxError: boolean, violations: Array<{path: string, line: number, column: number, message: string, suggestion?: string}>}}
+ *   Validation result; `syntaxError` is true when the YAML could not be parsed at all
+ */
+export function validateGuvnrYaml(source, schema = loadGuvnrSchema()) {
+  let config;
+
+  try {
+    config = yaml.load(source);
+  } catch (error) {
+    const mark = error.mark || {};
+    return {
+      valid: false,
+      config: null,
+      syntaxError: true,
+      violations: [
+        {
+          path: '(root)',
+          line: (mark.line ?? 0) + 1,
+          column: (mark.column ?? 0) + 1,
+          message: error.reason || error.message
+        }
+      ]
+    };
+  }
+
+  const violations = validateSchema(config ?? {}, schema).map(violation => ({
+    ...violation,
+    ...locateYamlPath(source, violation.path),
+    path: formatYamlPath(violation.path)
+  }));
+
+  return {
+    valid: violations.length === 0,
+    config: config ?? {},
+    syntaxError: false,
+    violations
+  };
+}
+
+/**
+ * Format a violation as a single line (e.g. `guvnr.yaml:3:1 tech_stak: unknown ...`)
+ *
+ * @param {{path: string, line: number, column: number, message: string, suggestion?: string}} violation - Violation to format
+ * @param {string} [file='guvnr.yaml'] - File name to prefix
+ * @returns {string} Formatted violation
+ */
+export function formatViolation(violation, file = 'guvnr.yaml') {
+  const hint = violation.suggestion ? ` (did you mean "${violation.suggestion}"?)` : '';
+  return `${file}:${violation.line}:${violation.column} ${violation.path}: ${violation.message}${hint}`;
+}
+
+export default {
+  loadGuvnrSchema,
+  validateSchema,
+  validateGuvnrYaml,
+  locateYamlPath,
+  formatYamlPath,
+  formatViolation,
+  suggestClosest
+};
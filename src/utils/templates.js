@@ -0,0 +1,713 @@
+/**
+ * Generator templates
+ *
+ * A logic-light, Handlebars-like syntax for the files guvnr generates:
+ *
+ *   {{overview}} {{project.name}}    value (lists are joined with ", ")
+ *   {{truncate overview 500}}         helpers: truncate, join, json
+ *   {{#if x}}...{{else}}...{{/if}}    conditional; {{#unless x}} is the inverse
+ *   {{#each skills}}...{{/each}}      loop; {{#each tech_stack limit=8}} stops early
+ *   {{> commands}}                    partial (another template)
+ *   {{! comment }}                    left out of the output
+ *   \{{                               a literal {{
+ *
+ * Inside a loop, names are looked up on the current item first and then in the
+ * enclosing scopes; `this` is the item, and `@index`, `@number` (1-based),
+ * `@first` and `@last` give its position. Empty lists and empty strings are
+ * false.
+ *
+ * A block, else, comment or partial tag that is alone on its line removes the
+ * whole line, so blocks can be laid out one tag per line without leaving
+ * blank lines in the output.
+ */
+
+import { createError } from '../errors.js';
+import { suggestClosest } from './schema.js';
+
+/**
+ * Helpers callable as `{{name arg...}}`, with the number of arguments they take
+ */
+const HELPERS = {
+  truncate: { arity: 2, call: (value, length) => String(value ?? '').slice(0, length) },
+  join: { arity: 2, call: (list, separator) => (Array.isArray(list) ? list : []).join(separator) },
+  json: { arity: 1, call: value => JSON.stringify(value ?? null) }
+};
+
+const BLOCKS = ['if', 'unless', 'each'];
+
+const LOOP_VARIABLES = ['@index', '@number', '@first', '@last'];
+
+/**
+ * Tags that remove their line when nothing else is on it
+ */
+const STANDALONE_KINDS = ['open', 'close', 'else', 'comment', 'partial'];
+
+const PATH = /^(?:this|@[a-z]+|[A-Za-z_]\w*)(?:\.[A-Za-z_]\w*)*$/;
+
+const MAX_PARTIAL_DEPTH = 10;
+
+const parseCache = new Map();
+
+/**
+ * 1-based line and column of an offset
+ * @param {string} source - Template source
+ * @param {number} offset - Character offset
+ * @returns {{line: number, column: number}} Position
+ */
+function positionAt(source, offset) {
+  const before = source.slice(0, offset);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return { line: before.split('\n').length, column: offset - lineStart + 1 };
+}
+
+/**
+ * Template syntax error
+ * @param {string} message - What is wrong
+ * @param {{line: number, column: number}} position - Where
+ * @returns {FrameworkError} GUVNR-CONFIG-314 error with the position in its context
+ */
+function templateError(message, { line, column }) {
+  return createError('GUVNR-CONFIG-314', `${line}:${column} ${message}`, {
+    context: { line, column, reason: message }
+  });
+}
+
+/**
+ * Split a template into text and tag tokens
+ * @param {string} source - Template source
+ * @returns {Array<Object>} Tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let text = '';
+  let offset = 0;
+
+  while (offset < source.length) {
+    const open = source.indexOf('{{', offset);
+    if (open === -1) {
+      text += source.slice(offset);
+      break;
+    }
+    if (source[open - 1] === '\\') {
+      text += `${source.slice(offset, open - 1)}{{`;
+      offset = open + 2;
+      continue;
+    }
+
+    const close = source.indexOf('}}', open + 2);
+    if (close === -1) {
+      throw templateError('"{{" is never closed with "}}"', positionAt(source, open));
+    }
+    text += source.slice(offset, open);
+    if (text) {
+      tokens.push({ type: 'text', value: text });
+      text = '';
+    }
+    tokens.push({
+      type: 'tag',
+      raw: source.slice(open + 2, close).trim(),
+      ...positionAt(source, open)
+    });
+    offset = close + 2;
+  }
+
+  if (text) {
+    tokens.push({ type: 'text', value: text });
+  }
+  return tokens;
+}
+
+/**
+ * Parse one argument: a path, a number or a double-quoted string
+ * @param {string} value - Argument as written
+ * @param {Object} position - Tag position, for errors
+ * @returns {{path: string}|{literal: *}} Argument
+ */
+function parseArgument(value, position) {
+  if (/^-?\d+$/.test(value)) {
+    return { literal: Number(value) };
+  }
+  if (value.startsWith('"')) {
+    try {
+      return { literal: JSON.parse(value) };
+    } catch {
+      throw templateError(`invalid string ${value}`, position);
+    }
+  }
+  if (!PATH.test(value)) {
+    throw templateError(`invalid name "${value}"`, position);
+  }
+  return { path: value };
+}
+
+/**
+ * Classify a tag by its contents
+ * @param {Object} token - Tag token
+ * @returns {Object} Tag with its kind and parsed parts
+ */
+function parseTag(token) {
+  const { raw } = token;
+  const position = { line: token.line, column: token.column };
+  const words = raw.match(/"(?:[^"\\]|\\.)*"|\S+/g) || [];
+
+  if (raw.startsWith('!')) {
+    return { kind: 'comment', ...position };
+  }
+  if (raw === 'else') {
+    return { kind: 'else', ...position };
+  }
+  if (raw.startsWith('>')) {
+    const name = raw.slice(1).trim();
+    if (!/^[a-z0-9][a-z0-9_-]*$/.test(name)) {
+      throw templateError(`invalid partial name "${name}"`, position);
+    }
+    return { kind: 'partial', name, ...position };
+  }
+  if (raw.startsWith('/')) {
+    return { kind: 'close', name: raw.slice(1).trim(), ...position };
+  }
+  if (raw.startsWith('#')) {
+    const [name, path, ...rest] = [words[0].slice(1), ...words.slice(1)];
+    if (!BLOCKS.includes(name)) {
+      const hint = suggestClosest(name, BLOCKS);
+      throw templateError(
+        `unknown block "#${name}"${hint ? ` (did you mean "#${hint}"?)` : ''}`,
+        position
+      );
+    }
+    if (!path) {
+      throw templateError(`{{#${name}}} needs a value`, position);
+    }
+    const block = { kind: 'open', name, ...parseArgument(path, position), ...position };
+    for (const option of rest) {
+      const limit = name === 'each' && option.match(/^limit=(\d+)$/);
+      if (!limit) {
+        throw templateError(`unexpected "${option}" in {{#${name}}}`, position);
+      }
+      block.limit = Number(limit[1]);
+    }
+    if (!block.path) {
+      throw templateError(`{{#${name}}} needs a name, not a literal`, position);
+    }
+    return block;
+  }
+  if (words.length === 0) {
+    throw templateError('empty tag', position);
+  }
+
+  if (words.length > 1 || HELPERS[words[0]]) {
+    const [helper, ...args] = words;
+    if (!HELPERS[helper]) {
+      const hint = suggestClosest(helper, Object.keys(HELPERS));
+      throw templateError(
+        `unknown helper "${helper}"${hint ? ` (did you mean "${hint}"?)` : ''}`,
+        position
+      );
+    }
+    if (args.length !== HELPERS[helper].arity) {
+      throw templateError(
+        `${helper} takes ${HELPERS[helper].arity} argument(s), got ${args.length}`,
+        position
+      );
+    }
+    return {
+      kind: 'value',
+      helper,
+      args: args.map(arg => parseArgument(arg, position)),
+      ...position
+    };
+  }
+  const value = parseArgument(words[0], position);
+  if (!value.path) {
+    throw templateError(`expected a name, got ${words[0]}`, position);
+  }
+  return { kind: 'value', ...value, ...position };
+}
+
+/**
+ * Remove the lines of tags that stand alone on them
+ * @param {Array<Object>} tokens - Tokens, with tags already parsed
+ * @returns {void}
+ */
+function stripStandaloneLines(tokens) {
+  const last = tokens.length - 1;
+  const standalone = tokens.map((token, index) => {
+    if (token.type !== 'tag' || !STANDALONE_KINDS.includes(token.tag.kind)) {
+      return false;
+    }
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    const before = previous ? previous.type === 'text' && previous.value : '';
+    const after = next ? next.type === 'text' && next.value : '';
+    if (before === false || after === false) {
+      return false;
+    }
+
+    const lineStart = /\n[ \t]*$/.test(before) || (index <= 1 && /^[ \t]*$/.test(before));
+    const lineEnd = /^[ \t]*\r?\n/.test(after) || (index >= last - 1 && /^[ \t]*$/.test(after));
+    return lineStart && lineEnd;
+  });
+
+  tokens.forEach((token, index) => {
+    if (!standalone[index]) {
+      return;
+    }
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    if (previous) {
+      token.tag.indent = previous.value.match(/[ \t]*$/)[0];
+      previous.value = previous.value.replace(/[ \t]*$/, '');
+    }
+    if (next) {
+      next.value = next.value.replace(/^[ \t]*\r?\n?/, '');
+    }
+  });
+}
+
+/**
+ * Parse a template into a tree of text, value, block and partial nodes
+ *
+ * @param {string} source - Template source
+ * @returns {Array<Object>} Nodes
+ * @throws {FrameworkError} GUVNR-CONFIG-314 on a syntax error, with its line and column
+ */
+export function parseTemplate(source) {
+  if (parseCache.has(source)) {
+    return parseCache.get(source);
+  }
+
+  const tokens = tokenize(String(source));
+  for (const token of tokens) {
+    if (token.type === 'tag') {
+      token.tag = parseTag(token);
+    }
+  }
+  stripStandaloneLines(tokens);
+
+  const root = { body: [] };
+  const stack = [{ node: root, target: root.body }];
+  for (const token of tokens) {
+    const frame = stack.at(-1);
+    if (token.type === 'text') {
+      if (token.value) {
+        frame.target.push({ type: 'text', value: token.value });
+      }
+      continue;
+    }
+
+    const { tag } = token;
+    switch (tag.kind) {
+      case 'comment':
+        break;
+      case 'value':
+        frame.target.push({ type: 'value', ...tag });
+        break;
+      case 'partial':
+        frame.target.push({ type: 'partial', ...tag });
+        break;
+      case 'open': {
+        const node = { type: 'block', ...tag, body: [], inverse: null };
+        frame.target.push(node);
+        stack.push({ node, target: node.body });
+        break;
+      }
+      case 'else':
+        if (stack.length === 1) {
+          throw templateError('{{else}} outside a block', tag);
+        }
+        if (frame.node.inverse) {
+          throw templateError(`second {{else}} in {{#${frame.node.name}}}`, tag);
+        }
+        frame.node.inverse = [];
+        frame.target = frame.node.inverse;
+        break;
+      default:
+        if (stack.length === 1) {
+          throw templateError(`{{/${tag.name}}} closes nothing`, tag);
+        }
+        if (tag.name !== frame.node.name) {
+          throw templateError(
+            `{{/${tag.name}}} closes {{#${frame.node.name}}} opened at ${frame.node.line}:${frame.node.column}`,
+            tag
+          );
+        }
+        stack.pop();
+    }
+  }
+
+  if (stack.length > 1) {
+    const { node } = stack.at(-1);
+    throw templateError(`{{#${node.name}}} is never closed with {{/${node.name}}}`, node);
+  }
+
+  if (parseCache.size >= 100) {
+    parseCache.clear();
+  }
+  parseCache.set(source, root.body);
+  return root.body;
+}
+
+/**
+ * Whether a value counts as true in {{#if}}, {{#unless}} and {{#each}}
+ * @param {*} value - Resolved value
+ * @returns {boolean} False for empty lists and strings, null, undefined, false and 0
+ */
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Look a path up in the scopes, innermost first
+ * @param {string} path - `name.key`, `this`, `this.key` or `@index`
+ * @param {Array<{value: *, loop?: Object}>} scopes - Scopes, outermost first
+ * @returns {*} Value, or undefined
+ */
+function lookup(path, scopes) {
+  if (path.startsWith('@')) {
+    return scopes.findLast(scope => scope.loop)?.loop[path.slice(1)];
+  }
+
+  const [first, ...rest] = path.split('.');
+  let value;
+  if (first === 'this') {
+    ({ value } = scopes.at(-1));
+  } else {
+    const scope = scopes.findLast(
+      candidate =>
+        candidate.value !== null && typeof candidate.value === 'object' && first in candidate.value
+    );
+    value = scope?.value[first];
+  }
+  for (const key of rest) {
+    value = value !== null && typeof value === 'object' ? value[key] : undefined;
+  }
+  return value;
+}
+
+/**
+ * Text for a value tag
+ * @param {*} value - Resolved value
+ * @returns {string} Text (lists joined with ", ")
+ */
+function stringify(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(stringify).join(', ');
+  }
+  return typeof value === 'object' ? '' : String(value);
+}
+
+/**
+ * Indent every non-empty line
+ * @param {string} text - Rendered partial
+ * @param {string} indent - Whitespace its tag was indented by
+ * @returns {string} Indented text
+ */
+function indentLines(text, indent) {
+  return indent ? text.replace(/^(?=.)/gm, indent) : text;
+}
+
+/**
+ * Render nodes in a scope
+ * @param {Array<Object>} nodes - Parsed nodes
+ * @param {Array<Object>} scopes - Scopes, outermost first
+ * @param {Object} options - Render options (partials, and the partials being rendered)
+ * @returns {string} Output
+ */
+function renderNodes(nodes, scopes, options) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'value': {
+        const args = node.helper
+          ? node.args.map(arg => ('path' in arg ? lookup(arg.path, scopes) : arg.literal))
+          : null;
+        output += stringify(
+          node.helper ? HELPERS[node.helper].call(...args) : lookup(node.path, scopes)
+        );
+        break;
+      }
+      case 'partial': {
+        const source = options.partials?.(node.name);
+        if (source === null || source === undefined) {
+          throw templateError(`unknown partial "${node.name}"`, node);
+        }
+        if (
+          options.including.length >= MAX_PARTIAL_DEPTH ||
+          options.including.includes(node.name)
+        ) {
+          throw templateError(`partial "${node.name}" includes itself`, node);
+        }
+        let rendered;
+        try {
+          rendered = renderNodes(parseTemplate(source), scopes, {
+            ...options,
+            including: [...options.including, node.name]
+          });
+        } catch (error) {
+          // Errors are located in the innermost partial they occur in
+          if (error.code === 'GUVNR-CONFIG-314' && !error.context.template) {
+            error.context.template = node.name;
+          }
+          throw error;
+        }
+        output += indentLines(rendered, node.indent);
+        break;
+      }
+      default:
+        output += renderBlock(node, scopes, options);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render an if, unless or each block
+ * @param {Object} node - Block node
+ * @param {Array<Object>} scopes - Scopes, outermost first
+ * @param {Object} options - Render options
+ * @returns {string} Output
+ */
+function renderBlock(node, scopes, options) {
+  const value = lookup(node.path, scopes);
+  const inverse = () => (node.inverse ? renderNodes(node.inverse, scopes, options) : '');
+
+  if (node.name !== 'each') {
+    return truthy(value) === (node.name === 'if')
+      ? renderNodes(node.body, scopes, options)
+      : inverse();
+  }
+
+  const items = Array.isArray(value) ? value.slice(0, node.limit ?? value.length) : [];
+  if (items.length === 0) {
+    return inverse();
+  }
+  return items
+    .map((item, index) =>
+      renderNodes(
+        node.body,
+        [
+          ...scopes,
+          {
+            value: item,
+            loop: {
+              index,
+              number: index + 1,
+              first: index === 0,
+              last: index === items.length - 1
+            }
+          }
+        ],
+        options
+      )
+    )
+    .join('');
+}
+
+/**
+ * Render a template
+ *
+ * @param {string} source - Template source
+ * @param {Object} data - Values the template refers to
+ * @param {Object} [options={}] - Render options
+ * @param {(name: string) => string|null} [options.partials] - Source of a partial, or null if there is none
+ * @returns {string} Rendered text
+ * @throws {FrameworkError} GUVNR-CONFIG-314 on a syntax error or a missing partial
+ */
+export function renderTemplate(source, data, options = {}) {
+  return renderNodes(parseTemplate(source), [{ value: data }], { ...options, including: [] });
+}
+
+/**
+ * Describe what a path refers to in a variables description
+ * @param {string} path - Path as written
+ * @param {Array<Object>} scopes - Description scopes, outermost first
+ * @returns {{found: boolean, shape?: *, missing?: number, candidates?: string[]}} Its shape, or
+ *   the index of the first undefined segment and the names defined there
+ */
+function describePath(path, scopes) {
+  const [first, ...rest] = path.split('.');
+  let shape;
+  if (first === 'this') {
+    ({ shape } = scopes.at(-1));
+  } else {
+    const scope = scopes.findLast(
+      candidate => isRecord(candidate.shape) && keyOf(candidate.shape, first)
+    );
+    if (!scope) {
+      const candidates = scopes.flatMap(candidate =>
+        isRecord(candidate.shape) ? Object.keys(candidate.shape).filter(key => key !== '*') : []
+      );
+      return { found: false, missing: 0, candidates };
+    }
+    shape = scope.shape[keyOf(scope.shape, first)];
+  }
+
+  for (const [index, key] of rest.entries()) {
+    if (!isRecord(shape) || !keyOf(shape, key)) {
+      return {
+        found: false,
+        missing: index + 1,
+        candidates: isRecord(shape) ? Object.keys(shape) : []
+      };
+    }
+    shape = shape[keyOf(shape, key)];
+  }
+  return { found: true, shape };
+}
+
+function isRecord(shape) {
+  return shape !== null && typeof shape === 'object' && !Array.isArray(shape);
+}
+
+function keyOf(shape, key) {
+  if (Object.hasOwn(shape, key)) {
+    return key;
+  }
+  return Object.hasOwn(shape, '*') ? '*' : null;
+}
+
+/**
+ * Check a path against the variables description, collecting problems
+ * @returns {*} Shape of the path, or undefined when it is unknown
+ */
+function checkPath(path, node, scopes, problems) {
+  if (path.startsWith('@')) {
+    if (!LOOP_VARIABLES.includes(path)) {
+      problems.push({ ...at(node), message: `unknown loop variable "${path}"` });
+    } else if (!scopes.some(scope => scope.loop)) {
+      problems.push({ ...at(node), message: `"${path}" is only defined inside {{#each}}` });
+    }
+    return undefined;
+  }
+
+  const { found, shape, missing, candidates } = describePath(path, scopes);
+  if (!found) {
+    const segments = path.split('.');
+    const closest = suggestClosest(segments[missing], candidates);
+    const hint = closest && [...segments.slice(0, missing), closest].join('.');
+    problems.push({
+      ...at(node),
+      message: `unknown variable "${path}"${hint ? ` (did you mean "${hint}"?)` : ''}`
+    });
+  }
+  return shape;
+}
+
+function at(node) {
+  return {
+    line: node.line,
+    column: node.column,
+    ...(node.template && { template: node.template })
+  };
+}
+
+/**
+ * Walk nodes, checking every variable and partial they use
+ */
+function checkNodes(nodes, scopes, options, problems) {
+  for (const node of nodes) {
+    const located = options.template ? { ...node, template: options.template } : node;
+    switch (node.type) {
+      case 'text':
+        break;
+      case 'value':
+        for (const arg of node.helper ? node.args : [node]) {
+          if ('path' in arg) {
+            checkPath(arg.path, located, scopes, problems);
+          }
+        }
+        break;
+      case 'partial':
+        checkPartial(node, located, scopes, options, problems);
+        break;
+      default: {
+        const shape = checkPath(node.path, located, scopes, problems);
+        if (node.name === 'each') {
+          if (shape !== undefined && !Array.isArray(shape)) {
+            problems.push({ ...at(located), message: `"${node.path}" is not a list` });
+          }
+          const item = Array.isArray(shape) ? shape[0] : undefined;
+          checkNodes(node.body, [...scopes, { shape: item, loop: true }], options, problems);
+        } else {
+          checkNodes(node.body, scopes, options, problems);
+        }
+        checkNodes(node.inverse || [], scopes, options, problems);
+      }
+    }
+  }
+}
+
+function checkPartial(node, located, scopes, options, problems) {
+  const source = options.partials?.(node.name);
+  if (source === null || source === undefined) {
+    problems.push({ ...at(located), message: `unknown partial "${node.name}"` });
+    return;
+  }
+  if (options.including.includes(node.name) || options.including.length >= MAX_PARTIAL_DEPTH) {
+    problems.push({ ...at(located), message: `partial "${node.name}" includes itself` });
+    return;
+  }
+
+  const partialOptions = {
+    ...options,
+    template: node.name,
+    including: [...options.including, node.name]
+  };
+  try {
+    checkNodes(parseTemplate(source), scopes, partialOptions, problems);
+  } catch (error) {
+    problems.push({ ...syntaxProblem(error), template: node.name });
+  }
+}
+
+function syntaxProblem(error) {
+  if (error.code !== 'GUVNR-CONFIG-314') {
+    throw error;
+  }
+  const { line, column, reason } = error.context;
+  return { line, column, message: reason };
+}
+
+/**
+ * Check a template for syntax errors, unknown variables and missing partials
+ *
+ * `variables` describes the data a template is rendered with: an object maps
+ * names to their descriptions (a `*` key allows any name), a one-element
+ * array is a list of items described by that element, and any other value
+ * is a plain value.
+ *
+ * @param {string} source - Template source
+ * @param {Object} variables - Description of the data
+ * @param {Object} [options={}] - Check options
+ * @param {(name: string) => string|null} [options.partials] - Source of a partial, or null if there is none
+ * @returns {Array<{line: number, column: number, message: string, template?: string}>}
+ *   Problems in document order; `template` names the partial a problem is in
+ */
+export function checkTemplate(source, variables, options = {}) {
+  const problems = [];
+  try {
+    checkNodes(
+      parseTemplate(source),
+      [{ shape: variables }],
+      { ...options, including: [] },
+      problems
+    );
+  } catch (error) {
+    problems.push(syntaxProblem(error));
+  }
+  return problems;
+}
+
+export default {
+  parseTemplate,
+  renderTemplate,
+  checkTemplate
+};
@@ -0,0 +1,305 @@
+/**
+ * Transactional writes
+ *
+ * `guvnr generate` renders every output before it touches the project, then
+ * writes them in one transaction: each file goes to a temporary file next to
+ * it and is renamed into place, so a reader never sees half a file, and if
+ * any write fails the files already written are put back the way they were.
+ *
+ * A lock file under `.guvnr/` keeps two runs (an editor task, a git hook and
+ * a manual run) from interleaving their writes. A lock left behind by a
+ * process that no longer exists is taken over.
+ *
+ * @example
+ * const release = acquireLock(cwd, 'generate');
+ * try {
+ *   const transaction = createTransaction(cwd);
+ *   transaction.stage('AGENTS.md', content);
+ *   transaction.commit();
+ * } finally {
+ *   release();
+ * }
+ */
+
+import {
+  chmodSync,
+  closeSync,
+  existsSync,
+  mkdirSync,
+  openSync,
+  readFileSync,
+  renameSync,
+  rmdirSync,
+  statSync,
+  unlinkSync,
+  writeFileSync
+} from 'fs';
+import { randomBytes } from 'crypto';
+import { hostname } from 'os';
+import { basename, dirname, join } from 'path';
+import { createError } from '../errors.js';
+
+/**
+ * Lock file location, relative to the project root
+ * @constant {string}
+ */
+export const LOCK_PATH = '.guvnr/lock';
+
+/**
+ * Write a file so that it is either fully replaced or left untouched.
+ * The content goes to a temporary file in the same directory, which is then
+ * renamed over the target; an existing file keeps its permissions.
+ *
+ * @param {string} filePath - Absolute path of the file
+ * @param {string} content - Content to write
+ * @returns {void}
+ * @throws {Error} The underlying filesystem error; the temporary file is removed
+ */
+export function writeFileAtomic(filePath, content) {
+  mkdirSync(dirname(filePath), { recursive: true });
+  const tempPath = join(
+    dirname(filePath),
+    `.${basename(filePath)}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`
+  );
+
+  try {
+    writeFileSync(tempPath, content);
+    if (existsSync(filePath)) {
+      chmodSync(tempPath, statSync(filePath).mode & 0o7777);
+    }
+    renameSync(tempPath, filePath);
+  } catch (error) {
+    try {
+      unlinkSync(tempPath);
+    } catch {
+      // Never created, or already renamed
+    }
+    throw error;
+  }
+}
+
+/**
+ * Whether a lock was left behind by a process that has exited
+ * @param {{pid?: number, hostname?: string}} holder - Lock file contents
+ * @returns {boolean} True only when the holder ran on this machine and is gone
+ */
+function isStale(holder) {
+  if (!Number.isInteger(holder.pid) || holder.hostname !== hostname()) {
+    return false;
+  }
+  try {
+    process.kill(holder.pid, 0);
+    return false;
+  } catch (error) {
+    return error.code === 'ESRCH';
+  }
+}
+
+/**
+ * Take the project's write lock
+ *
+ * @param {string} cwd - Project root
+ * @param {string} command - Command taking the lock, shown to a run that finds it held
+ * @returns {() => void} Releases the lock; safe to call more than once
+ * @throws {FrameworkError} GUVNR-FS-406 if another running guvnr holds the lock
+ */
+export function acquireLock(cwd, command) {
+  const lockPath = join(cwd, LOCK_PATH);
+  const createdDirs = missingDirs(lockPath);
+  mkdirSync(dirname(lockPath), { recursive: true });
+  const holder = {
+    pid: process.pid,
+    hostname: hostname(),
+    command,
+    startedAt: new Date().toISOString()
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const fd = openSync(lockPath, 'wx');
+      try {
+        writeFileSync(fd, `${JSON.stringify(holder, null, 2)}\n`);
+      } finally {
+        closeSync(fd);
+      }
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      let current = {};
+      try {
+        current = JSON.parse(readFileSync(lockPath, 'utf-8'));
+      } catch {
+        // Unreadable: treat it as held rather than guess
+      }
+      if (attempt === 0 && isStale(current)) {
+        unlinkSync(lockPath);
+        continue;
+      }
+
+      const name = current.command ? `guvnr ${current.command}` : 'guvnr';
+      const by = current.pid
+        ? `${name} (pid ${current.pid} on ${current.hostname})`
+        : 'another guvnr run';
+      const since = current.startedAt ? ` since ${current.startedAt}` : '';
+      throw createError('GUVNR-FS-406', `${LOCK_PATH} is held by ${by}${since}`, {
+        context: { path: LOCK_PATH, holder: current },
+        suggestion: `Wait for it to finish; if no guvnr is running, delete ${LOCK_PATH}`
+      });
+    }
+  }
+
+  let released = false;
+  return () => {
+    if (released) {
+      return;
+    }
+    released = true;
+    try {
+      unlinkSync(lockPath);
+    } catch {
+      // Already gone
+    }
+    removeEmptyDirs(createdDirs);
+  };
+}
+
+/**
+ * Directories that writing a file would create, deepest first
+ * @param {string} filePath - Absolute path of the file
+ * @returns {string[]} Missing ancestor directories
+ */
+function missingDirs(filePath) {
+  const dirs = [];
+  for (let dir = dirname(filePath); !existsSync(dir); dir = dirname(dir)) {
+    dirs.push(dir);
+  }
+  return dirs;
+}
+
+/**
+ * Start a set of writes that succeed or fail together
+ *
+ * Files are staged in memory and written by commit(). If a write fails,
+ * every file already written gets its previous content back (or is removed
+ * if it did not exist), directories the commit created are removed again,
+ * and GUVNR-FS-407 is thrown.
+ *
+ * With a journal (see utils/history.js), each file's previous state is
+ * recorded just before it is written, so the run can be undone later.
+ *
+ * @param {string} cwd - Project root
+ * @param {Object} [options={}] - Transaction options
+ * @param {Object} [options.journal] - Journal to record previous versions in
+ * @returns {{
+ *   stage: (relativePath: string, content: string) => void,
+ *   read: (relativePath: string) => string|null,
+ *   paths: () => string[],
+ *   commit: () => Array<{path: string, previous: string|null}>
+ * }} Transaction; read() sees staged content before the file on disk, and
+ *   commit() returns each written path with the content it replaced (null if new).
+ *   Files whose content would not change are left alone.
+ */
+export function createTransaction(cwd, { journal } = {}) {
+  const staged = new Map();
+
+  const read = relativePath => {
+    if (staged.has(relativePath)) {
+      return staged.get(relativePath);
+    }
+    const filePath = join(cwd, relativePath);
+    return existsSync(filePath) ? readFileSync(filePath, 'utf-8') : null;
+  };
+
+  const commit = () => {
+    const written = [];
+    const createdDirs = [];
+
+    for (const [relativePath, content] of staged) {
+      const filePath = join(cwd, relativePath);
+      try {
+        const previous = existsSync(filePath) ? readFileSync(filePath) : null;
+        if (previous?.equals(Buffer.from(content))) {
+          // Unchanged: not rewritten, so not journaled either
+          continue;
+        }
+        createdDirs.push(...missingDirs(filePath));
+        journal?.record(relativePath);
+        writeFileAtomic(filePath, content);
+        written.push({ path: relativePath, previous });
+      } catch (error) {
+        const unrestored = rollback(cwd, written, createdDirs);
+        const restored = written.length - unrestored.length;
+        const outcome =
+          unrestored.length > 0
+            ? `${unrestored.length} file(s) could not be restored: ${unrestored.join(', ')}`
+            : `${restored} file(s) already written were restored`;
+        throw createError(
+          'GUVNR-FS-407',
+          `Could not write ${relativePath}: ${error.message}; ${outcome}`,
+          {
+            cause: error,
+            context: { path: relativePath, restored, unrestored }
+          }
+        );
+      }
+    }
+
+    staged.clear();
+    return written.map(({ path, previous }) => ({
+      path,
+      previous: previous === null ? null : previous.toString('utf-8')
+    }));
+  };
+
+  return {
+    stage: (relativePath, content) => {
+      staged.set(relativePath, content);
+    },
+    read,
+    paths: () => [...staged.keys()],
+    commit
+  };
+}
+
+/**
+ * Undo a partial commit
+ * @param {string} cwd - Project root
+ * @param {Array<{path: string, previous: Buffer|null}>} written - Files written so far
+ * @param {string[]} createdDirs - Directories the commit created
+ * @returns {string[]} Paths that could not be restored
+ */
+function rollback(cwd, written, createdDirs) {
+  const unrestored = [];
+  for (const { path, previous } of [...written].reverse()) {
+    try {
+      if (previous === null) {
+        unlinkSync(join(cwd, path));
+      } else {
+        writeFileAtomic(join(cwd, path), previous);
+      }
+    } catch {
+      unrestored.push(path);
+    }
+  }
+
+  removeEmptyDirs(createdDirs);
+  return unrestored;
+}
+
+/**
+ * Remove directories that are empty, deepest first
+ * @param {string[]} dirs - Absolute directory paths
+ * @returns {void}
+ */
+function removeEmptyDirs(dirs) {
+  for (const dir of [...dirs].sort((a, b) => b.length - a.length)) {
+    try {
+      rmdirSync(dir);
+    } catch {
+      // Not empty, or already removed
+    }
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Monorepo workspaces
+ *
+ * Finds the package directories of a monorepo so `guvnr generate --recursive`
+ * can layer each package's own guvnr.yaml over the root one. Workspaces come
+ * from, in order: `workspaces` in the root guvnr.yaml, pnpm-workspace.yaml,
+ * or the `workspaces` field of package.json (npm, Yarn and Bun).
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import yaml from 'js-yaml';
+
+/**
+ * Directories never treated as workspace packages
+ */
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git', '.guvnr']);
+
+/**
+ * Names of a package-level config, in priority order
+ */
+export const PACKAGE_CONFIG_FILES = ['guvnr.yaml', 'guvnr.yml'];
+
+/**
+ * List the subdirectories of a directory that may hold packages
+ * @param {string} dir - Absolute directory path
+ * @returns {string[]} Directory names, sorted
+ */
+function listDirectories(dir) {
+  if (!existsSync(dir)) {
+    return [];
+  }
+  return readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !IGNORED_DIRECTORIES.has(entry.name))
+    .map(entry => entry.name)
+    .sort();
+}
+
+/**
+ * Convert one glob path segment (`*`, `?`, `pkg-*`) to a regular expression
+ * @param {string} segment - Glob segment without slashes
+ * @returns {RegExp} Anchored expression
+ */
+function segmentToRegExp(segment) {
+  const source = segment
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Find the directories matching a workspace glob
+ *
+ * @param {string} root - Repository root
+ * @param {string[]} segments - Remaining glob segments
+ * @param {string} [base=''] - Directory matched so far, relative to root
+ * @returns {string[]} Matching directories relative to root (POSIX separators)
+ */
+function matchDirectories(root, segments, base = '') {
+  if (segments.length === 0) {
+    return base ? [base] : [];
+  }
+
+  const [segment, ...rest] = segments;
+  const child = name => (base ? `${base}/${name}` : name);
+
+  if (segment === '**') {
+    // Zero or more directory levels
+    return [
+      ...matchDirectories(root, rest, base),
+      ...listDirectories(join(root, base)).flatMap(name =>
+        matchDirectories(root, segments, child(name))
+      )
+    ];
+  }
+
+  if (!/[*?]/.test(segment)) {
+    const exists = listDirectories(join(root, base)).includes(segment);
+    return exists ? matchDirectories(root, rest, child(segment)) : [];
+  }
+
+  const pattern = segmentToRegExp(segment);
+  return listDirectories(join(root, base))
+    .filter(name => pattern.test(name))
+    .flatMap(name => matchDirectories(root, rest, child(name)));
+}
+
+/**
+ * Expand workspace globs into package directories.
+ * Patterns starting with `!` exclude directories, as in pnpm-workspace.yaml.
+ * Patterns that reach outside the root (`..`) are ignored.
+ *
+ * @param {string} root - Repository root
+ * @param {string[]} patterns - Workspace globs (e.g. `packages/*`, `apps/**`)
+ * @returns {string[]} Package directories relative to root, sorted
+ */
+export function expandWorkspacePatterns(root, patterns) {
+  const included = new Set();
+  const excluded = new Set();
+
+  for (const raw of patterns) {
+    const negated = raw.startsWith('!');
+    const segments = raw
+      .slice(negated ? 1 : 0)
+      .replace(/\\/g, '/')
+      .split('/')
+      .filter(segment => segment && segment !== '.');
+
+    if (segments.length === 0 || segments.includes('..')) {
+      continue;
+    }
+
+    for (const dir of matchDirectories(root, segments)) {
+      (negated ? excluded : included).add(dir);
+    }
+  }
+
+  return [...included].filter(dir => !excluded.has(dir)).sort();
+}
+
+/**
+ * Read the workspace globs a repository declares
+ *
+ * @param {string} root - Repository root
+ * @param {Object} [rootConfig={}] - Parsed root guvnr.yaml
+ * @returns {{from: string|null, patterns: string[]}} Where the globs came from, and the globs
+ */
+export function readWorkspacePatterns(root, rootConfig = {}) {
+  if (Array.isArray(rootConfig?.workspaces)) {
+    return { from: 'guvnr.yaml', patterns: rootConfig.workspaces };
+  }
+
+  const pnpmPath = join(root, 'pnpm-workspace.yaml');
+  if (existsSync(pnpmPath)) {
+    const pnpm = yaml.load(readFileSync(pnpmPath, 'utf-8'));
+    if (Array.isArray(pnpm?.packages)) {
+      return { from: 'pnpm-workspace.yaml', patterns: pnpm.packages };
+    }
+  }
+
+  const packageJsonPath = join(root, 'package.json');
+  if (existsSync(packageJsonPath)) {
+    const { workspaces } = JSON.parse(readFileSync(packageJsonPath, 'utf-8'));
+    // Yarn also accepts { packages: [...], nohoist: [...] }
+    const patterns = Array.isArray(workspaces) ? workspaces : workspaces?.packages;
+    if (Array.isArray(patterns)) {
+      return { from: 'package.json', patterns };
+    }
+  }
+
+  return { from: null, patterns: [] };
+}
+
+/**
+ * Find workspace packages that have their own guvnr.yaml
+ *
+ * @param {string} root - Repository root
+ * @param {Object} [rootConfig={}] - Parsed root guvnr.yaml
+ * @returns {{from: string|null, packages: Array<{dir: string, configPath: string}>}}
+ *   Where the workspace list came from, and each package directory with the
+ *   path of its guvnr.yaml (both relative to root)
+ */
+export function findPackageConfigs(root, rootConfig = {}) {
+  const { from, patterns } = readWorkspacePatterns(root, rootConfig);
+  const packages = [];
+
+  for (const dir of expandWorkspacePatterns(root, patterns)) {
+    const fileName = PACKAGE_CONFIG_FILES.find(name => existsSync(join(root, dir, name)));
+    if (fileName) {
+      packages.push({ dir, configPath: `${dir}/${fileName}` });
+    }
+  }
+
+  return { from, packages };
+}
+
+export default {
+  PACKAGE_CONFIG_FILES,
+  expandWorkspacePatterns,
+  readWorkspacePatterns,
+  findPackageConfigs
+};
@@ -0,0 +1,196 @@
+/**
+ * Tests for project analysis and the detected values guvnr init writes
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import yaml from 'js-yaml';
+import { analyzeProject, cleanVersion } from '../src/utils/analyze.js';
+import { initCommand } from '../src/commands/init.js';
+import { validateGuvnrSource } from '../src/utils/config.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-analyze-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+function writeFiles(files) {
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(testDir, path)), { recursive: true });
+    writeFileSync(join(testDir, path), content);
+  }
+}
+
+async function runQuietly(fn) {
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+  const output = [];
+
+  try {
+    process.chdir(testDir);
+    console.log = (...args) => output.push(args.join(' '));
+    await fn();
+    return output.join('\n');
+  } finally {
+    process.chdir(originalCwd);
+    console.log = originalLog;
+  }
+}
+
+const NEXT_APP = {
+  'package.json': JSON.stringify({
+    packageManager: 'pnpm@9.1.0',
+    dependencies: { next: '14.2.3', react: '^18.3.1', lodash: '^4.17.21' },
+    devDependencies: { typescript: '~5.4.5', vitest: '^1.6.0', '@acme/ui': 'workspace:*' }
+  }),
+  'tsconfig.json': '{}',
+  '.github/workflows/ci.yml':
+    'jobs:\n  test:\n    steps:\n      - uses: actions/setup-node@v4\n        with:\n          node-version: "20.11"\n',
+  '.editorconfig':
+    'root = true\n\n[*]\nindent_style = space\nindent_size = 4\nend_of_line = lf\n\n[*.md]\nmax_line_length = off\n',
+  '.prettierrc': '{ "singleQuote": true, "semi": false, "tabWidth": 2, "printWidth": 100 }\n',
+  'eslint.config.js': "export default [{ rules: { eqeqeq: 'error', 'no-var': ['error'] } }];\n"
+};
+
+describe('cleanVersion', () => {
+  test('keeps the version a spec names', () => {
+    assert.strictEqual(cleanVersion('^5.4.2'), '5.4.2');
+    assert.strictEqual(cleanVersion('>=3.11,<4'), '3.11');
+    assert.strictEqual(cleanVersion('v20.11.0\n'), '20.11.0');
+    assert.strictEqual(cleanVersion('workspace:*'), undefined);
+    assert.strictEqual(cleanVersion(undefined), undefined);
+  });
+});
+
+describe('analyzeProject', () => {
+  test('reads a TypeScript project with versions from package.json and CI', () => {
+    writeFiles(NEXT_APP);
+
+    assert.deepStrictEqual(analyzeProject(testDir).techStack, {
+      languages: [{ name: 'TypeScript', version: '5.4.5' }],
+      frameworks: [
+        { name: 'Next.js', version: '14.2.3' },
+        { name: 'React', version: '18.3.1' }
+      ],
+      runtime: { name: 'Node.js', version: '20.11' },
+      package_manager: 'pnpm',
+      test_framework: 'Vitest'
+    });
+  });
+
+  test('proposes style conventions, Prettier overriding .editorconfig', () => {
+    writeFiles(NEXT_APP);
+
+    assert.deepStrictEqual(analyzeProject(testDir).style, [
+      'Indent with 2 spaces',
+      'Use LF line endings',
+      'Format code with Prettier',
+      'Use single quotes',
+      'Omit semicolons',
+      'Keep lines under 100 characters',
+      'Code must pass ESLint',
+      'Use === and !== instead of == and !=',
+      'Never use var'
+    ]);
+  });
+
+  test('takes the Node.js version from .nvmrc, then Dockerfiles, then engines', () => {
+    writeFiles({
+      'package.json': JSON.stringify({
+        engines: { node: '>=18' },
+        scripts: { test: 'node --test' }
+      }),
+      Dockerfile: 'FROM node:22-alpine\n'
+    });
+    const { techStack } = analyzeProject(testDir);
+    assert.deepStrictEqual(techStack.runtime, { name: 'Node.js', version: '22' });
+    assert.strictEqual(techStack.test_framework, 'node:test');
+    assert.deepStrictEqual(techStack.languages, [{ name: 'JavaScript' }]);
+
+    writeFiles({ '.nvmrc': 'v20.12.1\n' });
+    assert.strictEqual(analyzeProject(testDir).techStack.runtime.version, '20.12.1');
+  });
+
+  test('reads Python, Go, Rust and Ruby manifests', () => {
+    writeFiles({
+      'python/pyproject.toml':
+        '[project]\nrequires-python = ">=3.12"\ndependencies = ["fastapi[standard]>=0.111", "uvicorn"]\n\n[tool.pytest.ini_options]\n\n[tool.ruff]\nline-length = 88\n',
+      'python/uv.lock': '',
+      'go/go.mod':
+        'module example.com/api\n\ngo 1.22\n\nrequire (\n\tgithub.com/gin-gonic/gin v1.10.0\n)\n',
+      'rust/Cargo.toml':
+        '[package]\nname = "api"\nrust-version = "1.78"\n\n[dependencies]\naxum = { version = "0.7.5", features = ["macros"] }\n',
+      'ruby/Gemfile':
+        'source "https://rubygems.org"\nruby "3.3.1"\n\ngem "rails", "~> 7.1.3"\ngem "rspec-rails"\n'
+    });
+
+    const python = analyzeProject(join(testDir, 'python'));
+    assert.deepStrictEqual(python.techStack, {
+      languages: [{ name: 'Python', version: '3.12' }],
+      frameworks: [{ name: 'FastAPI', version: '0.111' }],
+      package_manager: 'uv',
+      test_framework: 'pytest'
+    });
+    assert.deepStrictEqual(python.style, [
+      'Lint and format Python with Ruff',
+      'Keep lines under 88 characters'
+    ]);
+
+    const go = analyzeProject(join(testDir, 'go')).techStack;
+    assert.deepStrictEqual(go.languages, [{ name: 'Go', version: '1.22' }]);
+    assert.deepStrictEqual(go.frameworks, [{ name: 'Gin', version: '1.10.0' }]);
+
+    const rust = analyzeProject(join(testDir, 'rust')).techStack;
+    assert.deepStrictEqual(rust.frameworks, [{ name: 'Axum', version: '0.7.5' }]);
+    assert.strictEqual(rust.languages[0].version, '1.78');
+
+    const ruby = analyzeProject(join(testDir, 'ruby')).techStack;
+    assert.deepStrictEqual(ruby.frameworks, [{ name: 'Rails', version: '7.1.3' }]);
+    assert.deepStrictEqual([ruby.package_manager, ruby.test_framework], ['bundler', 'RSpec']);
+  });
+
+  test('finds nothing in an empty directory', () => {
+    assert.deepStrictEqual(analyzeProject(testDir), {
+      techStack: { languages: [], frameworks: [] },
+      style: []
+    });
+  });
+});
+
+describe('guvnr init', () => {
+  test('writes the detected tech stack and style into guvnr.yaml', async () => {
+    writeFiles(NEXT_APP);
+    const output = await runQuietly(() => initCommand({ preset: 'minimal', json: true }));
+
+    const source = readFileSync(join(testDir, 'guvnr.yaml'), 'utf-8');
+    assert.strictEqual(validateGuvnrSource(source).valid, true);
+    const config = yaml.load(source);
+    assert.deepStrictEqual(config.tech_stack, analyzeProject(testDir).techStack);
+    assert.deepStrictEqual(config.conventions.style.slice(0, 3), [
+      'Indent with 2 spaces',
+      'Use LF line endings',
+      'Format code with Prettier'
+    ]);
+    assert.strictEqual(JSON.parse(output).detected.techStack.package_manager, 'pnpm');
+  });
+
+  test('writes commented examples when nothing is detected', async () => {
+    await runQuietly(() => initCommand({ preset: 'minimal', yes: true }));
+
+    const source = readFileSync(join(testDir, 'guvnr.yaml'), 'utf-8');
+    assert.match(source, /^# tech_stack:$/m);
+    assert.match(source, /^ {4}- "Use consistent indentation \(2 spaces\)"$/m);
+    assert.strictEqual(yaml.load(source).tech_stack, undefined);
+    assert.strictEqual(validateGuvnrSource(source).valid, true);
+  });
+});
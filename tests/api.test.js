@@ -0,0 +1,199 @@
+/**
+ * Tests for the programmatic API: render, lint, validate and doctor
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, readdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { render, generateCommand } from '../src/commands/generate.js';
+import { lint } from '../src/commands/lint.js';
+import { validate, validateCommand } from '../src/commands/validate.js';
+import { doctor } from '../src/commands/doctor.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-api-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+async function captureLog(fn) {
+  const originalLog = console.log;
+  const lines = [];
+
+  try {
+    console.log = (...args) => lines.push(args.join(' '));
+    await fn();
+  } catch (error) {
+    if (!error.code?.startsWith('GUVNR-')) {
+      throw error;
+    }
+  } finally {
+    console.log = originalLog;
+  }
+  return lines.join('\n');
+}
+
+function aborted() {
+  const controller = new AbortController();
+  controller.abort();
+  return controller.signal;
+}
+
+const CONFIG = {
+  version: '1.0',
+  project: { name: 'demo' },
+  commands: { test: 'npm test' },
+  security: { rules: ['Never commit secrets'] }
+};
+
+describe('render', () => {
+  test('returns file contents by path without writing anything', async () => {
+    const { files, diagnostics } = await render(CONFIG, {
+      cwd: testDir,
+      tools: ['claude', 'cursor']
+    });
+
+    assert.ok(files instanceof Map);
+    assert.deepStrictEqual(
+      [...files.keys()],
+      ['CLAUDE.md', '.cursor/rules/project.mdc', '.cursor/rules/security.mdc', '.cursor/index.mdc']
+    );
+    assert.match(files.get('CLAUDE.md'), /^# demo/);
+    assert.deepStrictEqual(diagnostics, []);
+    assert.deepStrictEqual(readdirSync(testDir), []);
+  });
+
+  test('renders what generate writes', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), 'version: "1.0"\nproject:\n  name: demo\n');
+    await captureLog(() => generateCommand({ targetDir: testDir, tools: 'agents' }));
+
+    const { files } = await render(
+      { version: '1.0', project: { name: 'demo' } },
+      { cwd: testDir, tools: 'agents' }
+    );
+    assert.strictEqual(files.get('AGENTS.md'), readFileSync(join(testDir, 'AGENTS.md'), 'utf-8'));
+  });
+
+  test('reports placeholders and token budgets as diagnostics', async () => {
+    const { files, diagnostics } = await render(
+      {
+        ...CONFIG,
+        context: { known_issues: ['${KNOWN_ISSUE}'] },
+        tools: { claude: { budget: 50 } }
+      },
+      { cwd: testDir, tools: ['claude'] }
+    );
+
+    assert.ok(files.has('CLAUDE.md'));
+    assert.deepStrictEqual(
+      diagnostics.map(({ severity, tool, path }) => `${severity} ${tool} ${path}`),
+      ['error claude CLAUDE.md', 'warning claude CLAUDE.md']
+    );
+    assert.match(diagnostics[0].message, /CLAUDE\.md:\d+:\d+ \$\{KNOWN_ISSUE\}/);
+  });
+
+  test('rejects a config that fails the schema or still extends another', async () => {
+    await assert.rejects(
+      render({ ...CONFIG, extends: './base.yaml', projct: {} }, { cwd: testDir }),
+      error =>
+        error.code === 'GUVNR-VALID-203' &&
+        error.message.includes('projct: unknown property "projct"') &&
+        error.message.includes('extends: is not resolved by render')
+    );
+  });
+
+  test('stops when the signal is aborted', async () => {
+    await assert.rejects(render(CONFIG, { cwd: testDir, signal: aborted() }), {
+      name: 'AbortError'
+    });
+  });
+});
+
+describe('lint', () => {
+  test('returns findings by severity without printing', async () => {
+    writeFileSync(join(testDir, 'CLAUDE.md'), '# demo\n');
+    const output = await captureLog(async () => {
+      const result = await lint(testDir, { only: ['claudeMd'] });
+
+      assert.strictEqual(result.valid, false);
+      assert.ok(result.errors.some(finding => finding.check === 'required-sections'));
+      assert.ok(result.passed.some(finding => finding.check === 'exists'));
+      for (const finding of [...result.errors, ...result.warnings, ...result.info]) {
+        assert.strictEqual(finding.file, 'CLAUDE.md');
+      }
+    });
+    assert.strictEqual(output, '');
+  });
+
+  test('stops when the signal is aborted', async () => {
+    await assert.rejects(lint(testDir, { signal: aborted() }), { name: 'AbortError' });
+  });
+});
+
+describe('validate', () => {
+  test('returns rule summaries and leaves the project alone without fix', async () => {
+    const result = await validate(testDir);
+
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(
+      result.passed.length + result.errors.length + result.warnings.length + result.info.length,
+      result.total
+    );
+    assert.deepStrictEqual(result.errors[0], {
+      id: 'guvnr-yaml-exists',
+      name: 'guvnr.yaml exists',
+      category: 'core',
+      fixable: true
+    });
+    assert.deepStrictEqual(readdirSync(testDir), []);
+  });
+
+  test('keeps the JSON output of guvnr validate --json', async () => {
+    const output = await captureLog(() => validateCommand({ targetDir: testDir, json: true }));
+    const json = JSON.parse(output);
+
+    assert.deepStrictEqual(Object.keys(json), [
+      'valid',
+      'passed',
+      'total',
+      'errors',
+      'warnings',
+      'info',
+      'fixed'
+    ]);
+    assert.strictEqual(typeof json.passed, 'number');
+  });
+
+  test('stops when the signal is aborted', async () => {
+    await assert.rejects(validate(testDir, { signal: aborted() }), { name: 'AbortError' });
+  });
+});
+
+describe('doctor', () => {
+  test('groups check results by category for the given directory', async () => {
+    writeFileSync(join(testDir, '.gitignore'), '.tmp/\n');
+    const result = await doctor(testDir);
+
+    assert.deepStrictEqual(Object.keys(result.checks), [
+      'environment',
+      'tools',
+      'framework',
+      'health'
+    ]);
+    assert.strictEqual(Object.values(result.checks).flat().length, result.total);
+    const gitignore = result.checks.health.find(check => check.id === 'gitignore-tmp');
+    assert.strictEqual(gitignore.passed, true);
+  });
+
+  test('stops when the signal is aborted', async () => {
+    await assert.rejects(doctor(testDir, { signal: aborted() }), { name: 'AbortError' });
+  });
+});
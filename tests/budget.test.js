@@ -0,0 +1,205 @@
+/**
+ * Tests for per-tool token budgets (tools.<id>.budget)
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  DEFAULT_BUDGETS,
+  estimateTokens,
+  resolveBudget,
+  compactSection,
+  fitToBudget,
+  measureSections
+} from '../src/generators/budget.js';
+import { generateCommand } from '../src/commands/generate.js';
+import { getGeneratedStatus } from '../src/commands/status.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-budget-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+async function runGenerate(options) {
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+  const output = [];
+
+  try {
+    process.chdir(testDir);
+    console.log = (...args) => output.push(args.join(' '));
+    await generateCommand(options);
+    return output.join('\n');
+  } finally {
+    process.chdir(originalCwd);
+    console.log = originalLog;
+  }
+}
+
+const rules = (label, count) =>
+  Array.from({ length: count }, (_, i) => `${label} ${i + 1} is spelled out in enough detail`);
+
+/**
+ * Render the way a simple tool would: one file listing every section
+ */
+const renderAll = config => [
+  {
+    path: 'RULES.md',
+    content: [
+      ...(config.security?.rules ?? []),
+      ...Object.values(config.conventions ?? {}).flat(),
+      config.context?.overview ?? '',
+      ...(config.context?.active_work ?? [])
+    ].join('\n')
+  }
+];
+
+describe('resolveBudget', () => {
+  test('prefers tools.<id>.budget over the defaults', () => {
+    assert.strictEqual(resolveBudget('claude', {}), DEFAULT_BUDGETS.claude);
+    assert.strictEqual(resolveBudget('claude', { tools: { claude: { budget: 900 } } }), 900);
+    assert.strictEqual(resolveBudget('acme', { tools: { acme: { budget: 300 } } }), 300);
+    assert.strictEqual(resolveBudget('gemini', {}), null);
+  });
+});
+
+describe('compactSection', () => {
+  test('summarises lists and text, pointing at the linked doc', () => {
+    const config = {
+      conventions: { style: rules('Style', 5) },
+      context: {
+        overview: 'Short intro.\n\nLonger detail.',
+        docs: { overview: 'docs/OVERVIEW.md' }
+      }
+    };
+
+    const conventions = compactSection(config, 'conventions', 'summary');
+    assert.deepStrictEqual(conventions.conventions.style, [
+      ...rules('Style', 3),
+      '...and 2 more (see conventions in guvnr.yaml)'
+    ]);
+    assert.strictEqual(config.conventions.style.length, 5, 'the input is not modified');
+
+    const overview = compactSection(config, 'overview', 'summary');
+    assert.strictEqual(overview.context.overview, 'Short intro.\n\nMore in docs/OVERVIEW.md.');
+    assert.strictEqual(
+      compactSection(config, 'overview', 'reference').context.overview,
+      'See docs/OVERVIEW.md.'
+    );
+  });
+
+  test('never summarises security rules', () => {
+    const config = { security: { rules: rules('Rule', 5) } };
+    assert.deepStrictEqual(compactSection(config, 'security', 'summary'), config);
+    assert.deepStrictEqual(compactSection(config, 'security', 'reference'), config);
+  });
+});
+
+describe('fitToBudget', () => {
+  test('compacts the lowest-priority sections first and stops once files fit', async () => {
+    const config = {
+      security: { rules: rules('Rule', 4) },
+      conventions: { style: rules('Style', 10) },
+      context: { active_work: rules('Task', 10) }
+    };
+    const full = estimateTokens(renderAll(config)[0].content);
+
+    const fitted = await fitToBudget(config, full - 50, renderAll);
+    assert.deepStrictEqual(fitted.compacted, [{ section: 'current_state', level: 'summary' }]);
+    assert.strictEqual(fitted.config.conventions.style.length, 10);
+    assert.strictEqual(fitted.config.security.rules.length, 4);
+
+    const tight = await fitToBudget(config, 1, renderAll);
+    assert.deepStrictEqual(
+      tight.compacted.map(step => `${step.section}:${step.level}`),
+      ['current_state:reference', 'conventions:reference']
+    );
+    assert.deepStrictEqual(tight.config.security.rules, config.security.rules);
+  });
+
+  test('leaves sections that do not shrink an over-budget file alone', async () => {
+    const config = {
+      security: { rules: rules('Rule', 40) },
+      context: { active_work: rules('Task', 10) }
+    };
+    const onlySecurity = cfg => [{ path: 'SECURITY.md', content: cfg.security.rules.join('\n') }];
+
+    const fitted = await fitToBudget(config, 10, onlySecurity);
+    assert.deepStrictEqual(fitted.compacted, []);
+    assert.strictEqual(fitted.config, config);
+  });
+});
+
+describe('measureSections', () => {
+  test('attributes tokens to the sections that produced them', async () => {
+    const config = {
+      security: { rules: ['x'.repeat(400)] },
+      conventions: { style: ['y'.repeat(40)] }
+    };
+    const sections = await measureSections(config, renderAll(config), renderAll);
+    assert.strictEqual(sections.security, 100);
+    assert.strictEqual(sections.conventions, 10);
+    assert.strictEqual(sections.agents, 0);
+  });
+});
+
+describe('guvnr generate with budgets', () => {
+  const bigYaml = `version: "1.0"
+project:
+  name: budget-demo
+context:
+  docs:
+    conventions: docs/CONVENTIONS.md
+conventions:
+  style:
+${rules('Style', 60)
+  .map(rule => `    - ${rule}`)
+  .join('\n')}
+security:
+  rules:
+    - Never commit secrets
+tools:
+  claude:
+    budget: 400
+`;
+
+  test('compacts CLAUDE.md to its budget and reports it', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), bigYaml);
+
+    const output = await runGenerate({ tools: 'claude,agents', report: true });
+    const claudeMd = readFileSync(join(testDir, 'CLAUDE.md'), 'utf-8');
+    assert.ok(estimateTokens(claudeMd) <= 400);
+    assert.match(claudeMd, /\.\.\.and 57 more \(see docs\/CONVENTIONS\.md\)/);
+    assert.match(claudeMd, /Never commit secrets/);
+    assert.match(
+      readFileSync(join(testDir, 'AGENTS.md'), 'utf-8'),
+      /Style 60 /,
+      'agents has no budget'
+    );
+
+    assert.match(output, /claude: compacted conventions \(summary\) to fit 400 tokens/);
+    assert.match(output, /agents: \d+ tokens in the largest file/);
+    assert.match(output, /conventions \d+/);
+
+    // status renders with the same budgets, so nothing looks stale
+    const status = await getGeneratedStatus(testDir);
+    assert.ok(status.files.every(file => file.status === 'clean'));
+  });
+
+  test('warns when a file cannot be compacted enough', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), bigYaml.replace('budget: 400', 'budget: 10'));
+
+    const output = await runGenerate({ tools: 'claude' });
+    assert.match(output, /CLAUDE\.md is still over its 10-token budget/);
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * Tests for extends (shared parent configs) and guvnr config resolved
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import yaml from 'js-yaml';
+import { resolveGuvnrConfig, validateGuvnrSource } from '../src/utils/config.js';
+import { configResolvedCommand } from '../src/commands/config.js';
+import { generateCommand } from '../src/commands/generate.js';
+import { getGeneratedStatus } from '../src/commands/status.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-config-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+function writeFiles(files) {
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(testDir, path)), { recursive: true });
+    writeFileSync(join(testDir, path), content);
+  }
+}
+
+async function runQuietly(fn) {
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+  const output = [];
+
+  try {
+    process.chdir(testDir);
+    console.log = (...args) => output.push(args.join(' '));
+    const result = await fn();
+    return { result, output: output.join('\n') };
+  } finally {
+    process.chdir(originalCwd);
+    console.log = originalLog;
+  }
+}
+
+const BASELINE_YAML = `version: "1.0"
+security:
+  rules:
+    - Never commit secrets
+skills:
+  - name: review
+    description: Baseline review
+agents:
+  - name: auditor
+    role: Security auditor
+`;
+
+describe('resolveGuvnrConfig', () => {
+  test('merges npm and local parents in order, then the file itself', async () => {
+    writeFiles({
+      'node_modules/@acme/guvnr-baseline/guvnr.yaml': BASELINE_YAML,
+      'team.yaml':
+        'conventions:\n  style:\n    - Team style\nskills:\n  - name: deploy\n    description: Team deploy\n',
+      'guvnr.yaml': `extends:
+  - "@acme/guvnr-baseline"
+  - ./team.yaml
+project:
+  name: demo
+security:
+  rules:
+    - Validate input
+skills:
+  - name: review
+    description: Project review
+`
+    });
+
+    const { config, origins, files } = await resolveGuvnrConfig(join(testDir, 'guvnr.yaml'));
+    const baseline = 'node_modules/@acme/guvnr-baseline/guvnr.yaml';
+
+    assert.strictEqual(config.version, '1.0');
+    assert.strictEqual(config.extends, undefined);
+    assert.deepStrictEqual(config.security.rules, ['Validate input'], 'arrays replace by default');
+    assert.deepStrictEqual(
+      config.skills.map(skill => `${skill.name}: ${skill.description}`),
+      ['review: Project review', 'deploy: Team deploy'],
+      'skills are unique by name'
+    );
+    assert.deepStrictEqual(origins.skills, ['guvnr.yaml', 'team.yaml']);
+    assert.deepStrictEqual(origins.agents, [baseline]);
+    assert.strictEqual(origins.version, baseline);
+    assert.strictEqual(origins.conventions.style[0], 'team.yaml');
+    assert.deepStrictEqual(
+      files.map(file => file.path),
+      ['guvnr.yaml', baseline, 'team.yaml']
+    );
+  });
+
+  test('merge: picks append, replace or unique-by-name per array path', async () => {
+    writeFiles({
+      'base.yaml': `${BASELINE_YAML}merge:\n  security.rules: append\n`,
+      'guvnr.yaml': `extends: ./base.yaml
+project:
+  name: demo
+merge:
+  agents: replace
+security:
+  rules:
+    - Never commit secrets
+    - Validate input
+agents:
+  - name: writer
+    role: Docs writer
+`
+    });
+
+    const { config, origins } = await resolveGuvnrConfig(join(testDir, 'guvnr.yaml'));
+    assert.deepStrictEqual(config.security.rules, [
+      'Never commit secrets',
+      'Never commit secrets',
+      'Validate input'
+    ]);
+    assert.deepStrictEqual(origins.security.rules, ['base.yaml', 'guvnr.yaml', 'guvnr.yaml']);
+    assert.deepStrictEqual(
+      config.agents.map(agent => agent.name),
+      ['writer']
+    );
+    assert.strictEqual(config.merge, undefined);
+  });
+
+  test('unique-by-name drops repeated plain values', async () => {
+    writeFiles({
+      'base.yaml': BASELINE_YAML,
+      'guvnr.yaml': `extends: [./base.yaml]
+project:
+  name: demo
+merge:
+  security.rules: unique-by-name
+security:
+  rules:
+    - Never commit secrets
+    - Validate input
+`
+    });
+
+    const { config } = await resolveGuvnrConfig(join(testDir, 'guvnr.yaml'));
+    assert.deepStrictEqual(config.security.rules, ['Never commit secrets', 'Validate input']);
+  });
+
+  test('reads the config a package points to and reports missing parents', async () => {
+    writeFiles({
+      'node_modules/org-rules/package.json': JSON.stringify({ guvnr: 'config/strict.yaml' }),
+      'node_modules/org-rules/config/strict.yaml': BASELINE_YAML,
+      'guvnr.yaml': 'extends: org-rules\nproject:\n  name: demo\n'
+    });
+    const { config } = await resolveGuvnrConfig(join(testDir, 'guvnr.yaml'));
+    assert.strictEqual(config.agents[0].name, 'auditor');
+
+    for (const spec of ['org-missing', './missing.yaml', 'org-rules/other.yaml']) {
+      writeFiles({ 'guvnr.yaml': `extends: ${spec}\nproject:\n  name: demo\n` });
+      await assert.rejects(resolveGuvnrConfig(join(testDir, 'guvnr.yaml')), {
+        code: 'GUVNR-CONFIG-308'
+      });
+    }
+  });
+
+  test('rejects cycles and configs still missing required keys', async () => {
+    writeFiles({
+      'a.yaml': 'extends: ./b.yaml\n',
+      'b.yaml': 'extends: ./a.yaml\n',
+      'guvnr.yaml': 'extends: ./a.yaml\nproject:\n  name: demo\n'
+    });
+    await assert.rejects(resolveGuvnrConfig(join(testDir, 'guvnr.yaml')), error => {
+      assert.strictEqual(error.code, 'GUVNR-CONFIG-309');
+      assert.match(error.message, /a\.yaml -> b\.yaml -> a\.yaml/);
+      return true;
+    });
+
+    writeFiles({ 'a.yaml': 'conventions: {}\n' });
+    await assert.rejects(resolveGuvnrConfig(join(testDir, 'guvnr.yaml')), error => {
+      assert.strictEqual(error.code, 'GUVNR-VALID-203');
+      assert.match(error.message, /missing "version" after resolving extends/);
+      return true;
+    });
+  });
+
+  test('reports schema errors in a parent by its path', async () => {
+    writeFiles({
+      'base.yaml': 'security:\n  rulez: []\n',
+      'guvnr.yaml': 'extends: ./base.yaml\nversion: "1.0"\nproject:\n  name: demo\n'
+    });
+    await assert.rejects(resolveGuvnrConfig(join(testDir, 'guvnr.yaml')), error => {
+      assert.strictEqual(error.code, 'GUVNR-VALID-203');
+      assert.match(error.message, /base\.yaml:2:3/);
+      return true;
+    });
+  });
+});
+
+describe('validateGuvnrSource', () => {
+  test('leaves required keys to parents only when the file extends', () => {
+    assert.strictEqual(validateGuvnrSource('extends: ./base.yaml\n').valid, true);
+    assert.strictEqual(validateGuvnrSource('conventions: {}\n').valid, false);
+    assert.strictEqual(
+      validateGuvnrSource('extends: ./base.yaml\nmerge:\n  skills: merge\n').valid,
+      false
+    );
+  });
+});
+
+describe('guvnr config resolved', () => {
+  test('prints the merged config with the origin of each value', async () => {
+    writeFiles({
+      'base.yaml': BASELINE_YAML,
+      'guvnr.yaml': 'extends: ./base.yaml\nproject:\n  name: demo\n'
+    });
+
+    const { output } = await runQuietly(() => configResolvedCommand());
+    assert.match(output, /version: '1\.0' {2}# from base\.yaml/);
+    assert.match(output, /- Never commit secrets {2}# from base\.yaml/);
+    assert.match(output, / {2}# from base\.yaml\n {2}- name: review/);
+    assert.match(output, /name: demo {2}# from guvnr\.yaml/);
+
+    const printed = output.split('\n').slice(1).join('\n');
+    const { config } = await resolveGuvnrConfig(join(testDir, 'guvnr.yaml'));
+    assert.deepStrictEqual(yaml.load(printed), config, 'output is the resolved config');
+  });
+
+  test('--json includes origins and the files read', async () => {
+    writeFiles({ 'guvnr.yaml': 'version: "1.0"\nproject:\n  name: demo\n' });
+
+    const { output } = await runQuietly(() => configResolvedCommand({ json: true }));
+    const parsed = JSON.parse(output);
+    assert.deepStrictEqual(parsed.origins, {
+      version: 'guvnr.yaml',
+      project: { name: 'guvnr.yaml' }
+    });
+    assert.deepStrictEqual(parsed.files, ['guvnr.yaml']);
+  });
+
+  test('requires a guvnr.yaml', async () => {
+    await assert.rejects(
+      runQuietly(() => configResolvedCommand()),
+      { code: 'GUVNR-CONFIG-301' }
+    );
+  });
+});
+
+describe('generate with extends', () => {
+  test('renders inherited values and goes stale when a parent changes', async () => {
+    writeFiles({
+      'base.yaml': BASELINE_YAML,
+      'guvnr.yaml': 'extends: ./base.yaml\nproject:\n  name: demo\n'
+    });
+
+    await runQuietly(() => generateCommand({ tools: 'agents' }));
+    assert.match(readFileSync(join(testDir, 'AGENTS.md'), 'utf-8'), /Never commit secrets/);
+
+    writeFiles({ 'base.yaml': BASELINE_YAML.replace('secrets', 'tokens') });
+    const status = await getGeneratedStatus(testDir);
+    assert.strictEqual(status.files[0].status, 'stale');
+  });
+});
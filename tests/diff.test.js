@@ -0,0 +1,216 @@
+/**
+ * Tests for unified diffs and the guvnr diff command
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createUnifiedDiff } from '../src/utils/diff.js';
+import { getPendingChanges, diffCommand } from '../src/commands/diff.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-diff-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+const GUVNR_YAML = `version: "1.0"
+project:
+  name: diff-demo
+  description: First description
+`;
+
+async function runGenerate(options) {
+  const { generateCommand } = await import('../src/commands/generate.js');
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+
+  try {
+    process.chdir(testDir);
+    console.log = () => {};
+    await generateCommand(options);
+  } finally {
+    process.chdir(originalCwd);
+    console.log = originalLog;
+  }
+}
+
+describe('createUnifiedDiff', () => {
+  const lines = count => Array.from({ length: count }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+
+  test('returns an empty diff for equal texts', () => {
+    assert.deepStrictEqual(createUnifiedDiff('a\n', 'a\n'), {
+      diff: '',
+      hunks: 0,
+      additions: 0,
+      deletions: 0
+    });
+  });
+
+  test('produces hunks with three lines of context', () => {
+    const before = lines(10);
+    const after = before.replace('line 5\n', 'line five\n');
+
+    const result = createUnifiedDiff(before, after, { oldLabel: 'a/f.md', newLabel: 'b/f.md' });
+    assert.strictEqual(
+      result.diff,
+      [
+        '--- a/f.md',
+        '+++ b/f.md',
+        '@@ -2,7 +2,7 @@',
+        ' line 2',
+        ' line 3',
+        ' line 4',
+        '-line 5',
+        '+line five',
+        ' line 6',
+        ' line 7',
+        ' line 8',
+        ''
+      ].join('\n')
+    );
+    assert.strictEqual(result.additions, 1);
+    assert.strictEqual(result.deletions, 1);
+  });
+
+  test('splits distant changes into separate hunks', () => {
+    const before = lines(30);
+    const after = before.replace('line 2\n', 'line two\n').replace('line 28\n', 'line 28b\n');
+    const result = createUnifiedDiff(before, after);
+    assert.strictEqual(result.hunks, 2);
+    assert.match(result.diff, /@@ -1,5 \+1,5 @@/);
+    assert.match(result.diff, /@@ -25,6 \+25,6 @@/);
+  });
+
+  test('diffs new files against /dev/null', () => {
+    const result = createUnifiedDiff('', 'one\ntwo\n', { oldLabel: '/dev/null' });
+    assert.match(result.diff, /^--- \/dev\/null\n\+\+\+ b\n@@ -0,0 \+1,2 @@\n\+one\n\+two\n$/);
+  });
+
+  test('reports a missing final newline', () => {
+    const result = createUnifiedDiff('one\n', 'one');
+    assert.match(result.diff, /-one\n\+one\n\\ No newline at end of file/);
+  });
+});
+
+describe('guvnr diff', () => {
+  test('reports nothing pending right after generate', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), GUVNR_YAML);
+    await runGenerate({ tools: 'agents,cursor' });
+
+    const result = await getPendingChanges(testDir, { tools: 'agents,cursor' });
+    assert.deepStrictEqual(result.changed, []);
+    assert.ok(result.unchanged.includes('AGENTS.md'));
+  });
+
+  test('shows how a guvnr.yaml change would alter each tool', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), GUVNR_YAML);
+    await runGenerate({ tools: 'agents' });
+    writeFileSync(
+      join(testDir, 'guvnr.yaml'),
+      GUVNR_YAML.replace('First description', 'Second description')
+    );
+
+    const result = await getPendingChanges(testDir, { tools: 'agents,copilot' });
+    const byPath = Object.fromEntries(result.changed.map(file => [file.path, file]));
+
+    assert.strictEqual(byPath['AGENTS.md'].status, 'modified');
+    assert.match(byPath['AGENTS.md'].diff, /-First description\n\+Second description/);
+    assert.strictEqual(byPath['.github/copilot-instructions.md'].status, 'added');
+    assert.strictEqual(byPath['.github/copilot-instructions.md'].tool, 'copilot');
+    assert.strictEqual(
+      readFileSync(join(testDir, 'AGENTS.md'), 'utf-8').includes('First description'),
+      true,
+      'diff must not write anything'
+    );
+  });
+
+  test('diffCommand fails with GUVNR-VALID-207 and prints JSON', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), GUVNR_YAML);
+
+    const originalLog = console.log;
+    let output = '';
+    try {
+      console.log = message => {
+        output += message;
+      };
+      await assert.rejects(diffCommand({ targetDir: testDir, tools: 'agents', json: true }), {
+        code: 'GUVNR-VALID-207'
+      });
+    } finally {
+      console.log = originalLog;
+    }
+
+    const report = JSON.parse(output);
+    assert.deepStrictEqual(
+      report.changed.map(file => file.path),
+      ['AGENTS.md']
+    );
+  });
+
+  test('diffCommand fails with GUVNR-GEN-906 when a tool fails to render', async () => {
+    writeFileSync(
+      join(testDir, 'broken.mjs'),
+      `export default {
+  id: 'broken',
+  name: 'Broken',
+  outputs: ['.broken/rules.md'],
+  render: () => { throw new Error('template missing'); }
+};
+`
+    );
+    writeFileSync(
+      join(testDir, 'guvnr.yaml'),
+      `${GUVNR_YAML}tools:\n  plugins:\n    - ./broken.mjs\n`
+    );
+    await runGenerate({ tools: 'agents' });
+
+    const originalLog = console.log;
+    let output = '';
+    try {
+      console.log = message => {
+        output += message;
+      };
+      await assert.rejects(diffCommand({ targetDir: testDir, tools: 'agents,broken' }), error => {
+        assert.strictEqual(error.code, 'GUVNR-GEN-906');
+        assert.deepStrictEqual(error.context.errors, ['broken: template missing']);
+        return true;
+      });
+    } finally {
+      console.log = originalLog;
+    }
+    assert.ok(!output.includes('up to date'));
+  });
+
+  test('does not diff a legacy CLAUDE.md source against its own output', async () => {
+    writeFileSync(join(testDir, 'CLAUDE.md'), '# Legacy Project\n\nHand-written instructions\n');
+
+    const result = await getPendingChanges(testDir, { tools: 'claude,agents' });
+    assert.strictEqual(result.source.path, 'CLAUDE.md');
+    assert.ok(!result.changed.some(file => file.path === 'CLAUDE.md'));
+    assert.ok(!result.unchanged.includes('CLAUDE.md'));
+    assert.ok(result.changed.some(file => file.path === 'AGENTS.md'));
+  });
+
+  test('diffCommand succeeds when everything is up to date', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), GUVNR_YAML);
+    await runGenerate({ tools: 'agents' });
+
+    const originalLog = console.log;
+    try {
+      console.log = () => {};
+      const result = await diffCommand({ targetDir: testDir, tools: 'agents' });
+      assert.strictEqual(result.changed.length, 0);
+    } finally {
+      console.log = originalLog;
+    }
+  });
+});
@@ -666,13 +666,9 @@ describe('plugin and platform generators', () => {
 
       await generateCommand({ tools: 'kiro', force: true });
 
-      // Check mcp.json
+      // No mcp_servers, so no MCP config
       const mcpPath = join(testDir, '.kiro', 'mcp.json');
-      assert.ok(existsSync(mcpPath), '.kiro/mcp.json should be created');
-
-      const mcpContent = readFileSync(mcpPath, 'utf-8');
-      const parsed = JSON.parse(mcpContent);
-      assert.ok(parsed.mcpServers, 'Should have mcpServers');
+      assert.ok(!existsSync(mcpPath), '.kiro/mcp.json should not be created without servers');
 
       // Check steering rules
       const steeringPath = join(testDir, '.kiro', 'steering', 'project.md');
@@ -750,13 +746,9 @@ describe('plugin and platform generators', () => {
       const rulesContent = readFileSync(rulesPath, 'utf-8');
       assert.ok(rulesContent.includes('Augment'), 'Should reference Augment');
 
-      // Check mcp.json
+      // No mcp_servers, so no MCP config
       const mcpPath = join(testDir, '.augment', 'mcp.json');
-      assert.ok(existsSync(mcpPath), '.augment/mcp.json should be created');
-
-      const mcpContent = readFileSync(mcpPath, 'utf-8');
-      const parsed = JSON.parse(mcpContent);
-      assert.ok(parsed.mcpServers, 'Should have mcpServers');
+      assert.ok(!existsSync(mcpPath), '.augment/mcp.json should not be created without servers');
     } finally {
       process.chdir(originalCwd);
       process.exit = originalExit;
@@ -850,9 +842,10 @@ describe('additional tool generators', () => {
     assert.ok(SUPPORTED_TOOLS.includes('zencoder'), 'Should support Zencoder');
     assert.ok(SUPPORTED_TOOLS.includes('tabnine'), 'Should support Tabnine');
     assert.ok(SUPPORTED_TOOLS.includes('amazonq'), 'Should support Amazon Q Developer');
+    assert.ok(SUPPORTED_TOOLS.includes('codeowners'), 'Should support GitHub CODEOWNERS');
 
-    // Total count check (24 tools + 'all' = 25)
-    assert.strictEqual(SUPPORTED_TOOLS.length, 25, 'Should have 25 entries (24 tools + all)');
+    // Total count check (25 tools + 'all' = 26)
+    assert.strictEqual(SUPPORTED_TOOLS.length, 26, 'Should have 26 entries (25 tools + all)');
   });
 
   test('generates OpenCode AI configuration', async () => {
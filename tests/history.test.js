@@ -0,0 +1,316 @@
+/**
+ * Tests for the .guvnr/history backup journal, guvnr history and guvnr undo
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import {
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  writeFileSync
+} from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { setTimeout as delay } from 'timers/promises';
+import {
+  HISTORY_DIR,
+  createJournal,
+  findRun,
+  formatCommand,
+  listRuns,
+  readHistoryKeep,
+  undoRun
+} from '../src/utils/history.js';
+import { generateCommand } from '../src/commands/generate.js';
+import { validate } from '../src/commands/validate.js';
+import { uninstall } from '../src/commands/uninstall.js';
+import { historyCommand, undoCommand } from '../src/commands/history.js';
+import { acquireLock } from '../src/utils/transaction.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-history-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+function read(path) {
+  return readFileSync(join(testDir, path), 'utf-8');
+}
+
+function write(path, content) {
+  mkdirSync(join(testDir, path, '..'), { recursive: true });
+  writeFileSync(join(testDir, path), content);
+}
+
+async function runQuietly(fn) {
+  const originalLog = console.log;
+  try {
+    console.log = () => {};
+    return await fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+const GUVNR_YAML = 'version: "1.0"\nproject:\n  name: demo\n';
+
+describe('journal', () => {
+  test('records previous content once per path and nothing for an idle run', () => {
+    write('a.md', 'old\n');
+    const journal = createJournal(testDir, { command: 'test', id: 'run-1' });
+    journal.record('a.md');
+    writeFileSync(join(testDir, 'a.md'), 'new\n');
+    journal.record('a.md');
+    journal.record('nested/b.md');
+    write('nested/b.md', 'b\n');
+
+    const run = journal.save();
+    assert.deepStrictEqual(
+      run.files.map(({ path, before, dirs }) => ({ path, before, dirs })),
+      [
+        { path: 'a.md', before: 'file', dirs: [] },
+        { path: 'nested/b.md', before: 'absent', dirs: ['nested'] }
+      ]
+    );
+    assert.strictEqual(read(`${HISTORY_DIR}/run-1/files/a.md`), 'old\n');
+    assert.strictEqual(read(`${HISTORY_DIR}/.gitignore`), '*\n');
+
+    assert.strictEqual(createJournal(testDir, { command: 'idle' }).save(), null);
+    assert.deepStrictEqual(
+      listRuns(testDir).map(r => r.id),
+      ['run-1']
+    );
+  });
+
+  test('keeps the number of runs set by history.keep', async () => {
+    write('guvnr.yaml', `${GUVNR_YAML}history:\n  keep: 2\n`);
+    assert.strictEqual(readHistoryKeep(testDir), 2);
+
+    for (const id of ['run-1', 'run-2', 'run-3']) {
+      const journal = createJournal(testDir, { command: 'test', id });
+      journal.record(`${id}.md`);
+      write(`${id}.md`, `${id}\n`);
+      journal.save();
+      // Runs are ordered by start time
+      await delay(5);
+    }
+    assert.deepStrictEqual(
+      listRuns(testDir)
+        .map(run => run.id)
+        .sort(),
+      ['run-2', 'run-3']
+    );
+  });
+
+  test('leaves out files the run recorded but did not change', () => {
+    write('a.md', 'same\n');
+    write('b.md', 'old\n');
+    const journal = createJournal(testDir, { command: 'test', id: 'run-1' });
+    for (const path of ['a.md', 'b.md', 'never-written.md']) {
+      journal.record(path);
+    }
+    writeFileSync(join(testDir, 'b.md'), 'new\n');
+
+    assert.deepStrictEqual(
+      journal.save().files.map(file => file.path),
+      ['b.md']
+    );
+    assert.deepStrictEqual(readdirSync(join(testDir, HISTORY_DIR, 'run-1', 'files')), ['b.md']);
+
+    const idle = createJournal(testDir, { command: 'idle', id: 'run-2' });
+    idle.record('a.md');
+    assert.strictEqual(idle.save(), null);
+    assert.ok(!existsSync(join(testDir, HISTORY_DIR, 'run-2')));
+  });
+
+  test('history.keep: 0 turns the journal off', () => {
+    write('guvnr.yaml', `${GUVNR_YAML}history:\n  keep: 0\n`);
+    const journal = createJournal(testDir, { command: 'test' });
+    journal.record('guvnr.yaml');
+
+    assert.strictEqual(journal.save(), null);
+    assert.ok(!existsSync(join(testDir, HISTORY_DIR)));
+  });
+
+  test('formats the command line shown for a run', () => {
+    assert.strictEqual(
+      formatCommand('generate', { tools: ['claude', 'cursor'], force: true, merge: false }),
+      'generate --tools claude,cursor --force'
+    );
+  });
+});
+
+describe('guvnr undo', () => {
+  test('restores what generate --force replaced and removes what it created', async () => {
+    write('guvnr.yaml', GUVNR_YAML);
+    write('CLAUDE.md', '# hand-written\n');
+    await runQuietly(() =>
+      generateCommand({
+        targetDir: testDir,
+        tools: 'claude,cursor',
+        force: true,
+        _operationId: 'gen-1'
+      })
+    );
+    assert.match(read('CLAUDE.md'), /^# demo/);
+    assert.strictEqual(listRuns(testDir)[0].command, 'generate --tools claude,cursor --force');
+
+    const result = await runQuietly(() => undoCommand(undefined, { targetDir: testDir }));
+
+    assert.strictEqual(result.run.id, 'gen-1');
+    assert.deepStrictEqual(result.restored, ['CLAUDE.md']);
+    assert.strictEqual(read('CLAUDE.md'), '# hand-written\n');
+    assert.deepStrictEqual(readdirSync(testDir).sort(), ['.guvnr', 'CLAUDE.md', 'guvnr.yaml']);
+    assert.deepStrictEqual(readdirSync(join(testDir, '.guvnr')), ['history']);
+  });
+
+  test('an undo can itself be undone', async () => {
+    write('guvnr.yaml', GUVNR_YAML);
+    await runQuietly(() => generateCommand({ targetDir: testDir, tools: 'agents' }));
+    const generated = read('AGENTS.md');
+
+    const { undoRun: undoId } = await runQuietly(() =>
+      undoCommand(undefined, { targetDir: testDir })
+    );
+    assert.ok(!existsSync(join(testDir, 'AGENTS.md')));
+    assert.throws(() => findRun(testDir), { code: 'GUVNR-FS-408' });
+
+    await runQuietly(() => undoCommand(undoId.slice(0, 8), { targetDir: testDir }));
+    assert.strictEqual(read('AGENTS.md'), generated);
+    assert.strictEqual(findRun(testDir).command, 'generate --tools agents');
+  });
+
+  test('refuses to overwrite files changed since the run unless forced', async () => {
+    write('guvnr.yaml', GUVNR_YAML);
+    write('AGENTS.md', 'mine\n');
+    await runQuietly(() => generateCommand({ targetDir: testDir, tools: 'agents', force: true }));
+    writeFileSync(join(testDir, 'AGENTS.md'), 'edited after\n');
+
+    assert.throws(
+      () => undoRun(testDir),
+      error => error.code === 'GUVNR-FS-409' && error.message.includes('AGENTS.md')
+    );
+    assert.strictEqual(read('AGENTS.md'), 'edited after\n');
+
+    undoRun(testDir, undefined, { force: true });
+    assert.strictEqual(read('AGENTS.md'), 'mine\n');
+  });
+
+  test('brings back what uninstall removed', async () => {
+    write('guvnr.yaml', GUVNR_YAML);
+    await runQuietly(() => generateCommand({ targetDir: testDir, tools: 'agents,cursor' }));
+    const before = read('AGENTS.md');
+
+    await runQuietly(() =>
+      uninstall({ targetDir: testDir, force: true, json: true, _operationId: 'rm-1' })
+    );
+    assert.ok(!existsSync(join(testDir, 'AGENTS.md')));
+
+    const { run } = undoRun(testDir);
+    assert.strictEqual(run.id, 'rm-1');
+    assert.strictEqual(read('AGENTS.md'), before);
+    assert.ok(existsSync(join(testDir, '.cursor/rules/project.mdc')));
+    assert.ok(existsSync(join(testDir, '.guvnr/manifest.json')));
+  });
+
+  test('reverts validate --fix', async () => {
+    write('guvnr.yaml', GUVNR_YAML);
+    write('.gitignore', 'node_modules/\n');
+    await validate(testDir, { fix: true, runId: 'fix-1' });
+    assert.match(read('.gitignore'), /\.tmp\//);
+    assert.ok(existsSync(join(testDir, '.claude/commands')));
+
+    undoRun(testDir, 'fix-1');
+    assert.strictEqual(read('.gitignore'), 'node_modules/\n');
+    assert.ok(!existsSync(join(testDir, '.claude')));
+    assert.ok(!existsSync(join(testDir, '.tmp')));
+  });
+
+  test('a regenerate records only the files whose content changed', async () => {
+    write('guvnr.yaml', GUVNR_YAML);
+    await runQuietly(() => generateCommand({ targetDir: testDir, tools: 'agents,cursor' }));
+    write('guvnr.yaml', `${GUVNR_YAML}  description: Now described\n`);
+    await runQuietly(() =>
+      generateCommand({
+        targetDir: testDir,
+        tools: 'agents,cursor',
+        force: true,
+        _operationId: 'gen-2'
+      })
+    );
+
+    const run = findRun(testDir, 'gen-2');
+    assert.ok(run.files.some(file => file.path === 'AGENTS.md'));
+    for (const { path } of run.files) {
+      assert.notStrictEqual(
+        read(path),
+        path.startsWith('.guvnr/') ? null : read(`${HISTORY_DIR}/gen-2/files/${path}`),
+        `${path} is unchanged but was journaled`
+      );
+    }
+
+    // Nothing changes on a third run, so it leaves no history
+    await runQuietly(() =>
+      generateCommand({
+        targetDir: testDir,
+        tools: 'agents,cursor',
+        force: true,
+        _operationId: 'gen-3'
+      })
+    );
+    assert.throws(() => findRun(testDir, 'gen-3'), { code: 'GUVNR-FS-408' });
+  });
+
+  test('refuses to undo while another run holds the lock', async () => {
+    write('guvnr.yaml', GUVNR_YAML);
+    await runQuietly(() => generateCommand({ targetDir: testDir, tools: 'agents' }));
+    const release = acquireLock(testDir, 'generate');
+
+    try {
+      assert.throws(() => undoRun(testDir), { code: 'GUVNR-FS-406' });
+      assert.ok(existsSync(join(testDir, 'AGENTS.md')));
+    } finally {
+      release();
+    }
+  });
+
+  test('reports an unknown or ambiguous run ID', async () => {
+    for (const id of ['abc-1', 'abc-2']) {
+      const journal = createJournal(testDir, { command: 'test', id });
+      journal.record(`${id}.md`);
+      write(`${id}.md`, `${id}\n`);
+      journal.save();
+    }
+
+    assert.throws(() => findRun(testDir, 'zzz'), { code: 'GUVNR-FS-408' });
+    assert.throws(
+      () => findRun(testDir, 'abc'),
+      error => error.code === 'GUVNR-FS-408' && error.message.includes('matches 2 runs')
+    );
+    assert.strictEqual(findRun(testDir, 'abc-2').id, 'abc-2');
+  });
+});
+
+describe('guvnr history', () => {
+  test('lists runs newest first', async () => {
+    write('guvnr.yaml', GUVNR_YAML);
+    await runQuietly(() => generateCommand({ targetDir: testDir, tools: 'agents' }));
+    await runQuietly(() => generateCommand({ targetDir: testDir, tools: 'cursor' }));
+
+    const runs = await runQuietly(() => historyCommand({ targetDir: testDir, json: true }));
+    assert.deepStrictEqual(
+      runs.map(run => run.command),
+      ['generate --tools cursor', 'generate --tools agents']
+    );
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Tests for guvnr import (guvnr.yaml from existing tool configs)
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import yaml from 'js-yaml';
+import {
+  findImportSources,
+  parseRuleFile,
+  parseAgentFile,
+  parseCommandFile,
+  importConfigs,
+  importCommand
+} from '../src/commands/import.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-import-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+function writeFiles(files) {
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(testDir, path)), { recursive: true });
+    writeFileSync(join(testDir, path), content);
+  }
+}
+
+async function runQuietly(fn) {
+  const originalLog = console.log;
+  try {
+    console.log = () => {};
+    return await fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+describe('findImportSources', () => {
+  test('finds rule files, subagents and slash commands from TOOL_PATTERNS', () => {
+    writeFiles({
+      '.cursorrules': '- Rule\n',
+      '.cursor/rules/style.mdc': '- Rule\n',
+      '.cursor/rules/.gitkeep': '',
+      '.github/copilot-instructions.md': '- Rule\n',
+      '.aider.conf.yml': 'read: CONVENTIONS.md\n',
+      '.claude/agents/reviewer.md': '# reviewer\n',
+      '.claude/commands/ship.md': '# ship\n'
+    });
+
+    const sources = findImportSources(testDir);
+    assert.deepStrictEqual(
+      sources.map(source => `${source.kind}:${source.path}`),
+      [
+        'command:.claude/commands/ship.md',
+        'agent:.claude/agents/reviewer.md',
+        'rules:.cursor/rules/style.mdc',
+        'rules:.cursorrules',
+        'rules:.github/copilot-instructions.md'
+      ]
+    );
+  });
+});
+
+describe('parseRuleFile', () => {
+  test('sorts bullets by heading and wording', () => {
+    const { rules } = parseRuleFile(
+      [
+        '---',
+        'description: Rules',
+        'alwaysApply: true',
+        '---',
+        '## Code Style',
+        '- Use **strict** mode',
+        '- Never use `any`',
+        '- Use camelCase for variables',
+        '- Do not log API keys',
+        '## Architecture',
+        '1. Keep logic in services',
+        '## Security',
+        '- [ ] Validate all user input',
+        '## Tech Stack',
+        '- Node.js'
+      ].join('\n')
+    );
+
+    assert.deepStrictEqual(rules, [
+      { category: 'style', text: 'Use strict mode' },
+      { category: 'avoid', text: 'Never use `any`' },
+      { category: 'naming', text: 'Use camelCase for variables' },
+      { category: 'security', text: 'Do not log API keys' },
+      { category: 'patterns', text: 'Keep logic in services' },
+      { category: 'security', text: 'Validate all user input' }
+    ]);
+  });
+
+  test('extracts commands and the overview paragraph', () => {
+    const parsed = parseRuleFile(
+      [
+        '# Demo',
+        '## Overview',
+        'A demo',
+        'project.',
+        '',
+        'More detail.',
+        '## Commands',
+        '```bash',
+        '# install first',
+        '$ npm install',
+        '```',
+        '- `npm test` - Run the tests',
+        '## Notes',
+        '```bash',
+        'not a command',
+        '```'
+      ].join('\n')
+    );
+
+    assert.strictEqual(parsed.overview, 'A demo project.');
+    assert.deepStrictEqual(parsed.commands, [
+      { command: 'npm install', description: '' },
+      { command: 'npm test', description: 'Run the tests' }
+    ]);
+    assert.deepStrictEqual(parsed.rules, []);
+  });
+});
+
+describe('parseAgentFile and parseCommandFile', () => {
+  test('reads frontmatter subagents', () => {
+    const agent = parseAgentFile(
+      '---\nname: Code Reviewer\ndescription: Reviews changes\n---\nBe thorough.\n',
+      '.claude/agents/x.md'
+    );
+    assert.deepStrictEqual(agent, {
+      name: 'code-reviewer',
+      role: 'Reviews changes',
+      instructions: 'Be thorough.'
+    });
+  });
+
+  test('reads the agent layout guvnr generates', () => {
+    const agent = parseAgentFile(
+      '# reviewer\n\n**Role**: Reviewer\n\n## Expertise\n\n- Security\n\n## Instructions\n\nCheck tests.\n',
+      'reviewer.md'
+    );
+    assert.deepStrictEqual(agent, {
+      name: 'reviewer',
+      role: 'Reviewer',
+      expertise: ['Security'],
+      instructions: 'Check tests.'
+    });
+  });
+
+  test('turns slash commands into skills', () => {
+    const skill = parseCommandFile(
+      '# deploy\n\nShip it.\n\n**Trigger**: On release\n\n## Steps\n\n1. Build\n2. Push\n',
+      '.claude/commands/Deploy.md'
+    );
+    assert.deepStrictEqual(skill, {
+      name: 'deploy',
+      description: 'Ship it.',
+      trigger: 'On release',
+      steps: ['Build', 'Push']
+    });
+  });
+});
+
+describe('importConfigs', () => {
+  test('de-duplicates rules across files and comments each item with its sources', () => {
+    writeFiles({
+      'package.json': JSON.stringify({ name: 'demo-app', description: 'A demo' }),
+      '.cursorrules': '- Use TypeScript strict mode everywhere\n- Never use `any`\n',
+      'AGENTS.md':
+        '## Conventions\n- Use TypeScript strict mode everywhere.\n- Always use TypeScript strict mode everywhere\n',
+      '.claude/agents/reviewer.md':
+        '---\nname: reviewer\ndescription: Reviews code\n---\nBe kind.\n'
+    });
+
+    const result = importConfigs(testDir);
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.counts, {
+      conventions: 2,
+      security: 0,
+      commands: 0,
+      agents: 1,
+      skills: 0
+    });
+    assert.match(
+      result.yaml,
+      /- Use TypeScript strict mode everywhere {2}# from \.cursorrules, AGENTS\.md\n/
+    );
+    assert.match(result.yaml, /# from \.claude\/agents\/reviewer\.md\n {2}- name: reviewer/);
+
+    const config = yaml.load(result.yaml);
+    assert.strictEqual(config.project.name, 'demo-app');
+    assert.deepStrictEqual(config.conventions, {
+      style: ['Use TypeScript strict mode everywhere'],
+      avoid: ['Never use `any`']
+    });
+    assert.deepStrictEqual(config.agents, [
+      { name: 'reviewer', role: 'Reviews code', instructions: 'Be kind.' }
+    ]);
+  });
+
+  test('quotes items that are not plain YAML scalars', () => {
+    writeFiles({ '.windsurfrules': '- key: value # not a comment\n- "quoted"\n' });
+
+    const result = importConfigs(testDir);
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(yaml.load(result.yaml).conventions.style, [
+      'key: value # not a comment',
+      '"quoted"'
+    ]);
+  });
+});
+
+describe('importCommand', () => {
+  test('writes guvnr.yaml and refuses to overwrite it without --force', async () => {
+    writeFiles({ 'GEMINI.md': '## Rules\n- Keep functions small\n' });
+
+    const result = await runQuietly(() => importCommand({ targetDir: testDir }));
+    assert.strictEqual(result.written, true);
+    assert.match(readFileSync(join(testDir, 'guvnr.yaml'), 'utf-8'), /# from GEMINI\.md/);
+
+    await assert.rejects(
+      runQuietly(() => importCommand({ targetDir: testDir })),
+      { code: 'GUVNR-FS-405' }
+    );
+    const forced = await runQuietly(() => importCommand({ targetDir: testDir, force: true }));
+    assert.strictEqual(forced.written, true);
+  });
+
+  test('--dry-run and --output', async () => {
+    writeFiles({ '.clinerules': '- Write tests first\n' });
+
+    const dryRun = await runQuietly(() => importCommand({ targetDir: testDir, dryRun: true }));
+    assert.strictEqual(dryRun.written, false);
+    assert.strictEqual(existsSync(join(testDir, 'guvnr.yaml')), false);
+
+    await runQuietly(() => importCommand({ targetDir: testDir, output: 'guvnr.imported.yaml' }));
+    assert.ok(existsSync(join(testDir, 'guvnr.imported.yaml')));
+  });
+
+  test('writes nothing when there is nothing to import', async () => {
+    const result = await runQuietly(() => importCommand({ targetDir: testDir }));
+    assert.strictEqual(result.written, false);
+    assert.deepStrictEqual(result.sources, []);
+    assert.strictEqual(existsSync(join(testDir, 'guvnr.yaml')), false);
+  });
+});
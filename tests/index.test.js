@@ -16,6 +16,7 @@ import assert from 'node:assert';
 import { existsSync, mkdirSync, rmSync, writeFileSync } from 'node:fs';
 import { join } from 'node:path';
 import { tmpdir } from 'node:os';
+import { getEventListeners } from 'node:events';
 
 import {
   VERSION,
@@ -488,6 +489,17 @@ describe('withAbortSignal', () => {
       return true;
     });
   });
+
+  it('should remove its abort listener once the promise settles', async () => {
+    const controller = new AbortController();
+
+    for (let i = 0; i < 20; i++) {
+      await withAbortSignal(Promise.resolve(i), controller.signal);
+      await assert.rejects(withAbortSignal(Promise.reject(new Error('failed')), controller.signal));
+    }
+
+    assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+  });
 });
 
 // ============================================
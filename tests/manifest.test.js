@@ -0,0 +1,205 @@
+/**
+ * Tests for the generated-file manifest, guvnr status and manifest-based uninstall
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, appendFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  MANIFEST_PATH,
+  GENERATOR_VERSION,
+  hashContent,
+  readManifest,
+  recordOutputs
+} from '../src/utils/manifest.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-manifest-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+const GUVNR_YAML = `version: "1.0"
+project:
+  name: manifest-demo
+  description: Drift detection demo
+`;
+
+async function quietly(fn) {
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+
+  try {
+    process.chdir(testDir);
+    console.log = () => {};
+    return await fn();
+  } finally {
+    process.chdir(originalCwd);
+    console.log = originalLog;
+  }
+}
+
+async function runGenerate(options) {
+  const { generateCommand } = await import('../src/commands/generate.js');
+  return quietly(() => generateCommand(options));
+}
+
+async function getStatus() {
+  const { getGeneratedStatus } = await import('../src/commands/status.js');
+  const report = await getGeneratedStatus(testDir);
+  return Object.fromEntries(report.files.map(file => [file.path, file.status]));
+}
+
+describe('recordOutputs', () => {
+  test('records written outputs and keeps entries for skipped ones', () => {
+    const source = { path: 'guvnr.yaml', hash: 'abc' };
+    const first = recordOutputs(
+      null,
+      [{ path: 'AGENTS.md', tool: 'agents', content: 'one', written: true }],
+      source
+    );
+    const second = recordOutputs(
+      first,
+      [
+        { path: 'AGENTS.md', tool: 'agents', content: 'changed', written: false },
+        { path: '.rules', tool: 'zed', content: 'two', written: true }
+      ],
+      source
+    );
+
+    assert.deepStrictEqual(Object.keys(second.files), ['.rules', 'AGENTS.md']);
+    assert.strictEqual(second.files['AGENTS.md'].hash, hashContent('one'));
+    assert.strictEqual(second.files['.rules'].sourceHash, 'abc');
+    assert.strictEqual(second.files['.rules'].generatorVersion, GENERATOR_VERSION);
+  });
+
+  test('keeps generatedAt for a file regenerated with the same content', () => {
+    const source = { path: 'guvnr.yaml', hash: 'abc' };
+    const output = content => [{ path: 'AGENTS.md', tool: 'agents', content, written: true }];
+    const first = recordOutputs(null, output('one'), source, new Date('2026-01-01'));
+
+    const same = recordOutputs(first, output('one'), source, new Date('2026-02-01'));
+    assert.deepStrictEqual(same, first);
+
+    const changed = recordOutputs(first, output('two'), source, new Date('2026-02-01'));
+    assert.strictEqual(changed.files['AGENTS.md'].generatedAt, '2026-02-01T00:00:00.000Z');
+  });
+
+  test('readManifest returns null when the project has no manifest', () => {
+    assert.strictEqual(readManifest(testDir), null);
+  });
+});
+
+describe('generate writes a manifest', () => {
+  test('records every written file with hashes and the source hash', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), GUVNR_YAML);
+    await runGenerate({ tools: 'agents,cursor' });
+
+    const manifest = JSON.parse(readFileSync(join(testDir, MANIFEST_PATH), 'utf-8'));
+    assert.strictEqual(manifest.source.path, 'guvnr.yaml');
+    assert.strictEqual(manifest.source.hash, hashContent(GUVNR_YAML));
+
+    const agents = manifest.files['AGENTS.md'];
+    assert.strictEqual(agents.tool, 'agents');
+    assert.strictEqual(agents.hash, hashContent(readFileSync(join(testDir, 'AGENTS.md'))));
+    assert.strictEqual(agents.sourceHash, hashContent(GUVNR_YAML));
+    assert.strictEqual(manifest.files['.cursor/rules/project.mdc'].tool, 'cursor');
+  });
+
+  test('does not write a manifest on --dry-run', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), GUVNR_YAML);
+    await runGenerate({ tools: 'agents', dryRun: true });
+    assert.ok(!existsSync(join(testDir, MANIFEST_PATH)));
+  });
+
+  test('rejects a corrupt manifest with GUVNR-CONFIG-307', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), GUVNR_YAML);
+    await runGenerate({ tools: 'agents' });
+    writeFileSync(join(testDir, MANIFEST_PATH), '{ not json');
+
+    await assert.rejects(runGenerate({ tools: 'agents', force: true }), {
+      code: 'GUVNR-CONFIG-307'
+    });
+  });
+});
+
+describe('getGeneratedStatus', () => {
+  test('reports clean, modified, stale, orphaned and missing files', async () => {
+    writeFileSync(
+      join(testDir, 'guvnr.yaml'),
+      `${GUVNR_YAML}agents:\n  - name: reviewer\n    role: Reviews code\n`
+    );
+    await runGenerate({ tools: 'agents,claude,cursor' });
+
+    assert.ok(Object.values(await getStatus()).every(status => status === 'clean'));
+
+    appendFileSync(join(testDir, '.cursor', 'index.mdc'), '\nhand edit\n');
+    rmSync(join(testDir, '.cursor', 'rules', 'security.mdc'));
+    writeFileSync(
+      join(testDir, 'guvnr.yaml'),
+      GUVNR_YAML.replace('Drift detection demo', 'Changed')
+    );
+
+    const status = await getStatus();
+    assert.strictEqual(status['.cursor/index.mdc'], 'modified');
+    assert.strictEqual(status['.cursor/rules/security.mdc'], 'missing');
+    assert.strictEqual(status['AGENTS.md'], 'stale');
+    assert.strictEqual(status['.claude/agents/reviewer.md'], 'orphaned');
+  });
+
+  test('reports no manifest for projects that never ran generate', async () => {
+    const { getGeneratedStatus } = await import('../src/commands/status.js');
+    const report = await getGeneratedStatus(testDir);
+    assert.strictEqual(report.manifest, false);
+    assert.deepStrictEqual(report.files, []);
+  });
+
+  test('statusCommand --json prints a summary', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), GUVNR_YAML);
+    await runGenerate({ tools: 'agents' });
+
+    const { statusCommand } = await import('../src/commands/status.js');
+    let output = '';
+    const originalLog = console.log;
+    try {
+      console.log = message => {
+        output += message;
+      };
+      await statusCommand({ targetDir: testDir, json: true });
+    } finally {
+      console.log = originalLog;
+    }
+
+    const report = JSON.parse(output);
+    assert.strictEqual(report.summary.clean, 1);
+    assert.deepStrictEqual(report.files, [{ path: 'AGENTS.md', tool: 'agents', status: 'clean' }]);
+  });
+});
+
+describe('uninstall with a manifest', () => {
+  test('removes exactly the generated files and keeps hand-modified ones', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), GUVNR_YAML);
+    await runGenerate({ tools: 'agents,cursor' });
+    appendFileSync(join(testDir, 'AGENTS.md'), '\nteam notes\n');
+    writeFileSync(join(testDir, '.cursor', 'rules', 'team.mdc'), 'not generated');
+
+    const { uninstall } = await import('../src/commands/uninstall.js');
+    const result = await quietly(() => uninstall({ targetDir: testDir, force: true, json: true }));
+
+    assert.ok(result.removed.includes('.cursor/rules/project.mdc'));
+    assert.ok(result.removed.includes(MANIFEST_PATH));
+    assert.ok(result.preserved.includes('AGENTS.md'));
+    assert.ok(existsSync(join(testDir, 'AGENTS.md')), 'Hand-modified file should be kept');
+    assert.ok(existsSync(join(testDir, '.cursor', 'rules', 'team.mdc')), 'Unknown files stay');
+    assert.ok(!existsSync(join(testDir, '.cursor', 'index.mdc')));
+    assert.ok(existsSync(join(testDir, 'guvnr.yaml')));
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Tests for three-way merging of regenerated files (guvnr generate --merge)
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { mergeThreeWay } from '../src/utils/merge.js';
+import { BASE_DIR } from '../src/utils/manifest.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-merge-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+const BASE = ['# Title', '', 'intro', '', '## Rules', '- one', '- two', ''].join('\n');
+
+describe('mergeThreeWay', () => {
+  test('keeps local edits and takes generated changes elsewhere', () => {
+    const ours = BASE.replace('intro', 'intro with team notes');
+    const theirs = BASE.replace('- two', '- two\n- three');
+
+    const result = mergeThreeWay(BASE, ours, theirs);
+    assert.strictEqual(result.conflicts, 0);
+    assert.strictEqual(
+      result.content,
+      [
+        '# Title',
+        '',
+        'intro with team notes',
+        '',
+        '## Rules',
+        '- one',
+        '- two',
+        '- three',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('returns the other side when only one side changed', () => {
+    const theirs = BASE.replace('# Title', '# New Title');
+    assert.deepStrictEqual(mergeThreeWay(BASE, BASE, theirs), { content: theirs, conflicts: 0 });
+    assert.deepStrictEqual(mergeThreeWay(BASE, theirs, BASE), { content: theirs, conflicts: 0 });
+  });
+
+  test('accepts identical changes on both sides', () => {
+    const both = BASE.replace('- one', '- uno');
+    assert.deepStrictEqual(mergeThreeWay(BASE, both, both), { content: both, conflicts: 0 });
+  });
+
+  test('marks overlapping changes as conflicts', () => {
+    const ours = BASE.replace('- one', '- one (local)');
+    const theirs = BASE.replace('- one', '- one (generated)');
+
+    const result = mergeThreeWay(BASE, ours, theirs, { ours: 'mine', theirs: 'new' });
+    assert.strictEqual(result.conflicts, 1);
+    assert.match(
+      result.content,
+      /<<<<<<< mine\n- one \(local\)\n=======\n- one \(generated\)\n>>>>>>> new\n- two/
+    );
+  });
+});
+
+describe('generate --merge', () => {
+  const GUVNR_YAML = `version: "1.0"
+project:
+  name: merge-demo
+  description: First description
+`;
+
+  async function runGenerate(options) {
+    const { generateCommand } = await import('../src/commands/generate.js');
+    const originalCwd = process.cwd();
+    const originalLog = console.log;
+    let output = '';
+
+    try {
+      process.chdir(testDir);
+      console.log = (...args) => {
+        output += `${args.join(' ')}\n`;
+      };
+      await generateCommand(options);
+    } finally {
+      process.chdir(originalCwd);
+      console.log = originalLog;
+    }
+    return output;
+  }
+
+  test('merges hand edits into the regenerated file', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), GUVNR_YAML);
+    await runGenerate({ tools: 'agents' });
+    assert.ok(existsSync(join(testDir, BASE_DIR, 'AGENTS.md')), 'Base copy should be kept');
+
+    const agentsPath = join(testDir, 'AGENTS.md');
+    writeFileSync(agentsPath, `${readFileSync(agentsPath, 'utf-8')}\n## Team Notes\n\nLocal.\n`);
+    writeFileSync(
+      join(testDir, 'guvnr.yaml'),
+      GUVNR_YAML.replace('First description', 'Second description')
+    );
+
+    const output = await runGenerate({ tools: 'agents', merge: true });
+    const merged = readFileSync(agentsPath, 'utf-8');
+
+    assert.match(merged, /Second description/);
+    assert.match(merged, /## Team Notes\n\nLocal\./);
+    assert.doesNotMatch(merged, /<<<<<<</);
+    assert.match(output, /Merged local edits into 1 files/);
+    assert.match(readFileSync(join(testDir, BASE_DIR, 'AGENTS.md'), 'utf-8'), /Second/);
+  });
+
+  test('writes conflict markers and reports a conflicts bucket', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), GUVNR_YAML);
+    await runGenerate({ tools: 'agents' });
+
+    const agentsPath = join(testDir, 'AGENTS.md');
+    writeFileSync(
+      agentsPath,
+      readFileSync(agentsPath, 'utf-8').replace('First description', 'Hand-written description')
+    );
+    writeFileSync(
+      join(testDir, 'guvnr.yaml'),
+      GUVNR_YAML.replace('First description', 'Second description')
+    );
+
+    const output = await runGenerate({ tools: 'agents', merge: true });
+    const merged = readFileSync(agentsPath, 'utf-8');
+
+    assert.match(
+      merged,
+      /<<<<<<< AGENTS\.md \(local\)\nHand-written description\n=======\nSecond description\n>>>>>>> AGENTS\.md \(guvnr generate\)/
+    );
+    assert.match(output, /merge conflicts in 1 files/);
+  });
+
+  test('skips files guvnr has no previous version of', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), GUVNR_YAML);
+    writeFileSync(join(testDir, 'AGENTS.md'), 'hand written\n');
+
+    const output = await runGenerate({ tools: 'agents', merge: true });
+    assert.strictEqual(readFileSync(join(testDir, 'AGENTS.md'), 'utf-8'), 'hand written\n');
+    assert.match(output, /no previous generated version to merge/);
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Tests for tools.generate and per-tool override blocks
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import {
+  TOOL_OVERRIDES,
+  findUnsupportedOverrides,
+  excludeSections,
+  appendExtraSections
+} from '../src/generators/overrides.js';
+import { generateCommand, renderOutputs, SUPPORTED_TOOLS } from '../src/commands/generate.js';
+import { validateCommand } from '../src/commands/validate.js';
+import { loadGuvnrSchema } from '../src/utils/schema.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-overrides-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+function writeFiles(files) {
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(testDir, path)), { recursive: true });
+    writeFileSync(join(testDir, path), content);
+  }
+}
+
+function read(path) {
+  return readFileSync(join(testDir, path), 'utf-8');
+}
+
+async function runQuietly(fn) {
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+  const output = [];
+
+  try {
+    process.chdir(testDir);
+    console.log = (...args) => output.push(args.join(' '));
+    await fn();
+    return output.join('\n');
+  } finally {
+    process.chdir(originalCwd);
+    console.log = originalLog;
+  }
+}
+
+const BASE_YAML = `version: "1.0"
+project:
+  name: demo
+context:
+  architecture: Hexagonal, with adapters in src/adapters.
+conventions:
+  style:
+    - Prefer named exports
+`;
+
+describe('override helpers', () => {
+  test('every built-in generator has an entry', () => {
+    for (const tool of SUPPORTED_TOOLS.filter(t => !['all', 'plugins'].includes(t))) {
+      assert.ok(Array.isArray(TOOL_OVERRIDES[tool]), tool);
+    }
+  });
+
+  test('flags keys a generator does not use, skipping plugin tools and settings', () => {
+    assert.deepStrictEqual(
+      findUnsupportedOverrides({
+        tools: {
+          generate: ['claude'],
+          plugins: ['./gen.js'],
+          cursor: { rules_style: 'directory', model: 'gpt-5' },
+          aider: { test_cmd: 'make test' },
+          'my-plugin': { anything: true }
+        }
+      }).map(({ tool, key }) => `${tool}.${key}`),
+      ['cursor.model']
+    );
+  });
+
+  test('drops excluded sections but never security rules', () => {
+    const config = {
+      context: { architecture: 'A' },
+      skills: [{ name: 'x' }],
+      security: { rules: ['No secrets'] },
+      tools: { claude: { exclude_sections: ['architecture', 'skills', 'security'] } }
+    };
+    const excluded = excludeSections(config, 'claude');
+
+    assert.strictEqual(excluded.context.architecture, undefined);
+    assert.strictEqual(excluded.skills, undefined);
+    assert.deepStrictEqual(excluded.security.rules, ['No secrets']);
+    assert.strictEqual(config.context.architecture, 'A', 'the original is not modified');
+    assert.strictEqual(excludeSections(config, 'cursor'), config);
+  });
+
+  test('appends extra sections after the content', () => {
+    const context = {
+      tools: { copilot: { extra_sections: [{ title: 'Reviews', content: 'Tag @acme.\n' }] } }
+    };
+    assert.strictEqual(
+      appendExtraSections('# Demo\n\nBody\n', context, 'copilot'),
+      '# Demo\n\nBody\n\n## Reviews\n\nTag @acme.\n'
+    );
+    assert.strictEqual(appendExtraSections('# Demo\n', context, 'claude'), '# Demo\n');
+  });
+});
+
+describe('tools.generate', () => {
+  test('is the default tool list, and --tools still wins', async () => {
+    writeFiles({ 'guvnr.yaml': `${BASE_YAML}tools:\n  generate: [claude, aider]\n` });
+
+    const { outputs } = await renderOutputs(testDir);
+    assert.deepStrictEqual([...new Set(outputs.map(output => output.tool))], ['claude', 'aider']);
+
+    await runQuietly(() => generateCommand({ tools: 'copilot' }));
+    assert.ok(existsSync(join(testDir, '.github/copilot-instructions.md')));
+    assert.strictEqual(existsSync(join(testDir, 'CLAUDE.md')), false);
+  });
+
+  test('every value the schema accepts resolves to a tool', async () => {
+    const values = loadGuvnrSchema().properties.tools.properties.generate.items.enum;
+
+    for (const value of values) {
+      writeFiles({ 'guvnr.yaml': `${BASE_YAML}tools:\n  generate: [${value}]\n` });
+      const { errors } = await renderOutputs(testDir);
+      assert.deepStrictEqual(errors, [], value);
+    }
+
+    writeFiles({ 'guvnr.yaml': `${BASE_YAML}tools:\n  generate: [claude, agents-md]\n` });
+    const { outputs } = await renderOutputs(testDir);
+    assert.deepStrictEqual([...new Set(outputs.map(output => output.tool))], ['claude', 'agents']);
+  });
+});
+
+describe('per-tool overrides', () => {
+  test('exclude and extra sections apply to one tool only', async () => {
+    writeFiles({
+      'guvnr.yaml': `${BASE_YAML}tools:
+  claude:
+    exclude_sections: [architecture]
+    extra_sections:
+      - title: Deploys
+        content: Never deploy on Fridays.
+`
+    });
+    await runQuietly(() => generateCommand({ tools: 'claude,agents' }));
+
+    const claudeMd = read('CLAUDE.md');
+    assert.doesNotMatch(claudeMd, /Hexagonal/);
+    assert.match(claudeMd, /## Deploys\n\nNever deploy on Fridays\.\n$/);
+    assert.match(read('AGENTS.md'), /Hexagonal/);
+    assert.doesNotMatch(read('AGENTS.md'), /Deploys/);
+  });
+
+  test('Cursor single-file style writes .cursorrules instead of .cursor/rules', async () => {
+    writeFiles({
+      'guvnr.yaml': `${BASE_YAML}rules:
+  - name: api
+    paths: ["src/api/**"]
+    instructions: [Validate request bodies]
+tools:
+  cursor:
+    rules_style: single-file
+`
+    });
+    await runQuietly(() => generateCommand({ tools: 'cursor' }));
+
+    const rules = read('.cursorrules');
+    assert.match(rules, /^# Project: demo\n/);
+    assert.match(rules, /# Security Guidelines/);
+    assert.match(rules, /## Path-Specific Rules[\s\S]*Validate request bodies/);
+    assert.strictEqual(existsSync(join(testDir, '.cursor/rules/project.mdc')), false);
+  });
+
+  test('Aider and Codex use their model and commands', async () => {
+    writeFiles({
+      'guvnr.yaml': `${BASE_YAML}tools:
+  aider:
+    model: sonnet
+    test_cmd: make test
+    lint_cmd: make lint
+  codex:
+    model: gpt-5-codex
+`
+    });
+    await runQuietly(() => generateCommand({ tools: 'aider,codex' }));
+
+    const aider = read('.aider.conf.yml');
+    assert.match(aider, /^model: "sonnet"$/m);
+    assert.match(aider, /^test-cmd: "make test"$/m);
+    assert.match(aider, /^lint-cmd: "make lint"$/m);
+    assert.match(read('.codex/config.toml'), /^model = "gpt-5-codex"$/m);
+  });
+
+  test('validate flags override keys the generator does not use', async () => {
+    writeFiles({ 'guvnr.yaml': `${BASE_YAML}tools:\n  aider:\n    test_cmds: make test\n` });
+
+    const output = await runQuietly(() =>
+      validateCommand({ json: true }).catch(error => {
+        assert.strictEqual(error.code, 'GUVNR-VALID-200');
+      })
+    );
+    assert.match(
+      output,
+      /tools\.aider\.test_cmds: not used by the aider generator \(did you mean \\"test_cmd\\"\?\)/
+    );
+  });
+});
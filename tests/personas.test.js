@@ -0,0 +1,267 @@
+/**
+ * Tests for agent personas rendered in each tool's native format
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import yaml from 'js-yaml';
+import {
+  normalizeAgent,
+  agentCapabilities,
+  splitModel,
+  renderClaudeAgent,
+  renderRooModes,
+  renderOpenCodeAgent,
+  renderCopilotChatMode,
+  renderAmazonQAgent,
+  renderContinueAssistant
+} from '../src/generators/personas.js';
+import { normalizeMcpServers } from '../src/generators/mcp.js';
+import { generateCommand } from '../src/commands/generate.js';
+import { validateGuvnrSource } from '../src/utils/config.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-personas-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+function read(path) {
+  return readFileSync(join(testDir, path), 'utf-8');
+}
+
+function frontmatterOf(content) {
+  return yaml.load(content.match(/^---\n([\s\S]*?)\n---\n/)[1]);
+}
+
+async function runQuietly(fn) {
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+
+  try {
+    process.chdir(testDir);
+    console.log = () => {};
+    return await fn();
+  } finally {
+    process.chdir(originalCwd);
+    console.log = originalLog;
+  }
+}
+
+const REVIEWER = normalizeAgent({
+  name: 'code-reviewer',
+  role: 'Senior code reviewer',
+  expertise: ['Security'],
+  instructions: 'Review carefully.\n',
+  tools: ['read', 'command', 'mcp'],
+  model: 'anthropic/claude-sonnet-4-5',
+  permissions: { command: 'ask', allow_commands: ['npm test'], deny_commands: ['git push'] }
+});
+
+const ARCHITECT = normalizeAgent({ name: 'architect', role: 'Software architect' });
+
+const CONTEXT = {
+  mcpServers: normalizeMcpServers({ github: { command: 'npx', args: ['gh-mcp'] } })
+};
+
+describe('agent capabilities', () => {
+  test('default to every capability, minus the ones permissions deny', () => {
+    assert.deepStrictEqual(agentCapabilities(ARCHITECT), [
+      'read',
+      'edit',
+      'command',
+      'browser',
+      'mcp'
+    ]);
+    assert.deepStrictEqual(agentCapabilities(REVIEWER), ['read', 'command', 'mcp']);
+    assert.deepStrictEqual(
+      agentCapabilities(normalizeAgent({ ...ARCHITECT, permissions: { edit: 'deny' } })),
+      ['read', 'command', 'browser', 'mcp']
+    );
+  });
+
+  test('split models into provider and name', () => {
+    assert.deepStrictEqual(splitModel('openrouter/qwen3'), {
+      provider: 'openrouter',
+      name: 'qwen3'
+    });
+    assert.deepStrictEqual(splitModel('claude-opus-4-1'), {
+      provider: 'anthropic',
+      name: 'claude-opus-4-1'
+    });
+    assert.deepStrictEqual(splitModel('gpt-5'), { provider: 'openai', name: 'gpt-5' });
+    assert.deepStrictEqual(splitModel('llama3'), { provider: null, name: 'llama3' });
+  });
+});
+
+describe('native formats', () => {
+  test('Claude subagents list tools and MCP servers only when restricted', () => {
+    const reviewer = renderClaudeAgent(REVIEWER, CONTEXT);
+    assert.deepStrictEqual(frontmatterOf(reviewer), {
+      name: 'code-reviewer',
+      description: 'Senior code reviewer',
+      tools: 'Read, Grep, Glob, Bash, mcp__github',
+      model: 'claude-sonnet-4-5'
+    });
+    assert.match(reviewer, /\n# code-reviewer\n\n\*\*Role\*\*: Senior code reviewer\n/);
+    assert.match(reviewer, /## Instructions\n\nReview carefully\.\n/);
+
+    assert.deepStrictEqual(frontmatterOf(renderClaudeAgent(ARCHITECT, CONTEXT)), {
+      name: 'architect',
+      description: 'Software architect'
+    });
+  });
+
+  test('Roo custom modes use the capabilities as tool groups', () => {
+    const { customModes } = JSON.parse(renderRooModes([REVIEWER, ARCHITECT]));
+    assert.deepStrictEqual(customModes[0], {
+      slug: 'code-reviewer',
+      name: 'Code Reviewer',
+      roleDefinition: 'Senior code reviewer. Expertise: Security.',
+      customInstructions: 'Review carefully.',
+      groups: ['read', 'command', 'mcp']
+    });
+    assert.deepStrictEqual(customModes[1].groups, ['read'], 'no tools listed: read only');
+
+    const editor = normalizeAgent({
+      name: 'editor',
+      role: 'Editor',
+      tools: ['read', 'edit', 'command'],
+      permissions: { command: 'deny' }
+    });
+    assert.deepStrictEqual(JSON.parse(renderRooModes([editor])).customModes[0].groups, [
+      'read',
+      'edit'
+    ]);
+  });
+
+  test('OpenCode agents disable tools and translate command permissions', () => {
+    assert.deepStrictEqual(frontmatterOf(renderOpenCodeAgent(REVIEWER, CONTEXT)), {
+      description: 'Senior code reviewer',
+      mode: 'subagent',
+      model: 'anthropic/claude-sonnet-4-5',
+      tools: { write: false, edit: false, webfetch: false },
+      permission: { bash: { '*': 'ask', 'npm test*': 'allow', 'git push*': 'deny' } }
+    });
+
+    const readOnly = normalizeAgent({
+      ...ARCHITECT,
+      tools: ['read'],
+      permissions: { edit: 'deny' }
+    });
+    const data = frontmatterOf(renderOpenCodeAgent(readOnly, CONTEXT));
+    assert.strictEqual(data.tools['github_*'], false);
+    assert.deepStrictEqual(data.permission, { edit: 'deny' });
+  });
+
+  test('Copilot chat modes list the native tools', () => {
+    assert.deepStrictEqual(frontmatterOf(renderCopilotChatMode(REVIEWER)), {
+      description: 'Senior code reviewer',
+      tools: ['codebase', 'search', 'usages', 'runCommands'],
+      model: 'claude-sonnet-4-5'
+    });
+    assert.deepStrictEqual(frontmatterOf(renderCopilotChatMode(ARCHITECT)), {
+      description: 'Software architect'
+    });
+  });
+
+  test('Amazon Q profiles pre-approve allowed tools and commands', () => {
+    const profile = JSON.parse(renderAmazonQAgent(REVIEWER));
+    assert.deepStrictEqual(profile.tools, ['fs_read', 'execute_bash']);
+    assert.deepStrictEqual(profile.toolsSettings, {
+      execute_bash: { allowedCommands: ['npm test( .*)?'], deniedCommands: ['git push( .*)?'] }
+    });
+    assert.strictEqual(profile.allowedTools, undefined);
+    assert.strictEqual(profile.model, 'claude-sonnet-4-5');
+    assert.match(profile.prompt, /^# code-reviewer\n/);
+
+    const trusted = JSON.parse(
+      renderAmazonQAgent(normalizeAgent({ ...ARCHITECT, permissions: { edit: 'allow' } }))
+    );
+    assert.deepStrictEqual(trusted.tools, ['*']);
+    assert.deepStrictEqual(trusted.allowedTools, ['fs_write']);
+  });
+
+  test('Continue assistants get a model only when the provider is known', () => {
+    const assistant = yaml.load(renderContinueAssistant(REVIEWER));
+    assert.strictEqual(assistant.name, 'Code Reviewer');
+    assert.deepStrictEqual(assistant.models, [
+      {
+        name: 'claude-sonnet-4-5',
+        provider: 'anthropic',
+        model: 'claude-sonnet-4-5',
+        roles: ['chat', 'edit', 'apply']
+      }
+    ]);
+    assert.match(assistant.rules[0].rule, /Review carefully\.$/);
+
+    const local = normalizeAgent({ ...ARCHITECT, model: 'llama3' });
+    assert.strictEqual(yaml.load(renderContinueAssistant(local)).models, undefined);
+  });
+});
+
+describe('guvnr generate', () => {
+  const GUVNR_YAML = `version: "1.0"
+project:
+  name: demo
+agents:
+  - name: reviewer
+    role: Senior code reviewer
+    tools: [read, command]
+    model: claude-sonnet-4-5
+    permissions:
+      deny_commands: [git push]
+`;
+
+  test('writes every agent in each tool that has personas', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), GUVNR_YAML);
+    await runQuietly(() =>
+      generateCommand({ tools: 'claude,roo,opencode,copilot,amazonq,continue' })
+    );
+
+    assert.strictEqual(
+      frontmatterOf(read('.claude/agents/reviewer.md')).tools,
+      'Read, Grep, Glob, Bash'
+    );
+    assert.strictEqual(JSON.parse(read('.roo/.roomodes')).customModes[0].slug, 'reviewer');
+    assert.ok(existsSync(join(testDir, '.opencode/agents/project.md')));
+    assert.strictEqual(
+      frontmatterOf(read('.opencode/agents/reviewer.md')).permission.bash['git push*'],
+      'deny'
+    );
+    assert.ok(existsSync(join(testDir, '.github/chatmodes/reviewer.chatmode.md')));
+    assert.strictEqual(JSON.parse(read('.amazonq/cli-agents/reviewer.json')).name, 'reviewer');
+    assert.strictEqual(yaml.load(read('.continue/assistants/reviewer.yaml')).name, 'Reviewer');
+  });
+
+  test('keeps the general-purpose Roo modes when no agents are configured', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), 'version: "1.0"\nproject:\n  name: demo\n');
+    await runQuietly(() => generateCommand({ tools: 'roo' }));
+
+    const slugs = JSON.parse(read('.roo/.roomodes')).customModes.map(mode => mode.slug);
+    assert.deepStrictEqual(slugs, ['security-review', 'architect']);
+  });
+
+  test('rejects unknown agent tools and permission values', () => {
+    const { valid, violations } = validateGuvnrSource(
+      GUVNR_YAML.replace('[read, command]', '[read, shell]').replace(
+        'deny_commands: [git push]',
+        'edit: never'
+      )
+    );
+    assert.strictEqual(valid, false);
+    assert.deepStrictEqual(
+      violations.map(v => v.path),
+      ['agents[0].tools[1]', 'agents[0].permissions.edit']
+    );
+  });
+});
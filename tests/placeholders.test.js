@@ -0,0 +1,181 @@
+/**
+ * Tests for unresolved template placeholder detection in validate, generate and lint
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import {
+  templatePlaceholders,
+  findPlaceholders,
+  findConfigPlaceholders
+} from '../src/utils/placeholders.js';
+import { generateCommand } from '../src/commands/generate.js';
+import { validateCommand } from '../src/commands/validate.js';
+import { lintCommand } from '../src/commands/lint.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-placeholders-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+function writeFiles(files) {
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(testDir, path)), { recursive: true });
+    writeFileSync(join(testDir, path), content);
+  }
+}
+
+async function runQuietly(fn) {
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+  const output = [];
+
+  try {
+    process.chdir(testDir);
+    console.log = (...args) => output.push(args.join(' '));
+    await fn();
+    return output.join('\n');
+  } finally {
+    process.chdir(originalCwd);
+    console.log = originalLog;
+  }
+}
+
+const UNFINISHED_YAML = `version: "1.0"
+# \${COMMANDS} (replaced by guvnr init)
+project:
+  name: demo
+  description: A demo service
+context:
+  overview: |
+    \${PROJECT_OVERVIEW}
+  known_issues:
+    - "\${KNOWN_ISSUE}"
+mcp_servers:
+  github:
+    url: https://api.example.com/mcp
+    headers:
+      Authorization: "Bearer \${GITHUB_TOKEN}"
+`;
+
+describe('placeholder detection', () => {
+  test('knows the placeholders the bundled templates define', () => {
+    const placeholders = templatePlaceholders();
+    for (const expected of ['${KNOWN_ISSUE}', '${PROJECT_NAME}', '[PROJECT_NAME]', '[DATE]']) {
+      assert.ok(placeholders.includes(expected), `${expected} should be detected`);
+    }
+    assert.ok(!placeholders.includes('[ ]'), 'checkboxes are not placeholders');
+    assert.ok(!placeholders.includes('[read]'), 'YAML flow lists are not placeholders');
+  });
+
+  test('reports positions and leaves environment references, links and checkboxes alone', () => {
+    const text =
+      '# Project: [PROJECT_NAME]\n- [ ] Review [docs](https://x) with ${HOME}\n\n  ${KNOWN_ISSUE}';
+
+    assert.deepStrictEqual(findPlaceholders(text), [
+      { placeholder: '[PROJECT_NAME]', line: 1, column: 12 },
+      { placeholder: '${KNOWN_ISSUE}', line: 4, column: 3 }
+    ]);
+  });
+
+  test('locates each guvnr.yaml placeholder by line, column and path, skipping comments', () => {
+    assert.deepStrictEqual(findConfigPlaceholders(UNFINISHED_YAML), [
+      {
+        path: 'context.overview',
+        line: 8,
+        column: 5,
+        message: 'unresolved placeholder ${PROJECT_OVERVIEW}'
+      },
+      {
+        path: 'context.known_issues[0]',
+        line: 10,
+        column: 8,
+        message: 'unresolved placeholder ${KNOWN_ISSUE}'
+      }
+    ]);
+  });
+});
+
+describe('guvnr validate', () => {
+  test('fails with GUVNR-VALID-210 and lists every placeholder', async () => {
+    writeFiles({ 'guvnr.yaml': UNFINISHED_YAML });
+
+    let error;
+    const output = await runQuietly(() =>
+      validateCommand({ json: true }).catch(caught => {
+        error = caught;
+      })
+    );
+    assert.strictEqual(error?.code, 'GUVNR-VALID-210');
+    const rule = JSON.parse(output).errors.find(r => r.id === 'guvnr-yaml-placeholders');
+    assert.deepStrictEqual(rule.details, [
+      'guvnr.yaml:8:5 context.overview: unresolved placeholder ${PROJECT_OVERVIEW}',
+      'guvnr.yaml:10:8 context.known_issues[0]: unresolved placeholder ${KNOWN_ISSUE}'
+    ]);
+  });
+});
+
+describe('guvnr generate', () => {
+  test('refuses to write files containing placeholders', async () => {
+    writeFiles({ 'guvnr.yaml': UNFINISHED_YAML });
+
+    let error;
+    const output = await runQuietly(() =>
+      generateCommand({ tools: 'agents,aider' }).catch(caught => {
+        error = caught;
+      })
+    );
+
+    assert.strictEqual(error?.code, 'GUVNR-VALID-210');
+    assert.deepStrictEqual(error.context.files, ['AGENTS.md']);
+    assert.match(output, /AGENTS\.md:\d+:1 \$\{PROJECT_OVERVIEW\}/);
+    assert.strictEqual(existsSync(join(testDir, 'AGENTS.md')), false);
+    assert.ok(
+      existsSync(join(testDir, '.aider.conf.yml')),
+      'files without placeholders are written'
+    );
+    const manifest = JSON.parse(readFileSync(join(testDir, '.guvnr/manifest.json'), 'utf-8'));
+    assert.deepStrictEqual(Object.keys(manifest.files), ['.aider.conf.yml']);
+  });
+
+  test('writes them with --allow-placeholders', async () => {
+    writeFiles({ 'guvnr.yaml': UNFINISHED_YAML });
+    await runQuietly(() => generateCommand({ tools: 'agents', allowPlaceholders: true }));
+
+    assert.match(readFileSync(join(testDir, 'AGENTS.md'), 'utf-8'), /\$\{PROJECT_OVERVIEW\}/);
+  });
+});
+
+describe('guvnr lint', () => {
+  test('scans generated and known tool files for placeholders', async () => {
+    writeFiles({
+      'guvnr.yaml': 'version: "1.0"\nproject:\n  name: demo\n',
+      'CLAUDE.md': '# Project: [PROJECT_NAME]\n\n## Overview\n',
+      '.cursor/rules/legacy.mdc': '---\n---\nStarted [DATE]\n',
+      '.github/copilot-instructions.md': '# Use ${HOME}/bin tools\n'
+    });
+
+    let error;
+    const output = await runQuietly(() =>
+      lintCommand({ only: ['placeholders'] }).catch(caught => {
+        error = caught;
+      })
+    );
+
+    assert.strictEqual(error?.code, 'GUVNR-VALID-200');
+    assert.match(output, /2 unresolved placeholder\(s\)/);
+    assert.match(output, /\.cursor\/rules\/legacy\.mdc:3:9 \[DATE\]/);
+    assert.match(output, /CLAUDE\.md:1:12 \[PROJECT_NAME\]/);
+    assert.doesNotMatch(output, /copilot-instructions/);
+  });
+});
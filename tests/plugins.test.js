@@ -0,0 +1,168 @@
+/**
+ * Tests for generator plugins (tools.plugins)
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { validateGenerator, loadGeneratorPlugins } from '../src/generators/plugins.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-plugins-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+const ACME_PLUGIN = `export default {
+  id: 'acme',
+  name: 'Acme Assistant',
+  outputs: ['.acme/rules.md'],
+  render: context => ({ '.acme/rules.md': '# ' + context.projectName + '\\n' })
+};
+`;
+
+function writeGuvnrYaml(plugins) {
+  writeFileSync(
+    join(testDir, 'guvnr.yaml'),
+    `version: "1.0"\nproject:\n  name: plugin-demo\ntools:\n  plugins:\n${plugins
+      .map(p => `    - ${p}`)
+      .join('\n')}\n`
+  );
+}
+
+async function runGenerate(options) {
+  const { generateCommand } = await import('../src/commands/generate.js');
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+
+  try {
+    process.chdir(testDir);
+    console.log = () => {};
+    await generateCommand(options);
+  } finally {
+    process.chdir(originalCwd);
+    console.log = originalLog;
+  }
+}
+
+describe('validateGenerator', () => {
+  const render = () => '';
+
+  test('accepts a well-formed generator', () => {
+    const generator = validateGenerator(
+      { id: 'acme', outputs: ['ACME.md'], render },
+      'test',
+      testDir
+    );
+    assert.strictEqual(generator.name, 'acme');
+    assert.deepStrictEqual(generator.outputs, ['ACME.md']);
+  });
+
+  test('rejects missing fields and bad ids', () => {
+    const cases = [
+      null,
+      { outputs: ['a.md'], render },
+      { id: 'Acme', outputs: ['a.md'], render },
+      { id: 'acme', outputs: [], render },
+      { id: 'acme', outputs: ['a.md'] }
+    ];
+    for (const candidate of cases) {
+      assert.throws(() => validateGenerator(candidate, 'test', testDir), {
+        code: 'GUVNR-CONFIG-306'
+      });
+    }
+  });
+
+  test('rejects outputs outside the project', () => {
+    for (const output of ['../escape.md', '/etc/passwd']) {
+      assert.throws(
+        () => validateGenerator({ id: 'acme', outputs: [output], render }, 'test', testDir),
+        { code: 'GUVNR-CONFIG-306' }
+      );
+    }
+  });
+});
+
+describe('loadGeneratorPlugins', () => {
+  test('loads a local plugin file', async () => {
+    writeFileSync(join(testDir, 'acme.mjs'), ACME_PLUGIN);
+    const generators = await loadGeneratorPlugins(['./acme.mjs'], testDir);
+    assert.strictEqual(generators.length, 1);
+    assert.strictEqual(generators[0].id, 'acme');
+    assert.strictEqual(generators[0].source, './acme.mjs');
+  });
+
+  test('loads a plugin package installed in the project', async () => {
+    const pkgDir = join(testDir, 'node_modules', 'guvnr-plugin-acme');
+    mkdirSync(pkgDir, { recursive: true });
+    writeFileSync(
+      join(pkgDir, 'package.json'),
+      JSON.stringify({ name: 'guvnr-plugin-acme', type: 'module', main: 'index.js' })
+    );
+    writeFileSync(join(pkgDir, 'index.js'), ACME_PLUGIN);
+
+    const generators = await loadGeneratorPlugins(['guvnr-plugin-acme'], testDir);
+    assert.strictEqual(generators[0].id, 'acme');
+  });
+
+  test('reports missing plugins as GUVNR-CONFIG-305', async () => {
+    await assert.rejects(loadGeneratorPlugins(['./missing.js'], testDir), {
+      code: 'GUVNR-CONFIG-305'
+    });
+    await assert.rejects(loadGeneratorPlugins(['guvnr-plugin-not-installed'], testDir), {
+      code: 'GUVNR-CONFIG-305'
+    });
+  });
+
+  test('rejects ids that clash with built-in tools', async () => {
+    writeFileSync(join(testDir, 'cursor.mjs'), ACME_PLUGIN.replace("'acme'", "'cursor'"));
+    await assert.rejects(loadGeneratorPlugins(['./cursor.mjs'], testDir, ['cursor']), {
+      code: 'GUVNR-CONFIG-306'
+    });
+  });
+});
+
+describe('generate with plugins', () => {
+  test('runs a plugin selected with --tools', async () => {
+    writeFileSync(join(testDir, 'acme.mjs'), ACME_PLUGIN);
+    writeGuvnrYaml(['./acme.mjs']);
+
+    await runGenerate({ tools: 'acme' });
+
+    const outputPath = join(testDir, '.acme', 'rules.md');
+    assert.ok(existsSync(outputPath), 'Plugin output should be written');
+    assert.strictEqual(readFileSync(outputPath, 'utf-8'), '# plugin-demo\n');
+    assert.ok(!existsSync(join(testDir, 'AGENTS.md')), 'Only the selected tool should run');
+  });
+
+  test('skips existing plugin outputs without --force', async () => {
+    writeFileSync(join(testDir, 'acme.mjs'), ACME_PLUGIN);
+    writeGuvnrYaml(['./acme.mjs']);
+    mkdirSync(join(testDir, '.acme'));
+    writeFileSync(join(testDir, '.acme', 'rules.md'), 'hand written');
+
+    await runGenerate({ tools: 'acme' });
+    assert.strictEqual(readFileSync(join(testDir, '.acme', 'rules.md'), 'utf-8'), 'hand written');
+
+    await runGenerate({ tools: 'acme', force: true });
+    assert.strictEqual(
+      readFileSync(join(testDir, '.acme', 'rules.md'), 'utf-8'),
+      '# plugin-demo\n'
+    );
+  });
+
+  test('rejects unknown tools when no plugin provides them', async () => {
+    writeGuvnrYaml(['./acme.mjs']);
+    writeFileSync(join(testDir, 'acme.mjs'), ACME_PLUGIN);
+
+    await assert.rejects(runGenerate({ tools: 'other' }), { code: 'GUVNR-CONFIG-303' });
+  });
+});
@@ -0,0 +1,309 @@
+/**
+ * Tests for the guvnr.yaml commands section, its detection and guvnr verify
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import { setTimeout as delay } from 'timers/promises';
+import {
+  normalizeCommands,
+  verificationCommands,
+  detectProjectCommands
+} from '../src/generators/commands.js';
+import { generateCommand } from '../src/commands/generate.js';
+import { initCommand } from '../src/commands/init.js';
+import { verifyCommand, runVerification } from '../src/commands/verify.js';
+import { validateGuvnrSource } from '../src/utils/config.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-project-commands-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+function writeFiles(files) {
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(testDir, path)), { recursive: true });
+    writeFileSync(join(testDir, path), content);
+  }
+}
+
+function read(path) {
+  return readFileSync(join(testDir, path), 'utf-8');
+}
+
+async function runQuietly(fn) {
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+  const output = [];
+
+  try {
+    process.chdir(testDir);
+    console.log = (...args) => output.push(args.join(' '));
+    await fn();
+    return output.join('\n');
+  } finally {
+    process.chdir(originalCwd);
+    console.log = originalLog;
+  }
+}
+
+const COMMANDS_YAML = `version: "1.0"
+project:
+  name: demo
+commands:
+  lint: make lint
+  format: make fmt
+  test: make test
+  typecheck: make types
+tools:
+  aider:
+    lint_cmd: make lint-fast
+`;
+
+describe('commands section', () => {
+  test('orders build, test, lint and format first and keeps other commands', () => {
+    const commands = normalizeCommands({
+      typecheck: 'tsc',
+      lint: 'eslint .',
+      test: 'vitest',
+      e2e: ''
+    });
+
+    assert.deepStrictEqual(
+      commands.map(({ name }) => name),
+      ['test', 'lint', 'typecheck']
+    );
+    assert.deepStrictEqual(
+      verificationCommands(
+        normalizeCommands({ install: 'npm ci', format: 'prettier -w .', test: 'vitest' })
+      ),
+      [{ name: 'test', command: 'vitest' }]
+    );
+  });
+
+  test('is a map of non-empty strings in the schema', () => {
+    assert.strictEqual(validateGuvnrSource(COMMANDS_YAML).valid, true);
+    assert.strictEqual(
+      validateGuvnrSource(COMMANDS_YAML.replace('make types', '""')).valid,
+      false,
+      'commands cannot be empty'
+    );
+  });
+});
+
+describe('detectProjectCommands', () => {
+  test('reads package.json scripts with the package manager from the lock file', () => {
+    writeFiles({
+      'package.json': JSON.stringify({
+        scripts: { build: 'tsc', test: 'vitest', fmt: 'prettier -w .' }
+      }),
+      'pnpm-lock.yaml': '',
+      Makefile: 'LINT := eslint\nlint:\n\t$(LINT) .\ntest:\n\tnpm test\n'
+    });
+
+    assert.deepStrictEqual(detectProjectCommands(testDir), {
+      build: 'pnpm run build',
+      test: 'pnpm run test',
+      lint: 'make lint',
+      format: 'pnpm run fmt'
+    });
+  });
+
+  test('skips the npm init test placeholder', () => {
+    writeFiles({
+      'package.json': JSON.stringify({
+        scripts: { test: 'echo "Error: no test specified" && exit 1', lint: 'eslint .' }
+      })
+    });
+
+    assert.deepStrictEqual(detectProjectCommands(testDir), { lint: 'npm run lint' });
+  });
+
+  test('reads pyproject.toml tool sections and Cargo.toml', () => {
+    writeFiles({
+      'python/pyproject.toml':
+        '[build-system]\nrequires = ["hatchling"]\n\n[tool.pytest.ini_options]\naddopts = "-q"\n\n[tool.ruff]\nline-length = 100\n',
+      'python/uv.lock': '',
+      'rust/Cargo.toml': '[package]\nname = "demo"\n'
+    });
+
+    assert.deepStrictEqual(detectProjectCommands(join(testDir, 'python')), {
+      build: 'uv build',
+      test: 'uv run pytest',
+      lint: 'uv run ruff check .',
+      format: 'uv run ruff format .'
+    });
+    assert.strictEqual(detectProjectCommands(join(testDir, 'rust')).lint, 'cargo clippy');
+    assert.deepStrictEqual(detectProjectCommands(testDir), {});
+  });
+
+  test('guvnr init writes the detected commands into guvnr.yaml', async () => {
+    writeFiles({ 'package.json': JSON.stringify({ scripts: { test: 'node --test' } }) });
+    await runQuietly(() => initCommand({ preset: 'minimal', json: true }));
+
+    const yaml = read('guvnr.yaml');
+    assert.match(yaml, /^commands:\n {2}test: "npm test"$/m);
+    assert.strictEqual(validateGuvnrSource(yaml).valid, true);
+  });
+});
+
+describe('generate', () => {
+  test('renders the commands into each tool', async () => {
+    writeFiles({ 'guvnr.yaml': COMMANDS_YAML });
+    await runQuietly(() =>
+      generateCommand({ tools: 'agents,claude,aider,codex,opencode,kiro,gemini' })
+    );
+
+    const agentsMd = read('AGENTS.md');
+    assert.match(
+      agentsMd,
+      /## Commands\n\n```bash\n# Run tests\nmake test\n\n# Run linter\nmake lint/
+    );
+    assert.match(agentsMd, /## Verification Commands[\s\S]*make types[\s\S]*```/);
+    assert.doesNotMatch(agentsMd, /npm run build/);
+    assert.match(read('CLAUDE.md'), /## Commands\n\n```bash\n# Run tests\nmake test\n/);
+    assert.match(read('GEMINI.md'), /# Format code\nmake fmt/);
+
+    const aider = read('.aider.conf.yml');
+    assert.match(aider, /^test-cmd: "make test"$/m);
+    assert.match(aider, /^lint-cmd: "make lint-fast"$/m, 'tools.aider overrides commands');
+    assert.match(read('.codex/AGENTS.override.md'), /Use `make test` for test verification/);
+    assert.strictEqual(JSON.parse(read('opencode.json')).formatter.command, 'make fmt');
+
+    const lintHook = JSON.parse(read('.kiro/hooks/lint.kiro.hook'));
+    assert.strictEqual(lintHook.when.type, 'fileEdited');
+    assert.match(lintHook.then.prompt, /`make lint`/);
+    const verifyHook = JSON.parse(read('.kiro/hooks/verify.kiro.hook'));
+    assert.match(verifyHook.then.prompt, /- test: `make test`\n- lint: `make lint`\n- typecheck/);
+    assert.doesNotMatch(verifyHook.then.prompt, /make fmt/);
+  });
+
+  test('keeps the npm defaults without a commands section', async () => {
+    writeFiles({ 'guvnr.yaml': 'version: "1.0"\nproject:\n  name: demo\n' });
+    await runQuietly(() => generateCommand({ tools: 'agents,aider,kiro' }));
+
+    assert.match(
+      read('AGENTS.md'),
+      /## Build & Test\n\n```bash\n# Install dependencies\nnpm install/
+    );
+    assert.match(read('.aider.conf.yml'), /^test-cmd: npm test$/m);
+    assert.strictEqual(existsSync(join(testDir, '.kiro/hooks')), false);
+  });
+});
+
+describe('guvnr verify', () => {
+  const pass = 'node -e "process.exit(0)"';
+  const fail = 'node -e "console.log(\'broken\'); process.exit(3)"';
+
+  test('runs every check except format and reports each result', async () => {
+    writeFiles({
+      'guvnr.yaml': `version: "1.0"
+project:
+  name: demo
+commands:
+  format: ${JSON.stringify(fail)}
+  test: ${JSON.stringify(pass)}
+  lint: ${JSON.stringify(pass)}
+`
+    });
+
+    const output = await runQuietly(() => verifyCommand({ json: true }));
+    const result = JSON.parse(output);
+    assert.strictEqual(result.passed, true);
+    assert.deepStrictEqual(
+      result.results.map(({ name, exitCode }) => [name, exitCode]),
+      [
+        ['test', 0],
+        ['lint', 0]
+      ]
+    );
+  });
+
+  test('fails with GUVNR-VALID-209 when a command fails, and --only selects commands', async () => {
+    writeFiles({
+      'guvnr.yaml': `version: "1.0"
+project:
+  name: demo
+commands:
+  test: ${JSON.stringify(fail)}
+  lint: ${JSON.stringify(pass)}
+`
+    });
+
+    let error;
+    const output = await runQuietly(() =>
+      verifyCommand({ json: true }).catch(caught => {
+        error = caught;
+      })
+    );
+    assert.strictEqual(error?.code, 'GUVNR-VALID-209');
+    const failed = JSON.parse(output).results[0];
+    assert.deepStrictEqual([failed.passed, failed.exitCode, failed.output], [false, 3, 'broken']);
+
+    const lintOnly = await runVerification(testDir, { only: ['lint'], capture: true });
+    assert.deepStrictEqual(
+      lintOnly.results.map(({ name }) => name),
+      ['lint']
+    );
+  });
+
+  test(
+    'an abort stops every process the command started',
+    { skip: process.platform === 'win32' },
+    async () => {
+      writeFiles({
+        'guvnr.yaml': `version: "1.0"
+project:
+  name: demo
+commands:
+  test: "sleep 30 & echo $! > sleep.pid; wait"
+`
+      });
+      const controller = new AbortController();
+      const running = runVerification(testDir, { capture: true, signal: controller.signal });
+
+      const pidFile = join(testDir, 'sleep.pid');
+      const started = () => existsSync(pidFile) && readFileSync(pidFile, 'utf-8').trim() !== '';
+      for (let i = 0; i < 100 && !started(); i++) {
+        await delay(20);
+      }
+      const pid = Number(readFileSync(pidFile, 'utf-8'));
+      controller.abort(new Error('stopped'));
+
+      await assert.rejects(running, { code: 'ERR_ABORT' });
+      const alive = () => {
+        try {
+          process.kill(pid, 0);
+          return true;
+        } catch {
+          return false;
+        }
+      };
+      for (let i = 0; i < 100 && alive(); i++) {
+        await delay(20);
+      }
+      assert.strictEqual(alive(), false, 'the background sleep should be gone');
+    }
+  );
+
+  test('rejects a missing section or an unknown command name', async () => {
+    writeFiles({
+      'guvnr.yaml': 'version: "1.0"\nproject:\n  name: demo\ncommands:\n  format: x\n'
+    });
+
+    await assert.rejects(() => runVerification(testDir), { code: 'GUVNR-CONFIG-313' });
+    await assert.rejects(() => runVerification(testDir, { only: ['tset'] }), {
+      code: 'GUVNR-CONFIG-313'
+    });
+  });
+});
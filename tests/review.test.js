@@ -0,0 +1,275 @@
+/**
+ * Tests for security.require_review: the CODEOWNERS block and guvnr review-check
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync, spawnSync } from 'child_process';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import {
+  CODEOWNERS_BEGIN,
+  normalizeReviewRules,
+  globToRegExp,
+  renderCodeowners
+} from '../src/generators/codeowners.js';
+import { generateCommand } from '../src/commands/generate.js';
+import { uninstall } from '../src/commands/uninstall.js';
+import { initCommand } from '../src/commands/init.js';
+import { validate } from '../src/commands/validate.js';
+import { getReviewStatus, reviewCheckCommand } from '../src/commands/review.js';
+import { validateGuvnrSource } from '../src/utils/config.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-review-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+function writeFiles(files) {
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(testDir, path)), { recursive: true });
+    writeFileSync(join(testDir, path), content);
+  }
+}
+
+function read(path) {
+  return readFileSync(join(testDir, path), 'utf-8');
+}
+
+function git(...args) {
+  return execFileSync(
+    'git',
+    [
+      '-c',
+      'user.name=Test',
+      '-c',
+      'user.email=test@example.com',
+      '-c',
+      'commit.gpgsign=false',
+      ...args
+    ],
+    { cwd: testDir, encoding: 'utf-8' }
+  );
+}
+
+function commit(files, message) {
+  writeFiles(files);
+  git('add', '-A');
+  git('commit', '-q', '-m', message);
+}
+
+async function runQuietly(fn) {
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+
+  try {
+    process.chdir(testDir);
+    console.log = () => {};
+    return await fn();
+  } finally {
+    process.chdir(originalCwd);
+    console.log = originalLog;
+  }
+}
+
+const REVIEW_YAML = `version: "1.0"
+project:
+  name: demo
+security:
+  require_review:
+    - src/auth/**
+    - migrations/
+  review_owners:
+    src/auth/**:
+      - "@acme/security"
+      - alice@example.com
+`;
+
+/**
+ * Repository with guvnr.yaml on main and a feature branch checked out
+ */
+function createRepository() {
+  git('init', '-q', '-b', 'main');
+  commit({ 'guvnr.yaml': REVIEW_YAML, 'README.md': '# demo\n' }, 'Initial commit');
+  git('checkout', '-q', '-b', 'feature');
+}
+
+describe('globToRegExp', () => {
+  test('follows CODEOWNERS (gitignore) matching', () => {
+    const matches = (glob, path) => globToRegExp(glob).test(path);
+
+    assert.ok(matches('src/auth/**', 'src/auth/login.ts'));
+    assert.ok(matches('src/auth/**', 'src/auth/oauth/google.ts'));
+    assert.ok(!matches('src/auth/**', 'lib/src/auth/login.ts'), 'a slash anchors to the root');
+    assert.ok(matches('migrations/', 'db/migrations/001.sql'), 'no inner slash matches anywhere');
+    assert.ok(matches('*.pem', 'certs/server.pem'));
+    assert.ok(matches('/docs/*.md', 'docs/index.md'));
+    assert.ok(!matches('/docs/*.md', 'docs/api/index.md'), '* stays within one directory');
+    assert.ok(matches('**/secrets/**', 'config/secrets/prod.json'));
+  });
+});
+
+describe('review owners', () => {
+  test('pairs globs with owners and rejects owners for unlisted globs', () => {
+    assert.deepStrictEqual(
+      normalizeReviewRules({
+        require_review: ['src/auth/**', 'migrations/'],
+        review_owners: { 'migrations/': ['@acme/dba'] }
+      }),
+      [
+        { path: 'src/auth/**', owners: [] },
+        { path: 'migrations/', owners: ['@acme/dba'] }
+      ]
+    );
+    assert.throws(
+      () => normalizeReviewRules({ require_review: [], review_owners: { 'src/**': ['@a'] } }),
+      { code: 'GUVNR-CONFIG-311' }
+    );
+    assert.strictEqual(
+      validateGuvnrSource(REVIEW_YAML.replace('alice@example.com', 'alice')).valid,
+      false,
+      'owners must be @user, @org/team or an email'
+    );
+  });
+
+  test('keeps lines outside the managed block and replaces the block in place', () => {
+    const rules = [{ path: 'src/auth/**', owners: ['@acme/security'] }];
+    const appended = renderCodeowners('* @acme/maintainers\n', rules);
+    assert.strictEqual(
+      appended,
+      `* @acme/maintainers\n\n${CODEOWNERS_BEGIN}\nsrc/auth/** @acme/security\n# END guvnr\n`
+    );
+
+    const updated = renderCodeowners(`${appended}docs/ @acme/docs\n`, [
+      { path: 'src/auth/**', owners: ['@bob'] }
+    ]);
+    assert.match(updated, /\nsrc\/auth\/\*\* @bob\n# END guvnr\ndocs\/ @acme\/docs\n$/);
+
+    assert.strictEqual(renderCodeowners(appended, []), '* @acme/maintainers\n');
+    assert.strictEqual(renderCodeowners('* @acme/maintainers\n', []), null);
+  });
+});
+
+describe('generate with require_review', () => {
+  test('writes owned globs to .github/CODEOWNERS, updating an existing file with --force', async () => {
+    writeFiles({ 'guvnr.yaml': REVIEW_YAML, '.github/CODEOWNERS': '* @acme/maintainers\n' });
+    await runQuietly(() => generateCommand({ tools: 'codeowners' }));
+    assert.strictEqual(read('.github/CODEOWNERS'), '* @acme/maintainers\n');
+
+    await runQuietly(() => generateCommand({ tools: 'codeowners', force: true }));
+    const codeowners = read('.github/CODEOWNERS');
+    assert.match(codeowners, /^\* @acme\/maintainers\n/);
+    assert.match(codeowners, /^src\/auth\/\*\* @acme\/security alice@example\.com$/m);
+    assert.doesNotMatch(codeowners, /migrations/, 'globs without owners are not written');
+  });
+
+  test('leaves CODEOWNERS out of all tools unless review_owners names owners', async () => {
+    const unowned = REVIEW_YAML.replace(/ {2}review_owners:[\s\S]*$/, '');
+    writeFiles({ 'guvnr.yaml': unowned, '.github/CODEOWNERS': '* @acme/maintainers\n' });
+    await runQuietly(() => generateCommand({ force: true }));
+    assert.strictEqual(read('.github/CODEOWNERS'), '* @acme/maintainers\n');
+    assert.ok(!JSON.parse(read('.guvnr/manifest.json')).files['.github/CODEOWNERS']);
+
+    writeFiles({ 'guvnr.yaml': REVIEW_YAML });
+    await runQuietly(() => generateCommand({ force: true }));
+    assert.ok(read('.github/CODEOWNERS').includes(CODEOWNERS_BEGIN));
+  });
+});
+
+describe('uninstall with require_review', () => {
+  test('removes only the guvnr block from CODEOWNERS', async () => {
+    writeFiles({ 'guvnr.yaml': REVIEW_YAML, '.github/CODEOWNERS': '* @acme/maintainers\n' });
+    await runQuietly(() => generateCommand({ tools: 'codeowners,agents', force: true }));
+
+    await runQuietly(() => uninstall({ force: true, json: true }));
+    assert.strictEqual(read('.github/CODEOWNERS'), '* @acme/maintainers\n');
+    assert.ok(!existsSync(join(testDir, 'AGENTS.md')));
+  });
+
+  test('removes a CODEOWNERS file that only held the guvnr block', async () => {
+    writeFiles({ 'guvnr.yaml': REVIEW_YAML, CODEOWNERS: '* @acme/maintainers\n' });
+    await runQuietly(() => uninstall({ force: true, json: true }));
+    assert.strictEqual(read('CODEOWNERS'), '* @acme/maintainers\n', 'no block, nothing removed');
+
+    rmSync(join(testDir, 'CODEOWNERS'));
+    await runQuietly(() => generateCommand({ tools: 'codeowners' }));
+    assert.ok(existsSync(join(testDir, '.github/CODEOWNERS')));
+
+    await runQuietly(() => uninstall({ force: true, json: true }));
+    assert.ok(!existsSync(join(testDir, '.github')));
+  });
+});
+
+describe('review-check', () => {
+  test('fails until a commit trailer names an owner', async () => {
+    createRepository();
+    commit({ 'src/auth/login.ts': 'export {};\n' }, 'Add login\n\nReviewed-by: @mallory');
+
+    await assert.rejects(
+      () => runQuietly(() => reviewCheckCommand({ base: 'main' })),
+      error => error.code === 'GUVNR-VALID-208' && /src\/auth\/\*\*/.test(error.message)
+    );
+
+    commit(
+      { 'src/auth/login.ts': 'export const login = 1;\n' },
+      'Fix login\n\nReviewed-by: Alice <alice@example.com>'
+    );
+    const result = await runQuietly(() => reviewCheckCommand({ base: 'main' }));
+    assert.deepStrictEqual(result.required[0].files, ['src/auth/login.ts']);
+    assert.match(result.required[0].approvedBy[0], /^Alice <alice@example\.com> \([0-9a-f]+\)$/);
+  });
+
+  test('accepts an approvals file updated in the change, and any reviewer without owners', async () => {
+    createRepository();
+    commit({ 'db/migrations/001.sql': 'select 1;\n' }, 'Add migration');
+
+    let status = await getReviewStatus(testDir, { base: 'main' });
+    assert.strictEqual(status.required[0].approved, false);
+
+    commit({ '.guvnr/approvals': 'Approved-by: @bob\n' }, 'Record approval');
+    status = await getReviewStatus(testDir, { base: 'main' });
+    assert.deepStrictEqual(status.required[0].approvedBy, ['@bob (.guvnr/approvals)']);
+  });
+
+  test('sees an approvals file committed in a project set up by guvnr init', async () => {
+    git('init', '-q', '-b', 'main');
+    await runQuietly(() => initCommand({ preset: 'minimal', yes: true }));
+    commit({ 'guvnr.yaml': REVIEW_YAML }, 'Set up guvnr');
+    git('checkout', '-q', '-b', 'feature');
+    commit({ 'db/migrations/001.sql': 'select 1;\n' }, 'Add migration');
+
+    commit({ '.guvnr/approvals': 'Approved-by: @bob\n' }, 'Record approval');
+
+    assert.match(git('ls-files', '.guvnr'), /^\.guvnr\/approvals$/m);
+    const status = await getReviewStatus(testDir, { base: 'main' });
+    assert.deepStrictEqual(status.required[0].approvedBy, ['@bob (.guvnr/approvals)']);
+
+    // validate --fix writes the same entries when there is no .gitignore
+    rmSync(join(testDir, '.gitignore'));
+    await validate(testDir, { fix: true });
+    const ignored = path => spawnSync('git', ['check-ignore', '-q', path], { cwd: testDir }).status;
+    assert.strictEqual(ignored('.guvnr/approvals'), 1);
+    assert.strictEqual(ignored('.guvnr/manifest.json'), 0);
+  });
+
+  test('passes without matching changes and rejects an unknown base', async () => {
+    createRepository();
+    commit({ 'README.md': '# demo\n\nMore.\n' }, 'Update README');
+
+    const result = await runQuietly(() => reviewCheckCommand({ base: 'main' }));
+    assert.deepStrictEqual(result.changed, ['README.md']);
+    assert.deepStrictEqual(result.required, []);
+
+    await assert.rejects(() => getReviewStatus(testDir, { base: 'origin/nope' }), {
+      code: 'GUVNR-GEN-905'
+    });
+  });
+});
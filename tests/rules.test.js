@@ -0,0 +1,187 @@
+/**
+ * Tests for path-scoped rules (the `rules` list in guvnr.yaml)
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import { normalizeRules, staticDirectory, placeRules } from '../src/generators/rules.js';
+import { generateCommand } from '../src/commands/generate.js';
+import { validateGuvnrSource } from '../src/utils/config.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-rules-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+function writeFiles(files) {
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(testDir, path)), { recursive: true });
+    writeFileSync(join(testDir, path), content);
+  }
+}
+
+function read(path) {
+  return readFileSync(join(testDir, path), 'utf-8');
+}
+
+async function runGenerate(options) {
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+
+  try {
+    process.chdir(testDir);
+    console.log = () => {};
+    await generateCommand(options);
+  } finally {
+    process.chdir(originalCwd);
+    console.log = originalLog;
+  }
+}
+
+const RULES_YAML = `version: "1.0"
+project:
+  name: demo
+rules:
+  - name: api-validation
+    description: API handlers
+    paths:
+      - src/api/**
+    instructions:
+      - Always validate request bodies with zod
+  - name: vitest
+    paths:
+      - "**/*.test.ts"
+    instructions:
+      - Use vitest idioms
+`;
+
+describe('staticDirectory', () => {
+  test('returns the leading segments without glob characters', () => {
+    assert.strictEqual(staticDirectory('src/api/**'), 'src/api');
+    assert.strictEqual(staticDirectory('./src/**/*.ts'), 'src');
+    assert.strictEqual(staticDirectory('src/api/handler.ts'), 'src/api');
+    assert.strictEqual(staticDirectory('docs'), 'docs');
+    assert.strictEqual(staticDirectory('**/*.test.ts'), '');
+    assert.strictEqual(staticDirectory('*.md'), '');
+  });
+});
+
+describe('placeRules', () => {
+  test('nests rules by directory and keeps the rest for the root file', () => {
+    writeFiles({ 'packages/web/guvnr.yaml': 'conventions: {}\n' });
+    const rules = normalizeRules([
+      { name: 'api', paths: ['src/api/**', 'src/jobs/**'], instructions: ['a'] },
+      { name: 'tests', paths: ['src/api/**', '**/*.test.ts'], instructions: ['b'] },
+      { name: 'web', paths: ['packages/web/**'], instructions: ['c'] }
+    ]);
+
+    const { nested, unscoped } = placeRules(testDir, rules);
+    assert.deepStrictEqual(
+      [...nested].map(([dir, list]) => `${dir}: ${list.map(rule => rule.name).join(',')}`),
+      ['src/api: api', 'src/jobs: api']
+    );
+    assert.deepStrictEqual(
+      unscoped.map(rule => rule.name),
+      ['tests', 'web'],
+      'globs without a directory and package directories go to the root file'
+    );
+  });
+});
+
+describe('normalizeRules', () => {
+  test('drops globs outside the project, and rules left without any', () => {
+    const rules = normalizeRules([
+      { name: 'api', paths: ['../outside/**', 'src/api/**'], instructions: ['a'] },
+      { name: 'outside', paths: ['src/../../outside/**', '/etc/**'], instructions: ['b'] }
+    ]);
+
+    assert.deepStrictEqual(
+      rules.map(rule => `${rule.name}: ${rule.paths.join(',')}`),
+      ['api: src/api/**']
+    );
+    assert.deepStrictEqual([...placeRules(testDir, rules).nested.keys()], ['src/api']);
+  });
+});
+
+describe('rules schema', () => {
+  test('requires paths and instructions and reserves built-in rule names', () => {
+    assert.strictEqual(validateGuvnrSource(RULES_YAML).valid, true);
+
+    for (const rule of [
+      '{ name: api, paths: [], instructions: [a] }',
+      '{ name: api, paths: [src/**] }',
+      '{ name: project, paths: [src/**], instructions: [a] }',
+      '{ name: package-web, paths: [src/**], instructions: [a] }',
+      '{ name: api, paths: ["../outside/**"], instructions: [a] }',
+      '{ name: api, paths: [src/../../outside/**], instructions: [a] }',
+      '{ name: api, paths: [/etc/**], instructions: [a] }'
+    ]) {
+      const result = validateGuvnrSource(
+        `version: "1.0"\nproject:\n  name: demo\nrules:\n  - ${rule}\n`
+      );
+      assert.strictEqual(result.valid, false, rule);
+    }
+  });
+});
+
+describe('generate with rules', () => {
+  test('writes native glob rules for Cursor, Copilot, Windsurf, Continue and Kiro', async () => {
+    writeFiles({ 'guvnr.yaml': RULES_YAML });
+    await runGenerate({ tools: 'cursor,copilot,windsurf,continue,kiro' });
+
+    const cursor = read('.cursor/rules/api-validation.mdc');
+    assert.match(cursor, /^description: "API handlers"$/m);
+    assert.match(cursor, /^globs: \["src\/api\/\*\*"\]$/m);
+    assert.match(cursor, /^alwaysApply: false$/m);
+    assert.match(cursor, /- Always validate request bodies with zod/);
+
+    assert.match(
+      read('.github/instructions/vitest.instructions.md'),
+      /^---\napplyTo: "\*\*\/\*\.test\.ts"\n---\n/
+    );
+    assert.match(
+      read('.windsurf/rules/vitest.md'),
+      /^---\ntrigger: glob\nglobs: \*\*\/\*\.test\.ts\n---\n/
+    );
+    assert.match(read('.continue/rules/vitest.md'), /^globs: \["\*\*\/\*\.test\.ts"\]$/m);
+
+    const kiro = read('.kiro/steering/api-validation.md');
+    assert.match(kiro, /^inclusion: fileMatch$/m);
+    assert.match(kiro, /^fileMatchPattern: "src\/api\/\*\*"$/m);
+
+    assert.doesNotMatch(read('.cursor/rules/project.mdc'), /zod/, 'the global rule is unchanged');
+  });
+
+  test('writes nested CLAUDE.md and AGENTS.md for tools without glob support', async () => {
+    writeFiles({ 'guvnr.yaml': RULES_YAML });
+    await runGenerate({ tools: 'claude,agents' });
+
+    for (const file of ['CLAUDE.md', 'AGENTS.md']) {
+      const nested = read(`src/api/${file}`);
+      assert.match(nested, /^# Rules for src\/api\/$/m);
+      assert.match(nested, /- Always validate request bodies with zod/);
+
+      const root = read(file);
+      assert.match(root, /## Path-Specific Rules[\s\S]*### vitest[\s\S]*- Use vitest idioms/);
+      assert.doesNotMatch(root, /zod/, `${file} leaves nested rules to the nested file`);
+    }
+  });
+
+  test('leaves outputs unchanged without rules', async () => {
+    writeFiles({ 'guvnr.yaml': 'version: "1.0"\nproject:\n  name: demo\n' });
+    await runGenerate({ tools: 'claude,copilot' });
+
+    assert.doesNotMatch(read('CLAUDE.md'), /Path-Specific Rules/);
+    assert.strictEqual(existsSync(join(testDir, '.github/instructions')), false);
+  });
+});
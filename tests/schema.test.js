@@ -0,0 +1,232 @@
+/**
+ * Tests for guvnr.yaml schema validation
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { copyFileSync, existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  validateGuvnrYaml,
+  locateYamlPath,
+  formatYamlPath,
+  formatViolation,
+  suggestClosest
+} from '../src/utils/schema.js';
+import { PRESETS, getPresetPath } from '../src/index.js';
+
+const VALID_YAML = `version: "1.0"
+project:
+  name: demo
+`;
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-schema-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+describe('validateGuvnrYaml', () => {
+  test('accepts a minimal config', () => {
+    const result = validateGuvnrYaml(VALID_YAML);
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.config.project.name, 'demo');
+  });
+
+  test('accepts the bundled guvnr.yaml template', () => {
+    const template = readFileSync(
+      new URL('../templates/guvnr.yaml.template', import.meta.url),
+      'utf-8'
+    );
+    assert.deepStrictEqual(validateGuvnrYaml(template).violations, []);
+  });
+
+  test('accepts every bundled preset', () => {
+    for (const preset of PRESETS) {
+      const source = readFileSync(join(getPresetPath(preset), 'guvnr.yaml'), 'utf-8');
+      assert.deepStrictEqual(validateGuvnrYaml(source).violations, [], `${preset} preset`);
+    }
+  });
+
+  test('reports unknown top-level keys with a suggestion and location', () => {
+    const result = validateGuvnrYaml(`${VALID_YAML}\ntech_stak:\n  package_manager: npm\n`);
+    assert.strictEqual(result.valid, false);
+    const [violation] = result.violations;
+    assert.strictEqual(violation.path, 'tech_stak');
+    assert.strictEqual(violation.suggestion, 'tech_stack');
+    assert.strictEqual(violation.line, 5);
+    assert.strictEqual(violation.column, 1);
+  });
+
+  test('reports a string skills value instead of crashing', () => {
+    const result = validateGuvnrYaml(`${VALID_YAML}skills: review\n`);
+    assert.strictEqual(result.violations.length, 1);
+    assert.strictEqual(result.violations[0].path, 'skills');
+    assert.match(result.violations[0].message, /must be array \(got string\)/);
+    assert.strictEqual(result.violations[0].line, 4);
+  });
+
+  test('reports missing required properties', () => {
+    const result = validateGuvnrYaml('project:\n  description: no name\n');
+    const messages = result.violations.map(v => `${v.path}: ${v.message}`);
+    assert.ok(messages.includes('(root): missing required property "version"'));
+    assert.ok(messages.includes('project: missing required property "name"'));
+  });
+
+  test('locates violations inside sequence items', () => {
+    const source = `${VALID_YAML}agents:
+  - name: reviewer
+    role: Reviews code
+  - name: Tester
+    role: Tests code
+    expertize:
+      - testing
+`;
+    const result = validateGuvnrYaml(source);
+    const byPath = Object.fromEntries(result.violations.map(v => [v.path, v]));
+
+    assert.strictEqual(byPath['agents[1].name'].line, 7);
+    assert.strictEqual(byPath['agents[1].name'].column, 5);
+    assert.strictEqual(byPath['agents[1].expertize'].line, 9);
+    assert.strictEqual(byPath['agents[1].expertize'].suggestion, 'expertise');
+  });
+
+  test('suggests close enum values', () => {
+    const result = validateGuvnrYaml(`${VALID_YAML}tools:\n  generate:\n    - curser\n`);
+    assert.strictEqual(result.violations[0].path, 'tools.generate[0]');
+    assert.strictEqual(result.violations[0].suggestion, 'cursor');
+    assert.strictEqual(result.violations[0].line, 6);
+  });
+
+  test('reports YAML syntax errors with their position', () => {
+    const result = validateGuvnrYaml('version: "1.0"\nproject: [a\nb: 1\n');
+    assert.strictEqual(result.syntaxError, true);
+    assert.strictEqual(result.violations.length, 1);
+    assert.ok(result.violations[0].line >= 2);
+  });
+});
+
+describe('schema helpers', () => {
+  test('locateYamlPath handles sequences at the parent indentation', () => {
+    const source = 'skills:\n- name: a\n- name: b\n  steps: []\n';
+    assert.deepStrictEqual(locateYamlPath(source, ['skills', 1, 'steps']), {
+      line: 4,
+      column: 3
+    });
+  });
+
+  test('formatYamlPath and formatViolation produce readable output', () => {
+    assert.strictEqual(formatYamlPath([]), '(root)');
+    assert.strictEqual(formatYamlPath(['skills', 0, 'name']), 'skills[0].name');
+    assert.strictEqual(
+      formatViolation({
+        path: 'tech_stak',
+        line: 3,
+        column: 1,
+        message: 'unknown property "tech_stak"',
+        suggestion: 'tech_stack'
+      }),
+      'guvnr.yaml:3:1 tech_stak: unknown property "tech_stak" (did you mean "tech_stack"?)'
+    );
+  });
+
+  test('suggestClosest ignores unrelated keys', () => {
+    assert.strictEqual(suggestClosest('convetions', ['conventions', 'context']), 'conventions');
+    assert.strictEqual(suggestClosest('zzz', ['conventions', 'context']), null);
+  });
+});
+
+describe('schema enforcement in commands', () => {
+  test('generate accepts every bundled preset', async () => {
+    const { generateCommand } = await import('../src/commands/generate.js');
+    const originalLog = console.log;
+
+    try {
+      console.log = () => {};
+      for (const preset of PRESETS) {
+        copyFileSync(join(getPresetPath(preset), 'guvnr.yaml'), join(testDir, 'guvnr.yaml'));
+        await generateCommand({ targetDir: testDir, force: true });
+        assert.ok(existsSync(join(testDir, 'CLAUDE.md')), `${preset} preset`);
+      }
+    } finally {
+      console.log = originalLog;
+    }
+  });
+
+  test('generate refuses a config with schema violations', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), `${VALID_YAML}skills: review\n`);
+
+    const { generateCommand } = await import('../src/commands/generate.js');
+
+    const originalCwd = process.cwd();
+    const originalLog = console.log;
+
+    try {
+      process.chdir(testDir);
+      console.log = () => {};
+
+      await assert.rejects(generateCommand({ tools: 'agents', force: true }), error => {
+        assert.strictEqual(error.code, 'GUVNR-VALID-203');
+        assert.match(error.message, /guvnr\.yaml:4:1 skills: must be array/);
+        return true;
+      });
+      assert.ok(!existsSync(join(testDir, 'AGENTS.md')), 'Nothing should be written');
+    } finally {
+      process.chdir(originalCwd);
+      console.log = originalLog;
+    }
+  });
+
+  test('validate reports schema violations as GUVNR-VALID-203', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), `${VALID_YAML}tech_stak: {}\n`);
+
+    const { validateCommand } = await import('../src/commands/validate.js');
+
+    const originalCwd = process.cwd();
+    const originalLog = console.log;
+    let output = '';
+
+    try {
+      process.chdir(testDir);
+      console.log = message => {
+        output += message;
+      };
+
+      await assert.rejects(validateCommand({ json: true }), { code: 'GUVNR-VALID-203' });
+      const report = JSON.parse(output);
+      const schemaError = report.errors.find(e => e.id === 'guvnr-yaml-schema');
+      assert.deepStrictEqual(schemaError.details, [
+        'guvnr.yaml:4:1 tech_stak: unknown property "tech_stak" (did you mean "tech_stack"?)'
+      ]);
+    } finally {
+      process.chdir(originalCwd);
+      console.log = originalLog;
+    }
+  });
+
+  test('lint flags schema violations in guvnr.yaml', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), `${VALID_YAML}skills: review\n`);
+
+    const { lintCommand } = await import('../src/commands/lint.js');
+
+    const originalCwd = process.cwd();
+    const originalLog = console.log;
+
+    try {
+      process.chdir(testDir);
+      console.log = () => {};
+
+      await assert.rejects(lintCommand({ only: ['guvnrYaml'] }), { code: 'GUVNR-VALID-200' });
+    } finally {
+      process.chdir(originalCwd);
+      console.log = originalLog;
+    }
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for security.sensitive_paths enforcement (ignore files and deny lists)
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import {
+  SENSITIVE_PATH_FILES,
+  sensitivePaths,
+  claudeDenyRules,
+  renderIgnoreFile,
+  renderSensitivePathsSection,
+  readCoveredPaths
+} from '../src/generators/ignore.js';
+import { generateCommand } from '../src/commands/generate.js';
+import { lintCommand } from '../src/commands/lint.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-sensitive-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+function writeFiles(files) {
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(testDir, path)), { recursive: true });
+    writeFileSync(join(testDir, path), content);
+  }
+}
+
+function read(path) {
+  return readFileSync(join(testDir, path), 'utf-8');
+}
+
+async function runQuietly(fn) {
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+  const output = [];
+
+  try {
+    process.chdir(testDir);
+    console.log = (...args) => output.push(args.join(' '));
+    await fn();
+    return output.join('\n');
+  } finally {
+    process.chdir(originalCwd);
+    console.log = originalLog;
+  }
+}
+
+const PATHS = ['.env*', './secrets/', '**/*.pem'];
+
+const SENSITIVE_YAML = `version: "1.0"
+project:
+  name: demo
+security:
+  sensitive_paths:
+${PATHS.map(path => `    - "${path}"`).join('\n')}
+`;
+
+describe('sensitive path renderers', () => {
+  test('deny Read and Edit in Claude Code, keeping ** patterns unanchored', () => {
+    assert.deepStrictEqual(claudeDenyRules(sensitivePaths({ sensitive_paths: PATHS })), [
+      'Read(./.env*)',
+      'Edit(./.env*)',
+      'Read(./secrets/)',
+      'Edit(./secrets/)',
+      'Read(**/*.pem)',
+      'Edit(**/*.pem)'
+    ]);
+  });
+
+  test('every tool file reads back as the sensitive paths', () => {
+    const paths = sensitivePaths({ sensitive_paths: PATHS });
+    const contents = {
+      claude: JSON.stringify({ permissions: { deny: claudeDenyRules(paths) } }),
+      codex: `# Overrides\n\n${renderSensitivePathsSection(paths)}`
+    };
+
+    for (const tool of Object.keys(SENSITIVE_PATH_FILES)) {
+      const covered = readCoveredPaths(tool, contents[tool] ?? renderIgnoreFile(tool, paths));
+      assert.deepStrictEqual([...covered], ['.env*', 'secrets/', '**/*.pem'], tool);
+    }
+  });
+});
+
+describe('generate with sensitive paths', () => {
+  test('writes ignore files, Claude Code deny rules and the Codex list', async () => {
+    writeFiles({ 'guvnr.yaml': SENSITIVE_YAML });
+    await runQuietly(() => generateCommand({ tools: 'claude,cursor,aider,windsurf,gemini,codex' }));
+
+    for (const file of ['.cursorignore', '.aiderignore', '.codeiumignore', '.geminiignore']) {
+      assert.match(read(file), /^\.env\*\nsecrets\/\n\*\*\/\*\.pem\n$/m, file);
+    }
+    assert.ok(
+      JSON.parse(read('.claude/settings.json')).permissions.deny.includes('Read(./secrets/)')
+    );
+    assert.match(read('.codex/AGENTS.override.md'), /## Sensitive Paths[\s\S]*- `\*\*\/\*\.pem`/);
+  });
+
+  test('writes no ignore files without sensitive paths', async () => {
+    writeFiles({ 'guvnr.yaml': 'version: "1.0"\nproject:\n  name: demo\n' });
+    await runQuietly(() => generateCommand({ tools: 'claude,cursor,codex' }));
+
+    assert.strictEqual(existsSync(join(testDir, '.cursorignore')), false);
+    assert.strictEqual(existsSync(join(testDir, '.claude/settings.json')), false);
+    assert.doesNotMatch(read('.codex/AGENTS.override.md'), /Sensitive Paths/);
+  });
+});
+
+describe('lint sensitive path coverage', () => {
+  test('passes after generate and reports tools that miss a path', async () => {
+    writeFiles({ 'guvnr.yaml': SENSITIVE_YAML });
+    await runQuietly(() => generateCommand({ tools: 'claude,cursor' }));
+
+    let output = await runQuietly(() => lintCommand({ only: ['sensitivePaths'] }));
+    assert.match(output, /All configurations look good/);
+
+    writeFiles({ '.cursorignore': '.env*\n' });
+    await assert.rejects(() => runQuietly(() => lintCommand({ only: ['sensitivePaths'] })), {
+      code: 'GUVNR-VALID-200'
+    });
+    output = await runQuietly(() => lintCommand({ only: ['sensitivePaths'], ignoreErrors: true }));
+    assert.match(output, /\.cursorignore does not cover secrets\/, \*\*\/\*\.pem/);
+  });
+
+  test('reports a set-up tool without its ignore file', async () => {
+    writeFiles({ 'guvnr.yaml': SENSITIVE_YAML, '.aider.conf.yml': 'auto-commits: false\n' });
+
+    const output = await runQuietly(() =>
+      lintCommand({ only: ['sensitivePaths'], ignoreErrors: true })
+    );
+    assert.match(output, /\.aiderignore not found \(aider is set up\)/);
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Tests for skills rendered in each tool's native command, prompt and workflow format
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import yaml from 'js-yaml';
+import {
+  normalizeSkill,
+  renderSkillPrompt,
+  renderSkillFile,
+  renderClaudeCommand,
+  renderCopilotPrompt,
+  renderWindsurfWorkflow,
+  renderGeminiCommand,
+  renderContinuePrompt,
+  renderGooseRecipe
+} from '../src/generators/skills.js';
+import { parseCommandFile } from '../src/commands/import.js';
+import { generateCommand } from '../src/commands/generate.js';
+import { validateGuvnrSource } from '../src/utils/config.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-skills-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+function read(path) {
+  return readFileSync(join(testDir, path), 'utf-8');
+}
+
+function frontmatterOf(content) {
+  return yaml.load(content.match(/^---\n([\s\S]*?)\n---\n/)[1]);
+}
+
+async function runQuietly(fn) {
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+
+  try {
+    process.chdir(testDir);
+    console.log = () => {};
+    return await fn();
+  } finally {
+    process.chdir(originalCwd);
+    console.log = originalLog;
+  }
+}
+
+const FIX_ISSUE = normalizeSkill({
+  name: 'fix-issue',
+  description: 'Fix a GitHub issue',
+  trigger: 'When asked to fix a bug',
+  steps: ['Reproduce it', 'Fix it'],
+  arguments: [
+    { name: 'issue', description: 'Issue number' },
+    { name: 'branch', required: false }
+  ],
+  allowed_tools: ['read', 'edit'],
+  model: 'anthropic/claude-sonnet-4-5'
+});
+
+const PLAN = normalizeSkill({ name: 'plan', description: 'Plan before coding' });
+
+describe('skill prompt', () => {
+  test('lists arguments with each format reference', () => {
+    assert.strictEqual(
+      renderSkillPrompt(FIX_ISSUE, 'claude'),
+      `# fix-issue
+
+Fix a GitHub issue
+
+**Trigger**: When asked to fix a bug
+
+## Steps
+
+1. Reproduce it
+2. Fix it
+
+## Arguments
+
+- \`issue\`: Issue number = $1
+- \`branch\` (optional) = $2
+`
+    );
+    assert.match(renderSkillPrompt(FIX_ISSUE, 'copilot'), /= \$\{input:issue:Issue number\}/);
+    assert.match(renderSkillPrompt(FIX_ISSUE, 'gemini'), /\n\nArguments: \{\{args\}\}\n$/);
+    assert.match(renderSkillPrompt(FIX_ISSUE), /- `issue`: Issue number\n/);
+  });
+
+  test('keeps the layout guvnr import reads back', () => {
+    const skill = parseCommandFile(renderClaudeCommand(PLAN), 'plan.md');
+    assert.deepStrictEqual(skill, { name: 'plan', description: 'Plan before coding' });
+    assert.deepStrictEqual(parseCommandFile(renderClaudeCommand(FIX_ISSUE), 'fix-issue.md'), {
+      name: 'fix-issue',
+      description: 'Fix a GitHub issue',
+      trigger: 'When asked to fix a bug',
+      steps: ['Reproduce it', 'Fix it']
+    });
+  });
+});
+
+describe('native formats', () => {
+  test('Claude commands carry argument hints, allowed tools and model', () => {
+    assert.deepStrictEqual(frontmatterOf(renderClaudeCommand(FIX_ISSUE)), {
+      description: 'Fix a GitHub issue',
+      'argument-hint': '<issue> [branch]',
+      'allowed-tools': 'Read, Grep, Glob, Edit, Write, MultiEdit',
+      model: 'claude-sonnet-4-5'
+    });
+    assert.deepStrictEqual(frontmatterOf(renderClaudeCommand(PLAN)), {
+      description: 'Plan before coding'
+    });
+  });
+
+  test('SKILL.md files name the skill and its allowed tools', () => {
+    assert.deepStrictEqual(frontmatterOf(renderSkillFile(FIX_ISSUE)), {
+      name: 'fix-issue',
+      description: 'Fix a GitHub issue',
+      'allowed-tools': 'Read, Grep, Glob, Edit, Write, MultiEdit'
+    });
+  });
+
+  test('Copilot prompts run in agent mode with their tools', () => {
+    assert.deepStrictEqual(frontmatterOf(renderCopilotPrompt(FIX_ISSUE)), {
+      description: 'Fix a GitHub issue',
+      mode: 'agent',
+      tools: ['codebase', 'search', 'usages', 'editFiles'],
+      model: 'claude-sonnet-4-5'
+    });
+  });
+
+  test('Windsurf workflows and Continue prompts are described by frontmatter', () => {
+    assert.deepStrictEqual(frontmatterOf(renderWindsurfWorkflow(PLAN)), {
+      description: 'Plan before coding'
+    });
+    assert.deepStrictEqual(frontmatterOf(renderContinuePrompt(PLAN)), {
+      name: 'plan',
+      description: 'Plan before coding',
+      invokable: true
+    });
+  });
+
+  test('Gemini commands are TOML with the prompt as a multi-line string', () => {
+    const skill = normalizeSkill({ name: 'q', description: 'Say "hi"', steps: ['Use C:\\tmp'] });
+    const toml = renderGeminiCommand(skill);
+    assert.match(toml, /^description = "Say \\"hi\\""\nprompt = """\n# q\n/);
+    assert.match(toml, /1\. Use C:\\\\tmp\n"""\n$/);
+  });
+
+  test('Goose recipes declare and reference every argument', () => {
+    const recipe = yaml.load(renderGooseRecipe(FIX_ISSUE));
+    assert.strictEqual(recipe.title, 'Fix Issue');
+    assert.deepStrictEqual(recipe.parameters, [
+      { key: 'issue', input_type: 'string', requirement: 'required', description: 'Issue number' },
+      {
+        key: 'branch',
+        input_type: 'string',
+        requirement: 'optional',
+        description: 'branch',
+        default: ''
+      }
+    ]);
+    for (const { key } of recipe.parameters) {
+      assert.ok(recipe.instructions.includes(`{{ ${key} }}`), `${key} is referenced`);
+    }
+    assert.deepStrictEqual(recipe.settings, {
+      goose_provider: 'anthropic',
+      goose_model: 'claude-sonnet-4-5'
+    });
+  });
+});
+
+describe('guvnr generate', () => {
+  const GUVNR_YAML = `version: "1.0"
+project:
+  name: demo
+skills:
+  - name: security-review
+    description: Review for OWASP issues
+  - name: fix-issue
+    description: Fix a GitHub issue
+    arguments:
+      - name: issue
+`;
+
+  test('writes every skill in each tool that has commands', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), GUVNR_YAML);
+    await runQuietly(() =>
+      generateCommand({ tools: 'claude,skills,copilot,windsurf,gemini,continue,goose' })
+    );
+
+    for (const path of [
+      '.claude/commands/fix-issue.md',
+      '.claude/skills/fix-issue/SKILL.md',
+      '.github/skills/fix-issue/SKILL.md',
+      '.github/skills/project-standards/SKILL.md',
+      '.github/prompts/fix-issue.prompt.md',
+      '.windsurf/workflows/fix-issue.md',
+      '.gemini/commands/fix-issue.toml',
+      '.continue/prompts/fix-issue.md',
+      '.goose/recipes/fix-issue.yaml'
+    ]) {
+      assert.ok(existsSync(join(testDir, path)), `${path} should be created`);
+    }
+    assert.strictEqual(
+      frontmatterOf(read('.github/skills/security-review/SKILL.md')).description,
+      'Review for OWASP issues'
+    );
+  });
+
+  test('keeps the built-in security review skill when none is configured', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), 'version: "1.0"\nproject:\n  name: demo\n');
+    await runQuietly(() => generateCommand({ tools: 'skills' }));
+
+    assert.match(read('.github/skills/security-review/SKILL.md'), /OWASP Top 10 Checks/);
+  });
+
+  test('rejects invalid argument names and unknown tools', () => {
+    const { valid, violations } = validateGuvnrSource(
+      `${GUVNR_YAML.replace('name: issue', 'name: Issue')}    allowed_tools: [shell]\n`
+    );
+    assert.strictEqual(valid, false);
+    assert.deepStrictEqual(
+      violations.map(v => v.path),
+      ['skills[1].arguments[0].name', 'skills[1].allowed_tools[0]']
+    );
+  });
+});
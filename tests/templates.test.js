@@ -0,0 +1,270 @@
+/**
+ * Tests for generator templates and their project overrides
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync, readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { spawnSync } from 'child_process';
+import { renderTemplate, checkTemplate } from '../src/utils/templates.js';
+import {
+  DEFAULT_TEMPLATES_DIR,
+  TEMPLATE_VARIABLES,
+  templateTools,
+  defaultTemplates,
+  ejectTemplates,
+  checkProjectTemplates
+} from '../src/generators/templates.js';
+import { generateCommand, renderOutputs } from '../src/commands/generate.js';
+import { initCommand } from '../src/commands/init.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-templates-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+function read(path) {
+  return readFileSync(join(testDir, path), 'utf-8');
+}
+
+function write(path, content) {
+  mkdirSync(join(testDir, path, '..'), { recursive: true });
+  writeFileSync(join(testDir, path), content);
+}
+
+async function runQuietly(fn) {
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+
+  try {
+    process.chdir(testDir);
+    console.log = () => {};
+    return await fn();
+  } finally {
+    process.chdir(originalCwd);
+    console.log = originalLog;
+  }
+}
+
+const GUVNR_YAML = `version: "1.0"
+project:
+  name: demo
+commands:
+  test: npm test
+  lint: npm run lint
+`;
+
+describe('template syntax', () => {
+  test('renders values, helpers and loops', () => {
+    const data = { name: 'demo', stack: ['Node.js', 'npm'], overview: 'abcdef', empty: [] };
+    assert.strictEqual(
+      renderTemplate('{{name}}: {{stack}} {{truncate overview 3}} {{json name}}', data),
+      'demo: Node.js, npm abc "demo"'
+    );
+    assert.strictEqual(
+      renderTemplate(
+        '{{#each stack}}{{@number}}.{{this}}{{#unless @last}}, {{/unless}}{{/each}}',
+        data
+      ),
+      '1.Node.js, 2.npm'
+    );
+    assert.strictEqual(
+      renderTemplate(
+        '{{#each empty}}x{{else}}none{{/each}} {{#each stack limit=1}}{{this}}{{/each}}',
+        data
+      ),
+      'none Node.js'
+    );
+    assert.strictEqual(renderTemplate('\\{{name}}', data), '{{name}}');
+  });
+
+  test('block tags alone on a line leave no blank line', () => {
+    const source = '# Title\n{{#if items}}\n{{#each items}}\n- {{this}}\n{{/each}}\n{{/if}}\nEnd\n';
+    assert.strictEqual(renderTemplate(source, { items: ['a', 'b'] }), '# Title\n- a\n- b\nEnd\n');
+    assert.strictEqual(renderTemplate(source, { items: [] }), '# Title\nEnd\n');
+  });
+
+  test('indents a standalone partial by its tag', () => {
+    const partials = name => (name === 'list' ? '- {{this}}\n' : null);
+    assert.strictEqual(
+      renderTemplate(
+        'items:\n{{#each items}}\n  {{> list}}\n{{/each}}\n',
+        { items: ['a'] },
+        {
+          partials
+        }
+      ),
+      'items:\n  - a\n'
+    );
+  });
+
+  test('reports syntax errors with their position', () => {
+    assert.throws(
+      () => renderTemplate('line\n{{#if x}}\nno end\n', {}),
+      error => error.code === 'GUVNR-CONFIG-314' && error.message.includes('2:1')
+    );
+    assert.throws(
+      () => renderTemplate('{{#iff x}}{{/iff}}', {}),
+      error => error.message.includes('did you mean "#if"?')
+    );
+    assert.throws(
+      () => renderTemplate('{{> missing}}', {}, { partials: () => null }),
+      error => error.code === 'GUVNR-CONFIG-314' && /missing/.test(error.message)
+    );
+  });
+
+  test('checks variables against a description', () => {
+    const problems = checkTemplate(
+      '{{project.nme}}\n{{#each overview}}{{/each}}\n{{@index}}\n',
+      TEMPLATE_VARIABLES
+    );
+    assert.deepStrictEqual(
+      problems.map(({ line, message }) => `${line} ${message}`),
+      [
+        '1 unknown variable "project.nme" (did you mean "project.name"?)',
+        '2 "overview" is not a list',
+        '3 "@index" is only defined inside {{#each}}'
+      ]
+    );
+  });
+
+  test('every built-in template only uses known variables and partials', () => {
+    const partials = name => {
+      const path = join(DEFAULT_TEMPLATES_DIR, 'partials', `${name}.md`);
+      return existsSync(path) ? readFileSync(path, 'utf-8') : null;
+    };
+    for (const tool of templateTools()) {
+      for (const name of defaultTemplates(tool)) {
+        const source = readFileSync(join(DEFAULT_TEMPLATES_DIR, tool, name), 'utf-8');
+        assert.deepStrictEqual(
+          checkTemplate(source, TEMPLATE_VARIABLES, { partials }),
+          [],
+          `${tool}/${name}`
+        );
+      }
+    }
+  });
+});
+
+describe('project overrides', () => {
+  test('generate renders a tool file from .guvnr/templates', async () => {
+    write('guvnr.yaml', GUVNR_YAML);
+    write(
+      '.guvnr/templates/claude/CLAUDE.md',
+      '<project name="{{project.name}}">\n{{#each commands}}\n<command name="{{name}}">{{command}}</command>\n{{/each}}\n</project>\n'
+    );
+    await runQuietly(() => generateCommand({ tools: 'claude,agents' }));
+
+    assert.strictEqual(
+      read('CLAUDE.md'),
+      '<project name="demo">\n<command name="test">npm test</command>\n<command name="lint">npm run lint</command>\n</project>\n'
+    );
+    assert.match(read('AGENTS.md'), /^# AGENTS\.md/);
+  });
+
+  test('an overridden partial changes every file that includes it', async () => {
+    write('guvnr.yaml', GUVNR_YAML);
+    write(
+      '.guvnr/templates/partials/commands.md',
+      '{{#each commands}}\n* `{{command}}`\n{{/each}}\n'
+    );
+    await runQuietly(() => generateCommand({ tools: 'claude,gemini' }));
+
+    for (const file of ['CLAUDE.md', 'GEMINI.md']) {
+      assert.match(read(file), /\* `npm test`\n\* `npm run lint`\n/, file);
+    }
+  });
+
+  test('generate reports a broken override by file, line and column', async () => {
+    write('guvnr.yaml', GUVNR_YAML);
+    write('.guvnr/templates/claude/CLAUDE.md', '# {{project.name}}\n{{#each commands}}\n');
+    const { outputs, errors } = await renderOutputs(testDir, { tools: 'claude' });
+
+    assert.ok(!outputs.some(output => output.path === 'CLAUDE.md'));
+    assert.deepStrictEqual(errors, [
+      'claude: .guvnr/templates/claude/CLAUDE.md:2:1 {{#each}} is never closed with {{/each}}'
+    ]);
+  });
+});
+
+describe('guvnr templates eject', () => {
+  test('copies the tool templates and the partials they include', () => {
+    const result = ejectTemplates(testDir, 'claude');
+
+    assert.deepStrictEqual(result, {
+      written: [
+        '.guvnr/templates/claude/CLAUDE.md',
+        '.guvnr/templates/partials/commands.md',
+        '.guvnr/templates/partials/path-rules.md'
+      ],
+      skipped: []
+    });
+    assert.strictEqual(
+      read('.guvnr/templates/claude/CLAUDE.md'),
+      readFileSync(join(DEFAULT_TEMPLATES_DIR, 'claude', 'CLAUDE.md'), 'utf-8')
+    );
+  });
+
+  test('keeps existing overrides unless forced', () => {
+    write('.guvnr/templates/claude/CLAUDE.md', 'mine\n');
+
+    assert.deepStrictEqual(ejectTemplates(testDir, 'claude').skipped, [
+      '.guvnr/templates/claude/CLAUDE.md'
+    ]);
+    assert.strictEqual(read('.guvnr/templates/claude/CLAUDE.md'), 'mine\n');
+
+    ejectTemplates(testDir, 'claude', { force: true });
+    assert.match(read('.guvnr/templates/claude/CLAUDE.md'), /## Session Instructions/);
+  });
+
+  test('ejected templates are not git-ignored in a project set up by guvnr init', async () => {
+    spawnSync('git', ['init', '-q'], { cwd: testDir });
+    await runQuietly(() => initCommand({ preset: 'minimal', yes: true }));
+    ejectTemplates(testDir, 'claude');
+
+    const ignored = path => spawnSync('git', ['check-ignore', '-q', path], { cwd: testDir }).status;
+    assert.strictEqual(ignored('.guvnr/templates/claude/CLAUDE.md'), 1);
+    assert.strictEqual(ignored('.guvnr/manifest.json'), 0);
+  });
+
+  test('rejects a tool without templates', () => {
+    assert.throws(
+      () => ejectTemplates(testDir, 'claud'),
+      error => error.code === 'GUVNR-CONFIG-315' && error.message.includes('did you mean "claude"?')
+    );
+  });
+});
+
+describe('guvnr validate', () => {
+  test('reports problems in overrides only', () => {
+    write('.guvnr/templates/claude/CLAUDE.md', '# {{project.nmae}}\n');
+    write('.guvnr/templates/curser/project.mdc', 'x\n');
+    write('.guvnr/templates/cursor/rules.mdc', 'x\n');
+    write('.guvnr/templates/partials/commands.md', '{{#each commands}}{{lable}}{{/each}}\n');
+
+    assert.deepStrictEqual(
+      checkProjectTemplates(testDir).map(
+        ({ path, line, column, message }) => `${path}:${line}:${column} ${message}`
+      ),
+      [
+        '.guvnr/templates/claude/CLAUDE.md:1:3 unknown variable "project.nmae" (did you mean "project.name"?)',
+        '.guvnr/templates/curser/project.mdc:1:1 no tool "curser" has templates (did you mean "cursor"?)',
+        '.guvnr/templates/cursor/rules.mdc:1:1 cursor has no "rules.mdc" template (it has index.mdc, package.mdc, project.mdc, security.mdc)',
+        '.guvnr/templates/partials/commands.md:1:19 unknown variable "lable" (did you mean "label"?)'
+      ]
+    );
+  });
+
+  test('finds nothing without overrides', () => {
+    assert.deepStrictEqual(checkProjectTemplates(testDir), []);
+  });
+});
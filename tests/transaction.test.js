@@ -0,0 +1,219 @@
+/**
+ * Tests for transactional generate: atomic writes, rollback and the project lock
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import {
+  chmodSync,
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  statSync,
+  writeFileSync
+} from 'fs';
+import { join } from 'path';
+import { tmpdir, hostname } from 'os';
+import { spawnSync } from 'child_process';
+import {
+  LOCK_PATH,
+  acquireLock,
+  createTransaction,
+  writeFileAtomic
+} from '../src/utils/transaction.js';
+import { generateCommand } from '../src/commands/generate.js';
+import { createJournal } from '../src/utils/history.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-transaction-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+function read(path) {
+  return readFileSync(join(testDir, path), 'utf-8');
+}
+
+function write(path, content) {
+  mkdirSync(join(testDir, path, '..'), { recursive: true });
+  writeFileSync(join(testDir, path), content);
+}
+
+async function runQuietly(fn) {
+  const originalLog = console.log;
+  try {
+    console.log = () => {};
+    return await fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+describe('writeFileAtomic', () => {
+  test('replaces the file, keeps its mode and leaves no temporary file', () => {
+    write('run.sh', 'old\n');
+    chmodSync(join(testDir, 'run.sh'), 0o755);
+    writeFileAtomic(join(testDir, 'run.sh'), 'new\n');
+
+    assert.strictEqual(read('run.sh'), 'new\n');
+    assert.strictEqual(statSync(join(testDir, 'run.sh')).mode & 0o777, 0o755);
+    assert.deepStrictEqual(readdirSync(testDir), ['run.sh']);
+  });
+
+  test('removes the temporary file when the rename fails', () => {
+    mkdirSync(join(testDir, 'taken', 'child'), { recursive: true });
+
+    assert.throws(() => writeFileAtomic(join(testDir, 'taken'), 'x'));
+    assert.deepStrictEqual(readdirSync(testDir), ['taken']);
+  });
+});
+
+describe('createTransaction', () => {
+  test('writes staged files on commit and reports what they replaced', () => {
+    write('a.md', 'old a\n');
+    const transaction = createTransaction(testDir);
+    transaction.stage('a.md', 'new a\n');
+    transaction.stage('nested/b.md', 'b\n');
+
+    assert.strictEqual(transaction.read('a.md'), 'new a\n');
+    assert.strictEqual(read('a.md'), 'old a\n');
+    assert.deepStrictEqual(transaction.commit(), [
+      { path: 'a.md', previous: 'old a\n' },
+      { path: 'nested/b.md', previous: null }
+    ]);
+    assert.strictEqual(read('a.md'), 'new a\n');
+    assert.strictEqual(read('nested/b.md'), 'b\n');
+  });
+
+  test('leaves files whose content is unchanged alone', () => {
+    write('a.md', 'same\n');
+    const journal = createJournal(testDir, { command: 'test', id: 'run-1' });
+    const transaction = createTransaction(testDir, { journal });
+    transaction.stage('a.md', 'same\n');
+    transaction.stage('b.md', 'b\n');
+
+    assert.deepStrictEqual(transaction.commit(), [{ path: 'b.md', previous: null }]);
+    assert.deepStrictEqual(
+      journal.save().files.map(file => file.path),
+      ['b.md']
+    );
+  });
+
+  test('restores every file when a later write fails', () => {
+    write('a.md', 'old a\n');
+    mkdirSync(join(testDir, 'c.md', 'child'), { recursive: true });
+    const transaction = createTransaction(testDir);
+    transaction.stage('a.md', 'new a\n');
+    transaction.stage('nested/deep/b.md', 'b\n');
+    transaction.stage('c.md', 'c\n');
+
+    assert.throws(
+      () => transaction.commit(),
+      error =>
+        error.code === 'GUVNR-FS-407' &&
+        error.message.startsWith('Could not write c.md') &&
+        error.context.restored === 2
+    );
+    assert.strictEqual(read('a.md'), 'old a\n');
+    assert.deepStrictEqual(readdirSync(testDir).sort(), ['a.md', 'c.md']);
+  });
+});
+
+describe('acquireLock', () => {
+  test('a second run is refused while the lock is held', () => {
+    const release = acquireLock(testDir, 'generate');
+
+    assert.throws(
+      () => acquireLock(testDir, 'generate'),
+      error =>
+        error.code === 'GUVNR-FS-406' &&
+        error.message.includes(`guvnr generate (pid ${process.pid} on ${hostname()})`)
+    );
+    release();
+    acquireLock(testDir, 'generate')();
+    assert.deepStrictEqual(readdirSync(testDir), []);
+  });
+
+  test('takes over a lock left by a process that has exited', () => {
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    write(LOCK_PATH, JSON.stringify({ pid, hostname: hostname(), command: 'generate' }));
+
+    const release = acquireLock(testDir, 'generate');
+    assert.strictEqual(JSON.parse(read(LOCK_PATH)).pid, process.pid);
+    release();
+  });
+
+  test('leaves a lock from another machine alone', () => {
+    write(LOCK_PATH, JSON.stringify({ pid: 1, hostname: 'elsewhere', command: 'generate' }));
+
+    assert.throws(() => acquireLock(testDir, 'generate'), { code: 'GUVNR-FS-406' });
+  });
+});
+
+describe('guvnr generate', () => {
+  const GUVNR_YAML = 'version: "1.0"\nproject:\n  name: demo\n';
+
+  test('rolls every tool back when one write fails', async () => {
+    write('guvnr.yaml', GUVNR_YAML);
+    await runQuietly(() => generateCommand({ targetDir: testDir, tools: 'claude,agents,gemini' }));
+    const before = ['CLAUDE.md', 'AGENTS.md', '.guvnr/manifest.json'].map(read);
+
+    write('guvnr.yaml', GUVNR_YAML.replace('demo', 'renamed'));
+    rmSync(join(testDir, '.guvnr/base/GEMINI.md'));
+    mkdirSync(join(testDir, '.guvnr/base/GEMINI.md/child'), { recursive: true });
+
+    await assert.rejects(
+      runQuietly(() =>
+        generateCommand({ targetDir: testDir, tools: 'claude,agents,gemini', force: true })
+      ),
+      { code: 'GUVNR-FS-407' }
+    );
+    assert.deepStrictEqual(['CLAUDE.md', 'AGENTS.md', '.guvnr/manifest.json'].map(read), before);
+    assert.ok(!existsSync(join(testDir, LOCK_PATH)));
+  });
+
+  test('writes nothing when a tool fails to render', async () => {
+    write(
+      'broken.mjs',
+      `export default {
+  id: 'broken',
+  name: 'Broken',
+  outputs: ['.broken/rules.md'],
+  render: () => { throw new Error('template missing'); }
+};
+`
+    );
+    write('guvnr.yaml', `${GUVNR_YAML}tools:\n  plugins:\n    - ./broken.mjs\n`);
+
+    await assert.rejects(
+      runQuietly(() => generateCommand({ targetDir: testDir, tools: 'claude,broken' })),
+      error => error.code === 'GUVNR-GEN-906' && error.message.includes('broken: template missing')
+    );
+    // No CLAUDE.md, manifest, journal entry or lock left behind
+    assert.deepStrictEqual(readdirSync(testDir).sort(), ['broken.mjs', 'guvnr.yaml']);
+  });
+
+  test('refuses to run while another run holds the lock', async () => {
+    write('guvnr.yaml', GUVNR_YAML);
+    const release = acquireLock(testDir, 'generate');
+
+    try {
+      await assert.rejects(
+        runQuietly(() => generateCommand({ targetDir: testDir, tools: 'claude' })),
+        { code: 'GUVNR-FS-406' }
+      );
+      assert.ok(!existsSync(join(testDir, 'CLAUDE.md')));
+    } finally {
+      release();
+    }
+  });
+});
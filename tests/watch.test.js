@@ -0,0 +1,124 @@
+/**
+ * Tests for guvnr generate --watch
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, appendFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { setTimeout as delay } from 'timers/promises';
+import { generateCommand, regenerateChangedOutputs } from '../src/commands/generate.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-watch-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+const GUVNR_YAML = `version: "1.0"
+project:
+  name: watch-demo
+  description: First description
+`;
+
+async function inProject(fn) {
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+  const lines = [];
+
+  try {
+    process.chdir(testDir);
+    console.log = (...args) => lines.push(args.join(' '));
+    await fn(lines);
+  } finally {
+    process.chdir(originalCwd);
+    console.log = originalLog;
+  }
+  return lines;
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for watch mode');
+    }
+    await delay(25);
+  }
+}
+
+describe('regenerateChangedOutputs', () => {
+  test('updates only tools whose output changed and skips hand edits', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), GUVNR_YAML);
+    await inProject(() => generateCommand({ tools: 'agents,cursor' }));
+    appendFileSync(join(testDir, '.cursor', 'index.mdc'), '\nlocal note\n');
+
+    writeFileSync(
+      join(testDir, 'guvnr.yaml'),
+      GUVNR_YAML.replace('First description', 'Second description')
+    );
+    const { summary } = await regenerateChangedOutputs(testDir, { tools: 'agents,cursor' });
+
+    assert.deepStrictEqual(summary.get('agents'), {
+      updated: 1,
+      merged: 0,
+      conflicts: 0,
+      skipped: 0
+    });
+    assert.strictEqual(summary.get('cursor').skipped, 1);
+    assert.match(readFileSync(join(testDir, 'AGENTS.md'), 'utf-8'), /Second description/);
+    assert.match(readFileSync(join(testDir, '.cursor', 'index.mdc'), 'utf-8'), /local note/);
+  });
+
+  test('reports nothing when the config change does not affect outputs', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), GUVNR_YAML);
+    await inProject(() => generateCommand({ tools: 'agents' }));
+
+    writeFileSync(join(testDir, 'guvnr.yaml'), `${GUVNR_YAML}# a comment\n`);
+    const { summary } = await regenerateChangedOutputs(testDir, { tools: 'agents' });
+    assert.strictEqual(summary.size, 0);
+  });
+});
+
+describe('generate --watch', () => {
+  test('regenerates on change and keeps running through YAML errors', async () => {
+    writeFileSync(join(testDir, 'guvnr.yaml'), GUVNR_YAML);
+    const controller = new AbortController();
+    const agentsPath = join(testDir, 'AGENTS.md');
+
+    const lines = await inProject(async output => {
+      const watching = generateCommand({
+        tools: 'agents',
+        watch: true,
+        debounce: 20,
+        _abortSignal: controller.signal
+      });
+
+      try {
+        await waitFor(() => existsSync(agentsPath));
+        await waitFor(() => output.some(line => line.includes('Watching for changes')));
+
+        writeFileSync(join(testDir, 'guvnr.yaml'), 'version: "1.0"\nproject: [\n');
+        await waitFor(() => output.some(line => line.includes('not valid YAML')));
+
+        writeFileSync(
+          join(testDir, 'guvnr.yaml'),
+          GUVNR_YAML.replace('First description', 'Second description')
+        );
+        await waitFor(() => readFileSync(agentsPath, 'utf-8').includes('Second description'));
+      } finally {
+        controller.abort();
+        await watching;
+      }
+    });
+
+    assert.ok(lines.some(line => /agents\s+1 updated/.test(line)));
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Tests for monorepo workspaces (guvnr generate --recursive)
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import {
+  expandWorkspacePatterns,
+  readWorkspacePatterns,
+  findPackageConfigs
+} from '../src/utils/workspaces.js';
+import { generateCommand } from '../src/commands/generate.js';
+import { getGeneratedStatus } from '../src/commands/status.js';
+import { readManifest } from '../src/utils/manifest.js';
+
+let testDir;
+
+beforeEach(() => {
+  testDir = mkdtempSync(join(tmpdir(), 'guvnr-workspaces-test-'));
+});
+
+afterEach(() => {
+  if (testDir && existsSync(testDir)) {
+    rmSync(testDir, { recursive: true, force: true });
+  }
+});
+
+function writeFiles(files) {
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(testDir, path)), { recursive: true });
+    writeFileSync(join(testDir, path), content);
+  }
+}
+
+async function runGenerate(options) {
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+
+  try {
+    process.chdir(testDir);
+    console.log = () => {};
+    await generateCommand(options);
+  } finally {
+    process.chdir(originalCwd);
+    console.log = originalLog;
+  }
+}
+
+const ROOT_YAML = `version: "1.0"
+project:
+  name: org
+conventions:
+  style:
+    - Root style rule
+security:
+  rules:
+    - Never log access tokens
+`;
+
+describe('expandWorkspacePatterns', () => {
+  test('expands *, ** and ! patterns', () => {
+    for (const dir of [
+      'packages/web',
+      'packages/api',
+      'packages/node_modules/dep',
+      'apps/admin/site',
+      'tools'
+    ]) {
+      mkdirSync(join(testDir, dir), { recursive: true });
+    }
+
+    assert.deepStrictEqual(
+      expandWorkspacePatterns(testDir, ['packages/*', '!packages/api', './tools', '../elsewhere']),
+      ['packages/web', 'tools']
+    );
+    assert.deepStrictEqual(expandWorkspacePatterns(testDir, ['apps/**']), [
+      'apps',
+      'apps/admin',
+      'apps/admin/site'
+    ]);
+  });
+});
+
+describe('readWorkspacePatterns', () => {
+  test('prefers guvnr.yaml, then pnpm-workspace.yaml, then package.json', () => {
+    writeFiles({
+      'package.json': JSON.stringify({ workspaces: { packages: ['libs/*'] } })
+    });
+    assert.deepStrictEqual(readWorkspacePatterns(testDir), {
+      from: 'package.json',
+      patterns: ['libs/*']
+    });
+
+    writeFiles({ 'pnpm-workspace.yaml': 'packages:\n  - "packages/*"\n' });
+    assert.deepStrictEqual(readWorkspacePatterns(testDir), {
+      from: 'pnpm-workspace.yaml',
+      patterns: ['packages/*']
+    });
+
+    assert.deepStrictEqual(readWorkspacePatterns(testDir, { workspaces: ['apps/web'] }), {
+      from: 'guvnr.yaml',
+      patterns: ['apps/web']
+    });
+  });
+
+  test('reports no workspaces for a single-package repo', () => {
+    writeFiles({ 'package.json': JSON.stringify({ name: 'single' }) });
+    assert.deepStrictEqual(readWorkspacePatterns(testDir), { from: null, patterns: [] });
+  });
+});
+
+describe('findPackageConfigs', () => {
+  test('returns only packages that have their own guvnr.yaml', () => {
+    writeFiles({
+      'package.json': JSON.stringify({ workspaces: ['packages/*'] }),
+      'packages/web/guvnr.yaml': 'conventions: {}\n',
+      'packages/api/guvnr.yml': 'conventions: {}\n',
+      'packages/docs/package.json': '{}'
+    });
+
+    assert.deepStrictEqual(findPackageConfigs(testDir).packages, [
+      { dir: 'packages/api', configPath: 'packages/api/guvnr.yml' },
+      { dir: 'packages/web', configPath: 'packages/web/guvnr.yaml' }
+    ]);
+  });
+});
+
+describe('generate --recursive', () => {
+  test('writes scoped outputs that inherit from and override the root', async () => {
+    writeFiles({
+      'guvnr.yaml': ROOT_YAML,
+      'pnpm-workspace.yaml': 'packages:\n  - "packages/*"\n',
+      'packages/web/guvnr.yaml': 'conventions:\n  style:\n    - Use React hooks\n'
+    });
+
+    await runGenerate({ tools: 'agents,claude,cursor', recursive: true });
+
+    const agentsMd = readFileSync(join(testDir, 'packages/web/AGENTS.md'), 'utf-8');
+    assert.match(agentsMd, /Use React hooks/);
+    assert.doesNotMatch(agentsMd, /Root style rule/, 'package lists replace root lists');
+    assert.match(agentsMd, /Never log access tokens/, 'security rules are inherited');
+
+    const claudeMd = readFileSync(join(testDir, 'packages/web/CLAUDE.md'), 'utf-8');
+    assert.match(claudeMd, /^# web$/m, 'unnamed packages are named after their directory');
+    assert.match(claudeMd, /- \[ \] Never log access tokens/);
+
+    const cursorRule = readFileSync(
+      join(testDir, '.cursor/rules/package-packages-web.mdc'),
+      'utf-8'
+    );
+    assert.match(cursorRule, /globs: \["packages\/web\/\*\*"\]/);
+    assert.match(cursorRule, /alwaysApply: false/);
+
+    assert.match(readFileSync(join(testDir, 'AGENTS.md'), 'utf-8'), /Root style rule/);
+    assert.strictEqual(
+      readManifest(testDir).files['packages/web/AGENTS.md'].package,
+      'packages/web'
+    );
+  });
+
+  test('status treats package outputs as generated files', async () => {
+    writeFiles({
+      'guvnr.yaml': ROOT_YAML,
+      'package.json': JSON.stringify({ workspaces: ['packages/*'] }),
+      'packages/web/guvnr.yaml': 'project:\n  name: web-app\n'
+    });
+    await runGenerate({ tools: 'agents', recursive: true });
+
+    let status = await getGeneratedStatus(testDir);
+    assert.deepStrictEqual(
+      status.files.map(file => `${file.path}:${file.status}`),
+      ['AGENTS.md:clean', 'packages/web/AGENTS.md:clean']
+    );
+
+    writeFiles({ 'guvnr.yaml': ROOT_YAML.replace('access tokens', 'passwords') });
+    status = await getGeneratedStatus(testDir);
+    const packageFile = status.files.find(file => file.path === 'packages/web/AGENTS.md');
+    assert.strictEqual(packageFile.status, 'stale');
+  });
+
+  test('reports schema errors in package configs by path', async () => {
+    writeFiles({
+      'guvnr.yaml': `${ROOT_YAML}workspaces:\n  - packages/web\n`,
+      'packages/web/guvnr.yaml': 'conventions:\n  styel: []\n'
+    });
+
+    await assert.rejects(runGenerate({ tools: 'agents', recursive: true }), error => {
+      assert.strictEqual(error.code, 'GUVNR-VALID-203');
+      assert.match(error.message, /packages\/web\/guvnr\.yaml:2:3/);
+      return true;
+    });
+  });
+
+  test('requires a root guvnr.yaml', async () => {
+    writeFiles({ 'CLAUDE.md': '# Legacy\n' });
+    await assert.rejects(runGenerate({ tools: 'agents', recursive: true }), {
+      code: 'GUVNR-CONFIG-301'
+    });
+  });
+});
@@ -374,31 +374,109 @@ export function initCommand(options?: InitCommandOptions): Promise<void>;
 
 /** Validate command options */
 export interface ValidateCommandOptions {
+  /** Project root (defaults to the current directory) */
+  targetDir?: string;
+  /** Repair what can be repaired automatically */
+  fix?: boolean;
   /** Verbose output */
   verbose?: boolean;
   /** JSON output */
   json?: boolean;
 }
 
+/** A validation rule, as reported by validate */
+export interface ValidationRuleResult {
+  id: string;
+  name: string;
+  category: string;
+  /** Whether `fix` can repair it */
+  fixable: boolean;
+  /** Per-location findings of a failed rule */
+  details?: string[];
+  /** Set when the check itself threw */
+  error?: string;
+}
+
+/** Result of validate */
+export interface ValidationResult {
+  /** False when any error-severity rule failed */
+  valid: boolean;
+  /** Number of rules run */
+  total: number;
+  passed: ValidationRuleResult[];
+  errors: ValidationRuleResult[];
+  warnings: ValidationRuleResult[];
+  info: ValidationRuleResult[];
+  /** Rules repaired by `fix` (also listed under passed) */
+  fixed: ValidationRuleResult[];
+}
+
 /**
- * Validate framework installation
+ * Run the validation rules without printing anything
+ * @param cwd - Project root (defaults to the current directory)
+ * @param options - `fix` repairs what it can; `signal` stops between rules (rejects with an AbortError)
+ */
+export function validate(
+  cwd?: string,
+  options?: {
+    fix?: boolean;
+    onFix?: (rule: { id: string; name: string }) => void;
+    signal?: AbortSignal;
+  }
+): Promise<ValidationResult>;
+
+/**
+ * Validate framework installation and print the results.
+ * Rejects with GUVNR-VALID-203, GUVNR-VALID-210 or GUVNR-VALID-200 when a rule fails.
  * @param options - Command options
  */
-export function validateCommand(options?: ValidateCommandOptions): Promise<void>;
+export function validateCommand(options?: ValidateCommandOptions): Promise<ValidationResult>;
 
 /** Doctor command options */
 export interface DoctorCommandOptions {
+  /** Project root (defaults to the current directory) */
+  targetDir?: string;
   /** Verbose output */
   verbose?: boolean;
   /** JSON output */
   json?: boolean;
 }
 
+/** One diagnostic check, as reported by doctor */
+export interface DiagnosticCheck {
+  id: string;
+  name: string;
+  passed: boolean;
+  /** What was found, e.g. a version or "Not installed" */
+  value: string;
+  /** Requirement the value is checked against */
+  required?: string;
+  hint?: string;
+  /** Set when the check itself threw */
+  error?: string;
+}
+
+/** Result of doctor */
+export interface DoctorResult {
+  /** True when every check passed */
+  healthy: boolean;
+  passed: number;
+  total: number;
+  checks: Record<'environment' | 'tools' | 'framework' | 'health', DiagnosticCheck[]>;
+}
+
+/**
+ * Run the diagnostic checks without printing anything
+ * @param cwd - Project root (defaults to the current directory)
+ * @param options - `signal` stops between checks (rejects with an AbortError)
+ */
+export function doctor(cwd?: string, options?: { signal?: AbortSignal }): Promise<DoctorResult>;
+
 /**
- * Run diagnostic checks
+ * Run diagnostic checks and print the results
  * @param options - Command options
  */
-export function doctorCommand(options?: DoctorCommandOptions): Promise<void>;
+export function doctorCommand(options?: DoctorCommandOptions): Promise<DoctorResult>;
 
 /** Update command options */
 export interface UpdateCommandOptions {
@@ -418,10 +496,26 @@ export function updateCommand(options?: UpdateCommandOptions): Promise<void>;
 
 /** Generate command options */
 export interface GenerateCommandOptions {
-  /** Tools to generate for (comma-separated or 'all') */
+  /** Project root (defaults to the current directory) */
+  targetDir?: string;
+  /** Tools to generate for (comma-separated or 'all'; defaults to tools.generate in guvnr.yaml, or all) */
   tools?: string;
   /** Force overwrite existing files */
   force?: boolean;
+  /** Three-way merge local edits into regenerated files */
+  merge?: boolean;
+  /** Keep running and regenerate affected files when guvnr.yaml changes */
+  watch?: boolean;
+  /** Watch mode: milliseconds to wait after the last change (default 300) */
+  debounce?: number;
+  /** Also generate scoped outputs for workspace packages with their own guvnr.yaml */
+  recursive?: boolean;
+  /** Print estimated tokens per guvnr.yaml section for each tool */
+  report?: boolean;
+  /** Write files that still contain template placeholders (otherwise refused with GUVNR-VALID-210) */
+  allowPlaceholders?: boolean;
+  /** Preview without writing files */
+  dryRun?: boolean;
   /** Verbose output */
   verbose?: boolean;
   /** JSON output */
@@ -429,13 +523,88 @@ export interface GenerateCommandOptions {
 }
 
 /**
- * Generate tool-specific configuration files
+ * Generate tool-specific configuration files.
+ * All files are written together under `.guvnr/lock`; rejects with GUVNR-FS-406
+ * when another run holds the lock, and with GUVNR-FS-407 when a write failed
+ * and the files already written were restored.
  * @param options - Command options
  */
 export function generateCommand(options?: GenerateCommandOptions): Promise<void>;
 
+/** A `skills:` entry, written in each tool's native command, prompt or workflow format */
+export interface SkillDefinition {
+  name: string;
+  description: string;
+  trigger?: string;
+  steps: string[];
+  output?: string;
+  examples: string[];
+  arguments: Array<{ name: string; description: string; required: boolean }>;
+  /** Capabilities the skill may use (all when unset) */
+  allowed_tools?: Array<'read' | 'edit' | 'command' | 'browser' | 'mcp'>;
+  /** Model name, or `provider/model` */
+  model?: string;
+}
+
+/** An `agents:` entry, written in each tool's native persona format */
+export interface AgentPersona {
+  name: string;
+  role: string;
+  expertise: string[];
+  instructions: string;
+  /** Capabilities the agent may use (all when unset) */
+  tools?: Array<'read' | 'edit' | 'command' | 'browser' | 'mcp'>;
+  /** Model name, or `provider/model` */
+  model?: string;
+  permissions: {
+    edit?: 'allow' | 'ask' | 'deny';
+    command?: 'allow' | 'ask' | 'deny';
+    allow_commands?: string[];
+    deny_commands?: string[];
+  };
+}
+
+/** Project context passed to generators (built from guvnr.yaml) */
+export interface GeneratorContext {
+  projectName: string;
+  overview: string;
+  techStack: string[];
+  architecture: string;
+  conventions: string;
+  currentState: string;
+  /** `security.rules`, one entry per rule */
+  securityChecklist: string[];
+  skills: SkillDefinition[];
+  agents: AgentPersona[];
+  security: Record<string, unknown>;
+  tools: Record<string, unknown>;
+  memory: Record<string, unknown>;
+  hooks: Record<string, unknown>;
+  /** Full parsed guvnr.yaml */
+  raw: Record<string, unknown>;
+}
+
+/**
+ * Third-party generator exported by a module listed under tools.plugins
+ * @see docs/GENERATOR-PLUGINS.md
+ */
+export interface GeneratorPlugin {
+  /** Lowercase id used with --tools (must not clash with a built-in tool) */
+  id: string;
+  /** Display name (defaults to id) */
+  name?: string;
+  /** Every file the generator may write, relative to the project root */
+  outputs: string[];
+  /** Render file contents; a string is allowed when there is a single output */
+  render(
+    context: GeneratorContext
+  ): string | Record<string, string> | Promise<string | Record<string, string>>;
+}
+
 /** Lint command options */
 export interface LintCommandOptions {
+  /** Project root (defaults to the current directory) */
+  targetDir?: string;
   /** Only check specific file types */
   only?: string;
   /** Attempt to fix issues */
@@ -444,11 +613,48 @@ export interface LintCommandOptions {
   json?: boolean;
 }
 
+/** One lint check that ran */
+export interface LintFinding {
+  /** File or area the check covers, e.g. AGENTS.md */
+  file: string;
+  /** Check name, e.g. verification-commands */
+  check: string;
+  message: string;
+  /** How to fix a failed check */
+  suggestion?: string | null;
+}
+
+/** Result of lint */
+export interface LintResult {
+  /** False when there are errors */
+  valid: boolean;
+  errors: LintFinding[];
+  warnings: LintFinding[];
+  info: LintFinding[];
+  passed: LintFinding[];
+}
+
 /**
- * Lint configuration files
+ * Run the lint checks without printing anything
+ * @param cwd - Project root (defaults to the current directory)
+ * @param options - `only` limits the files checked (e.g. ['mcp']); `signal` stops between checks
+ *   (rejects with an AbortError)
+ */
+export function lint(
+  cwd?: string,
+  options?: {
+    only?: string | string[];
+    onFile?: (file: string) => void;
+    signal?: AbortSignal;
+  }
+): Promise<LintResult>;
+
+/**
+ * Lint configuration files and print the results.
+ * Rejects with GUVNR-VALID-200 when a check fails with an error, unless ignoreErrors is set.
  * @param options - Command options
  */
-export function lintCommand(options?: LintCommandOptions): Promise<void>;
+export function lintCommand(options?: LintCommandOptions): Promise<LintResult>;
 
 /** Uninstall options */
 export interface UninstallOptions {
@@ -480,6 +686,531 @@ export interface DetectCommandOptions {
  */
 export function detectCommand(options?: DetectCommandOptions): Promise<void>;
 
+/** State of a file recorded in .guvnr/manifest.json */
+export type GeneratedFileStatus = 'clean' | 'modified' | 'stale' | 'orphaned' | 'missing';
+
+/** Status of one generated file */
+export interface GeneratedFileReport {
+  path: string;
+  /** Tool (or plugin id) that generated the file */
+  tool: string;
+  status: GeneratedFileStatus;
+  /** Why a file is stale or orphaned */
+  reason?: string;
+}
+
+/** Status command options */
+export interface StatusCommandOptions {
+  /** Project root (defaults to the current directory) */
+  targetDir?: string;
+  /** JSON output */
+  json?: boolean;
+  /** List clean files as well */
+  verbose?: boolean;
+}
+
+/** Status report */
+export interface StatusReport {
+  /** Whether the project has a manifest */
+  manifest: boolean;
+  source: { path: string; hash: string } | null;
+  files: GeneratedFileReport[];
+  summary: Record<GeneratedFileStatus, number>;
+}
+
+/**
+ * Report generated files as clean, hand-modified, stale, orphaned or missing
+ * @param cwd - Project root
+ */
+export function getGeneratedStatus(cwd?: string): Promise<Omit<StatusReport, 'summary'>>;
+
+/**
+ * Show the status of generated files
+ * @param options - Command options
+ */
+export function statusCommand(options?: StatusCommandOptions): Promise<StatusReport>;
+
+/** A generated file that would change */
+export interface PendingChange {
+  path: string;
+  tool: string;
+  status: 'added' | 'modified';
+  additions: number;
+  deletions: number;
+  /** Unified diff from the file on disk to the rendered content */
+  diff: string;
+}
+
+/** Diff command options */
+export interface DiffCommandOptions {
+  /** Project root (defaults to the current directory) */
+  targetDir?: string;
+  /** Tools to compare (comma-separated or 'all'; defaults to tools.generate in guvnr.yaml, or all) */
+  tools?: string | string[];
+  /** Include workspace package outputs */
+  recursive?: boolean;
+  /** JSON output */
+  json?: boolean;
+}
+
+/** Pending generation changes */
+export interface PendingChanges {
+  source: { path: string; hash: string } | null;
+  changed: PendingChange[];
+  unchanged: string[];
+  errors: string[];
+}
+
+/**
+ * Compare rendered outputs with the files on disk
+ * @param cwd - Project root
+ * @param options - Tools to compare
+ */
+export function getPendingChanges(
+  cwd?: string,
+  options?: { tools?: string | string[]; recursive?: boolean }
+): Promise<PendingChanges>;
+
+/**
+ * Print pending generation changes as a unified diff.
+ * Rejects with GUVNR-VALID-207 when any generated file would change.
+ * @param options - Command options
+ */
+export function diffCommand(options?: DiffCommandOptions): Promise<PendingChanges>;
+
+/** A file read by guvnr import */
+export interface ImportSource {
+  path: string;
+  /** Tool id from TOOL_PATTERNS */
+  tool: string;
+  /** Rule file, subagent definition or slash command */
+  kind: 'rules' | 'agent' | 'command';
+}
+
+/** Import command options */
+export interface ImportCommandOptions {
+  /** Project root (defaults to the current directory) */
+  targetDir?: string;
+  /** File to write, relative to the project root (default: guvnr.yaml) */
+  output?: string;
+  /** Overwrite an existing output file */
+  force?: boolean;
+  /** Print the proposal instead of writing it */
+  dryRun?: boolean;
+  /** JSON output */
+  json?: boolean;
+}
+
+/** Proposed guvnr.yaml built from existing tool configs */
+export interface ImportResult {
+  sources: ImportSource[];
+  counts: {
+    conventions: number;
+    security: number;
+    commands: number;
+    agents: number;
+    skills: number;
+  };
+  /** Proposed guvnr.yaml, with a source comment on each imported item */
+  yaml: string;
+  valid: boolean;
+  violations: Array<{ path: string; line: number; column: number; message: string }>;
+}
+
+/**
+ * Build a proposed guvnr.yaml from the project's existing tool configs
+ * @param cwd - Project root
+ */
+export function importConfigs(cwd?: string): ImportResult;
+
+/**
+ * Import existing tool configs into a proposed guvnr.yaml.
+ * Rejects with GUVNR-FS-405 when the output file exists and force is not set.
+ * @param options - Command options
+ */
+export function importCommand(
+  options?: ImportCommandOptions
+): Promise<ImportResult & { output: string; written: boolean }>;
+
+/**
+ * Merged guvnr.yaml with the file each value came from.
+ * `origins` mirrors `config`: objects map keys to origins, arrays hold one
+ * origin per item, and other values are the file name.
+ */
+export interface ResolvedConfig {
+  config: Record<string, unknown>;
+  origins: Record<string, unknown>;
+}
+
+/**
+ * Load a guvnr.yaml with every config it extends merged in.
+ * Rejects with GUVNR-CONFIG-308 for a missing parent and GUVNR-CONFIG-309 for a cycle.
+ * @param configPath - Path to guvnr.yaml
+ * @param options - `root` for reported file names (defaults to the file's directory);
+ *   `partial` to allow omitting version and project
+ */
+export function resolveGuvnrConfig(
+  configPath: string,
+  options?: { root?: string; partial?: boolean }
+): Promise<ResolvedConfig & { files: Array<{ path: string; content: string }> }>;
+
+/**
+ * Print the resolved guvnr.yaml with a source comment on each value
+ * @param options - Command options
+ */
+export function configResolvedCommand(options?: {
+  /** Project root (defaults to the current directory) */
+  targetDir?: string;
+  /** JSON output */
+  json?: boolean;
+}): Promise<ResolvedConfig & { files: string[] }>;
+
+/** A security.require_review glob matched by changed files */
+export interface ReviewRequirement {
+  /** Glob from require_review */
+  path: string;
+  /** Owners from review_owners (empty: any reviewer may approve) */
+  owners: string[];
+  /** Changed files matching the glob */
+  files: string[];
+  /** Matching approvals, as "reviewer (commit or approvals file)" */
+  approvedBy: string[];
+  approved: boolean;
+}
+
+/** Changes since a base ref checked against security.require_review */
+export interface ReviewStatus {
+  base: string;
+  changed: string[];
+  /** Reviewed-by / Approved-by trailers and .guvnr/approvals entries */
+  approvals: Array<{ reviewer: string; source: string }>;
+  required: ReviewRequirement[];
+}
+
+/**
+ * Check the changes since a base ref against security.require_review,
+ * using only the local git repository
+ * @param cwd - Repository root
+ * @param options - `base` ref to compare HEAD with
+ */
+export function getReviewStatus(
+  cwd: string | undefined,
+  options: { base: string }
+): Promise<ReviewStatus>;
+
+/**
+ * Print the review status of require_review paths.
+ * Rejects with GUVNR-VALID-208 when a matched glob lacks an owner's approval,
+ * and GUVNR-GEN-905 when git cannot compare with the base ref.
+ * @param options - Command options
+ */
+export function reviewCheckCommand(options: {
+  /** Repository root (defaults to the current directory) */
+  targetDir?: string;
+  /** Ref to compare HEAD with, e.g. origin/main */
+  base: string;
+  /** JSON output */
+  json?: boolean;
+}): Promise<ReviewStatus>;
+
+/** Result of `guvnr hook <check>` for one tool call */
+export interface HookResult {
+  check: string;
+  /** tool_name from the hook payload */
+  tool: string | null;
+  /** True when the call should be blocked (the CLI exits with HOOK_BLOCK_EXIT) */
+  blocked: boolean;
+  findings: Array<{ type: string; category: string; count: number; filePath?: string }>;
+  /** Message written to stderr for a blocked call */
+  reason: string | null;
+}
+
+/** Exit code that makes Claude Code block a tool call (2) */
+export const HOOK_BLOCK_EXIT: number;
+
+/**
+ * Run a hook check against a Claude Code tool call.
+ * `secrets` blocks writes and edits whose new content contains a secret.
+ * Rejects with GUVNR-HOOK-700 for an unknown check or input that is not JSON.
+ * @param check - Check to run
+ * @param options - `input`: hook payload JSON (defaults to stdin)
+ */
+export function hookCommand(check: string, options?: { input?: string }): Promise<HookResult>;
+
+/** One guvnr.yaml command run by `guvnr verify` */
+export interface VerifyCommandResult {
+  /** Key in the commands section (build, test, lint, ...) */
+  name: string;
+  command: string;
+  passed: boolean;
+  /** null when the command could not start or was stopped */
+  exitCode: number | null;
+  durationMs: number;
+  /** Last lines of output, when output was captured */
+  output?: string;
+}
+
+/** Result of `guvnr verify` */
+export interface VerifyResult {
+  passed: boolean;
+  results: VerifyCommandResult[];
+}
+
+/**
+ * Run the guvnr.yaml commands from the project root. Without `only`, runs
+ * every command except install and format.
+ * Rejects with GUVNR-CONFIG-313 when there is nothing to run.
+ * @param cwd - Project root
+ * @param options - Commands to run and how to report them
+ */
+export function runVerification(
+  cwd?: string,
+  options?: {
+    only?: string[];
+    /** Collect output instead of streaming it to the terminal */
+    capture?: boolean;
+    onStart?: (entry: { name: string; command: string }) => void;
+    signal?: AbortSignal;
+  }
+): Promise<VerifyResult>;
+
+/**
+ * Run the guvnr.yaml checks and print which passed.
+ * Rejects with GUVNR-VALID-209 when a command fails.
+ * @param options - Command options
+ */
+export function verifyCommand(options?: {
+  /** Project root (defaults to the current directory) */
+  targetDir?: string;
+  /** Command names to run (comma-separated or array) */
+  only?: string | string[];
+  /** JSON output (command output is captured) */
+  json?: boolean;
+}): Promise<VerifyResult>;
+
+/** Files `guvnr templates eject` copied (or skipped), relative to the project root */
+export interface EjectResult {
+  written: string[];
+  /** Already overridden; replaced only with `force` */
+  skipped: string[];
+}
+
+/** A problem in a template override, found by `guvnr validate` */
+export interface TemplateProblem {
+  /** File under .guvnr/templates/ */
+  path: string;
+  line: number;
+  column: number;
+  message: string;
+}
+
+/**
+ * Copy a tool's built-in templates, and the partials they include, into
+ * .guvnr/templates/ so the project can edit them.
+ * Throws GUVNR-CONFIG-315 for a tool without templates.
+ * @param cwd - Project root
+ * @param tool - Tool id
+ * @param options - Replace existing overrides, or only list the files
+ */
+export function ejectTemplates(
+  cwd: string,
+  tool: string,
+  options?: { force?: boolean; dryRun?: boolean }
+): EjectResult;
+
+/**
+ * Check a project's template overrides for syntax errors, unknown variables and
+ * partials, and files no generator reads
+ * @param cwd - Project root
+ */
+export function checkProjectTemplates(cwd: string): TemplateProblem[];
+
+/**
+ * Print the tools that have templates and the files each can override
+ * @param options - Command options
+ */
+export function templatesListCommand(options?: {
+  json?: boolean;
+}): Promise<Record<string, string[]>>;
+
+/**
+ * Eject a tool's templates and print what was written.
+ * Rejects with GUVNR-CONFIG-315 for a tool without templates.
+ * @param tool - Tool id
+ * @param options - Command options
+ */
+export function templatesEjectCommand(
+  tool: string,
+  options?: {
+    /** Project root (defaults to the current directory) */
+    targetDir?: string;
+    force?: boolean;
+    dryRun?: boolean;
+    json?: boolean;
+  }
+): Promise<EjectResult>;
+
+/** A file a run changed, as recorded in .guvnr/history/<runId>/run.json */
+export interface HistoryFile {
+  /** Project-relative path */
+  path: string;
+  /** Whether the file existed before the run */
+  before: 'file' | 'absent';
+  /** Set when the run created this directory */
+  directory?: boolean;
+  /** File mode before the run */
+  mode?: number;
+  /** Directories the run created for it, deepest first */
+  dirs: string[];
+  /** Hash of the file the run left behind (null if none); missing for an incomplete run */
+  after?: string | null;
+}
+
+/** A run recorded in the .guvnr/history/ journal */
+export interface HistoryRun {
+  /** Run ID (the CLI's operation ID) */
+  id: string;
+  /** e.g. "generate --force" or "undo 1e13b64a" */
+  command: string;
+  startedAt: string;
+  /** null if the run did not finish */
+  finishedAt: string | null;
+  files: HistoryFile[];
+  /** Run this run undid */
+  undoes?: string;
+  /** Set once the run has been undone */
+  undoneAt?: string;
+  undoneBy?: string;
+}
+
+/** What `guvnr undo` changed */
+export interface UndoResult {
+  run: HistoryRun;
+  /** ID of the undo's own run, or null in a dry run */
+  undoRun: string | null;
+  /** Files written back with their previous content */
+  restored: string[];
+  /** Files the run created that were removed */
+  removed: string[];
+}
+
+/**
+ * Runs in the .guvnr/history/ journal, newest first
+ * @param cwd - Project root
+ */
+export function listRuns(cwd: string): HistoryRun[];
+
+/**
+ * Put back the files a run changed.
+ * Throws GUVNR-FS-408 if no run matches, and GUVNR-FS-409 if files changed
+ * since the run and `force` is not set.
+ * @param cwd - Project root
+ * @param runId - Run ID or unique prefix (default: the latest run not yet undone)
+ * @param options - Undo options
+ */
+export function undoRun(
+  cwd: string,
+  runId?: string,
+  options?: { force?: boolean; dryRun?: boolean; id?: string }
+): UndoResult;
+
+/**
+ * Print the runs in the history journal
+ * @param options - Command options
+ */
+export function historyCommand(options?: {
+  /** Project root (defaults to the current directory) */
+  targetDir?: string;
+  json?: boolean;
+}): Promise<HistoryRun[]>;
+
+/**
+ * Undo a run and print what was restored.
+ * Also rejects with GUVNR-FS-406 while another run holds the lock.
+ * @param runId - Run ID or unique prefix (default: the latest run not yet undone)
+ * @param options - Command options
+ */
+export function undoCommand(
+  runId?: string,
+  options?: {
+    /** Project root (defaults to the current directory) */
+    targetDir?: string;
+    force?: boolean;
+    dryRun?: boolean;
+    json?: boolean;
+  }
+): Promise<UndoResult>;
+
+/** A language, framework or runtime with its version when known */
+export interface TechStackEntry {
+  name: string;
+  version?: string;
+}
+
+/** What `guvnr init` detects for guvnr.yaml */
+export interface ProjectAnalysis {
+  /** tech_stack in guvnr.yaml shape (empty lists when nothing is recognised) */
+  techStack: {
+    languages: TechStackEntry[];
+    frameworks: TechStackEntry[];
+    runtime?: TechStackEntry;
+    package_manager?: string;
+    test_framework?: string;
+  };
+  /** Proposed conventions.style entries */
+  style: string[];
+}
+
+/**
+ * Detect a project's tech stack from its manifests, lock files, version files,
+ * Dockerfiles and CI workflows, and its style conventions from .editorconfig,
+ * Prettier and ESLint configs
+ * @param cwd - Project root (defaults to the current directory)
+ */
+export function analyzeProject(cwd?: string): ProjectAnalysis;
+
+/**
+ * Render tool configs in memory without writing anything
+ * @param cwd - Project root
+ * @param options - Tools to render (defaults to all)
+ */
+export function renderOutputs(
+  cwd?: string,
+  options?: { tools?: string | string[]; recursive?: boolean }
+): Promise<{
+  source: { path: string; hash: string } | null;
+  /** Workspace package outputs name their package directory */
+  outputs: Array<{ path: string; tool: string; content: string; package?: string }>;
+  errors: string[];
+}>;
+
+/** Something render found that `guvnr generate` would report */
+export interface RenderDiagnostic {
+  /** error: a generator failed or a file has unresolved placeholders; warning: a file is over its token budget; info: sections were compacted */
+  severity: 'error' | 'warning' | 'info';
+  message: string;
+  tool?: string;
+  path?: string;
+}
+
+/**
+ * Render tool configs from a guvnr.yaml config object. Nothing is written or
+ * printed; the project root is only read for template overrides, an existing
+ * CODEOWNERS file and local generator plugins.
+ * Rejects with GUVNR-VALID-203 when the config fails the schema or still has
+ * `extends` (resolve it first with resolveGuvnrConfig).
+ * @param config - guvnr.yaml contents
+ * @param options - Project root, tools to render (defaults to tools.generate, or all) and abort signal
+ */
+export function render(
+  config: Record<string, unknown>,
+  options?: { cwd?: string; tools?: string | string[]; signal?: AbortSignal }
+): Promise<{
+  /** File contents by project-relative path */
+  files: Map<string, string>;
+  diagnostics: RenderDiagnostic[];
+}>;
+
 // ============================================
 // Default Export
 // ============================================